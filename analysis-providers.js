@@ -0,0 +1,419 @@
+/**
+ * Provedores de análise: cada provedor recebe a imagem capturada e devolve
+ * o resultado normalizado no formato consumido por `showAnalysisResults`
+ * e `saveAnalysisData` (fitzpatrick, textura, manchas, rugas, detalhes, face_detectada).
+ */
+
+import { fetchWithTimeout, retryWithBackoff, uploadWithProgress } from './api-connection.js';
+import { coerceAnalysisResult, validateAnalysisResult } from './analysis-schema.js';
+import { t } from './i18n.js';
+import { imageFileName } from './capture-output.js';
+import { blobToDataUrl } from './report-export.js';
+
+const PROVIDER_KEY = 'faceCapture.provider';
+const GROQ_SETTINGS_KEY = 'faceCapture.groq';
+
+const UPLOAD_TIMEOUT_MS = 60000;
+const UPLOAD_RETRIES = 2; // Novas tentativas do /upload em falhas transitórias, antes do fallback/fila
+
+export const GROQ_DEFAULTS = {
+    baseUrl: 'https://api.groq.com/openai/v1',
+    model: 'meta-llama/llama-4-scout-17b-16e-instruct'
+};
+
+const GROQ_PROMPT = `Você é um assistente de análise dermatológica estética. Analise a pele do rosto na imagem e
+responda SOMENTE com um objeto JSON com exatamente estas chaves:
+{
+  "fitzpatrick": "Tipo I" a "Tipo VI",
+  "textura": descrição curta do tipo de pele (ex.: "Oleosa", "Seca", "Mista", "Normal"),
+  "manchas": classificação curta (ex.: "Poucas manchas", "Manchas moderadas"),
+  "rugas": classificação curta (ex.: "Linhas leves"),
+  "detalhes": {
+    "manchas": { "numero": inteiro, "porcentagem": número de 0 a 100 },
+    "textura": { "contraste": número, "homogeneidade": número de 0 a 1 },
+    "rugas": { "porcentagem": número de 0 a 100 }
+  },
+  "face_detectada": { "confianca": número de 0 a 1 }
+}
+Se não houver rosto na imagem, responda {"erro": "Nenhum rosto detectado"}.`;
+
+/**
+ * Cria um Error marcando se a falha é transitória (vale tentar de novo / outro provedor).
+ */
+function providerError(message, retryable) {
+    const error = new Error(message);
+    error.retryable = retryable;
+    return error;
+}
+
+/**
+ * Erro de análise cancelada pelo usuário: não é transitório nem dispara fallback.
+ */
+function cancelledError() {
+    const error = providerError(t('provider.cancelled'), false);
+    error.cancelled = true;
+    return error;
+}
+
+/**
+ * Rejeita com `cancelledError` assim que o `signal` for abortado, sem esperar a promessa.
+ */
+function abortable(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(cancelledError());
+            return;
+        }
+        signal.addEventListener('abort', () => reject(cancelledError()), { once: true });
+        promise.then(resolve, reject);
+    });
+}
+
+/**
+ * Valida a resposta de qualquer provedor contra o esquema (analysis-schema.js)
+ * e a normaliza para o formato único do app.
+ * Respostas malformadas geram um erro definitivo que lista os problemas encontrados.
+ * @param {Object} raw - Resposta original do provedor.
+ * @param {{id: string, label: string}} provider - Provedor que gerou a resposta.
+ * @returns {Object} Resultado normalizado.
+ */
+export function normalizeAnalysisResult(raw, provider) {
+    const problems = validateAnalysisResult(raw);
+    if (problems.length) {
+        throw providerError(t('provider.invalidResponse', { provider: provider.label, problems: problems.join('; ') }), false);
+    }
+
+    const result = coerceAnalysisResult(raw);
+    return {
+        ...result,
+        face_detectada: {
+            confianca: Number(raw.face_detectada?.confianca ?? 0),
+            metodo: raw.face_detectada?.metodo || provider.label
+        },
+        provedor: { id: provider.id, nome: provider.label }
+    };
+}
+
+/**
+ * Provedor da API híbrida existente (POST multipart em `${apiUrl}/upload`).
+ */
+export class HybridApiProvider {
+    /**
+     * @param {function(): (string|null)} getApiUrl - Retorna a URL base da API (ou `null` se indisponível).
+     * @param {Object} [options]
+     * @param {function(number, number): void} [options.onRetry] - Aviso de nova tentativa (número, espera em ms).
+     */
+    constructor(getApiUrl, { onRetry = () => {} } = {}) {
+        this.id = 'hybrid';
+        this.getApiUrl = getApiUrl;
+        this.onRetry = onRetry;
+    }
+
+    get label() {
+        return t('provider.hybrid');
+    }
+
+    isAvailable() {
+        return Boolean(this.getApiUrl());
+    }
+
+    /**
+     * @param {Blob} blob - Imagem capturada.
+     * @param {Object} [meta={}] - Metadados enviados junto com o arquivo.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancela o envio.
+     * @param {function(string, number=): void} [options.onProgress] - Etapa ('uploading' | 'processing') e fração enviada.
+     */
+    async analyze(blob, meta = {}, { signal, onProgress = () => {} } = {}) {
+        const apiUrl = this.getApiUrl();
+        if (!apiUrl) throw providerError(t('provider.apiUnavailable'), true);
+
+        const formData = new FormData();
+        formData.append('file', blob, imageFileName('face-capture', blob));
+        if (meta.quality) {
+            formData.append('quality', JSON.stringify(meta.quality));
+        }
+        if (meta.colorCorrection) {
+            formData.append('color_correction', JSON.stringify(meta.colorCorrection));
+        }
+        if (meta.session) {
+            // Fotos de uma mesma sessão multiângulo compartilham o `id` e informam o ângulo
+            formData.append('session', JSON.stringify(meta.session));
+        }
+
+        try {
+            return await retryWithBackoff(() => this._upload(apiUrl, formData, signal, onProgress), {
+                retries: UPLOAD_RETRIES,
+                onRetry: (attempt, wait) => this.onRetry(attempt, wait),
+                signal
+            });
+        } catch (error) {
+            if (signal?.aborted) throw cancelledError();
+            throw error;
+        }
+    }
+
+    async _upload(apiUrl, formData, signal, onProgress) {
+        let response;
+        try {
+            response = await uploadWithProgress(`${apiUrl}/upload`, {
+                body: formData,
+                headers: {
+                    'ngrok-skip-browser-warning': 'true' // Para ngrok, se aplicável
+                },
+                signal,
+                timeoutMs: UPLOAD_TIMEOUT_MS,
+                onProgress
+            });
+        } catch (networkError) {
+            if (signal?.aborted) throw cancelledError();
+            // Falha de rede ou tempo esgotado: a captura pode ser reenviada mais tarde
+            throw providerError(networkError.message, true);
+        }
+
+        if (!response.ok) {
+            // Tenta ler o erro do corpo da resposta, se possível
+            let errorDetails = await response.text();
+            try {
+                const json = JSON.parse(errorDetails);
+                errorDetails = json.erro || JSON.stringify(json);
+            } catch {}
+
+            // Erros do servidor (5xx) são transitórios; erros 4xx não serão resolvidos com um reenvio
+            throw providerError(t('provider.httpError', { provider: this.label, status: String(response.status), details: errorDetails }), response.status >= 500);
+        }
+
+        const result = await response.json();
+        if (result.erro) {
+            throw providerError(result.erro, false);
+        }
+
+        return normalizeAnalysisResult(result, this);
+    }
+}
+
+/**
+ * Provedor de visão da Groq (endpoint compatível com OpenAI `chat/completions`).
+ * A chave é informada pelo usuário em tempo de execução e nunca faz parte do código publicado.
+ * `baseUrl` pode apontar para um proxy próprio (que injeta a chave) ou para um servidor local de testes.
+ */
+export class GroqVisionProvider {
+    constructor() {
+        this.id = 'groq';
+        this.label = 'Groq Vision';
+    }
+
+    /**
+     * @returns {{baseUrl: string, model: string, apiKey: string}} Configuração atual.
+     */
+    get settings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(GROQ_SETTINGS_KEY) || '{}');
+        } catch {}
+        return { ...GROQ_DEFAULTS, apiKey: '', ...saved };
+    }
+
+    /**
+     * @param {Object} settings - Campos a atualizar (`baseUrl`, `model`, `apiKey`).
+     */
+    saveSettings(settings) {
+        localStorage.setItem(GROQ_SETTINGS_KEY, JSON.stringify({ ...this.settings, ...settings }));
+    }
+
+    /**
+     * Disponível com uma chave configurada ou quando aponta para um proxy/servidor próprio.
+     */
+    isAvailable() {
+        const { apiKey, baseUrl } = this.settings;
+        return Boolean(apiKey) || baseUrl !== GROQ_DEFAULTS.baseUrl;
+    }
+
+    async analyze(blob, meta = {}, { signal, onProgress = () => {} } = {}) {
+        const { baseUrl, model, apiKey } = this.settings;
+        const imageUrl = await blobToDataUrl(blob);
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+        // Sem progresso de envio: o pedido inteiro conta como processamento
+        onProgress('processing');
+
+        let response;
+        try {
+            response = await fetchWithTimeout(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers,
+                signal,
+                body: JSON.stringify({
+                    model,
+                    temperature: 0,
+                    response_format: { type: 'json_object' },
+                    messages: [{
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: GROQ_PROMPT },
+                            { type: 'image_url', image_url: { url: imageUrl } }
+                        ]
+                    }]
+                })
+            }, UPLOAD_TIMEOUT_MS);
+        } catch (networkError) {
+            if (signal?.aborted) throw cancelledError();
+            throw providerError(networkError.message, true);
+        }
+
+        if (!response.ok) {
+            let errorDetails = await response.text();
+            try {
+                errorDetails = JSON.parse(errorDetails).error?.message || errorDetails;
+            } catch {}
+
+            // 429 (limite de uso) e 5xx são transitórios
+            const retryable = response.status === 429 || response.status >= 500;
+            throw providerError(t('provider.httpError', { provider: this.label, status: String(response.status), details: errorDetails }), retryable);
+        }
+
+        const completion = await response.json();
+        let result;
+        try {
+            result = JSON.parse(completion.choices?.[0]?.message?.content || '');
+        } catch {
+            throw providerError(t('provider.malformedResponse', { provider: this.label }), true);
+        }
+
+        if (result.erro) {
+            throw providerError(result.erro, false);
+        }
+
+        return normalizeAnalysisResult({
+            ...result,
+            face_detectada: { metodo: `Groq (${model})`, ...result.face_detectada }
+        }, this);
+    }
+}
+
+/**
+ * Provedor offline: estima as mesmas categorias no próprio dispositivo,
+ * em um Web Worker (local-analysis-worker.js), sem qualquer conexão.
+ * Só é usado quando escolhido explicitamente (não entra no fallback automático).
+ */
+export class LocalAnalysisProvider {
+    constructor() {
+        this.id = 'local';
+        this.autoFallback = false;
+
+        this.worker = null;
+        this.pending = new Map();
+        this.nextRequestId = 1;
+    }
+
+    get label() {
+        return t('provider.local');
+    }
+
+    isAvailable() {
+        return 'Worker' in self && 'OffscreenCanvas' in self;
+    }
+
+    async analyze(blob, meta = {}, { signal, onProgress = () => {} } = {}) {
+        onProgress('processing');
+        const bitmap = await createImageBitmap(blob);
+        const raw = await abortable(this._runInWorker(bitmap), signal);
+        return normalizeAnalysisResult(raw, this);
+    }
+
+    _runInWorker(bitmap) {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./local-analysis-worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => {
+                const { id, result, error } = event.data;
+                const request = this.pending.get(id);
+                if (!request) return;
+
+                this.pending.delete(id);
+                // Erros da análise local não se resolvem tentando de novo
+                if (error) request.reject(providerError(error, false));
+                else request.resolve(result);
+            };
+            this.worker.onerror = (event) => {
+                this.pending.forEach((request) => request.reject(providerError(event.message || t('provider.workerError'), false)));
+                this.pending.clear();
+                this.worker.terminate();
+                this.worker = null;
+            };
+        }
+
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, bitmap }, [bitmap]);
+        });
+    }
+}
+
+/**
+ * Registro de provedores com seleção em tempo de execução e fallback automático.
+ */
+export class AnalysisProviderRegistry {
+    constructor(providers = []) {
+        this.providers = providers;
+    }
+
+    get preferredId() {
+        return localStorage.getItem(PROVIDER_KEY) || this.providers[0]?.id;
+    }
+
+    set preferredId(id) {
+        localStorage.setItem(PROVIDER_KEY, id);
+    }
+
+    get(id) {
+        return this.providers.find((provider) => provider.id === id);
+    }
+
+    /**
+     * Provedores disponíveis, com o preferido primeiro. Provedores com
+     * `autoFallback === false` só participam quando são o preferido.
+     * @returns {Object[]}
+     */
+    getCandidates() {
+        const preferred = this.get(this.preferredId);
+        const fallbacks = this.providers.filter((p) => p !== preferred && p.autoFallback !== false);
+        const ordered = preferred ? [preferred, ...fallbacks] : fallbacks;
+        return ordered.filter((provider) => provider.isAvailable());
+    }
+
+    hasAvailable() {
+        return this.getCandidates().length > 0;
+    }
+
+    /**
+     * Analisa a imagem com o provedor preferido; em falhas transitórias tenta o próximo.
+     * Erros definitivos (ex.: nenhum rosto detectado) não disparam fallback.
+     * @param {Blob} blob - Imagem capturada.
+     * @param {Object} [meta={}] - Metadados da captura.
+     * @param {Object} [options] - `signal` (cancelamento) e `onProgress` (etapa e fração enviada).
+     * @returns {Promise<Object>} Resultado normalizado.
+     */
+    async analyze(blob, meta = {}, options = {}) {
+        const candidates = this.getCandidates();
+        if (candidates.length === 0) {
+            throw providerError(t('provider.noneAvailable'), true);
+        }
+
+        let lastError = null;
+        for (const provider of candidates) {
+            try {
+                return await provider.analyze(blob, meta, options);
+            } catch (error) {
+                if (error.cancelled) throw error;
+                console.warn(`Provedor "${provider.label}" falhou:`, error);
+                lastError = error;
+                if (!error.retryable) break;
+            }
+        }
+        throw lastError;
+    }
+}
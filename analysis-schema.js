@@ -0,0 +1,305 @@
+/**
+ * Esquema versionado da resposta de análise e definição declarativa das métricas.
+ * As mesmas definições montam os cartões da tela, o TXT, o relatório e o CSV;
+ * métricas que o app ainda não conhece são exibidas de forma genérica.
+ */
+
+import { formatNumber, t } from './i18n.js';
+
+export const ANALYSIS_SCHEMA_VERSION = 1;
+
+// Textos mais longos que isso (ex.: imagens em base64) não são exibidos como métrica
+const MAX_GENERIC_TEXT_LENGTH = 120;
+
+const text = (value) => String(value);
+const decimals = (digits) => (value) => formatNumber(Number(value), digits);
+
+/**
+ * Define rótulo (e rótulo curto/explicação, se não informados) como getters das chaves
+ * `metric.<id>.*` de locales/, para que telas e exportações usem sempre o idioma atual.
+ */
+const localized = (metric, { short = false } = {}) => {
+    const texts = { label: 'label', ...(short && { shortLabel: 'short' }), ...(!metric.explanation && { explanation: 'explanation' }) };
+    for (const [property, suffix] of Object.entries(texts)) {
+        Object.defineProperty(metric, property, { get: () => t(`metric.${metric.id}.${suffix}`), enumerable: true });
+    }
+    return metric;
+};
+
+/**
+ * Métricas de categoria, exibidas como cartões de resultado.
+ * `explanation` pode ser um texto fixo ou uma função da análise.
+ */
+export const CATEGORY_METRICS = [
+    localized({
+        id: 'fitzpatrick',
+        path: 'fitzpatrick',
+        format: text
+    }, { short: true }),
+    localized({
+        id: 'textura',
+        path: 'textura',
+        format: text
+    }, { short: true }),
+    localized({
+        id: 'manchas',
+        path: 'manchas',
+        format: text,
+        explanation: (data) => {
+            const count = Number(getByPath(data, 'detalhes.manchas.numero'));
+            return Number.isFinite(count) ? t('metric.manchas.explanation', { count }) : t('metric.manchas.explanationMissing');
+        }
+    }, { short: true }),
+    localized({
+        id: 'rugas',
+        path: 'rugas',
+        format: text
+    }, { short: true })
+];
+
+/**
+ * Métricas numéricas de `detalhes`, exibidas como detalhes técnicos.
+ * `id` também é o nome da coluna no CSV.
+ */
+export const DETAIL_METRICS = [
+    localized({
+        id: 'manchas_numero',
+        path: 'detalhes.manchas.numero',
+        unit: '',
+        format: decimals(0)
+    }),
+    localized({
+        id: 'manchas_porcentagem',
+        path: 'detalhes.manchas.porcentagem',
+        unit: '%',
+        format: decimals(2)
+    }),
+    localized({
+        id: 'textura_contraste',
+        path: 'detalhes.textura.contraste',
+        unit: '',
+        format: decimals(2)
+    }),
+    localized({
+        id: 'textura_homogeneidade',
+        path: 'detalhes.textura.homogeneidade',
+        unit: '',
+        format: decimals(2)
+    }),
+    localized({
+        id: 'rugas_porcentagem',
+        path: 'detalhes.rugas.porcentagem',
+        unit: '%',
+        format: decimals(2)
+    }),
+    localized({
+        id: 'fitzpatrick_ita',
+        path: 'detalhes.fitzpatrick.ita',
+        unit: '°',
+        format: decimals(1)
+    })
+];
+
+// Campos da resposta que não são métricas (ou já têm exibição própria)
+const RESERVED_FIELDS = new Set([
+    'versao_schema', 'detalhes', 'face_detectada', 'regioes', 'provedor', 'estimativa_local', 'erro',
+    ...CATEGORY_METRICS.map((metric) => metric.path)
+]);
+const DETAIL_PATHS = new Set(DETAIL_METRICS.map((metric) => metric.path));
+
+/**
+ * Lê um valor aninhado a partir de um caminho com pontos (ex.: 'detalhes.manchas.numero').
+ */
+export function getByPath(object, path) {
+    return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+function setByPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((node, key) => {
+        if (!isPlainObject(node[key])) node[key] = {};
+        return node[key];
+    }, object);
+    target[last] = value;
+}
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+export const isMissing = (value) => value === undefined || value === null;
+const isNumeric = (value) => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && Number.isFinite(Number(value));
+const describeValue = (value) => JSON.stringify(value)?.slice(0, 40) ?? String(value);
+
+/**
+ * Confere a resposta de um provedor contra o esquema.
+ * Valores ausentes são aceitos (a métrica fica "Não detectado"); tipos errados não.
+ * @param {*} raw - Resposta original do provedor.
+ * @returns {string[]} Problemas encontrados (vazio se a resposta é válida).
+ */
+export function validateAnalysisResult(raw) {
+    if (!isPlainObject(raw)) return [t('schema.notObject')];
+
+    const problems = [];
+    const version = raw.versao_schema ?? ANALYSIS_SCHEMA_VERSION;
+    if (!Number.isInteger(version) || version < 1 || version > ANALYSIS_SCHEMA_VERSION) {
+        problems.push(t('schema.unsupportedVersion', { value: describeValue(version), max: ANALYSIS_SCHEMA_VERSION }));
+    }
+
+    for (const metric of CATEGORY_METRICS) {
+        const value = getByPath(raw, metric.path);
+        if (!isMissing(value) && typeof value !== 'string') {
+            problems.push(t('schema.expectedText', { path: metric.path, value: describeValue(value) }));
+        }
+    }
+    if (CATEGORY_METRICS.every((metric) => isMissing(getByPath(raw, metric.path)))) {
+        problems.push(t('schema.noMetrics', { paths: CATEGORY_METRICS.map((metric) => metric.path).join(', ') }));
+    }
+
+    if (!isMissing(raw.detalhes) && !isPlainObject(raw.detalhes)) {
+        problems.push(t('schema.expectedObject', { path: 'detalhes' }));
+    } else {
+        for (const metric of DETAIL_METRICS) {
+            const value = getByPath(raw, metric.path);
+            if (!isMissing(value) && !isNumeric(value)) {
+                problems.push(t('schema.expectedNumber', { path: metric.path, value: describeValue(value) }));
+            }
+        }
+    }
+
+    if (!isMissing(raw.face_detectada)) {
+        const confidence = raw.face_detectada.confianca;
+        if (!isPlainObject(raw.face_detectada)) {
+            problems.push(t('schema.expectedObject', { path: 'face_detectada' }));
+        } else if (!isMissing(confidence) && !(isNumeric(confidence) && Number(confidence) >= 0 && Number(confidence) <= 1)) {
+            problems.push(t('schema.expectedConfidence', { path: 'face_detectada.confianca', value: describeValue(confidence) }));
+        }
+    }
+
+    problems.push(...validateRegions(raw.regioes));
+
+    return problems;
+}
+
+/**
+ * Confere a estrutura de `regioes` (marcações sobre a imagem, opcional).
+ * Coordenadas são frações de 0 a 1 da imagem analisada, ou pixels com `unidade: 'px'`:
+ * `face` {x, y, largura, altura}; `manchas` [{x, y, largura, altura}];
+ * `rugas` [{pontos: [[x, y], ...]}]; `textura` {colunas, linhas, valores: números de 0 a 1}.
+ * Itens individuais malformados não invalidam a resposta: são ignorados na exibição.
+ */
+function validateRegions(regions) {
+    if (isMissing(regions)) return [];
+    if (!isPlainObject(regions)) return [t('schema.expectedObject', { path: 'regioes' })];
+
+    const problems = [];
+    if (!isMissing(regions.unidade) && !['normalizada', 'px'].includes(regions.unidade)) {
+        problems.push(t('schema.expectedUnit', { path: 'regioes.unidade', value: describeValue(regions.unidade) }));
+    }
+    for (const key of ['manchas', 'rugas']) {
+        if (!isMissing(regions[key]) && !Array.isArray(regions[key])) {
+            problems.push(t('schema.expectedList', { path: `regioes.${key}` }));
+        }
+    }
+    for (const key of ['face', 'textura']) {
+        if (!isMissing(regions[key]) && !isPlainObject(regions[key])) {
+            problems.push(t('schema.expectedObject', { path: `regioes.${key}` }));
+        }
+    }
+    return problems;
+}
+
+/**
+ * Converte uma resposta já validada para os tipos do esquema: categorias ausentes
+ * viram `null` e métricas numéricas enviadas como texto viram números.
+ * Campos extras são preservados.
+ * @param {Object} raw - Resposta validada por `validateAnalysisResult`.
+ * @returns {Object}
+ */
+export function coerceAnalysisResult(raw) {
+    const result = { ...raw, versao_schema: ANALYSIS_SCHEMA_VERSION, detalhes: structuredClone(raw.detalhes || {}) };
+
+    for (const metric of CATEGORY_METRICS) {
+        result[metric.path] = raw[metric.path] || null;
+    }
+    for (const metric of DETAIL_METRICS) {
+        const value = getByPath(raw, metric.path);
+        if (!isMissing(value)) setByPath(result, metric.path, Number(value));
+    }
+    return result;
+}
+
+/**
+ * Formata o valor de uma métrica para exibição.
+ * @param {Object} metric - Definição da métrica.
+ * @param {*} value - Valor lido da análise.
+ * @returns {string}
+ */
+export function formatMetric(metric, value) {
+    if (isMissing(value) || value === '') {
+        // Categorias não têm unidade; métricas numéricas sempre têm (mesmo que vazia)
+        return t(metric.unit === undefined ? 'common.notDetected' : 'common.notAvailable');
+    }
+    return `${metric.format(value)}${metric.unit || ''}`;
+}
+
+/**
+ * Rótulo legível para campos desconhecidos (ex.: 'detalhes.poros.densidade' → 'Poros · densidade').
+ */
+function humanize(keys) {
+    const label = keys.map((key) => key.replace(/_/g, ' ')).join(' · ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+const isGenericValue = (value) => (typeof value === 'number' && Number.isFinite(value))
+    || typeof value === 'boolean'
+    || (typeof value === 'string' && value.length <= MAX_GENERIC_TEXT_LENGTH);
+
+function genericMetric(path, value, unit) {
+    const keys = path.split('.');
+    return {
+        id: keys.join('_'),
+        label: humanize(keys[0] === 'detalhes' ? keys.slice(1) : keys),
+        path,
+        unit,
+        format: typeof value === 'number' ? decimals(Number.isInteger(value) ? 0 : 2) : (item) => (typeof item === 'boolean' ? t(item ? 'common.yes' : 'common.no') : String(item)),
+        explanation: t('metric.generic.explanation'),
+        generic: true
+    };
+}
+
+function collectGenericDetails(node, prefix, found) {
+    for (const [key, value] of Object.entries(node)) {
+        const path = `${prefix}.${key}`;
+        if (isPlainObject(value)) collectGenericDetails(value, path, found);
+        else if (!DETAIL_PATHS.has(path) && isGenericValue(value)) found.push(genericMetric(path, value, ''));
+    }
+    return found;
+}
+
+/**
+ * Lista as métricas presentes em uma análise, prontas para exibição ou exportação:
+ * as definidas acima e, em seguida, as desconhecidas (campos extras do provedor).
+ * @param {Object} data - Dados de análise.
+ * @returns {{categories: Object[], details: Object[]}} Itens com `metric`, `value` (formatado) e `explanation`.
+ */
+export function describeAnalysis(data = {}) {
+    const extraCategories = Object.entries(data)
+        .filter(([key, value]) => !RESERVED_FIELDS.has(key) && isGenericValue(value))
+        .map(([key, value]) => genericMetric(key, value, undefined));
+    const extraDetails = isPlainObject(data.detalhes) ? collectGenericDetails(data.detalhes, 'detalhes', []) : [];
+
+    const describe = (metric) => {
+        const value = getByPath(data, metric.path);
+        return {
+            metric,
+            raw: value,
+            value: formatMetric(metric, value),
+            explanation: typeof metric.explanation === 'function' ? metric.explanation(data) : metric.explanation
+        };
+    };
+
+    return {
+        categories: [...CATEGORY_METRICS, ...extraCategories].map(describe),
+        // Métricas numéricas conhecidas que o provedor não informa não entram nos detalhes
+        details: [...DETAIL_METRICS.filter((metric) => !isMissing(getByPath(data, metric.path))), ...extraDetails].map(describe)
+    };
+}
@@ -0,0 +1,384 @@
+/**
+ * Conexão com a API híbrida: URL base configurável (inclusive outro domínio ou
+ * túnel ngrok), verificação periódica do `/api/health` com espera exponencial
+ * entre falhas, estados de conexão e utilitários de timeout e nova tentativa.
+ */
+import { t } from './i18n.js';
+import { hideDialog, showDialog } from './feedback.js';
+
+const API_URL_KEY = 'faceCapture.apiUrl';
+
+const HEALTH_TIMEOUT_MS = 5000;
+const POLL_INTERVAL_MS = 30000;      // Intervalo com a API online
+const MIN_BACKOFF_MS = 2000;         // Primeira espera após uma falha
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const SLOW_RESPONSE_MS = 2500;       // Acima disso a API é considerada degradada
+
+export const API_STATES = {
+    connecting: 'connecting',
+    online: 'online',
+    degraded: 'degraded',
+    offline: 'offline'
+};
+
+/**
+ * Espera que pode ser interrompida por um AbortSignal (rejeita com AbortError).
+ */
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const abort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Operação cancelada.', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', abort);
+            resolve();
+        }, ms);
+        if (signal?.aborted) abort();
+        else signal?.addEventListener('abort', abort, { once: true });
+    });
+}
+
+/**
+ * Espera exponencial com variação aleatória (±20%), para que vários clientes não
+ * tentem de novo ao mesmo tempo.
+ * @param {number} attempt - Número da tentativa (0 = primeira espera).
+ */
+export function backoffDelay(attempt, baseMs = MIN_BACKOFF_MS, maxMs = MAX_BACKOFF_MS) {
+    const exponential = Math.min(maxMs, baseMs * 2 ** attempt);
+    return Math.round(exponential * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * `fetch` com tempo limite via AbortController. Um `signal` externo também cancela a requisição.
+ * @param {string} url
+ * @param {RequestInit} [options={}]
+ * @param {number} [timeoutMs=HEALTH_TIMEOUT_MS]
+ * @returns {Promise<Response>} Rejeita com `error.timeout = true` quando o tempo se esgota.
+ */
+export async function fetchWithTimeout(url, options = {}, timeoutMs = HEALTH_TIMEOUT_MS) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const abortFromCaller = () => controller.abort();
+    if (options.signal?.aborted) controller.abort();
+    options.signal?.addEventListener('abort', abortFromCaller);
+
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+        if (controller.signal.aborted && !options.signal?.aborted) {
+            const timeoutError = new Error(t('api.timeout', { seconds: Math.round(timeoutMs / 1000) }));
+            timeoutError.timeout = true;
+            throw timeoutError;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        options.signal?.removeEventListener('abort', abortFromCaller);
+    }
+}
+
+// Status que, por definição, não têm corpo: o construtor de `Response` recusa um corpo neles
+const NULL_BODY_STATUSES = [204, 205, 304];
+
+/**
+ * Envia um corpo via POST com progresso de upload (XMLHttpRequest, pois `fetch` não informa
+ * o progresso do envio). A resposta é devolvida como `Response`, como no `fetch`.
+ * @param {string} url
+ * @param {Object} options
+ * @param {XMLHttpRequestBodyInit} options.body
+ * @param {Object} [options.headers={}]
+ * @param {AbortSignal} [options.signal] - Cancela o envio (rejeita com AbortError).
+ * @param {number} [options.timeoutMs=60000]
+ * @param {function(string, number=): void} [options.onProgress] - `('uploading', fração)` durante o envio
+ *   e `('processing')` quando o servidor recebeu tudo e está processando.
+ * @returns {Promise<Response>}
+ */
+export function uploadWithProgress(url, { body, headers = {}, signal, timeoutMs = 60000, onProgress = () => {} }) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Envio cancelado.', 'AbortError'));
+            return;
+        }
+
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', url);
+        Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+        xhr.timeout = timeoutMs;
+
+        xhr.upload.onprogress = (event) => {
+            if (event.lengthComputable) onProgress('uploading', event.loaded / event.total);
+        };
+        xhr.upload.onload = () => onProgress('processing');
+
+        xhr.onerror = () => reject(new TypeError(t('api.networkError')));
+        xhr.onload = () => {
+            // Status 0: a resposta não chegou (ex.: bloqueada por CORS), como uma falha de rede
+            if (xhr.status === 0) {
+                xhr.onerror();
+                return;
+            }
+            const responseBody = NULL_BODY_STATUSES.includes(xhr.status) ? null : xhr.responseText;
+            resolve(new Response(responseBody, { status: xhr.status, statusText: xhr.statusText }));
+        };
+        xhr.ontimeout = () => {
+            const timeoutError = new Error(t('api.timeout', { seconds: Math.round(timeoutMs / 1000) }));
+            timeoutError.timeout = true;
+            reject(timeoutError);
+        };
+        xhr.onabort = () => reject(new DOMException('Envio cancelado.', 'AbortError'));
+        signal?.addEventListener('abort', () => xhr.abort(), { once: true });
+
+        onProgress('uploading', 0);
+        xhr.send(body);
+    });
+}
+
+/**
+ * Executa `operation` novamente, com espera exponencial, enquanto o erro for transitório.
+ * @param {function(number): Promise<*>} operation - Recebe o número da tentativa.
+ * @param {Object} [options]
+ * @param {number} [options.retries=2] - Novas tentativas após a primeira.
+ * @param {number} [options.baseDelayMs=1000]
+ * @param {function(Error): boolean} [options.shouldRetry] - Por padrão, erros com `retryable`.
+ * @param {function(number, number, Error): void} [options.onRetry] - Aviso antes de cada espera.
+ * @param {AbortSignal} [options.signal] - Interrompe a espera entre tentativas.
+ */
+export async function retryWithBackoff(operation, {
+    retries = 2,
+    baseDelayMs = 1000,
+    shouldRetry = (error) => Boolean(error.retryable),
+    onRetry = () => {},
+    signal
+} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) throw error;
+            const wait = backoffDelay(attempt, baseDelayMs, MAX_BACKOFF_MS);
+            onRetry(attempt + 1, wait, error);
+            await delay(wait, signal);
+        }
+    }
+}
+
+/**
+ * Normaliza e valida uma URL base informada pelo usuário.
+ * @param {string} value
+ * @returns {string} URL sem barra final (ou '' para usar o mesmo domínio).
+ * @throws {Error} Se a URL for inválida.
+ */
+export function normalizeApiUrl(value) {
+    const text = String(value || '').trim();
+    if (!text) return '';
+
+    let url;
+    try {
+        url = new URL(text.includes('://') ? text : `https://${text}`);
+    } catch {
+        throw new Error(t('api.invalidUrl'));
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(t('api.invalidProtocol'));
+    }
+    return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Consulta o `/api/health` de uma URL base.
+ * @returns {Promise<{state: string, latency: number, error?: string}>}
+ */
+export async function checkApiHealth(baseUrl) {
+    const startedAt = performance.now();
+    try {
+        const response = await fetchWithTimeout(`${baseUrl}/api/health`, {
+            // Header para evitar o aviso do ngrok, se aplicável
+            headers: { 'ngrok-skip-browser-warning': 'true' },
+            // O estado tem de vir sempre do servidor, nunca do cache HTTP
+            cache: 'no-store'
+        });
+        const latency = Math.round(performance.now() - startedAt);
+
+        if (!response.ok) {
+            // Servidor alcançável, mas com falha: degradado
+            return { state: API_STATES.degraded, latency, error: `HTTP ${response.status}` };
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (data.status !== 'online') {
+            return { state: API_STATES.degraded, latency, error: t('api.unexpectedStatus', { status: data.status || '?' }) };
+        }
+        return { state: latency > SLOW_RESPONSE_MS ? API_STATES.degraded : API_STATES.online, latency };
+    } catch (error) {
+        return { state: API_STATES.offline, latency: Math.round(performance.now() - startedAt), error: error.message };
+    }
+}
+
+export class ApiConnectionManager {
+    /**
+     * @param {function(string, Object): void} onChange - Chamado com o novo estado e os detalhes da verificação.
+     */
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.state = API_STATES.connecting;
+        this.details = {};
+        this.failures = 0;
+        this.timer = null;
+        this.checking = null;
+        this.generation = 0; // Descarta verificações iniciadas antes de uma troca de URL
+    }
+
+    /**
+     * URL base configurada; sem configuração, o mesmo domínio do app.
+     */
+    get baseUrl() {
+        return localStorage.getItem(API_URL_KEY) || window.location.origin;
+    }
+
+    get isCustomUrl() {
+        return Boolean(localStorage.getItem(API_URL_KEY));
+    }
+
+    /**
+     * Salva a URL base (ou volta ao mesmo domínio com '') e reconecta.
+     * @param {string} value
+     * @throws {Error} Se a URL for inválida.
+     */
+    setBaseUrl(value) {
+        const url = normalizeApiUrl(value);
+        if (url && url !== window.location.origin) localStorage.setItem(API_URL_KEY, url);
+        else localStorage.removeItem(API_URL_KEY);
+
+        this.failures = 0;
+        this.checking = null;
+        this.generation++;
+        this._setState(API_STATES.connecting, {});
+        return this.checkNow();
+    }
+
+    /**
+     * URL utilizável para análises: apenas com a API online ou degradada.
+     */
+    get apiUrl() {
+        return [API_STATES.online, API_STATES.degraded].includes(this.state) ? this.baseUrl : null;
+    }
+
+    start() {
+        window.addEventListener('online', () => this.checkNow());
+        window.addEventListener('offline', () => this._setState(API_STATES.offline, { error: t('api.noNetwork') }));
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.checkNow();
+        });
+        return this.checkNow();
+    }
+
+    /**
+     * Verifica a API imediatamente e reprograma a próxima verificação.
+     */
+    checkNow() {
+        if (this.checking) return this.checking;
+
+        clearTimeout(this.timer);
+        const generation = this.generation;
+        const checking = checkApiHealth(this.baseUrl).then(({ state, ...details }) => {
+            if (generation !== this.generation) return;
+            this.checking = null;
+            this.failures = state === API_STATES.online ? 0 : this.failures + 1;
+            const retryInMs = this._scheduleNext();
+            this._setState(state, { ...details, retryInMs });
+        });
+        this.checking = checking;
+        return checking;
+    }
+
+    /**
+     * Programa a próxima verificação: intervalo fixo quando online, espera exponencial após falhas.
+     * @returns {number} Espera em ms.
+     */
+    _scheduleNext() {
+        clearTimeout(this.timer);
+        const wait = this.failures === 0 ? POLL_INTERVAL_MS : backoffDelay(this.failures - 1);
+        this.timer = setTimeout(() => {
+            // Em segundo plano, espera a aba voltar a ficar visível
+            if (document.visibilityState === 'visible') this.checkNow();
+        }, wait);
+        return wait;
+    }
+
+    _setState(state, details) {
+        const previous = this.state;
+        this.state = state;
+        this.details = details;
+        this.onChange(state, { ...details, previous, url: this.baseUrl });
+    }
+}
+
+/**
+ * Tela de configuração da URL base da API, com teste de conexão antes de salvar.
+ */
+export class ApiSettingsView {
+    /**
+     * @param {ApiConnectionManager} connection
+     */
+    constructor(connection) {
+        this.connection = connection;
+        this.dom = {
+            container: document.getElementById('apiSettingsContainer'),
+            input: document.getElementById('apiUrlInput'),
+            result: document.getElementById('apiTestResult')
+        };
+
+        document.getElementById('closeApiSettings')?.addEventListener('click', () => this.hide());
+        document.getElementById('apiTestBtn')?.addEventListener('click', () => this.test());
+        document.getElementById('apiSaveBtn')?.addEventListener('click', () => this.save());
+        document.getElementById('apiResetBtn')?.addEventListener('click', () => {
+            this.dom.input.value = '';
+            this.save();
+        });
+    }
+
+    show() {
+        this.dom.input.value = this.connection.isCustomUrl ? this.connection.baseUrl : '';
+        this.dom.input.placeholder = window.location.origin;
+        this._showResult('');
+        if (this.dom.container) showDialog(this.dom.container, { onEscape: () => this.hide(), initialFocus: this.dom.input });
+    }
+
+    hide() {
+        if (this.dom.container) hideDialog(this.dom.container);
+    }
+
+    async test() {
+        let url;
+        try {
+            url = normalizeApiUrl(this.dom.input.value) || window.location.origin;
+        } catch (error) {
+            this._showResult(`❌ ${error.message}`);
+            return;
+        }
+
+        this._showResult(t('api.testing'));
+        const { state, latency, error } = await checkApiHealth(url);
+        let message = t(`api.test.${state}`, { latency, error: error || t('api.latency', { latency }) });
+        // Páginas https não podem chamar APIs http (conteúdo misto)
+        if (window.location.protocol === 'https:' && url.startsWith('http:')) {
+            message += ` · ${t('api.mixedContent')}`;
+        }
+        this._showResult(message);
+    }
+
+    async save() {
+        try {
+            this.hide();
+            await this.connection.setBaseUrl(this.dom.input.value);
+        } catch (error) {
+            if (this.dom.container) showDialog(this.dom.container, { onEscape: () => this.hide(), initialFocus: this.dom.input });
+            this._showResult(`❌ ${error.message}`);
+        }
+    }
+
+    _showResult(message) {
+        if (this.dom.result) this.dom.result.textContent = message;
+    }
+}
@@ -2,7 +2,38 @@
  * FaceCaptureApp: Gerencia a captura de vídeo, processamento de imagem,
  * comunicação com a API de análise e exibição de resultados.
  */
-import Groq from "groq-sdk";
+import { AnalysisHistory, HistoryView } from './history.js';
+import { ComparisonView } from './comparison.js';
+import { escapeHtml, exportAnalysisJson, openPrintableReport } from './report-export.js';
+import { PhotoImportView } from './photo-import.js';
+import { CameraControls } from './camera-controls.js';
+import { UploadQueue } from './upload-queue.js';
+import { FaceAlignmentGuide } from './face-alignment.js';
+import { assessImageQuality, loadQualityThresholds } from './image-quality.js';
+import { AnalysisProviderRegistry, GroqVisionProvider, HybridApiProvider, LocalAnalysisProvider, normalizeAnalysisResult } from './analysis-providers.js';
+import { CAPTURE_STEPS, CaptureSession, CaptureSessionView, summarizeSession } from './capture-session.js';
+import { BurstCapture, BurstFilmstripView } from './burst-capture.js';
+import { ColorCalibrator } from './color-calibration.js';
+import { ServiceWorkerUpdater } from './sw-update.js';
+import { API_STATES, ApiConnectionManager, ApiSettingsView } from './api-connection.js';
+import { describeAnalysis } from './analysis-schema.js';
+import { AnnotatedImageView } from './image-annotations.js';
+import { VIDEO_SOURCES, getVideoSource, openVideoStream, saveVideoSource } from './video-source.js';
+import { LOCALES, formatDate, formatNumber, getLocale, onLocaleChange, setLocale, t, translateDocument } from './i18n.js';
+import { confirmDialog, getActiveDialog, hideDialog, notify, promptDialog, showDialog } from './feedback.js';
+import { SpokenGuidance } from './spoken-guidance.js';
+import { CameraErrorView, classifyCameraError, openWithFallbackResolution } from './camera-recovery.js';
+import { ClinicMode, PatientListView, PatientPicker, PatientRegistry, describePatient } from './clinic.js';
+import { CaptureEncoder, OUTPUT_FORMATS, OUTPUT_SIZES, canEncode, imageFileName, loadOutputSettings, mapCropToPhoto, saveOutputSettings, supportsStillPhoto, takeStillPhoto } from './capture-output.js';
+import { DataVault, PrivacyView, getRetentionDays, loadConsent, purgeExpiredData, recordConsent, recordConsentWithdrawal, wipeAllData } from './privacy.js';
+
+// Segundos contados em voz alta antes da captura manual, com a orientação falada ligada
+const COUNTDOWN_SECONDS = 3;
+// Tempo que a câmera pode ficar sem imagem (trilha "muted") antes de ser reaberta
+const TRACK_MUTE_GRACE_MS = 3000;
+// Reaberturas automáticas permitidas dentro da janela; depois disso, a tela de erro assume
+const MAX_TRACK_RESTARTS = 3;
+const TRACK_RESTART_WINDOW_MS = 30000;
 
 class FaceCaptureApp {
     constructor() {
@@ -23,331 +54,1680 @@ class FaceCaptureApp {
         }
         
         this.ctx = this.dom.canvas.getContext('2d');
+
+        // --- Orientação falada/sonora e contagem antes da captura manual ---
+        this.guidance = new SpokenGuidance();
+        this.captureCountdown = null;
+
+        // --- Guia de alinhamento facial (detecção no dispositivo) ---
+        this.faceGuide = new FaceAlignmentGuide({
+            video: this.dom.video,
+            guide: document.querySelector('.ellipse-guide'),
+            hint: document.getElementById('alignmentHint'),
+            isActive: () => this.isCaptureIdle(),
+            onAutoCapture: () => this.capturePhoto(),
+            onStatus: (status) => this.guidance.update(status)
+        });
         
         // --- Estado da Aplicação ---
         this.currentStream = null;
         this.facingMode = 'user'; // 'user' (frontal) ou 'environment' (traseira)
-        this.apiUrl = null; // URL da API de análise
+        this.cameraStarting = null; // Abertura da câmera em andamento
+        this.cameraSuspended = false; // Câmera liberada porque a página ficou oculta
+        this.trackMuteTimer = null;
+        this.trackRestarts = [];
+        // --- Conexão com a API (URL configurável, verificação periódica e estados) ---
+        this.apiConnection = new ApiConnectionManager((state, details) => this.handleApiStateChange(state, details));
+        this.apiSettingsView = new ApiSettingsView(this.apiConnection);
         
-        // Dimensões do recorte elíptico (tamanho final da imagem no canvas)
+        // Dimensões do recorte elíptico de conferência (controle de qualidade e correção de cor)
         this.ellipseWidth = 307;
         this.ellipseHeight = 407;
+        // A imagem enviada sai em resolução maior, recortada e codificada em um worker
+        this.captureEncoder = new CaptureEncoder();
+
+        // --- Provedores de análise (API híbrida, Groq Vision e estimativa local offline) ---
+        this.groqProvider = new GroqVisionProvider();
+        this.localProvider = new LocalAnalysisProvider();
+        this.providers = new AnalysisProviderRegistry([
+            new HybridApiProvider(() => this.apiConnection.apiUrl, {
+                onRetry: (attempt, wait) => this.showLoading(true, t('loading.retry', { attempt, seconds: Math.ceil(wait / 1000) }))
+            }),
+            this.groqProvider,
+            this.localProvider
+        ]);
+
+        // --- Seleção de câmera e ajustes (zoom, lanterna, foco, exposição) ---
+        this.cameraControls = new CameraControls({
+            panel: document.getElementById('cameraPanel'),
+            select: document.getElementById('cameraSelect'),
+            onDeviceChange: () => this.initCamera()
+        });
+
+        // --- Tela de erro da câmera (diagnóstico e nova tentativa) ---
+        this.cameraErrorView = new CameraErrorView({
+            onRetry: () => this.initCamera(),
+            onImport: () => this.photoImport.pickFile()
+        });
+
+        // --- Calibração de cor / balanço de branco (perfil por câmera) ---
+        this.colorCalibrator = new ColorCalibrator({
+            video: this.dom.video,
+            target: document.getElementById('calibrationTarget'),
+            bar: document.getElementById('calibrationBar'),
+            hint: document.getElementById('calibrationHint'),
+            getDeviceId: () => this.currentStream?.getVideoTracks()[0]?.getSettings().deviceId || 'default',
+            onProfileChange: (profile) => {
+                this.updateCalibrationStatus();
+                if (profile) notify(t('calibration.saved'), { type: 'success' });
+            }
+        });
+
+        // --- Importação de fotos existentes (arquivo, arrastar-e-soltar, compartilhamento) ---
+        this.photoImport = new PhotoImportView((importView) => this.analyzeImportedPhoto(importView));
+
+        // --- Sessão guiada multiângulo (frontal e perfis 3/4) ---
+        this.captureSession = new CaptureSession();
+        this.sessionView = new CaptureSessionView(this.captureSession, {
+            faceGuide: this.faceGuide,
+            onAnalyze: () => this.analyzeSession()
+        });
+
+        // Limites do controle de qualidade da imagem antes do envio
+        this.qualityThresholds = loadQualityThresholds();
+
+        // --- Captura em sequência com escolha automática do melhor frame ---
+        this.burstCapture = new BurstCapture(() => this.qualityThresholds);
+        this.burstFilmstrip = new BurstFilmstripView();
+
+        // --- Privacidade (consentimento, criptografia por senha e retenção) ---
+        this.vault = new DataVault();
+        this.privacyView = new PrivacyView(this.vault, {
+            onWithdraw: () => this.withdrawConsent(),
+            onDeleteAll: () => this.deleteAllData(),
+            onUnlock: () => {
+                this.settleUploadQueue();
+                this.flushUploadQueue();
+                // Com o cofre aberto, o nome do paciente pode ser lido
+                this.refreshActivePatient();
+            },
+            onRetentionChange: () => this.applyRetention(),
+            getConsent: () => (this.clinic.enabled ? this.activePatient?.consent ?? null : loadConsent()),
+            getWithdrawMessage: () => t(this.clinic.enabled ? 'patient.withdrawConfirm' : 'privacy.withdrawConfirm')
+        });
+
+        // --- Modo clínica (cadastro de pacientes, consentimento por paciente e quiosque) ---
+        this.clinic = new ClinicMode();
+        this.patients = new PatientRegistry(this.vault);
+        this.activePatient = null;
+        this.patientPicker = new PatientPicker(this.patients);
+        this.patientList = new PatientListView(this.patients, {
+            onAttend: (patient) => this.attendPatient(patient),
+            onShowHistory: (patient) => this.showHistory(patient),
+            onNew: () => this.attendPatient(null),
+            onRemove: (id) => this.handlePatientRemoved(id)
+        });
+
+        // --- Histórico local de análises (IndexedDB) ---
+        this.history = new AnalysisHistory(this.vault);
+        this.comparisonView = new ComparisonView();
+        // Marcações (manchas, linhas, textura, rosto) sobre a imagem dos resultados
+        this.annotatedImage = new AnnotatedImageView();
+        this.historyView = new HistoryView(
+            this.history,
+            (record) => this.showAnalysisResults(record.blob, record.analysisData, record),
+            (recordA, recordB) => this.comparisonView.show(recordA, recordB)
+        );
+
+        // --- Fila offline de capturas pendentes ---
+        this.uploadQueue = new UploadQueue(this.vault);
+        
+        // --- Service Worker (registro único e aviso de nova versão) ---
+        this.swUpdater = new ServiceWorkerUpdater({
+            banner: document.getElementById('updateBanner'),
+            reloadButton: document.getElementById('updateReload'),
+            dismissButton: document.getElementById('updateDismiss')
+        });
         
         // --- Inicialização ---
         this.init();
     }
 
     /**
-     * Inicia o fluxo de trabalho da aplicação.
+     * Inicia o fluxo de trabalho da aplicação.
+     */
+    async init() {
+        translateDocument();
+        this.initEventListeners();
+        this.initKeyboardShortcuts();
+        this.refreshActivePatient();
+        // Enquanto a tela de consentimento estiver aberta, o teclado fica nela
+        if (!this.dom.consentScreen?.classList.contains('hidden')) this.showConsentScreen();
+        this.registerServiceWorker();
+        this.listenForQueueMessages();
+        this.listenForVisibilityChange();
+        this.applyRetention();
+        this.refreshQueueStatus();
+        // Análises da fila concluídas pelo Service Worker com o app fechado
+        this.settleUploadQueue();
+        // A verificação da API não precisa bloquear o restante
+        this.apiConnection.start();
+    }
+
+    // ------------------------------------------
+    // --- Métodos de Inicialização e Configuração ---
+    // ------------------------------------------
+
+    initEventListeners() {
+        document.getElementById('acceptConsent')?.addEventListener('click', () => this.handleConsentAccept());
+        document.getElementById('switchCamera')?.addEventListener('click', () => this.switchCamera());
+        this.dom.captureBtn?.addEventListener('click', () => this.requestCapture());
+        document.getElementById('historyBtn')?.addEventListener('click', () => this.showHistory());
+        document.getElementById('autoCaptureBtn')?.addEventListener('click', () => this.toggleAutoCapture());
+        document.getElementById('sessionBtn')?.addEventListener('click', () => this.sessionView.toggle());
+        document.getElementById('burstBtn')?.addEventListener('click', () => this.toggleBurstCapture());
+        document.getElementById('guidanceBtn')?.addEventListener('click', () => this.cycleGuidance());
+        document.getElementById('importBtn')?.addEventListener('click', () => this.photoImport.pickFile());
+        document.getElementById('cameraSettingsBtn')?.addEventListener('click', () => this.cameraControls.toggle());
+        this.initColorCalibration();
+        this.initProviderSelect();
+        this.initVideoSourceSelect();
+        this.initOutputSettings();
+        this.initLocaleSelect();
+        this.initClinicMode();
+        this.updateAutoCaptureButton();
+        this.updateBurstButton();
+        this.updateGuidanceButton();
+        document.getElementById('apiSettingsBtn')?.addEventListener('click', () => this.apiSettingsView.show());
+        document.getElementById('privacyBtn')?.addEventListener('click', () => this.privacyView.show());
+    }
+
+    registerServiceWorker() {
+        return this.swUpdater.register();
+    }
+
+    /**
+     * Atalhos do teclado, para usar o app sem mouse. Cada botão declara o seu em
+     * `aria-keyshortcuts` (C/Espaço captura, S troca a câmera, G orientação falada,
+     * R nova foto); só valem os da tela de cima. Esc fecha os diálogos (feedback.js)
+     * e, aqui, cancela a contagem e a calibração de cor.
+     */
+    initKeyboardShortcuts() {
+        document.addEventListener('keydown', (event) => {
+            if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+            if (event.target.closest?.('input, select, textarea, [contenteditable="true"]')) return;
+
+            if (event.key === 'Escape') {
+                if (this.captureCountdown) this.captureCountdown.abort();
+                else if (this.colorCalibrator.active) this.colorCalibrator.stop();
+                return;
+            }
+            if (event.key === '?') {
+                notify(t('shortcuts.help'), { duration: 0 });
+                return;
+            }
+
+            const key = event.key === ' ' ? 'Space' : event.key.toUpperCase();
+            // Espaço sobre um botão já o aciona
+            if (key === 'Space' && event.target.closest?.('button, a[href], summary')) return;
+
+            const scope = getActiveDialog() || this.dom.mainApp;
+            if (!scope || scope.classList.contains('hidden')) return;
+            // Na tela da câmera, os atalhos esperam as telas sem foco preso (ex.: calibração) fecharem
+            if (scope === this.dom.mainApp && !this.isCaptureIdle() && !this.captureCountdown) return;
+
+            const button = [...scope.querySelectorAll('[aria-keyshortcuts]')]
+                .find((element) => element.getAttribute('aria-keyshortcuts').split(' ').includes(key));
+            if (!button || button.disabled || button.offsetParent === null) return;
+
+            event.preventDefault();
+            button.click();
+        });
+    }
+
+    /**
+     * Liga os controles de calibração de cor do painel da câmera.
+     */
+    initColorCalibration() {
+        const toggle = document.getElementById('colorCorrectionToggle');
+        toggle?.addEventListener('change', () => {
+            this.colorCalibrator.enabled = toggle.checked;
+            this.updateCalibrationStatus();
+        });
+        document.getElementById('calibrateColorBtn')?.addEventListener('click', () => {
+            this.cameraControls.toggle();
+            this.colorCalibrator.start();
+        });
+        document.getElementById('removeCalibrationBtn')?.addEventListener('click', () => this.colorCalibrator.removeProfile());
+        document.getElementById('calibrationCancel')?.addEventListener('click', () => this.colorCalibrator.stop());
+        this.updateCalibrationStatus();
+    }
+
+    /**
+     * Mostra se a câmera atual tem perfil de cor salvo e o estado da correção.
+     */
+    updateCalibrationStatus() {
+        const toggle = document.getElementById('colorCorrectionToggle');
+        const status = document.getElementById('calibrationStatus');
+        const removeBtn = document.getElementById('removeCalibrationBtn');
+        const profile = this.colorCalibrator.profile;
+
+        if (toggle) toggle.checked = this.colorCalibrator.enabled;
+        removeBtn?.classList.toggle('hidden', !profile);
+        if (!status) return;
+
+        if (!this.colorCalibrator.enabled) {
+            status.textContent = t('calibration.off');
+        } else if (profile) {
+            status.textContent = t('calibration.calibratedAt', { date: formatDate(profile.createdAt, { dateStyle: 'short' }) });
+        } else {
+            status.textContent = t('calibration.scene');
+        }
+    }
+
+    /**
+     * Preenche o seletor de provedor de análise e aplica a escolha em tempo de execução.
+     */
+    initProviderSelect() {
+        const select = document.getElementById('providerSelect');
+        if (!select) return;
+
+        this.renderProviderOptions();
+        select.addEventListener('change', async () => {
+            if (select.value === this.groqProvider.id && !this.groqProvider.isAvailable()) {
+                if (!(await this.configureGroqProvider())) {
+                    select.value = this.providers.preferredId;
+                    return;
+                }
+            }
+            this.providers.preferredId = select.value;
+        });
+    }
+
+    renderProviderOptions() {
+        const select = document.getElementById('providerSelect');
+        if (!select) return;
+
+        select.innerHTML = this.providers.providers
+            .map((provider) => `<option value="${provider.id}">${provider.label}</option>`)
+            .join('');
+        select.value = this.providers.preferredId;
+    }
+
+    /**
+     * Preenche o seletor da fonte de vídeo (câmera real ou simulada) e reinicia o vídeo ao trocar.
+     * Com `?camera=` na URL, a fonte vem do endereço e o seletor fica bloqueado.
+     */
+    initVideoSourceSelect() {
+        const select = document.getElementById('videoSourceSelect');
+        if (!select) return;
+
+        this.renderVideoSourceOptions();
+        select.addEventListener('change', async () => {
+            const type = select.value;
+            let src = null;
+            if (type === 'image' || type === 'video') {
+                src = await promptDialog(t(`videoSource.prompt.${type}`), { value: getVideoSource().src || '' });
+                if (!src || !src.trim()) {
+                    select.value = getVideoSource().type;
+                    return;
+                }
+                src = src.trim();
+            }
+            saveVideoSource({ type, src });
+            if (this.currentStream) this.initCamera();
+        });
+    }
+
+    renderVideoSourceOptions() {
+        const select = document.getElementById('videoSourceSelect');
+        if (!select) return;
+
+        const current = getVideoSource();
+        select.innerHTML = VIDEO_SOURCES
+            .map((source) => `<option value="${source.type}">${source.label}</option>`)
+            .join('');
+        select.value = current.type;
+        select.disabled = current.fromUrl;
+    }
+
+    /**
+     * Formato e tamanho da imagem enviada para análise (ajustes da câmera).
+     */
+    initOutputSettings() {
+        const formatSelect = document.getElementById('outputFormatSelect');
+        const sizeSelect = document.getElementById('outputSizeSelect');
+        if (!formatSelect || !sizeSelect) return;
+
+        this.renderOutputOptions();
+        formatSelect.addEventListener('change', () => saveOutputSettings({ format: formatSelect.value }));
+        sizeSelect.addEventListener('change', () => saveOutputSettings({ maxWidth: Number(sizeSelect.value) }));
+    }
+
+    renderOutputOptions() {
+        const formatSelect = document.getElementById('outputFormatSelect');
+        const sizeSelect = document.getElementById('outputSizeSelect');
+        if (!formatSelect || !sizeSelect) return;
+
+        const settings = loadOutputSettings();
+        formatSelect.innerHTML = OUTPUT_FORMATS
+            .map((format) => `<option value="${format.id}" ${canEncode(format.type) ? '' : 'disabled'}>${format.label}</option>`)
+            .join('');
+        formatSelect.value = settings.format;
+        sizeSelect.innerHTML = OUTPUT_SIZES
+            .map((size) => `<option value="${size.maxWidth}">${size.label}</option>`)
+            .join('');
+        sizeSelect.value = String(settings.maxWidth);
+
+        const hint = document.getElementById('outputHint');
+        if (hint) hint.textContent = t(supportsStillPhoto() ? 'output.source.photo' : 'output.source.video');
+    }
+
+    /**
+     * Preenche o seletor de idioma e retraduz as partes geradas pelo código ao trocar.
+     * O texto fixo do HTML é retraduzido por `setLocale` (atributos `data-i18n`).
+     */
+    initLocaleSelect() {
+        const select = document.getElementById('localeSelect');
+        if (select) {
+            select.innerHTML = LOCALES
+                .map((locale) => `<option value="${locale.code}" lang="${locale.code}">${locale.label}</option>`)
+                .join('');
+            select.value = getLocale();
+            select.addEventListener('change', () => setLocale(select.value));
+        }
+
+        onLocaleChange(() => {
+            this.renderProviderOptions();
+            this.renderVideoSourceOptions();
+            this.renderOutputOptions();
+            this.updateCalibrationStatus();
+            this.refreshQueueStatus();
+            this.privacyView.render();
+            this.cameraErrorView.render();
+            this.updateGuidanceButton();
+            this.applyClinicState();
+            if (this.patientList.visible) this.patientList.render();
+            if (this.clinic.enabled && !this.dom.consentScreen?.classList.contains('hidden')) {
+                this.patientPicker.render({ kiosk: this.clinic.locked, activeId: this.clinic.activePatientId });
+            }
+            if (this.apiStatus) this.showApiStatus(this.apiStatus.state, this.apiStatus.details);
+        });
+    }
+
+    /**
+     * Modo clínica: chave em Privacidade, lista de pacientes (👥) e bloqueio de quiosque (🔐).
+     */
+    initClinicMode() {
+        document.getElementById('clinicModeToggle')?.addEventListener('change', (event) => this.setClinicMode(event.target.checked));
+        document.getElementById('patientsBtn')?.addEventListener('click', () => this.patientList.show());
+        document.getElementById('kioskBtn')?.addEventListener('click', () => this.toggleKiosk());
+        this.applyClinicState();
+    }
+
+    /**
+     * Reflete o modo clínica e o quiosque na página: `clinic-mode` mostra os elementos
+     * `.clinic-only` e `kiosk-locked` esconde os `.staff-only` (ajustes e dados de outros pacientes).
+     */
+    applyClinicState() {
+        const { enabled, locked } = this.clinic;
+        document.body.classList.toggle('clinic-mode', enabled);
+        document.body.classList.toggle('kiosk-locked', locked);
+
+        const toggle = document.getElementById('clinicModeToggle');
+        if (toggle) toggle.checked = enabled;
+
+        const kioskBtn = document.getElementById('kioskBtn');
+        if (kioskBtn) {
+            kioskBtn.title = t(locked ? 'kiosk.unlock' : 'kiosk.lock');
+            kioskBtn.setAttribute('aria-pressed', String(locked));
+            kioskBtn.classList.toggle('kiosk--on', locked);
+        }
+        this.updatePatientBadge();
+    }
+
+    /**
+     * Liga ou desliga o modo clínica. O atendimento recomeça na tela de consentimento
+     * (no modo clínica, com a escolha do paciente).
+     * @param {boolean} enabled
+     */
+    async setClinicMode(enabled) {
+        this.clinic.setEnabled(enabled);
+        this.activePatient = null;
+        this.applyClinicState();
+        this.privacyView.hide();
+        this.leaveMainApp();
+        await this.showConsentScreen();
+    }
+
+    /**
+     * Bloqueia o aparelho no paciente em atendimento ou, com o PIN da equipe, desbloqueia.
+     */
+    async toggleKiosk() {
+        const changed = this.clinic.locked
+            ? await this.clinic.unlockWithPrompt()
+            : await this.clinic.lockWithPrompt();
+        if (changed) this.applyClinicState();
+    }
+
+    /**
+     * Recarrega o cadastro do paciente em atendimento (ex.: após desbloquear o cofre).
+     */
+    async refreshActivePatient() {
+        const id = this.clinic.activePatientId;
+        try {
+            this.activePatient = id ? (await this.patients.get(id)) ?? null : null;
+        } catch (error) {
+            console.error('Erro ao carregar o paciente em atendimento:', error);
+            this.activePatient = null;
+        }
+        this.updatePatientBadge();
+        this.privacyView.render();
+    }
+
+    updatePatientBadge() {
+        const badge = document.getElementById('patientBadge');
+        if (!badge) return;
+        badge.textContent = this.activePatient ? t('patient.badge', { patient: describePatient(this.activePatient) }) : '';
+    }
+
+    /**
+     * Começa o atendimento de um paciente da lista (ou de um novo): volta à tela de
+     * consentimento com ele selecionado, para o aceite do termo.
+     * @param {Object|null} patient - `null` para cadastrar um novo paciente.
+     */
+    async attendPatient(patient) {
+        this.leaveMainApp();
+        await this.showConsentScreen({ patientId: patient?.id ?? null, newPatient: !patient });
+    }
+
+    /**
+     * Paciente excluído pela lista. Se era o paciente em atendimento, outro precisa ser escolhido.
+     * @param {string} id
+     */
+    async handlePatientRemoved(id) {
+        await this.refreshQueueStatus();
+        if (id !== this.clinic.activePatientId) return;
+
+        this.clinic.setActivePatient(null);
+        this.activePatient = null;
+        this.updatePatientBadge();
+        this.leaveMainApp();
+        await this.showConsentScreen();
+    }
+
+    /**
+     * Abre o histórico. No modo clínica, só com as análises de um paciente.
+     * @param {Object} [patient] - Paciente (padrão: o em atendimento).
+     */
+    showHistory(patient = this.activePatient ?? (this.clinic.activePatientId && { id: this.clinic.activePatientId })) {
+        if (!this.clinic.enabled || !patient) return this.historyView.show();
+        return this.historyView.show({
+            patientId: patient.id,
+            scopeLabel: t('history.patientScope', { patient: describePatient(patient) })
+        });
+    }
+
+    /**
+     * Paciente em atendimento, gravado nos metadados de cada captura (modo clínica).
+     * @returns {{patientId?: string}}
+     */
+    _patientMeta() {
+        const patientId = this.clinic.activePatientId;
+        return patientId ? { patientId } : {};
+    }
+
+    /**
+     * Solicita a chave da Groq ao usuário. A chave fica apenas no armazenamento local do navegador.
+     * @returns {Promise<boolean>} `true` se o provedor ficou configurado.
+     */
+    async configureGroqProvider() {
+        const apiKey = await promptDialog(t('provider.groqPrompt'), { type: 'password' });
+        if (!apiKey || !apiKey.trim()) return false;
+
+        this.groqProvider.saveSettings({ apiKey: apiKey.trim() });
+        return true;
+    }
+
+    /**
+     * Reage às mudanças de estado da conexão com a API.
+     * Ao ficar online, reenvia as capturas pendentes da fila offline.
+     * @param {string} state - Um dos `API_STATES`.
+     * @param {Object} details - URL, latência, erro e espera até a próxima verificação.
+     */
+    handleApiStateChange(state, details) {
+        this.showApiStatus(state, details);
+
+        if (state === API_STATES.online && details.previous !== API_STATES.online) {
+            console.log(`✅ API híbrida conectada: ${details.url}`);
+            this.flushUploadQueue();
+        } else if (state === API_STATES.offline && details.previous !== API_STATES.offline) {
+            console.error(`❌ API híbrida não respondeu: ${details.error}`);
+        }
+    }
+
+    /**
+     * Exibe o status de conexão da API no canto da tela.
+     * @param {string} state - Um dos `API_STATES`.
+     * @param {Object} [details={}] - Detalhes da última verificação.
+     */
+    showApiStatus(state, details = {}) {
+        let statusEl = document.getElementById('apiStatus');
+        
+        if (!statusEl) {
+            // Cria e anexa o elemento se ele não existir
+            statusEl = this.createApiStatusElement();
+        }
+        // Guardado para refazer o texto ao trocar de idioma
+        this.apiStatus = { state, details };
+
+        const retry = details.retryInMs && state !== API_STATES.online
+            ? ` · ${t('api.status.retry', { seconds: Math.ceil(details.retryInMs / 1000) })}`
+            : '';
+
+        const textEl = statusEl.querySelector('.api-status-text') || statusEl;
+        textEl.textContent = t(`api.status.${state}`, { url: details.url });
+        statusEl.title = `${details.error || ''}${retry}`.replace(/^ · /, '');
+        Object.values(API_STATES).forEach((name) => statusEl.classList.toggle(`api-status--${name}`, name === state));
+    }
+
+    /**
+     * Cria o elemento DOM para exibir o status da API.
+     * @returns {HTMLElement} O elemento de status criado.
+     */
+    createApiStatusElement() {
+        const status = document.createElement('div');
+        status.id = 'apiStatus';
+        status.style.cssText = `
+            position: fixed;
+            top: 10px;
+            right: 10px;
+            background: rgba(0,0,0,0.8);
+            color: white;
+            padding: 8px 12px;
+            border-radius: 4px;
+            font-size: 12px;
+            z-index: 1000;
+        `;
+        document.body.appendChild(status);
+        return status;
+    }
+
+    // ------------------------------------------
+    // --- Métodos de Câmera ---
+    // ------------------------------------------
+
+    /**
+     * Mostra a tela de consentimento com o foco do teclado preso nela. No modo clínica,
+     * o paciente é escolhido (ou cadastrado) ali, antes do aceite.
+     * @param {Object} [options]
+     * @param {string|null} [options.patientId=null] - Paciente a selecionar (padrão: o em atendimento).
+     * @param {boolean} [options.newPatient=false] - Abre o cadastro de um novo paciente.
+     */
+    async showConsentScreen({ patientId = null, newPatient = false } = {}) {
+        if (!this.dom.consentScreen) return;
+        if (this.clinic.enabled) {
+            await this.patientPicker.render({
+                kiosk: this.clinic.locked,
+                activeId: this.clinic.activePatientId,
+                patientId: patientId ?? this.clinic.activePatientId,
+                newPatient
+            });
+        }
+        const initialFocus = this.clinic.enabled && this.patientPicker.formVisible ? 'patientIdInput' : 'acceptConsent';
+        showDialog(this.dom.consentScreen, { initialFocus: document.getElementById(initialFocus) });
+    }
+
+    async handleConsentAccept() {
+        if (this.clinic.enabled) {
+            // Modo clínica: o aceite é do paciente escolhido, que passa a ser o atendido
+            const patientId = this.patientPicker.selectedId;
+            if (!patientId) {
+                notify(t('patient.required'), { type: 'error' });
+                document.getElementById('patientSelect')?.focus();
+                return;
+            }
+            try {
+                await this.patients.recordConsent(patientId);
+            } catch (error) {
+                console.error('Erro ao registrar o consentimento do paciente:', error);
+                notify(t('patient.error', { message: error.message }), { type: 'error' });
+                return;
+            }
+            this.clinic.setActivePatient(patientId);
+            await this.refreshActivePatient();
+        } else {
+            recordConsent();
+        }
+        if (this.dom.consentScreen) hideDialog(this.dom.consentScreen);
+        this.dom.mainApp?.classList.remove('hidden');
+        this.dom.mainApp?.removeAttribute('aria-hidden');
+        this.dom.captureBtn?.focus();
+
+        // Dados cifrados de sessões anteriores: pede a senha para poder ler e salvar análises
+        if (this.vault.locked) this.privacyView.show();
+
+        // Foto recebida pelo compartilhamento do sistema (Web Share Target)
+        if (new URLSearchParams(window.location.search).has('share-target')) {
+            this.openSharedPhoto();
+        }
+        await this.initCamera();
+    }
+
+    /**
+     * Abre na tela de importação a foto compartilhada por outro app.
+     */
+    async openSharedPhoto() {
+        try {
+            const photo = await PhotoImportView.takeSharedPhoto();
+            if (photo) await this.photoImport.open(photo);
+        } catch (error) {
+            console.error('Erro ao abrir foto compartilhada:', error);
+        } finally {
+            // Remove o parâmetro para não reabrir ao recarregar
+            window.history.replaceState(null, '', window.location.pathname);
+        }
+    }
+
+    /**
+     * Abre a câmera (ou a fonte simulada). Pedidos simultâneos, como a trilha perdida e a
+     * volta à página, compartilham a mesma abertura.
+     * @returns {Promise<void>}
+     */
+    initCamera() {
+        this.cameraStarting ??= this._openCamera().finally(() => {
+            this.cameraStarting = null;
+        });
+        return this.cameraStarting;
+    }
+
+    async _openCamera() {
+        if (this.currentStream) {
+            // Para trilhas existentes antes de iniciar uma nova
+            this.currentStream.getTracks().forEach(track => track.stop());
+            this.currentStream = null;
+        }
+        clearTimeout(this.trackMuteTimer);
+
+        // Câmera real ou fonte simulada (vídeo, imagem ou padrão de teste)
+        const videoSource = getVideoSource();
+        // Dispositivo escolhido no seletor tem prioridade sobre frontal/traseira
+        const deviceId = videoSource.type === 'camera' ? this.cameraControls.preferredDeviceId : null;
+        const video = deviceId ? { deviceId: { exact: deviceId } } : { facingMode: this.facingMode };
+
+        try {
+            // 1280x720 e, se a câmera recusar, resoluções menores
+            this.currentStream = await openWithFallbackResolution((constraints) => openVideoStream(videoSource, constraints), video);
+            this.cameraErrorView.hide();
+            // A página foi ocultada enquanto a câmera abria: libera já e reabre ao voltar
+            if (document.hidden) {
+                this.stopCamera();
+                this.cameraSuspended = true;
+                return;
+            }
+            const [track] = this.currentStream.getVideoTracks();
+            this._watchVideoTrack(track);
+            this.dom.video.srcObject = this.currentStream;
+            this.cameraControls.attach(track)
+                .catch((error) => console.warn('Controles de câmera indisponíveis:', error));
+            // O perfil de cor é por dispositivo
+            this.updateCalibrationStatus();
+
+            // Espera o carregamento dos metadados do vídeo para configurar o canvas
+            this.dom.video.onloadedmetadata = () => {
+                this.setupCanvas();
+                this.faceGuide.start();
+            };
+        } catch (error) {
+            const kind = classifyCameraError(error);
+            // Câmera memorizada não existe mais (ex.: USB desconectada): volta ao modo padrão
+            if (deviceId && ['overconstrained', 'notFound'].includes(kind)) {
+                console.warn('Câmera salva indisponível, usando a padrão.', error);
+                this.cameraControls.preferredDeviceId = null;
+                await this._openCamera();
+                return;
+            }
+            console.error(`Erro de câmera (${kind}):`, error);
+            this.faceGuide.stop();
+            this.cameraErrorView.show(kind, error);
+        }
+    }
+
+    /**
+     * Reabre a câmera quando a trilha termina sem ter sido parada pelo app (câmera
+     * desconectada, tomada por outro app) ou fica sem imagem por mais de `TRACK_MUTE_GRACE_MS`.
+     * @param {MediaStreamTrack} track
+     */
+    _watchVideoTrack(track) {
+        track.addEventListener('ended', () => this._handleTrackLost(track, 'ended'));
+        track.addEventListener('mute', () => {
+            clearTimeout(this.trackMuteTimer);
+            this.trackMuteTimer = setTimeout(() => this._handleTrackLost(track, 'muted'), TRACK_MUTE_GRACE_MS);
+        });
+        track.addEventListener('unmute', () => clearTimeout(this.trackMuteTimer));
+    }
+
+    async _handleTrackLost(track, reason) {
+        // Trilha de uma abertura anterior, ou página oculta (a câmera volta com a página)
+        if (this.currentStream?.getVideoTracks()[0] !== track || document.hidden) return;
+
+        const now = Date.now();
+        this.trackRestarts = this.trackRestarts.filter((time) => now - time < TRACK_RESTART_WINDOW_MS);
+        if (this.trackRestarts.length >= MAX_TRACK_RESTARTS) {
+            // A câmera cai logo depois de reaberta: provavelmente outro app a está usando
+            console.error(`Trilha de vídeo perdida (${reason}) repetidas vezes; desistindo de reabrir.`);
+            this.stopCamera();
+            this.cameraErrorView.show('busy');
+            return;
+        }
+        this.trackRestarts.push(now);
+
+        console.warn(`Trilha de vídeo perdida (${reason}); reabrindo a câmera.`);
+        notify(t('camera.reconnecting'));
+        await this.initCamera();
+    }
+
+    /**
+     * Libera a câmera quando a página fica oculta (outra aba, app em segundo plano) e a
+     * reabre ao voltar, para não prender o dispositivo nem gastar bateria.
+     */
+    listenForVisibilityChange() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                if (!this.currentStream) return;
+                this.stopCamera();
+                this.cameraSuspended = true;
+            } else if (this.cameraSuspended) {
+                this.cameraSuspended = false;
+                this.initCamera();
+            }
+        });
+    }
+
+    /**
+     * Configura as dimensões do canvas.
+     * Nota: O canvas de captura será redimensionado em `capturePhoto` para o tamanho final.
+     */
+    setupCanvas() {
+        // Estes são apenas valores iniciais/de exibição, o recorte final acontece no `capturePhoto`
+        this.dom.canvas.width = 800;
+        this.dom.canvas.height = 1000;
+    }
+
+    async switchCamera() {
+        this.facingMode = this.facingMode === 'user' ? 'environment' : 'user';
+        // Alternar frontal/traseira descarta a escolha manual de dispositivo
+        this.cameraControls.preferredDeviceId = null;
+        await this.initCamera();
+    }
+
+    /**
+     * Ativa/desativa a captura automática quando o rosto fica alinhado.
+     */
+    toggleAutoCapture() {
+        this.faceGuide.toggleAutoCapture();
+        this.updateAutoCaptureButton();
+    }
+
+    updateAutoCaptureButton() {
+        const button = document.getElementById('autoCaptureBtn');
+        if (!button) return;
+
+        button.setAttribute('aria-pressed', String(this.faceGuide.autoCapture));
+        button.classList.toggle('auto-capture--on', this.faceGuide.autoCapture);
+    }
+
+    /**
+     * Ativa/desativa a captura em sequência (vários frames, escolhendo o melhor).
+     */
+    toggleBurstCapture() {
+        this.burstCapture.toggle();
+        this.updateBurstButton();
+    }
+
+    updateBurstButton() {
+        const button = document.getElementById('burstBtn');
+        if (!button) return;
+
+        button.classList.toggle('hidden', !BurstCapture.isSupported());
+        button.setAttribute('aria-pressed', String(this.burstCapture.enabled));
+        button.classList.toggle('burst--on', this.burstCapture.enabled);
+    }
+
+    /**
+     * Alterna a orientação falada entre desligada, voz e sons.
+     */
+    cycleGuidance() {
+        this.guidance.cycleMode();
+        this.updateGuidanceButton();
+    }
+
+    updateGuidanceButton() {
+        const button = document.getElementById('guidanceBtn');
+        if (!button) return;
+
+        const { mode } = this.guidance;
+        button.textContent = { off: '🔈', voice: '🗣️', beeps: '🔔' }[mode];
+        button.title = t(`guidance.mode.${mode}`);
+        button.setAttribute('aria-pressed', String(this.guidance.enabled));
+        button.classList.toggle('guidance--on', this.guidance.enabled);
+    }
+
+    /**
+     * Indica se a câmera está livre para uma nova captura (sem análise em andamento
+     * nem telas de resultado, prévia ou histórico abertas).
+     * @returns {boolean}
+     */
+    isCaptureIdle() {
+        if (this.dom.captureBtn?.disabled || this.colorCalibrator.active || this.captureCountdown) return false;
+
+        const overlays = ['analysisContainer', 'previewContainer', 'historyContainer', 'comparisonContainer', 'importContainer', 'burstContainer', 'apiSettingsContainer', 'patientsContainer'];
+        return overlays.every((id) => {
+            const el = document.getElementById(id);
+            return !el || el.classList.contains('hidden');
+        });
+    }
+
+    // ------------------------------------------
+    // --- Métodos de Captura e Processamento ---
+    // ------------------------------------------
+
+    /**
+     * Captura pedida pelo botão ou pelo teclado. Com a orientação falada ligada, conta
+     * os segundos antes (para quem não vê a tela saber quando a foto será tirada);
+     * um novo pedido durante a contagem a cancela.
+     */
+    async requestCapture() {
+        if (this.captureCountdown) {
+            this.captureCountdown.abort();
+            return;
+        }
+        if (!this.guidance.enabled) {
+            await this.capturePhoto();
+            return;
+        }
+        if (!this.isCaptureIdle()) return;
+
+        const controller = this.captureCountdown = new AbortController();
+        const display = document.getElementById('captureCountdown');
+        const completed = await this.guidance.countdown(COUNTDOWN_SECONDS, {
+            signal: controller.signal,
+            onTick: (seconds) => {
+                if (!display) return;
+                display.textContent = formatNumber(seconds);
+                display.classList.remove('hidden');
+            }
+        });
+        display?.classList.add('hidden');
+        this.captureCountdown = null;
+
+        if (completed) await this.capturePhoto();
+        else this.guidance.reset();
+    }
+
+    /**
+     * Captura o frame do vídeo, recorta no formato elíptico e envia para a API.
+     */
+    async capturePhoto() {
+        if (!this.dom.video.videoWidth || !this.dom.video.videoHeight) {
+            notify(t('capture.notReady'));
+            return;
+        }
+        
+        // Desabilita o botão para evitar cliques duplicados
+        this.dom.captureBtn.disabled = true;
+        this.showLoading(true, t('loading.capturing'));
+
+        let capture = null;
+        try {
+            // 1. Cálculo de proporção para centralizar o vídeo
+            const videoRect = this.dom.video.getBoundingClientRect();
+            const videoAspect = this.dom.video.videoWidth / this.dom.video.videoHeight;
+            const containerAspect = videoRect.width / videoRect.height;
+
+            let drawWidth, drawHeight, offsetX, offsetY;
+            
+            // Lógica para cobrir (cover) a área de visualização
+            if (videoAspect > containerAspect) {
+                drawHeight = this.dom.video.videoHeight;
+                drawWidth = drawHeight * containerAspect;
+                offsetX = (this.dom.video.videoWidth - drawWidth) / 2;
+                offsetY = 0;
+            } else {
+                drawWidth = this.dom.video.videoWidth;
+                drawHeight = drawWidth / containerAspect;
+                offsetX = 0;
+                offsetY = (this.dom.video.videoHeight - drawHeight) / 2;
+            }
+
+            // A escala é importante se o vídeo for renderizado em uma caixa de tamanho diferente
+            const scaleX = drawWidth / videoRect.width;
+            const scaleY = drawHeight / videoRect.height;
+
+            // 2. Cálculo das dimensões do recorte elíptico
+            // O centro da elipse no frame do vídeo (recortado)
+            const ellipseCenterX = drawWidth / 2;
+            const ellipseCenterY = drawHeight / 2;
+            // O raio da elipse no frame do vídeo (aplicando a escala)
+            const ellipseRadiusX = (this.ellipseWidth / 2) * (videoRect.width / videoRect.width) * scaleX; 
+            const ellipseRadiusY = (this.ellipseHeight / 2) * (videoRect.height / videoRect.height) * scaleY;
+            
+            // 3. Área do vídeo que corresponde à elipse
+            const source = {
+                sx: offsetX + ellipseCenterX - ellipseRadiusX, // Ponto X de início do recorte no vídeo
+                sy: offsetY + ellipseCenterY - ellipseRadiusY, // Ponto Y de início do recorte no vídeo
+                sw: ellipseRadiusX * 2, // Largura do recorte no vídeo
+                sh: ellipseRadiusY * 2 // Altura do recorte no vídeo
+            };
+
+            // Captura em sequência: o melhor frame é escolhido antes do envio
+            if (this.burstCapture.enabled) {
+                await this._captureBurst(source);
+                return;
+            }
+
+            // 4. Foto na resolução máxima da câmera (ou o frame atual do vídeo)
+            capture = await this._grabFrame(source);
+
+            // 5. Recorte de conferência, desenhado da mesma origem
+            this._renderEllipseCrop((ctx) => {
+                // Desenha a origem dentro da elipse (eixo X, Y, W, H na origem -> 0, 0, W, H no canvas)
+                ctx.drawImage(
+                    capture.bitmap,
+                    // Fonte (Recorte da área central que corresponde à elipse)
+                    capture.crop.sx, capture.crop.sy, capture.crop.sw, capture.crop.sh,
+                    // Destino (Desenhar no canvas)
+                    0, 0,
+                    this.ellipseWidth,
+                    this.ellipseHeight
+                );
+            });
+
+            this.guidance.captured();
+
+            // 6. Controle de qualidade, recorte em alta resolução e envio
+            await this._submitCroppedCanvas({}, capture);
+
+        } catch (error) {
+            // Falha antes do envio (ex.: no recorte de conferência): a foto também é liberada
+            capture?.bitmap.close();
+            console.error('Erro de captura:', error);
+            notify(t('capture.error'), { type: 'error' });
+            this.showLoading(false);
+            this.dom.captureBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Origem da imagem enviada: foto da câmera em resolução máxima (`ImageCapture.takePhoto`)
+     * ou, sem suporte, o frame atual do vídeo.
+     * @param {{sx: number, sy: number, sw: number, sh: number}} source - Área do oval no vídeo.
+     * @returns {Promise<{bitmap: ImageBitmap, crop: Object, origin: string}>}
+     */
+    async _grabFrame(source) {
+        const { videoWidth, videoHeight } = this.dom.video;
+        // As fontes simuladas são um canvas: uma foto não teria mais resolução que o vídeo
+        const photo = this.currentStream?.simulated
+            ? null
+            : await takeStillPhoto(this.currentStream?.getVideoTracks()[0]);
+
+        if (photo) {
+            const crop = mapCropToPhoto(source, { width: videoWidth, height: videoHeight }, photo);
+            return { bitmap: photo, crop, origin: 'photo' };
+        }
+        return { bitmap: await createImageBitmap(this.dom.video), crop: source, origin: 'video' };
+    }
+
+    /**
+     * Captura uma sequência de frames, sugere o melhor e deixa o usuário confirmar ou trocar
+     * a escolha antes de seguir para o controle de qualidade e a análise.
+     * @param {{sx: number, sy: number, sw: number, sh: number}} source - Área do oval no vídeo.
+     */
+    async _captureBurst(source) {
+        this.showLoading(true, t('loading.burst'));
+        const burst = await this.burstCapture.capture(this.dom.video, source, this.ellipseWidth, this.ellipseHeight);
+        this.showLoading(false);
+        this.guidance.captured();
+
+        const chosen = await this.burstFilmstrip.choose(burst);
+        // O frame já vem com a máscara elíptica aplicada pelo worker
+        if (chosen) this._renderEllipseCrop((ctx) => ctx.drawImage(chosen.frame, 0, 0));
+        burst.frames.forEach((frame) => {
+            frame.frame.close();
+            // O recorte em resolução nativa do frame escolhido segue para o envio
+            if (frame !== chosen) frame.original.close();
+        });
+
+        if (!chosen) {
+            this.dom.captureBtn.disabled = false;
+            return;
+        }
+
+        this.showLoading(true, t('loading.preparing'));
+        const { original } = chosen;
+        await this._submitCroppedCanvas({
+            burst: {
+                frames: burst.frames.length,
+                selected: chosen.index,
+                suggested: burst.bestIndex,
+                score: chosen.score
+            }
+        }, { bitmap: original, crop: { sx: 0, sy: 0, sw: original.width, sh: original.height }, origin: 'video' });
+    }
+
+    /**
+     * Analisa uma foto importada, recortando a área enquadrada no guia elíptico.
+     * @param {PhotoImportView} importView - Tela de importação com a foto posicionada.
+     */
+    async analyzeImportedPhoto(importView) {
+        this.dom.captureBtn.disabled = true;
+        this.showLoading(true, t('loading.cropping'));
+
+        try {
+            this._renderEllipseCrop((ctx) => importView.drawCrop(ctx, this.ellipseWidth, this.ellipseHeight));
+            // A foto original (em resolução máxima) segue para o recorte enviado
+            const capture = { bitmap: await createImageBitmap(importView.image), crop: importView.getCropRect(), origin: 'import' };
+            importView.close();
+            await this._submitCroppedCanvas({ source: 'import' }, capture);
+        } catch (error) {
+            console.error('Erro ao recortar foto importada:', error);
+            notify(t('import.processError'), { type: 'error' });
+            this.showLoading(false);
+            this.dom.captureBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Prepara o canvas de saída com a máscara elíptica e executa o desenho da fonte.
+     * @param {function(CanvasRenderingContext2D): void} draw - Desenha a fonte no canvas já recortado.
+     */
+    _renderEllipseCrop(draw) {
+        // Configuração do Canvas de Saída
+        this.dom.canvas.width = this.ellipseWidth;
+        this.dom.canvas.height = this.ellipseHeight;
+
+        this.ctx.save();
+        
+        // Aplica a máscara elíptica
+        this.ctx.beginPath();
+        this.ctx.ellipse(
+            this.ellipseWidth / 2, // Centro X no canvas final
+            this.ellipseHeight / 2, // Centro Y no canvas final
+            this.ellipseWidth / 2, // Raio X no canvas final
+            this.ellipseHeight / 2, // Raio Y no canvas final
+            0, 0, 2 * Math.PI
+        );
+        this.ctx.clip(); // Tudo o que for desenhado a seguir será limitado à elipse
+        this.ctx.clearRect(0, 0, this.dom.canvas.width, this.dom.canvas.height);
+
+        draw(this.ctx);
+
+        this.ctx.restore(); // Remove a máscara de clipping
+    }
+
+    /**
+     * Avalia a qualidade do recorte de conferência no canvas e, se aprovado, recorta a
+     * origem em alta resolução (no formato e tamanho escolhidos) e envia para análise.
+     * @param {Object} meta - Metadados adicionais da captura.
+     * @param {{bitmap: ImageBitmap, crop: Object, origin: string}} capture - Origem em resolução
+     *        nativa e área do oval nela (o bitmap é fechado ao final).
+     */
+    async _submitCroppedCanvas(meta, capture) {
+        try {
+            await this._assessAndSubmit(meta, capture);
+        } finally {
+            // A origem (até ~12 MP na foto da câmera) é liberada mesmo se o recorte, a codificação
+            // ou a análise falharem; depois de transferida ao worker, `close` não tem efeito
+            capture.bitmap.close();
+        }
+    }
+
+    async _assessAndSubmit(meta, capture) {
+        meta = { ...this._patientMeta(), ...meta };
+        // Correção de cor (o perfil é da câmera, então não se aplica a fotos importadas)
+        if (meta.source !== 'import') {
+            const colorCorrection = this.colorCalibrator.correct(this.dom.canvas);
+            if (colorCorrection) meta = { ...meta, colorCorrection };
+            // Capturas de demonstração/teste ficam identificadas no histórico
+            if (this.currentStream?.simulated) meta = { ...meta, simulatedSource: this.currentStream.simulated };
+        }
+
+        // Controle de qualidade antes do envio
+        const quality = assessImageQuality(this.dom.canvas, this.qualityThresholds);
+        if (!(await this.confirmImageQuality(quality))) {
+            this.showLoading(false);
+            this.dom.captureBtn.disabled = false;
+            return;
+        }
+
+        // Recorte em alta resolução e codificação, fora da thread principal
+        this.showLoading(true, t('loading.encoding'));
+        let output;
+        try {
+            output = await this.captureEncoder.encode(capture.bitmap, capture.crop, { gains: meta.colorCorrection?.gains });
+        } catch (error) {
+            console.error('Erro ao gerar a imagem em alta resolução:', error);
+            notify(t('output.encodeError'), { type: 'error' });
+            this.showLoading(false);
+            this.dom.captureBtn.disabled = false;
+            return;
+        }
+
+        const { blob } = output;
+        const captureMeta = {
+            ...meta,
+            quality: this._summarizeQuality(quality),
+            output: { origin: capture.origin, width: output.width, height: output.height, type: blob.type }
+        };
+
+        // Em uma sessão multiângulo, a foto é guardada até que todas as etapas sejam capturadas
+        if (this.captureSession.active) {
+            this.sessionView.record(blob, captureMeta);
+            this.showLoading(false);
+            this.dom.captureBtn.disabled = false;
+            return;
+        }
+
+        await this.analyzePhoto(blob, captureMeta);
+    }
+
+    /**
+     * Decide, com base na avaliação de qualidade, se a foto pode seguir para a análise.
+     * Abaixo de `blockScore` o envio é bloqueado; abaixo de `warnScore` (ou com problemas), pede confirmação.
+     * @param {Object} quality - Resultado de `assessImageQuality`.
+     * @returns {Promise<boolean>} `true` se o envio deve continuar.
+     */
+    async confirmImageQuality(quality) {
+        // image-quality.js também roda em workers, sem acesso ao idioma: a mensagem é traduzida aqui pelo código
+        const reasons = quality.issues.map((issue) => `• ${t(`quality.issue.${issue.code}`)}`).join('\n');
+
+        if (quality.verdict === 'block') {
+            notify(t('quality.blocked', { score: quality.score, reasons }), { type: 'error' });
+            return false;
+        }
+        if (quality.verdict === 'warn') {
+            return confirmDialog(t('quality.warn', { score: quality.score, reasons }), { confirmLabel: t('quality.sendAnyway') });
+        }
+        return true;
+    }
+
+    /**
+     * Resumo serializável da avaliação de qualidade, enviado junto com a imagem.
+     */
+    _summarizeQuality(quality) {
+        const metrics = Object.fromEntries(
+            Object.entries(quality.metrics).map(([key, value]) => [key, Number(value.toFixed(4))])
+        );
+        return {
+            score: quality.score,
+            verdict: quality.verdict,
+            metrics,
+            issues: quality.issues.map((issue) => issue.code)
+        };
+    }
+
+    /**
+     * Envia o Blob da imagem para a API de análise.
+     * @param {Blob} blob - O blob da imagem capturada.
+     * @param {Object} [meta={}] - Metadados da captura (ex.: `quality`), enviados junto com o arquivo.
+     */
+    async analyzePhoto(blob, meta = {}) {
+        if (!this.providers.hasAvailable()) {
+            this.showLoading(false);
+            this.dom.captureBtn.disabled = false;
+            await this.queueCapture(blob, t('provider.apiUnavailable'), meta);
+            return;
+        }
+
+        this.showLoading(true, t('loading.analyzing'));
+        const controller = new AbortController();
+        this.setLoadingCancel(() => controller.abort());
+
+        try {
+            // Provedor preferido, com fallback automático para os demais em falhas transitórias
+            const result = await this.providers.analyze(blob, meta, {
+                signal: controller.signal,
+                onProgress: (stage, fraction) => this.showAnalysisStage(stage, fraction)
+            });
+
+            // Sucesso: a partir daqui a análise não pode mais ser cancelada
+            this.setLoadingCancel(null);
+            this.showAnalysisStage('rendering');
+            const record = await this.saveToHistory(blob, result, meta);
+            await this.showAnalysisResults(blob, result, record || { createdAt: Date.now(), meta });
+            
+        } catch (error) {
+            if (error.cancelled) {
+                // Cancelado pelo usuário: a foto continua disponível para reenvio
+                this.showLoading(false);
+                await this.showPreview(blob, meta);
+                return;
+            }
+            console.error('Erro de análise:', error);
+            if (error.retryable) {
+                await this.queueCapture(blob, error.message, meta);
+                return;
+            }
+            notify(t('analysis.error', { message: error.message }), { type: 'error' });
+            // Fallback: mostrar preview simples se análise falhar
+            await this.showPreview(blob, meta);
+        } finally {
+            this.showLoading(false);
+            this.dom.captureBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Envia as fotos da sessão multiângulo, uma por ângulo, e exibe os resultados
+     * por ângulo junto com o resumo combinado. Em caso de falha as fotos são mantidas
+     * para que a sessão possa ser reenviada.
+     * A sessão precisa da API online: ao contrário da foto avulsa, ela não entra na fila
+     * offline, pois o resumo combinado depende de todos os ângulos analisados juntos.
+     */
+    async analyzeSession() {
+        if (!this.providers.hasAvailable()) {
+            notify(t('session.apiUnavailable'), { type: 'error' });
+            return;
+        }
+
+        const captures = this.captureSession.getCaptures();
+        this.dom.captureBtn.disabled = true;
+        const controller = new AbortController();
+
+        try {
+            const results = [];
+            for (const [index, capture] of captures.entries()) {
+                const prefix = `${capture.step.label} (${index + 1}/${captures.length})`;
+                this.showLoading(true, t('loading.analyzingStep', { step: prefix }));
+                this.setLoadingCancel(() => controller.abort());
+                const analysisData = await this.providers.analyze(capture.blob, capture.meta, {
+                    signal: controller.signal,
+                    onProgress: (stage, fraction) => this.showAnalysisStage(stage, fraction, prefix)
+                });
+                results.push({ ...capture, analysisData });
+            }
+
+            this.setLoadingCancel(null);
+            this.showAnalysisStage('rendering');
+
+            const summary = summarizeSession(results);
+            const meta = {
+                ...this._patientMeta(),
+                session: {
+                    id: this.captureSession.id,
+                    angles: results.map((result) => ({
+                        id: result.step.id,
+                        label: result.step.label,
+                        blob: result.blob,
+                        analysisData: result.analysisData,
+                        quality: result.meta.quality
+                    }))
+                }
+            };
+
+            // A foto frontal representa a sessão no histórico e na tela de resultados
+            const [cover] = results;
+            const record = await this.saveToHistory(cover.blob, summary, meta);
+            this.sessionView.end();
+            await this.showAnalysisResults(cover.blob, summary, record || { createdAt: Date.now(), meta });
+
+        } catch (error) {
+            // Cancelado pelo usuário: as fotos da sessão continuam disponíveis para reenvio
+            if (error.cancelled) return;
+            console.error('Erro na análise da sessão:', error);
+            // Sem conexão: avisa que a sessão não vai para a fila offline, como a foto avulsa iria
+            notify(t(error.retryable ? 'session.offline' : 'session.error', { message: error.message }), { type: 'error' });
+        } finally {
+            this.showLoading(false);
+            this.dom.captureBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Persiste a análise no histórico local. Falhas não interrompem a exibição dos resultados.
+     * @param {Blob} blob - O blob da imagem capturada.
+     * @param {Object} analysisData - Dados de análise retornados pela API.
+     * @param {Object} [meta={}] - Metadados da captura.
+     * @returns {Promise<Object|null>} O registro salvo, ou `null` em caso de falha.
      */
-    async init() {
-        this.initEventListeners();
-        this.registerServiceWorker();
-        // A detecção da API não precisa bloquear o restante
-        this.detectApiUrl(); 
+    async saveToHistory(blob, analysisData, meta = {}) {
+        try {
+            return await this.history.add(blob, analysisData, { meta });
+        } catch (error) {
+            console.error('Erro ao salvar no histórico:', error);
+            if (error.locked) notify(t('history.notSaved', { message: error.message }), { type: 'error' });
+            return null;
+        }
     }
 
     // ------------------------------------------
-    // --- Métodos de Inicialização e Configuração ---
+    // --- Métodos da Fila Offline ---
     // ------------------------------------------
 
-    initEventListeners() {
-        document.getElementById('acceptConsent')?.addEventListener('click', () => this.handleConsentAccept());
-        document.getElementById('switchCamera')?.addEventListener('click', () => this.switchCamera());
-        this.dom.captureBtn?.addEventListener('click', () => this.capturePhoto());
-    }
+    /**
+     * Guarda a captura na fila offline para análise posterior, em vez de descartá-la.
+     * @param {Blob} blob - O blob da imagem capturada.
+     * @param {string} reason - Motivo pelo qual o envio não foi possível.
+     * @param {Object} [meta={}] - Metadados da captura, reenviados junto com a imagem.
+     */
+    async queueCapture(blob, reason, meta = {}) {
+        try {
+            await this.uploadQueue.enqueue(blob, this.apiConnection.baseUrl, reason, meta);
+            await this.refreshQueueStatus();
 
-    async registerServiceWorker() {
-        if ('serviceWorker' in navigator) {
-            try {
-                await navigator.serviceWorker.register('sw.js');
-                console.log('Service worker registrado com sucesso.');
-            } catch (error) {
-                console.error('Falha no registro do Service worker:', error);
+            // Permite avisar o usuário mesmo com o app fechado
+            if ('Notification' in window && Notification.permission === 'default') {
+                Notification.requestPermission().catch(() => {});
+            }
+            await this.uploadQueue.scheduleSync();
+        } catch (error) {
+            console.error('Erro ao enfileirar captura:', error);
+            notify(t('analysis.error', { message: reason }), { type: 'error' });
+            await this.showPreview(blob);
+            return;
+        }
+
+        const message = t('queue.pending');
+        if (this.localProvider.isAvailable()) {
+            const wantsLocal = await confirmDialog(`${message}\n\n${t('queue.offerLocal')}`, {
+                confirmLabel: t('queue.showLocal'),
+                cancelLabel: t('feedback.notNow')
+            });
+            if (wantsLocal) {
+                await this.showLocalEstimate(blob, meta);
+                return;
             }
+        } else {
+            notify(message);
+        }
+
+        // Fallback: mostrar preview simples enquanto a análise está pendente
+        await this.showPreview(blob);
+    }
+
+    /**
+     * Analisa a foto no próprio dispositivo e exibe o resultado como estimativa local.
+     * @param {Blob} blob - O blob da imagem capturada.
+     * @param {Object} [meta={}] - Metadados da captura.
+     */
+    async showLocalEstimate(blob, meta = {}) {
+        this.showLoading(true, t('loading.local'));
+        try {
+            const result = await this.localProvider.analyze(blob, meta);
+            const record = await this.saveToHistory(blob, result, meta);
+            await this.showAnalysisResults(blob, result, record || { createdAt: Date.now(), meta });
+        } catch (error) {
+            console.error('Erro na estimativa local:', error);
+            notify(t('local.error', { message: error.message }), { type: 'error' });
+            await this.showPreview(blob);
+        } finally {
+            this.showLoading(false);
         }
     }
 
     /**
-     * Detecta a URL da API no mesmo domínio (servidor híbrido).
+     * Dispara o reenvio da fila quando a API está online.
+     * Usa Background Sync se disponível; caso contrário, reenvia em primeiro plano.
      */
-    async detectApiUrl() {
-        const currentUrl = window.location.origin;
-        const healthCheckUrl = `${currentUrl}/api/health`;
-        
+    async flushUploadQueue() {
         try {
-            const response = await fetch(healthCheckUrl, { 
-                method: 'GET',
-                // Header para evitar o aviso do ngrok, se aplicável
-                headers: {
-                    'ngrok-skip-browser-warning': 'true' 
-                }
-            });
-            
-            if (response.ok) {
-                const data = await response.json();
-                if (data.status === 'online') {
-                    this.apiUrl = currentUrl;
-                    console.log(`✅ API híbrida detectada: ${currentUrl}`);
-                    this.showApiStatus(true, currentUrl);
-                    return;
-                }
+            if (await this.uploadQueue.countPending() === 0) return;
+
+            // Capturas cifradas só podem ser reenviadas pela página, com a senha informada
+            if (this.vault.enabled && !this.vault.locked) await this.replaySealedQueue();
+
+            const scheduled = await this.uploadQueue.scheduleSync();
+            if (!scheduled) {
+                await this.uploadQueue.replayNow();
             }
         } catch (error) {
-            console.error(`❌ Erro ao conectar ou API offline: ${error}`);
+            console.error('Erro ao reenviar fila offline:', error);
         }
-        
-        this.showApiStatus(false);
-        console.error('API híbrida não encontrada ou não respondeu corretamente.');
     }
 
     /**
-     * Exibe o status de conexão da API no canto da tela.
-     * @param {boolean} connected - Status da conexão.
-     * @param {string} [url=''] - URL da API, se conectada.
+     * Reenvia ao /upload as capturas cifradas da fila, que o Service Worker não consegue ler.
+     * Falhas transitórias ficam para a próxima vez que a API voltar a responder.
      */
-    showApiStatus(connected, url = '') {
-        let statusEl = document.getElementById('apiStatus');
-        
-        if (!statusEl) {
-            // Cria e anexa o elemento se ele não existir
-            statusEl = this.createApiStatusElement();
+    async replaySealedQueue() {
+        const hybrid = this.providers.get('hybrid');
+        let completed = 0;
+
+        for (const entry of await this.uploadQueue.listSealedPending()) {
+            if (!hybrid.isAvailable()) break;
+            try {
+                const result = await hybrid.analyze(entry.blob, entry.meta);
+                await this.history.add(entry.blob, result, { meta: entry.meta });
+                await this.uploadQueue.remove(entry.id);
+                completed++;
+            } catch (error) {
+                if (error.retryable) break;
+                // Recusada em definitivo: a foto não fica guardada depois do aviso
+                await this.uploadQueue.remove(entry.id);
+                notify(t('queue.failed', { message: error.message }), { type: 'error' });
+            }
         }
 
-        if (connected) {
-            statusEl.innerHTML = `<span style="color: #4CAF50;">✅ API Conectada: ${url}</span>`;
-        } else {
-            statusEl.innerHTML = `<span style="color: #f44336;">❌ API Não Encontrada</span>`;
+        await this.refreshQueueStatus();
+        if (completed) {
+            notify(t('queue.completed', { count: completed }), {
+                type: 'success',
+                action: { label: t('queue.openHistory'), onClick: () => this.showHistory() }
+            });
         }
     }
 
     /**
-     * Cria o elemento DOM para exibir o status da API.
-     * @returns {HTMLElement} O elemento de status criado.
+     * Conclui as capturas da fila já processadas pelo Service Worker: grava no histórico as
+     * analisadas, depois de validar a resposta contra o esquema (como nas análises feitas na
+     * hora), e avisa das recusadas. Em ambos os casos a captura sai da fila.
+     * @returns {Promise<void>}
      */
-    createApiStatusElement() {
-        const status = document.createElement('div');
-        status.id = 'apiStatus';
-        status.style.cssText = `
-            position: fixed;
-            top: 10px;
-            right: 10px;
-            background: rgba(0,0,0,0.8);
-            color: white;
-            padding: 8px 12px;
-            border-radius: 4px;
-            font-size: 12px;
-            z-index: 1000;
-        `;
-        document.body.appendChild(status);
-        return status;
+    settleUploadQueue() {
+        // A abertura do app e as mensagens do Service Worker podem chegar juntas: um de cada vez
+        this.queueSettling = (this.queueSettling || Promise.resolve())
+            .then(() => this._settleReceivedCaptures())
+            .catch((error) => console.error('Erro ao concluir análises da fila offline:', error));
+        return this.queueSettling;
     }
 
-    // ------------------------------------------
-    // --- Métodos de Câmera ---
-    // ------------------------------------------
+    async _settleReceivedCaptures() {
+        // Com o cofre bloqueado não há como gravar no histórico: fica para o desbloqueio
+        if (this.vault.enabled && this.vault.locked) return;
 
-    async handleConsentAccept() {
-        this.dom.consentScreen?.classList.add('hidden');
-        this.dom.mainApp?.classList.remove('hidden');
-        await this.initCamera();
-    }
+        const failed = await this.uploadQueue.listFailed();
+        const hybrid = this.providers.get('hybrid');
+        const saved = [];
+        try {
+            for (const entry of await this.uploadQueue.listReceived()) {
+                let result;
+                try {
+                    result = normalizeAnalysisResult(entry.result, hybrid);
+                } catch (error) {
+                    failed.push({ ...entry, lastError: error.message });
+                    continue;
+                }
+                try {
+                    saved.push(await this.history.add(entry.blob, result, { meta: entry.meta, createdAt: entry.createdAt }));
+                    await this.uploadQueue.remove(entry.id);
+                } catch (error) {
+                    // A captura continua na fila (status 'received') e é gravada na próxima vez
+                    console.error('Erro ao gravar no histórico uma análise da fila offline:', error);
+                }
+            }
+        } finally {
+            // Fotos recusadas não ficam guardadas: o usuário é avisado e elas saem da fila
+            for (const entry of failed) {
+                notify(t('queue.failed', { message: entry.lastError }), { type: 'error' });
+                await this.uploadQueue.remove(entry.id).catch((error) => console.error('Erro ao remover captura recusada da fila:', error));
+            }
 
-    async initCamera() {
-        if (this.currentStream) {
-            // Para trilhas existentes antes de iniciar uma nova
-            this.currentStream.getTracks().forEach(track => track.stop());
-            this.currentStream = null;
+            await this.refreshQueueStatus();
+            if (saved.length === 1) {
+                // Aviso com atalho, sem interromper o que o usuário estiver fazendo
+                notify(t('queue.completedOne'), {
+                    type: 'success',
+                    duration: 0,
+                    action: { label: t('feedback.view'), onClick: () => this.openHistoryRecord(saved[0].id) }
+                });
+            } else if (saved.length > 1) {
+                notify(t('queue.completed', { count: saved.length }), {
+                    type: 'success',
+                    action: { label: t('queue.openHistory'), onClick: () => this.showHistory() }
+                });
+            }
         }
+    }
 
-        const constraints = {
-            video: { 
-                facingMode: this.facingMode, 
-                width: { ideal: 1280 }, 
-                height: { ideal: 720 } 
-            }
-        };
+    /**
+     * Escuta as mensagens do Service Worker sobre capturas processadas da fila.
+     */
+    listenForQueueMessages() {
+        if (!('serviceWorker' in navigator)) return;
 
-        try {
-            this.currentStream = await navigator.mediaDevices.getUserMedia(constraints);
-            this.dom.video.srcObject = this.currentStream;
+        navigator.serviceWorker.addEventListener('message', async (event) => {
+            const message = event.data || {};
 
-            // Espera o carregamento dos metadados do vídeo para configurar o canvas
-            this.dom.video.onloadedmetadata = () => this.setupCanvas();
-        } catch (error) {
-            alert('Erro ao acessar a câmera. Verifique as permissões.');
-            console.error('Erro de câmera:', error);
-        }
+            // Concluídas ou recusadas, as capturas são acertadas pela página do mesmo jeito
+            if (['upload-queue-result', 'upload-queue-failed'].includes(message.type)) {
+                await this.settleUploadQueue();
+            }
+        });
     }
 
     /**
-     * Configura as dimensões do canvas.
-     * Nota: O canvas de captura será redimensionado em `capturePhoto` para o tamanho final.
+     * Abre os resultados de uma análise do histórico.
+     * @param {number} id - Chave do registro no histórico.
      */
-    setupCanvas() {
-        // Estes são apenas valores iniciais/de exibição, o recorte final acontece no `capturePhoto`
-        this.dom.canvas.width = 800;
-        this.dom.canvas.height = 1000;
+    async openHistoryRecord(id) {
+        const record = await this.history.get(id);
+        // Com o aparelho bloqueado, só as análises do paciente em atendimento
+        if (this.clinic.locked && record?.patientId !== this.clinic.activePatientId) return;
+        if (record) await this.showAnalysisResults(record.blob, record.analysisData, record);
     }
 
-    async switchCamera() {
-        this.facingMode = this.facingMode === 'user' ? 'environment' : 'user';
-        await this.initCamera();
+    /**
+     * Atualiza o indicador de capturas pendentes.
+     */
+    async refreshQueueStatus() {
+        const statusEl = document.getElementById('queueStatus');
+        if (!statusEl) return;
+
+        let pending = 0;
+        try {
+            pending = await this.uploadQueue.countPending();
+        } catch (error) {
+            console.error('Erro ao consultar fila offline:', error);
+        }
+
+        statusEl.textContent = t('queue.status', { count: pending });
+        statusEl.classList.toggle('hidden', pending === 0);
     }
 
     // ------------------------------------------
-    // --- Métodos de Captura e Processamento ---
+    // --- Métodos de Privacidade ---
     // ------------------------------------------
 
     /**
-     * Captura o frame do vídeo, recorta no formato elíptico e envia para a API.
+     * Exclui as análises e capturas pendentes fora do prazo de retenção configurado.
      */
-    async capturePhoto() {
-        if (!this.dom.video.videoWidth || !this.dom.video.videoHeight) {
-            alert('Câmera não está pronta. Aguarde um momento.');
-            return;
-        }
-        
-        // Desabilita o botão para evitar cliques duplicados
-        this.dom.captureBtn.disabled = true;
-        this.showLoading(true, 'Capturando e recortando foto...');
-
+    async applyRetention() {
         try {
-            // 1. Cálculo de proporção para centralizar o vídeo
-            const videoRect = this.dom.video.getBoundingClientRect();
-            const videoAspect = this.dom.video.videoWidth / this.dom.video.videoHeight;
-            const containerAspect = videoRect.width / videoRect.height;
-
-            let drawWidth, drawHeight, offsetX, offsetY;
-            
-            // Lógica para cobrir (cover) a área de visualização
-            if (videoAspect > containerAspect) {
-                drawHeight = this.dom.video.videoHeight;
-                drawWidth = drawHeight * containerAspect;
-                offsetX = (this.dom.video.videoWidth - drawWidth) / 2;
-                offsetY = 0;
-            } else {
-                drawWidth = this.dom.video.videoWidth;
-                drawHeight = drawWidth / containerAspect;
-                offsetX = 0;
-                offsetY = (this.dom.video.videoHeight - drawHeight) / 2;
+            const removed = await purgeExpiredData(getRetentionDays());
+            if (removed > 0) {
+                console.log(`🧹 ${removed} registro(s) excluído(s) pelo prazo de retenção.`);
+                await this.refreshQueueStatus();
             }
-
-            // A escala é importante se o vídeo for renderizado em uma caixa de tamanho diferente
-            const scaleX = drawWidth / videoRect.width;
-            const scaleY = drawHeight / videoRect.height;
-
-            // 2. Cálculo das dimensões do recorte elíptico
-            // O centro da elipse no frame do vídeo (recortado)
-            const ellipseCenterX = drawWidth / 2;
-            const ellipseCenterY = drawHeight / 2;
-            // O raio da elipse no frame do vídeo (aplicando a escala)
-            const ellipseRadiusX = (this.ellipseWidth / 2) * (videoRect.width / videoRect.width) * scaleX; 
-            const ellipseRadiusY = (this.ellipseHeight / 2) * (videoRect.height / videoRect.height) * scaleY;
-            
-            // 3. Configuração do Canvas de Saída
-            this.dom.canvas.width = this.ellipseWidth;
-            this.dom.canvas.height = this.ellipseHeight;
-
-            // 4. Desenho e Recorte
-            this.ctx.save();
-            
-            // Aplica a máscara elíptica
-            this.ctx.beginPath();
-            this.ctx.ellipse(
-                this.ellipseWidth / 2, // Centro X no canvas final
-                this.ellipseHeight / 2, // Centro Y no canvas final
-                this.ellipseWidth / 2, // Raio X no canvas final
-                this.ellipseHeight / 2, // Raio Y no canvas final
-                0, 0, 2 * Math.PI
-            );
-            this.ctx.clip(); // Tudo o que for desenhado a seguir será limitado à elipse
-            this.ctx.clearRect(0, 0, this.dom.canvas.width, this.dom.canvas.height);
-
-            // Desenha a imagem do vídeo dentro da elipse (eixo X, Y, W, H no vídeo -> 0, 0, W, H no canvas)
-            this.ctx.drawImage(
-                this.dom.video,
-                // Fonte (Recorte da área central do vídeo que corresponde à elipse)
-                offsetX + ellipseCenterX - ellipseRadiusX, // Ponto X de início do recorte no vídeo
-                offsetY + ellipseCenterY - ellipseRadiusY, // Ponto Y de início do recorte no vídeo
-                ellipseRadiusX * 2, // Largura do recorte no vídeo
-                ellipseRadiusY * 2, // Altura do recorte no vídeo
-                // Destino (Desenhar no canvas)
-                0, 0,
-                this.ellipseWidth,
-                this.ellipseHeight
-            );
-
-            this.ctx.restore(); // Remove a máscara de clipping
-
-            // 5. Converter para blob e enviar
-            this.dom.canvas.toBlob(async (blob) => {
-                await this.analyzePhoto(blob);
-            }, 'image/png', 0.95); // Usar PNG para manter qualidade, ou JPEG com alta qualidade (0.95)
-
         } catch (error) {
-            console.error('Erro de captura:', error);
-            alert('Erro ao capturar foto. Tente novamente.');
-            this.showLoading(false);
-            this.dom.captureBtn.disabled = false;
+            console.error('Erro ao aplicar o prazo de retenção:', error);
         }
     }
 
     /**
-     * Envia o Blob da imagem para a API de análise.
-     * @param {Blob} blob - O blob da imagem capturada.
+     * Retira o consentimento: desliga a câmera, apaga os dados e volta à tela inicial.
+     * O registro da retirada é o único dado mantido.
      */
-    async analyzePhoto(blob) {
-        if (!this.apiUrl) {
-            this.showLoading(false);
-            this.dom.captureBtn.disabled = false;
-            alert('API de análise não está disponível. Verifique a conexão.');
+    async withdrawConsent() {
+        if (this.clinic.enabled) {
+            await this.withdrawPatientConsent();
             return;
         }
+        const consent = loadConsent();
+        await this.deleteAllData({ silent: true });
+        recordConsentWithdrawal(consent);
+        notify(t('privacy.withdrawn'), { type: 'success' });
+    }
 
-        this.showLoading(true, 'Analisando foto na API...');
+    /**
+     * Modo clínica: a retirada vale só para o paciente em atendimento. As análises e
+     * capturas pendentes dele são excluídas; o cadastro fica, com a data da retirada.
+     */
+    async withdrawPatientConsent() {
+        const id = this.clinic.activePatientId;
+        if (!id) return;
 
-        try {
-            const formData = new FormData();
-            formData.append('file', blob, 'face-capture.png');
-
-            const response = await fetch(`${this.apiUrl}/upload`, {
-                method: 'POST',
-                body: formData,
-                headers: {
-                    'ngrok-skip-browser-warning': 'true' // Para ngrok, se aplicável
-                }
-            });
+        this.leaveMainApp();
+        await this.patients.removeData(id);
+        await this.patients.recordConsentWithdrawal(id);
+        await this.refreshActivePatient();
+        await this.refreshQueueStatus();
+        await this.showConsentScreen();
+        notify(t('patient.withdrawn'), { type: 'success' });
+    }
 
-            if (!response.ok) {
-                // Tenta ler o erro do corpo da resposta, se possível
-                let errorDetails = await response.text();
-                try {
-                    const json = JSON.parse(errorDetails);
-                    errorDetails = json.erro || JSON.stringify(json);
-                } catch {}
+    /**
+     * Apaga todos os dados do app neste navegador e volta à tela de consentimento.
+     * @param {Object} [options]
+     * @param {boolean} [options.silent=false] - Não exibe a confirmação ao final.
+     */
+    async deleteAllData({ silent = false } = {}) {
+        this.leaveMainApp();
 
-                throw new Error(`Falha na comunicação com a API (HTTP ${response.status}): ${errorDetails}`);
-            }
+        await wipeAllData();
+        this.vault.lock();
+        // Os ajustes do modo clínica também foram apagados
+        this.clinic = new ClinicMode();
+        this.activePatient = null;
+        this.applyClinicState();
+        await this.refreshQueueStatus();
 
-            const result = await response.json();
-            
-            if (result.erro) {
-                throw new Error(result.erro);
-            }
+        await this.showConsentScreen();
+        if (!silent) notify(t('privacy.deleted'), { type: 'success' });
+    }
 
-            // Sucesso
-            await this.showAnalysisResults(blob, result);
-            
-        } catch (error) {
-            console.error('Erro de análise:', error);
-            alert(`Erro na análise: ${error.message}`);
-            // Fallback: mostrar preview simples se análise falhar
-            await this.showPreview(blob);
-        } finally {
-            this.showLoading(false);
-            this.dom.captureBtn.disabled = false;
-        }
+    /**
+     * Desliga a câmera, fecha as telas abertas e esconde a interface principal
+     * (antes de voltar à tela de consentimento).
+     */
+    leaveMainApp() {
+        this.stopCamera();
+        this.cameraSuspended = false;
+        this.cameraErrorView.hide();
+        this.sessionView.end();
+        this.historyView.hide();
+        this.comparisonView.hide();
+        this.patientList.hide();
+        this.photoImport.close();
+        ['analysisContainer', 'previewContainer'].forEach((id) => {
+            const container = document.getElementById(id);
+            if (container) hideDialog(container);
+        });
+
+        this.dom.mainApp?.classList.add('hidden');
+        this.dom.mainApp?.setAttribute('aria-hidden', 'true');
+    }
+
+    /**
+     * Desliga a câmera e a detecção facial.
+     */
+    stopCamera() {
+        this.captureCountdown?.abort();
+        clearTimeout(this.trackMuteTimer);
+        this.faceGuide.stop();
+        this.guidance.reset();
+        this.currentStream?.getTracks().forEach((track) => track.stop());
+        this.currentStream = null;
+        this.dom.video.srcObject = null;
     }
 
     // ------------------------------------------
@@ -357,9 +1737,9 @@ class FaceCaptureApp {
     /**
      * Exibe a tela de carregamento.
      * @param {boolean} show - Se deve mostrar ou esconder.
-     * @param {string} [message='Processando...'] - Mensagem de carregamento.
+     * @param {string} [message] - Mensagem de carregamento (padrão: "Processando...").
      */
-    showLoading(show, message = 'Processando...') {
+    showLoading(show, message = t('loading.default')) {
         if (!this.dom.loading) return;
 
         const loadingText = this.dom.loading.querySelector('span') || this.dom.loading;
@@ -369,112 +1749,245 @@ class FaceCaptureApp {
             this.dom.loading.classList.remove('hidden');
         } else {
             this.dom.loading.classList.add('hidden');
+            this.setLoadingProgress(null);
+            this.setLoadingCancel(null);
+        }
+    }
+
+    /**
+     * Exibe a etapa atual da análise no carregamento.
+     * @param {'uploading'|'processing'|'rendering'} stage - Etapa informada pelo provedor.
+     * @param {number} [fraction] - Fração já enviada (apenas em `uploading`).
+     * @param {string} [prefix] - Identificação da foto (ex.: ângulo da sessão).
+     */
+    showAnalysisStage(stage, fraction, prefix = '') {
+        const label = prefix ? `${prefix} · ` : '';
+
+        if (stage === 'uploading') {
+            const percent = typeof fraction === 'number' ? ` ${formatNumber(Math.round(fraction * 100))}%` : '';
+            this.showLoading(true, `1/3 · ${label}${t('stage.uploading')}${percent}`);
+            this.setLoadingProgress(fraction ?? null);
+        } else if (stage === 'processing') {
+            this.showLoading(true, `2/3 · ${label}${t('stage.processing')}`);
+            this.setLoadingProgress(null);
+        } else if (stage === 'rendering') {
+            this.showLoading(true, `3/3 · ${t('stage.rendering')}`);
+            this.setLoadingProgress(null);
         }
     }
+
+    /**
+     * Atualiza a barra de progresso do carregamento.
+     * @param {number|null} fraction - Fração entre 0 e 1, ou `null` para esconder a barra.
+     */
+    setLoadingProgress(fraction) {
+        const bar = this.dom.loading?.querySelector('.loading-progress');
+        if (!bar) return;
+
+        if (fraction === null) {
+            bar.classList.add('hidden');
+            return;
+        }
+        const percent = Math.round(Math.min(Math.max(fraction, 0), 1) * 100);
+        bar.classList.remove('hidden');
+        bar.setAttribute('aria-valuenow', String(percent));
+        bar.querySelector('.loading-progress-fill').style.width = `${percent}%`;
+    }
+
+    /**
+     * Mostra o botão de cancelar no carregamento.
+     * @param {Function|null} handler - Chamado ao cancelar, ou `null` para esconder o botão.
+     */
+    setLoadingCancel(handler) {
+        const button = document.getElementById('loadingCancel');
+        if (!button) return;
+
+        button.onclick = handler
+            ? () => {
+                button.disabled = true;
+                handler();
+            }
+            : null;
+        button.disabled = false;
+        button.classList.toggle('hidden', !handler);
+    }
     
     /**
      * Exibe os resultados detalhados da análise.
      * @param {Blob} blob - O blob da imagem original.
      * @param {Object} analysisData - Dados de análise retornados pela API.
+     * @param {Object} [capture={}] - Registro do histórico (nome, data e metadados da captura), usado nas exportações.
      */
-    async showAnalysisResults(blob, analysisData) {
+    async showAnalysisResults(blob, analysisData, capture = {}) {
         let url = null;
+        const angleUrls = [];
         try {
             url = URL.createObjectURL(blob);
+            const angles = capture.meta?.session?.angles || [];
             const container = document.getElementById('analysisContainer') || this.createAnalysisContainer();
             
-            // Limpar container anterior e mostrar
+            // Limpar container anterior
             container.innerHTML = '';
-            container.classList.remove('hidden');
 
             // Preparar a interface (Template Literal mais limpo)
             const content = document.createElement('div');
             content.className = 'analysis-content';
             
+            // Cartões e detalhes técnicos vêm das definições de métricas (analysis-schema.js)
+            const { categories, details } = describeAnalysis(analysisData);
+
             // Arredonda a confiança
             const confidence = Math.round((analysisData.face_detectada?.confianca || 0) * 100);
 
             content.innerHTML = `
                 <div class="analysis-header">
-                    <h2>Análise Facial Completa</h2>
-                    <button class="close-btn" id="closeAnalysis" aria-label="Fechar Análise">×</button>
+                    <h2 id="analysis-title">${angles.length ? t('results.sessionTitle') : t('results.title')}</h2>
+                    ${analysisData.estimativa_local ? `<span class="local-estimate-badge" title="${t('results.localEstimateHint')}">${t('results.localEstimate')}</span>` : ''}
+                    <button class="close-btn" id="closeAnalysis" aria-label="${t('results.close')}">×</button>
                 </div>
                 
                 <div class="analysis-body">
-                    <div class="image-section">
-                        <img src="${url}" alt="Foto analisada" class="analyzed-image">
-                    </div>
+                    <div class="image-section" id="analysisImage"></div>
                     
                     <div class="results-section">
-                        ${this._createResultCard('Classificação Fitzpatrick', analysisData.fitzpatrick || 'Não detectado', 'Baseado na tonalidade da pele', 'fitzpatrick')}
-                        ${this._createResultCard('Tipo de Pele (Textura)', analysisData.textura || 'Não detectado', 'Análise da textura superficial', 'textura')}
-                        ${this._createResultCard('Manchas', analysisData.manchas || 'Não detectado', `${analysisData.detalhes?.manchas?.numero || 0} manchas detectadas`, 'manchas')}
-                        ${this._createResultCard('Linhas de Expressão', analysisData.rugas || 'Não detectado', 'Análise de rugas e linhas', 'rugas')}
+                        ${categories.map((item) => this._createResultCard(item)).join('')}
+                        ${this._createDetailList(details)}
                         
                         <div class="confidence-section">
-                            <h3>Detecção Facial</h3>
+                            <h3>${t('results.faceDetection')}</h3>
                             <div class="confidence-bar">
                                 <div class="confidence-fill" style="width: ${confidence}%"></div>
                             </div>
-                            <small>Confiança: ${confidence}% (${analysisData.face_detectada?.metodo || 'N/A'})</small>
+                            <small>${t('results.confidence', { value: `${formatNumber(confidence)}%` })} (${escapeHtml(analysisData.face_detectada?.metodo || t('common.notAvailable'))})</small>
+                            ${analysisData.provedor ? `<br><small>${t('results.provider', { name: analysisData.provedor.nome })}</small>` : ''}
                         </div>
                     </div>
                 </div>
+                ${angles.length ? this._createAngleResults(angles, angleUrls) : ''}
                 
                 <div class="analysis-actions">
-                    <button class="btn" id="downloadResults">Baixar Imagem</button>
-                    <button class="btn" id="saveResults">Salvar Análise (TXT)</button>
-                    <button class="btn retry-btn" id="retryCapture">Nova Foto</button>
+                    <button class="btn" id="downloadResults">${t('results.download')}</button>
+                    <button class="btn hidden" id="exportAnnotated">${t('results.downloadAnnotated')}</button>
+                    <button class="btn" id="saveResults">${t('results.saveTxt')}</button>
+                    <button class="btn" id="exportJson">${t('results.exportJson')}</button>
+                    <button class="btn" id="printReport">${t('results.report')}</button>
+                    <button class="btn retry-btn" id="retryCapture" aria-keyshortcuts="R">${t('results.retry')}</button>
                 </div>
             `;
 
             container.appendChild(content);
+            // Mostrado já com o conteúdo, para o foco ir ao botão de fechar
+            const close = () => this._hideAnalysisContainer(container, url, ...angleUrls);
+            showDialog(container, { onEscape: close });
+
+            // Camadas desenhadas a partir de `regioes`, quando o provedor as informa
+            await this.annotatedImage.show(document.getElementById('analysisImage'), url, analysisData);
 
             // Adiciona event listeners aos botões
-            document.getElementById('closeAnalysis').onclick = () => this._hideAnalysisContainer(container, url);
-            document.getElementById('downloadResults').onclick = () => this._downloadImage(url);
+            document.getElementById('closeAnalysis').onclick = close;
+            document.getElementById('downloadResults').onclick = () => this._downloadImage(url, blob);
+            const exportAnnotated = document.getElementById('exportAnnotated');
+            exportAnnotated.classList.toggle('hidden', !this.annotatedImage.hasAnnotations());
+            exportAnnotated.onclick = () => this.annotatedImage.exportImage()
+                .catch((error) => notify(t('results.annotatedError', { message: error.message }), { type: 'error' }));
             document.getElementById('saveResults').onclick = () => this.saveAnalysisData(analysisData);
-            document.getElementById('retryCapture').onclick = () => this._hideAnalysisContainer(container, url); // Reutiliza a função de fechar
+            document.getElementById('exportJson').onclick = () => exportAnalysisJson(analysisData, capture);
+            document.getElementById('printReport').onclick = () => openPrintableReport(blob, analysisData, capture)
+                .catch((error) => notify(t('results.reportError', { message: error.message }), { type: 'error' }));
+            document.getElementById('retryCapture').onclick = close; // Reutiliza a função de fechar
 
         } catch (error) {
             console.error('Erro ao mostrar resultados:', error);
             // Fallback: mostrar preview simples
-            if (url) URL.revokeObjectURL(url);
+            [url, ...angleUrls].forEach((objectUrl) => objectUrl && URL.revokeObjectURL(objectUrl));
             await this.showPreview(blob);
         }
     }
+
+    /**
+     * Monta a seção com o resultado de cada ângulo de uma sessão multiângulo.
+     * @param {Object[]} angles - Ângulos salvos em `meta.session.angles`.
+     * @param {string[]} urls - Recebe as URLs de objeto criadas, para revogação ao fechar.
+     */
+    _createAngleResults(angles, urls) {
+        const items = angles.map((angle) => {
+            const url = URL.createObjectURL(angle.blob);
+            urls.push(url);
+            const data = angle.analysisData || {};
+            // O rótulo salvo é o do idioma da captura; etapas conhecidas seguem o idioma atual
+            const label = CAPTURE_STEPS.find((step) => step.id === angle.id)?.label || angle.label;
+            return `
+                <figure class="angle-result">
+                    <img src="${url}" alt="${t('results.anglePhoto', { label })}">
+                    <figcaption>
+                        <strong>${label}</strong>
+                        ${describeAnalysis(data).categories.map((item) => `<small>${escapeHtml(item.metric.shortLabel || item.metric.label)}: ${escapeHtml(item.value)}</small>`).join('')}
+                    </figcaption>
+                </figure>
+            `;
+        });
+
+        return `
+            <div class="angle-results">
+                <h3>${t('results.byAngle')}</h3>
+                <div class="angle-results-grid">${items.join('')}</div>
+            </div>
+        `;
+    }
     
     /**
      * Função auxiliar para criar um cartão de resultado HTML.
+     * @param {Object} item - Métrica descrita por `describeAnalysis`.
+     */
+    _createResultCard({ metric, value, explanation }) {
+        return `
+            <div class="result-card result-card--${metric.generic ? 'generic' : metric.id}">
+                <h3>${escapeHtml(metric.label)}</h3>
+                <p class="result-value">${escapeHtml(value)}</p>
+                <small>${escapeHtml(explanation)}</small>
+            </div>
+        `;
+    }
+
+    /**
+     * Lista dos detalhes técnicos (métricas numéricas), com a explicação de cada uma.
+     * @param {Object[]} details - Métricas descritas por `describeAnalysis`.
      */
-    _createResultCard(title, value, detail, className) {
+    _createDetailList(details) {
+        if (!details.length) return '';
+        const rows = details.map(({ metric, value, explanation }) => `
+            <li title="${escapeHtml(explanation)}">
+                <span>${escapeHtml(metric.label)}</span>
+                <strong>${escapeHtml(value)}</strong>
+            </li>
+        `);
         return `
-            <div class="result-card result-card--${className}">
-                <h3>${title}</h3>
-                <p class="result-value">${value}</p>
-                <small>${detail}</small>
+            <div class="result-details">
+                <h3>${t('results.details')}</h3>
+                <ul>${rows.join('')}</ul>
             </div>
         `;
     }
 
     /**
-     * Esconde o container de análise e revoga a URL do objeto.
+     * Esconde o container de análise e revoga as URLs de objeto.
      * @param {HTMLElement} container - O container de análise.
-     * @param {string} url - A URL do objeto a ser revogada.
+     * @param {...string} urls - As URLs de objeto a serem revogadas.
      */
-    _hideAnalysisContainer(container, url) {
-        container.classList.add('hidden');
-        if (url) URL.revokeObjectURL(url);
+    _hideAnalysisContainer(container, ...urls) {
+        hideDialog(container);
+        urls.forEach((url) => url && URL.revokeObjectURL(url));
     }
 
     /**
      * Inicia o download da imagem capturada.
      * @param {string} url - A URL do objeto da imagem.
+     * @param {Blob} blob - A imagem (define a extensão do arquivo).
      */
-    _downloadImage(url) {
+    _downloadImage(url, blob) {
         const a = document.createElement('a');
         a.href = url;
-        a.download = `analise-facial-${Date.now()}.png`;
+        a.download = imageFileName(`${t('export.fileName')}-${Date.now()}`, blob);
         a.click();
     }
     
@@ -483,26 +1996,19 @@ class FaceCaptureApp {
      * @param {Object} data - Dados de análise.
      */
     saveAnalysisData(data) {
-        // Formatação mais limpa
-        const formatDecimal = (value) => (value || 0).toFixed(2);
+        // Mesmas definições de métricas da tela de resultados
+        const { categories, details } = describeAnalysis(data);
         
         const analysisText = `
-ANÁLISE FACIAL - ${new Date().toLocaleString()}
+${t('export.txtTitle')} - ${formatDate(Date.now())}
 =============================================
 
-Classificação Fitzpatrick: ${data.fitzpatrick || 'Não detectado'}
-Tipo de Pele: ${data.textura || 'Não detectado'}  
-Manchas: ${data.manchas || 'Não detectado'}
-Rugas/Linhas: ${data.rugas || 'Não detectado'}
+${categories.map((item) => `${item.metric.label}: ${item.value}`).join('\n')}
 
-Detalhes Técnicos:
-- Confiança da Detecção: ${Math.round((data.face_detectada?.confianca || 0) * 100)}%
-- Método: ${data.face_detectada?.metodo || 'N/A'}
-- Número de Manchas: ${data.detalhes?.manchas?.numero || 0}
-- Porcentagem de Manchas: ${formatDecimal(data.detalhes?.manchas?.porcentagem)}%
-- Contraste: ${formatDecimal(data.detalhes?.textura?.contraste)}
-- Homogeneidade: ${formatDecimal(data.detalhes?.textura?.homogeneidade)}
-- Porcentagem de Rugas: ${formatDecimal(data.detalhes?.rugas?.porcentagem)}%
+${t('results.details')}:
+- ${t('results.detectionConfidence', { value: `${formatNumber(Math.round((data.face_detectada?.confianca || 0) * 100))}%` })}
+- ${t('results.method', { method: data.face_detectada?.metodo || t('common.notAvailable') })}
+${details.map((item) => `- ${item.metric.label}: ${item.value}`).join('\n')}
 
 =============================================
         `.trim();
@@ -512,19 +2018,21 @@ Detalhes Técnicos:
         
         const a = document.createElement('a');
         a.href = url;
-        a.download = `analise-facial-${Date.now()}.txt`;
+        a.download = `${t('export.fileName')}-${Date.now()}.txt`;
         a.click();
         
         URL.revokeObjectURL(url);
 
-        alert('Análise salva com sucesso como arquivo TXT!');
+        notify(t('export.txtSaved'), { type: 'success' });
     }
 
     /**
-     * Exibe uma pré-visualização simples da imagem capturada (usado como fallback).
+     * Exibe uma pré-visualização simples da imagem capturada (usado como fallback
+     * e após o cancelamento da análise).
      * @param {Blob} blob - O blob da imagem capturada.
+     * @param {Object|null} [meta=null] - Metadados da captura; quando informados, permite reenviar a foto.
      */
-    async showPreview(blob) {
+    async showPreview(blob, meta = null) {
         const previewContainer = document.getElementById('previewContainer');
         const previewImage = document.getElementById('previewImage');
 
@@ -537,23 +2045,35 @@ Detalhes Técnicos:
         try {
             url = URL.createObjectURL(blob);
             previewImage.src = url;
-            previewContainer.classList.remove('hidden');
+            // Esc equivale a "Tentar novamente"
+            showDialog(previewContainer, { onEscape: () => document.getElementById('retryBtn')?.click() });
 
             document.getElementById('downloadBtn').onclick = () => {
                 const a = document.createElement('a');
                 a.href = url;
-                a.download = `face-capture-${Date.now()}.png`;
+                a.download = imageFileName(`face-capture-${Date.now()}`, blob);
                 a.click();
             };
 
             document.getElementById('retryBtn').onclick = () => {
-                previewContainer.classList.add('hidden');
+                hideDialog(previewContainer);
                 URL.revokeObjectURL(url);
             };
 
+            const resendBtn = document.getElementById('resendBtn');
+            if (resendBtn) {
+                resendBtn.classList.toggle('hidden', !meta);
+                resendBtn.onclick = () => {
+                    hideDialog(previewContainer);
+                    URL.revokeObjectURL(url);
+                    this.dom.captureBtn.disabled = true;
+                    this.analyzePhoto(blob, meta);
+                };
+            }
+
         } catch (error) {
             console.error('Erro ao gerar pré-visualização:', error);
-            alert('Erro ao gerar pré-visualização.');
+            notify(t('preview.error'), { type: 'error' });
             if (url) URL.revokeObjectURL(url);
         }
     }
@@ -566,6 +2086,9 @@ Detalhes Técnicos:
         const container = document.createElement('div');
         container.id = 'analysisContainer';
         container.className = 'analysis-container hidden';
+        container.setAttribute('role', 'dialog');
+        container.setAttribute('aria-modal', 'true');
+        container.setAttribute('aria-labelledby', 'analysis-title');
         
         // Adiciona estilos CSS - Melhor seria ter isso em um arquivo .css
         if (!document.getElementById('analysisStyles')) {
@@ -621,6 +2144,17 @@ Detalhes Técnicos:
             .result-card h3 { margin: 0 0 8px 0; font-size: 14px; color: #2196F3; }
             .result-value { margin: 0 0 4px 0; font-size: 18px; font-weight: bold; }
             .result-card small { color: #aaa; font-size: 12px; }
+            .result-card--generic { border-style: dashed; }
+            .result-details {
+                background: rgba(255, 255, 255, 0.03); padding: 12px 16px;
+                border-radius: 12px; margin-bottom: 12px;
+            }
+            .result-details h3 { margin: 0 0 8px 0; font-size: 14px; color: #2196F3; }
+            .result-details ul { list-style: none; margin: 0; padding: 0; }
+            .result-details li {
+                display: flex; justify-content: space-between; gap: 12px;
+                padding: 4px 0; font-size: 13px; border-bottom: 1px solid rgba(255, 255, 255, 0.05);
+            }
             .confidence-section {
                 background: rgba(76, 175, 80, 0.1); padding: 16px;
                 border-radius: 12px; border: 1px solid rgba(76, 175, 80, 0.2);
@@ -637,6 +2171,19 @@ Detalhes Técnicos:
                 display: flex; gap: 12px; padding: 20px; border-top: 1px solid #333;
                 flex-wrap: wrap; justify-content: center;
             }
+            .angle-results { padding: 0 20px 20px; }
+            .angle-results h3 { margin: 0 0 12px 0; font-size: 14px; color: #2196F3; }
+            .angle-results-grid {
+                display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 12px;
+            }
+            .angle-result {
+                margin: 0; background: rgba(255, 255, 255, 0.05); padding: 12px;
+                border-radius: 12px; border: 1px solid rgba(255, 255, 255, 0.1);
+                display: flex; gap: 10px; align-items: center;
+            }
+            .angle-result img { width: 60px; border-radius: 50% / 60%; }
+            .angle-result figcaption { display: flex; flex-direction: column; gap: 2px; }
+            .angle-result small { color: #aaa; font-size: 12px; }
             .btn { /* Assumindo um estilo base para botões */ }
             .retry-btn { background: #ff9800 !important; }
             .retry-btn:hover { background: #f57c00 !important; }
@@ -647,19 +2194,4 @@ Detalhes Técnicos:
 // Inicia a aplicação após o carregamento completo do DOM
 document.addEventListener('DOMContentLoaded', () => {
     new FaceCaptureApp();
-});
-
-if ("serviceWorker" in navigator) {
-  // Register a service worker hosted at the root of the
-  // site using the default scope.
-  navigator.serviceWorker.register("/sw.js").then(
-    (registration) => {
-      console.log("Service worker registration succeeded:", registration);
-    },
-    (error) => {
-      console.error(`Service worker registration failed: ${error}`);
-    },
-  );
-} else {
-  console.error("Service workers are not supported.");
-}
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,205 @@
+/**
+ * Captura em sequência (burst): registra alguns frames seguidos do vídeo, pontua
+ * cada um em um Web Worker (burst-worker.js) e sugere o melhor, evitando fotos
+ * tremidas ou com piscada. O usuário pode trocar a escolha em uma tira de miniaturas.
+ */
+import { t } from './i18n.js';
+import { hideDialog, showDialog } from './feedback.js';
+
+const BURST_KEY = 'faceCapture.burstCapture';
+const BURST_FRAMES = 6;
+const BURST_INTERVAL_MS = 80;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class BurstCapture {
+    /**
+     * @param {function(): Object} getThresholds - Limites atuais do controle de qualidade.
+     */
+    constructor(getThresholds) {
+        this.getThresholds = getThresholds;
+        this.worker = null;
+        this.pending = new Map();
+        this.nextRequestId = 1;
+    }
+
+    static isSupported() {
+        return 'Worker' in self && 'OffscreenCanvas' in self && 'createImageBitmap' in self;
+    }
+
+    /**
+     * Preferência do usuário (memorizada); sempre falsa sem suporte do navegador.
+     */
+    get enabled() {
+        return BurstCapture.isSupported() && localStorage.getItem(BURST_KEY) === 'true';
+    }
+
+    set enabled(value) {
+        localStorage.setItem(BURST_KEY, String(Boolean(value)));
+    }
+
+    /**
+     * @returns {boolean} O novo estado.
+     */
+    toggle() {
+        this.enabled = !this.enabled;
+        return this.enabled;
+    }
+
+    /**
+     * Captura a sequência e pontua os frames. O recorte e o redimensionamento são
+     * feitos por `createImageBitmap`; máscara e pontuação, no worker.
+     * @param {HTMLVideoElement} video - Vídeo ao vivo.
+     * @param {{sx: number, sy: number, sw: number, sh: number}} source - Área do oval no vídeo.
+     * @param {number} width - Largura do recorte pontuado e exibido na tira.
+     * @param {number} height - Altura do recorte pontuado e exibido na tira.
+     * @returns {Promise<{frames: Object[], bestIndex: number}>} Frames na ordem de captura
+     *   (`frame`, `original`, `score`, `quality`, `centering`, `index`) e o índice do melhor.
+     *   `original` é o recorte na resolução do vídeo, usado na imagem enviada.
+     */
+    async capture(video, { sx, sy, sw, sh }, width, height) {
+        const scored = [];
+
+        for (let index = 0; index < BURST_FRAMES; index++) {
+            if (index > 0) await delay(BURST_INTERVAL_MS);
+            const original = await createImageBitmap(video, sx, sy, sw, sh);
+            const bitmap = await createImageBitmap(original, {
+                resizeWidth: width,
+                resizeHeight: height,
+                resizeQuality: 'high'
+            });
+            // A pontuação roda enquanto os próximos frames são capturados
+            scored.push(this._score(bitmap).then((result) => ({ ...result, original, index })));
+        }
+
+        const frames = await Promise.all(scored);
+        const best = frames.reduce((a, b) => (b.score > a.score ? b : a));
+        return { frames, bestIndex: best.index };
+    }
+
+    _score(bitmap) {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./burst-worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => {
+                const { id, error, ...result } = event.data;
+                const request = this.pending.get(id);
+                if (!request) return;
+
+                this.pending.delete(id);
+                if (error) request.reject(new Error(error));
+                else request.resolve(result);
+            };
+            this.worker.onerror = (event) => {
+                this.pending.forEach((request) => request.reject(new Error(event.message || t('burst.workerError'))));
+                this.pending.clear();
+                this.worker.terminate();
+                this.worker = null;
+            };
+        }
+
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, bitmap, thresholds: this.getThresholds() }, [bitmap]);
+        });
+    }
+}
+
+/**
+ * Tira de miniaturas para revisar a sequência e trocar o frame sugerido.
+ */
+export class BurstFilmstripView {
+    constructor() {
+        this.container = null;
+    }
+
+    /**
+     * Exibe os frames com o melhor pré-selecionado.
+     * @param {{frames: Object[], bestIndex: number}} burst - Resultado de `BurstCapture.capture`.
+     * @returns {Promise<Object|null>} O frame escolhido, ou `null` se o usuário cancelar.
+     */
+    choose({ frames, bestIndex }) {
+        const container = this._getContainer();
+        let selected = frames.find((frame) => frame.index === bestIndex);
+
+        container.innerHTML = `
+            <div class="burst-content">
+                <div class="burst-header">
+                    <h2>${t('burst.title')}</h2>
+                    <small>${t('burst.hint')}</small>
+                </div>
+                <canvas class="burst-preview" aria-label="${t('burst.preview')}"></canvas>
+                <ol class="burst-filmstrip" aria-label="${t('burst.filmstrip')}"></ol>
+                <div class="burst-actions">
+                    <button class="btn" data-action="cancel">${t('common.cancel')}</button>
+                    <button class="btn" data-action="confirm">${t('burst.confirm')}</button>
+                </div>
+            </div>
+        `;
+
+        const preview = container.querySelector('.burst-preview');
+        const filmstrip = container.querySelector('.burst-filmstrip');
+
+        const select = (frame) => {
+            selected = frame;
+            preview.width = frame.frame.width;
+            preview.height = frame.frame.height;
+            preview.getContext('2d').drawImage(frame.frame, 0, 0);
+            filmstrip.querySelectorAll('.burst-frame').forEach((button) => {
+                const isSelected = Number(button.dataset.index) === frame.index;
+                button.classList.toggle('burst-frame--selected', isSelected);
+                button.setAttribute('aria-pressed', String(isSelected));
+            });
+        };
+
+        frames.forEach((frame) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'burst-frame';
+            button.dataset.index = frame.index;
+            button.setAttribute('aria-label', t(frame.index === bestIndex ? 'burst.frameSuggested' : 'burst.frame', { index: frame.index + 1, score: frame.score }));
+
+            const thumb = document.createElement('canvas');
+            thumb.width = 60;
+            thumb.height = Math.round(60 * frame.frame.height / frame.frame.width);
+            thumb.getContext('2d').drawImage(frame.frame, 0, 0, thumb.width, thumb.height);
+
+            const label = document.createElement('small');
+            label.textContent = frame.index === bestIndex ? `⭐ ${frame.score}` : String(frame.score);
+
+            button.append(thumb, label);
+            button.onclick = () => select(frame);
+            item.appendChild(button);
+            filmstrip.appendChild(item);
+        });
+
+        select(selected);
+
+        return new Promise((resolve) => {
+            const finish = (result) => {
+                hideDialog(container);
+                resolve(result);
+            };
+            // Foco no botão de confirmar: Enter aceita a sugestão, Esc cancela
+            showDialog(container, {
+                onEscape: () => finish(null),
+                initialFocus: container.querySelector('[data-action="confirm"]')
+            });
+            container.querySelector('[data-action="cancel"]').onclick = () => finish(null);
+            container.querySelector('[data-action="confirm"]').onclick = () => finish(selected);
+        });
+    }
+
+    _getContainer() {
+        if (!this.container) {
+            this.container = document.createElement('section');
+            this.container.id = 'burstContainer';
+            this.container.className = 'burst-container hidden';
+            this.container.setAttribute('role', 'dialog');
+            this.container.setAttribute('aria-modal', 'true');
+            this.container.setAttribute('aria-label', t('burst.label'));
+            document.body.appendChild(this.container);
+        }
+        return this.container;
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * Web Worker da captura em sequência (burst).
+ * Recebe cada frame já recortado como ImageBitmap, aplica a máscara elíptica e
+ * pontua nitidez, exposição e centralização do rosto, devolvendo o frame mascarado.
+ */
+import { assessImageData, isSkinPixel } from './image-quality.js';
+
+// Pesos da pontuação final (0-100)
+const QUALITY_WEIGHT = 0.5;
+const SHARPNESS_WEIGHT = 30;
+const CENTERING_WEIGHT = 20;
+
+// Nitidez considerada "máxima" relativa ao limite mínimo; diferencia frames que já passam no controle de qualidade
+const SHARPNESS_CEILING_FACTOR = 4;
+
+self.onmessage = (event) => {
+    const { id, bitmap, thresholds } = event.data;
+
+    try {
+        const { width, height } = bitmap;
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+        ctx.beginPath();
+        ctx.ellipse(width / 2, height / 2, width / 2, height / 2, 0, 0, 2 * Math.PI);
+        ctx.clip();
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const { data } = ctx.getImageData(0, 0, width, height);
+        const quality = assessImageData(data, width, height, thresholds);
+        const centering = faceCentering(data, width, height);
+        const sharpness = Math.min(1, (quality.metrics.sharpness || 0) / (thresholds.minSharpness * SHARPNESS_CEILING_FACTOR));
+
+        const score = QUALITY_WEIGHT * quality.score + SHARPNESS_WEIGHT * sharpness + CENTERING_WEIGHT * centering;
+        const frame = canvas.transferToImageBitmap();
+
+        self.postMessage({
+            id,
+            frame,
+            score: Math.round(score),
+            quality: { score: quality.score, verdict: quality.verdict },
+            centering
+        }, [frame]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
+
+/**
+ * Centralização do rosto (0-1) a partir do centroide dos pixels com tom de pele.
+ * 1 = centroide no centro do oval; 0 = deslocado metade do raio ou mais, ou sem pele suficiente.
+ */
+function faceCentering(data, width, height) {
+    let inside = 0, count = 0, sumX = 0, sumY = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            if (data[i + 3] === 0) continue;
+            inside++;
+
+            if (isSkinPixel(data[i], data[i + 1], data[i + 2])) {
+                count++;
+                sumX += x;
+                sumY += y;
+            }
+        }
+    }
+
+    if (count < inside * 0.15) return 0;
+
+    const dx = (sumX / count - width / 2) / (width / 2);
+    const dy = (sumY / count - height / 2) / (height / 2);
+    return Math.max(0, 1 - Math.hypot(dx, dy) / 0.5);
+}
@@ -0,0 +1,193 @@
+/**
+ * CameraControls: seleção do dispositivo de vídeo (lembrando a última escolha)
+ * e ajustes de zoom, lanterna, foco e compensação de exposição, conforme
+ * exposto por `MediaStreamTrack.getCapabilities()`. Os ajustes são aplicados
+ * ao vivo com `applyConstraints`, sem reiniciar o stream.
+ */
+import { t } from './i18n.js';
+
+const DEVICE_KEY = 'faceCapture.cameraDeviceId';
+
+export class CameraControls {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.panel - Painel onde os controles são montados.
+     * @param {HTMLSelectElement} options.select - Seletor de dispositivos.
+     * @param {function(string): void} options.onDeviceChange - Chamado com o `deviceId` escolhido.
+     */
+    constructor({ panel, select, onDeviceChange }) {
+        this.panel = panel;
+        this.select = select;
+        this.onDeviceChange = onDeviceChange;
+        this.track = null;
+
+        this.select?.addEventListener('change', () => {
+            this.preferredDeviceId = this.select.value;
+            this.onDeviceChange(this.select.value);
+        });
+    }
+
+    /**
+     * Último dispositivo escolhido pelo usuário (ou `null`).
+     */
+    get preferredDeviceId() {
+        return localStorage.getItem(DEVICE_KEY);
+    }
+
+    set preferredDeviceId(deviceId) {
+        if (deviceId) localStorage.setItem(DEVICE_KEY, deviceId);
+        else localStorage.removeItem(DEVICE_KEY);
+    }
+
+    toggle() {
+        this.panel?.classList.toggle('hidden');
+    }
+
+    /**
+     * Associa os controles à trilha de vídeo ativa e atualiza a lista de dispositivos.
+     * Os rótulos dos dispositivos só ficam disponíveis após a permissão da câmera.
+     * @param {MediaStreamTrack} track - Trilha de vídeo em uso.
+     */
+    async attach(track) {
+        this.track = track;
+        await this._populateDevices(track.getSettings().deviceId);
+        this._renderCapabilities();
+    }
+
+    async _populateDevices(currentDeviceId) {
+        if (!this.select || !navigator.mediaDevices?.enumerateDevices) return;
+
+        const devices = (await navigator.mediaDevices.enumerateDevices())
+            .filter((device) => device.kind === 'videoinput');
+
+        this.select.innerHTML = '';
+        devices.forEach((device, index) => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || t('camera.deviceFallback', { index: index + 1 });
+            this.select.appendChild(option);
+        });
+
+        if (currentDeviceId) this.select.value = currentDeviceId;
+        this.select.disabled = devices.length < 2;
+    }
+
+    /**
+     * Monta apenas os controles suportados pela câmera atual.
+     */
+    _renderCapabilities() {
+        const container = this.panel?.querySelector('.camera-capabilities');
+        if (!container) return;
+        container.innerHTML = '';
+
+        if (typeof this.track.getCapabilities !== 'function') {
+            container.innerHTML = `<small>${t('camera.controlsUnsupported')}</small>`;
+            return;
+        }
+
+        const capabilities = this.track.getCapabilities();
+        const settings = this.track.getSettings();
+
+        if (capabilities.zoom) {
+            container.appendChild(this._rangeControl(t('camera.zoom'), 'zoom', capabilities.zoom, settings.zoom));
+        }
+
+        if (capabilities.torch) {
+            container.appendChild(this._toggleControl(t('camera.torch'), 'torch', Boolean(settings.torch)));
+        }
+
+        if (capabilities.focusMode?.length) {
+            container.appendChild(this._selectControl(t('camera.focus'), 'focusMode', capabilities.focusMode, settings.focusMode));
+        }
+        if (capabilities.focusDistance) {
+            const focusDistance = this._rangeControl(t('camera.focusDistance'), 'focusDistance', capabilities.focusDistance, settings.focusDistance);
+            // Distância só tem efeito com foco manual
+            focusDistance.classList.toggle('hidden', settings.focusMode !== 'manual');
+            focusDistance.dataset.requires = 'manual';
+            container.appendChild(focusDistance);
+        }
+
+        if (capabilities.exposureCompensation) {
+            container.appendChild(this._rangeControl(t('camera.exposure'), 'exposureCompensation', capabilities.exposureCompensation, settings.exposureCompensation));
+        }
+
+        if (!container.children.length) {
+            container.innerHTML = `<small>${t('camera.controlsNone')}</small>`;
+        }
+    }
+
+    _rangeControl(label, constraint, range, value) {
+        const wrapper = this._controlWrapper(label);
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = range.min;
+        input.max = range.max;
+        input.step = range.step || (range.max - range.min) / 100;
+        input.value = value ?? range.min;
+        input.setAttribute('aria-label', label);
+        input.addEventListener('input', () => this.apply({ [constraint]: Number(input.value) }));
+        wrapper.appendChild(input);
+        return wrapper;
+    }
+
+    _toggleControl(label, constraint, checked) {
+        const wrapper = this._controlWrapper(label);
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = checked;
+        input.setAttribute('aria-label', label);
+        input.addEventListener('change', () => this.apply({ [constraint]: input.checked }));
+        wrapper.appendChild(input);
+        return wrapper;
+    }
+
+    _selectControl(label, constraint, options, value) {
+        const names = {
+            continuous: t('camera.focusMode.continuous'),
+            'single-shot': t('camera.focusMode.singleShot'),
+            manual: t('camera.focusMode.manual'),
+            none: t('camera.focusMode.none')
+        };
+        const wrapper = this._controlWrapper(label);
+        const select = document.createElement('select');
+        select.setAttribute('aria-label', label);
+        options.forEach((option) => {
+            const el = document.createElement('option');
+            el.value = option;
+            el.textContent = names[option] || option;
+            select.appendChild(el);
+        });
+        if (value) select.value = value;
+
+        select.addEventListener('change', async () => {
+            await this.apply({ [constraint]: select.value });
+            this.panel.querySelectorAll('[data-requires]').forEach((el) => {
+                el.classList.toggle('hidden', el.dataset.requires !== select.value);
+            });
+        });
+        wrapper.appendChild(select);
+        return wrapper;
+    }
+
+    _controlWrapper(label) {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'camera-control';
+        const span = document.createElement('span');
+        span.textContent = label;
+        wrapper.appendChild(span);
+        return wrapper;
+    }
+
+    /**
+     * Aplica uma restrição avançada à trilha ativa.
+     * @param {Object} constraint - Ex.: `{ zoom: 2 }`.
+     */
+    async apply(constraint) {
+        if (!this.track) return;
+        try {
+            await this.track.applyConstraints({ advanced: [constraint] });
+        } catch (error) {
+            console.warn('Ajuste de câmera não aplicado:', constraint, error);
+        }
+    }
+}
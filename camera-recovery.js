@@ -0,0 +1,160 @@
+/**
+ * Diagnóstico das falhas da câmera e telas de recuperação: cada erro do `getUserMedia`
+ * vira um tipo (permissão negada, nenhum dispositivo, câmera ocupada, restrições não
+ * atendidas, página sem https...) com orientação própria e botão de tentar novamente.
+ * Também abre a câmera com resoluções cada vez menores quando 1280x720 não é aceita.
+ */
+import { t } from './i18n.js';
+
+// Resoluções tentadas, em ordem; `null` deixa a escolha para o navegador
+const RESOLUTIONS = [{ width: 1280, height: 720 }, { width: 640, height: 480 }, null];
+
+// Tipos em que tentar de novo não adianta sem outra ação (ex.: abrir o app por https)
+const NOT_RETRYABLE = new Set(['insecure', 'unsupported']);
+
+/**
+ * Classifica um erro ao abrir a câmera.
+ * @param {Error} error - Erro do `getUserMedia` (ou da fonte simulada).
+ * @returns {'permission'|'notFound'|'busy'|'overconstrained'|'insecure'|'unsupported'|'unknown'}
+ */
+export function classifyCameraError(error) {
+    switch (error?.name) {
+        case 'NotAllowedError':
+        case 'PermissionDeniedError':
+            return 'permission';
+        case 'SecurityError':
+            // Sem https o navegador recusa a câmera; com https, foi bloqueada por política
+            return window.isSecureContext ? 'permission' : 'insecure';
+        case 'NotFoundError':
+        case 'DevicesNotFoundError':
+            return 'notFound';
+        case 'NotReadableError':
+        case 'TrackStartError':
+        case 'AbortError':
+            return 'busy';
+        case 'OverconstrainedError':
+        case 'ConstraintNotSatisfiedError':
+            return 'overconstrained';
+        case 'NotSupportedError':
+            return 'unsupported';
+        default:
+            return 'unknown';
+    }
+}
+
+/**
+ * Abre a câmera pedindo 1280x720 e, se ela recusar as restrições, resoluções menores.
+ * @param {function(MediaStreamConstraints): Promise<MediaStream>} open - Abre o stream (ex.: `openVideoStream`).
+ * @param {MediaTrackConstraints} video - Restrições fixas (dispositivo ou câmera frontal/traseira).
+ * @returns {Promise<MediaStream>}
+ */
+export async function openWithFallbackResolution(open, video) {
+    let lastError = null;
+    for (const resolution of RESOLUTIONS) {
+        const constraints = resolution
+            ? { ...video, width: { ideal: resolution.width }, height: { ideal: resolution.height } }
+            : { ...video };
+        try {
+            return await open({ video: constraints });
+        } catch (error) {
+            if (classifyCameraError(error) !== 'overconstrained') throw error;
+            console.warn(`Câmera recusou ${resolution ? `${resolution.width}x${resolution.height}` : 'as restrições'}:`, error.constraint || error.message);
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Tela exibida no lugar do vídeo quando a câmera não abre. Sem permissão ou sem
+ * dispositivo, tenta de novo sozinha quando a permissão é dada ou uma câmera é conectada.
+ */
+export class CameraErrorView {
+    /**
+     * @param {Object} options
+     * @param {function(): void} options.onRetry - Tenta abrir a câmera de novo.
+     * @param {function(): void} options.onImport - Abre a importação de uma foto existente.
+     */
+    constructor({ onRetry, onImport }) {
+        this.onRetry = onRetry;
+        this.kind = null;
+        this.error = null;
+        this.stopWatching = null;
+
+        this.dom = {
+            container: document.getElementById('cameraError'),
+            title: document.getElementById('cameraErrorTitle'),
+            message: document.getElementById('cameraErrorMessage'),
+            retryBtn: document.getElementById('cameraRetry'),
+            importBtn: document.getElementById('cameraImport')
+        };
+
+        this.dom.retryBtn?.addEventListener('click', () => this.onRetry());
+        this.dom.importBtn?.addEventListener('click', () => onImport());
+    }
+
+    get visible() {
+        return Boolean(this.dom.container) && !this.dom.container.classList.contains('hidden');
+    }
+
+    /**
+     * Exibe a orientação para o tipo de erro.
+     * @param {string} kind - Resultado de `classifyCameraError`.
+     * @param {Error} [error] - Erro original (a mensagem aparece no tipo `unknown`).
+     */
+    show(kind, error = null) {
+        if (!this.dom.container) return;
+        this.kind = kind;
+        this.error = error;
+        this.render();
+        this.dom.container.classList.remove('hidden');
+        this._watchForRecovery(kind);
+        (NOT_RETRYABLE.has(kind) ? this.dom.importBtn : this.dom.retryBtn)?.focus();
+    }
+
+    hide() {
+        this.stopWatching?.();
+        this.stopWatching = null;
+        this.kind = null;
+        this.dom.container?.classList.add('hidden');
+    }
+
+    /**
+     * Refaz os textos (ex.: ao trocar de idioma).
+     */
+    render() {
+        if (!this.kind) return;
+        this.dom.title.textContent = t(`camera.error.${this.kind}.title`);
+        this.dom.message.textContent = t(`camera.error.${this.kind}.message`, { message: this.error?.message || '' });
+        this.dom.retryBtn?.classList.toggle('hidden', NOT_RETRYABLE.has(this.kind));
+    }
+
+    /**
+     * Tenta de novo automaticamente quando a causa some: permissão concedida nas
+     * configurações do navegador ou câmera conectada.
+     */
+    _watchForRecovery(kind) {
+        this.stopWatching?.();
+        this.stopWatching = null;
+
+        if (kind === 'notFound' && navigator.mediaDevices) {
+            const onDeviceChange = () => this.onRetry();
+            navigator.mediaDevices.addEventListener('devicechange', onDeviceChange);
+            this.stopWatching = () => navigator.mediaDevices.removeEventListener('devicechange', onDeviceChange);
+        } else if (kind === 'permission' && navigator.permissions?.query) {
+            let status = null;
+            const onChange = () => {
+                if (status.state === 'granted') this.onRetry();
+            };
+            // Nem todo navegador aceita consultar a permissão da câmera (ex.: Firefox antigo)
+            navigator.permissions.query({ name: 'camera' })
+                .then((result) => {
+                    if (this.kind !== 'permission') return;
+                    status = result;
+                    status.addEventListener('change', onChange);
+                })
+                .catch(() => {});
+            this.stopWatching = () => status?.removeEventListener('change', onChange);
+        }
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * Imagem enviada para análise: foto na resolução máxima da câmera (`ImageCapture.takePhoto`,
+ * quando disponível) ou frame do vídeo, recortada no oval e codificada em PNG, JPEG ou WebP
+ * no tamanho escolhido nos ajustes da câmera. Recorte e codificação rodam em um Web Worker
+ * (capture-worker.js) com OffscreenCanvas.
+ */
+import { t } from './i18n.js';
+import { applyColorGains } from './color-calibration.js';
+
+const OUTPUT_KEY = 'faceCapture.captureOutput';
+
+// Algumas câmeras refazem foco e exposição antes da foto; passado o prazo, usa o frame do vídeo
+const TAKE_PHOTO_TIMEOUT_MS = 4000;
+
+// O rótulo é um getter para acompanhar o idioma atual da interface
+const outputFormat = (id, type, quality) => ({ id, type, quality, get label() { return t(`output.format.${id}`); } });
+
+export const OUTPUT_FORMATS = [
+    outputFormat('png', 'image/png'),
+    outputFormat('jpeg', 'image/jpeg', 0.95),
+    outputFormat('webp', 'image/webp', 0.92)
+];
+
+const outputSize = (maxWidth, key = 'output.size.width') => ({ maxWidth, get label() { return t(key, { width: maxWidth }); } });
+
+// Largura máxima do recorte (0 = resolução da origem); o recorte nunca é ampliado
+export const OUTPUT_SIZES = [
+    outputSize(0, 'output.size.original'),
+    outputSize(2048),
+    outputSize(1200),
+    outputSize(640),
+    outputSize(307, 'output.size.legacy')
+];
+
+const DEFAULT_OUTPUT = { format: 'png', maxWidth: 1200 };
+
+const FILE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+
+/**
+ * @returns {{format: string, maxWidth: number}} Formato e largura máxima da imagem enviada.
+ */
+export function loadOutputSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(OUTPUT_KEY) || '{}');
+        return {
+            format: OUTPUT_FORMATS.some((format) => format.id === saved.format) ? saved.format : DEFAULT_OUTPUT.format,
+            maxWidth: OUTPUT_SIZES.some((size) => size.maxWidth === saved.maxWidth) ? saved.maxWidth : DEFAULT_OUTPUT.maxWidth
+        };
+    } catch {
+        return { ...DEFAULT_OUTPUT };
+    }
+}
+
+export function saveOutputSettings(changes) {
+    localStorage.setItem(OUTPUT_KEY, JSON.stringify({ ...loadOutputSettings(), ...changes }));
+}
+
+/**
+ * Indica se o navegador sabe codificar o formato (sem suporte, `toBlob` devolve PNG).
+ * @param {string} type - Tipo MIME.
+ */
+export function canEncode(type) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 1;
+    return canvas.toDataURL(type).startsWith(`data:${type}`);
+}
+
+/**
+ * Nome de arquivo com a extensão do formato da imagem.
+ * @param {string} base - Nome sem extensão.
+ * @param {Blob} blob
+ */
+export function imageFileName(base, blob) {
+    return `${base}.${FILE_EXTENSIONS[blob?.type] || 'png'}`;
+}
+
+/**
+ * @returns {boolean} Se o navegador tira fotos pela câmera (`ImageCapture.takePhoto`).
+ */
+export function supportsStillPhoto() {
+    return 'ImageCapture' in self;
+}
+
+/**
+ * Tira uma foto na resolução máxima da câmera.
+ * @param {MediaStreamTrack} track - Trilha de vídeo da câmera.
+ * @returns {Promise<ImageBitmap|null>} A foto, ou `null` sem suporte ou em caso de falha
+ *   (o chamador usa o frame do vídeo).
+ */
+export async function takeStillPhoto(track) {
+    if (!supportsStillPhoto() || track?.readyState !== 'live') return null;
+
+    let timer = null;
+    try {
+        const capture = new ImageCapture(track);
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`takePhoto sem resposta em ${TAKE_PHOTO_TIMEOUT_MS} ms`)), TAKE_PHOTO_TIMEOUT_MS);
+        });
+        const photo = await Promise.race([
+            capture.getPhotoCapabilities().then(({ imageWidth, imageHeight }) => capture.takePhoto(
+                imageWidth?.max ? { imageWidth: imageWidth.max, imageHeight: imageHeight.max } : {}
+            )),
+            timeout
+        ]);
+        return await createImageBitmap(photo);
+    } catch (error) {
+        console.warn('Foto em alta resolução indisponível, usando o frame do vídeo:', error);
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Converte a área do oval no frame do vídeo para as coordenadas da foto. A foto pode ter
+ * outra proporção (ex.: 4:3 do sensor inteiro, com o vídeo em 16:9 recortado do centro).
+ * @param {{sx: number, sy: number, sw: number, sh: number}} crop - Área no frame do vídeo.
+ * @param {{width: number, height: number}} video - Resolução do vídeo.
+ * @param {{width: number, height: number}} photo - Resolução da foto.
+ * @returns {{sx: number, sy: number, sw: number, sh: number}} Área na foto.
+ */
+export function mapCropToPhoto(crop, video, photo) {
+    const scale = Math.min(photo.width / video.width, photo.height / video.height);
+    const offsetX = (photo.width - video.width * scale) / 2;
+    const offsetY = (photo.height - video.height * scale) / 2;
+    return {
+        sx: offsetX + crop.sx * scale,
+        sy: offsetY + crop.sy * scale,
+        sw: crop.sw * scale,
+        sh: crop.sh * scale
+    };
+}
+
+/**
+ * Recorta e codifica a imagem enviada para análise.
+ */
+export class CaptureEncoder {
+    constructor() {
+        this.worker = null;
+        this.pending = new Map();
+        this.nextRequestId = 1;
+    }
+
+    static supportsWorker() {
+        return 'Worker' in self && 'OffscreenCanvas' in self && 'convertToBlob' in OffscreenCanvas.prototype;
+    }
+
+    /**
+     * Recorta o oval da imagem de origem no tamanho de saída, aplica a correção de cor e
+     * codifica no formato escolhido.
+     * @param {ImageBitmap} bitmap - Origem em resolução nativa (transferida ao worker e fechada).
+     * @param {{sx: number, sy: number, sw: number, sh: number}} crop - Área do oval na origem.
+     * @param {Object} [options]
+     * @param {number[]} [options.gains] - Ganhos [r, g, b] da correção de cor.
+     * @returns {Promise<{blob: Blob, width: number, height: number}>}
+     */
+    async encode(bitmap, crop, { gains = null } = {}) {
+        const settings = loadOutputSettings();
+        const format = OUTPUT_FORMATS.find((candidate) => candidate.id === settings.format);
+
+        const sourceWidth = Math.max(1, Math.round(crop.sw));
+        const width = settings.maxWidth ? Math.min(sourceWidth, settings.maxWidth) : sourceWidth;
+        const height = Math.max(1, Math.round(width * crop.sh / crop.sw));
+        const job = { crop, width, height, type: format.type, quality: format.quality, gains };
+
+        const blob = CaptureEncoder.supportsWorker()
+            ? await this._encodeInWorker(bitmap, job)
+            : await encodeOnMainThread(bitmap, job);
+        return { blob, width, height };
+    }
+
+    _encodeInWorker(bitmap, job) {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./capture-worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => {
+                const { id, error, blob } = event.data;
+                const request = this.pending.get(id);
+                if (!request) return;
+
+                this.pending.delete(id);
+                if (error) request.reject(new Error(error));
+                else request.resolve(blob);
+            };
+            this.worker.onerror = (event) => {
+                this.pending.forEach((request) => request.reject(new Error(event.message || t('output.workerError'))));
+                this.pending.clear();
+                this.worker.terminate();
+                this.worker = null;
+            };
+        }
+
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, bitmap, ...job }, [bitmap]);
+        });
+    }
+}
+
+/**
+ * Mesmo recorte do worker, na thread principal (navegadores sem OffscreenCanvas).
+ */
+async function encodeOnMainThread(bitmap, { crop, width, height, type, quality, gains }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    ctx.beginPath();
+    ctx.ellipse(width / 2, height / 2, width / 2, height / 2, 0, 0, 2 * Math.PI);
+    ctx.clip();
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(bitmap, crop.sx, crop.sy, crop.sw, crop.sh, 0, 0, width, height);
+    bitmap.close();
+
+    if (gains) applyColorGains(canvas, gains);
+
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+    if (!blob) throw new Error(t('output.encodeError'));
+    return blob;
+}
@@ -0,0 +1,272 @@
+/**
+ * Sessão de captura guiada em múltiplos ângulos (frontal e perfis 3/4).
+ * Cada etapa tem seu próprio guia e instrução, pode ser refeita sem perder
+ * as demais, e a sessão inteira é enviada e resumida em um único resultado.
+ */
+import { t } from './i18n.js';
+import { confirmDialog } from './feedback.js';
+
+// Rótulos e instruções são getters: acompanham o idioma atual da interface
+
+export const CAPTURE_STEPS = [
+    {
+        id: 'frontal',
+        get label() { return t('session.step.frontal'); },
+        pose: 'frontal',
+        get instruction() { return t('session.step.frontalInstruction'); },
+        guideClass: 'ellipse-guide--frontal'
+    },
+    {
+        id: 'esquerda',
+        get label() { return t('session.step.left'); },
+        pose: 'left',
+        get instruction() { return t('session.step.leftInstruction'); },
+        guideClass: 'ellipse-guide--left'
+    },
+    {
+        id: 'direita',
+        get label() { return t('session.step.right'); },
+        pose: 'right',
+        get instruction() { return t('session.step.rightInstruction'); },
+        guideClass: 'ellipse-guide--right'
+    }
+];
+
+const average = (values) => {
+    const valid = values.filter((value) => Number.isFinite(value));
+    return valid.length ? valid.reduce((sum, value) => sum + value, 0) / valid.length : undefined;
+};
+
+/**
+ * Combina os resultados por ângulo em um resumo no mesmo formato de `analysisData`.
+ * - Fitzpatrick e textura vêm da foto frontal (iluminação e ângulo mais confiáveis).
+ * - Manchas e rugas usam a classificação do ângulo mais afetado (bochechas e têmporas aparecem nos perfis).
+ * - Percentuais e textura numérica são médias; número de manchas é o maior entre os ângulos,
+ *   já que as regiões se sobrepõem.
+ * @param {{step: Object, analysisData: Object}[]} results - Resultados por ângulo, na ordem das etapas.
+ * @returns {Object} Resumo combinado.
+ */
+export function summarizeSession(results) {
+    const data = results.map((result) => result.analysisData);
+    const frontal = results.find((result) => result.step.pose === 'frontal')?.analysisData || data[0];
+    const detail = (path) => data.map((item) => Number(path(item)));
+    const mostAffected = (path) => data.reduce((worst, item) => (Number(path(item)) > Number(path(worst)) ? item : worst), data[0]);
+
+    const spotCounts = detail((item) => item.detalhes?.manchas?.numero).filter(Number.isFinite);
+
+    return {
+        fitzpatrick: frontal.fitzpatrick,
+        textura: frontal.textura,
+        manchas: mostAffected((item) => item.detalhes?.manchas?.porcentagem ?? -1).manchas,
+        rugas: mostAffected((item) => item.detalhes?.rugas?.porcentagem ?? -1).rugas,
+        detalhes: {
+            manchas: {
+                numero: spotCounts.length ? Math.max(...spotCounts) : undefined,
+                porcentagem: average(detail((item) => item.detalhes?.manchas?.porcentagem))
+            },
+            textura: {
+                contraste: average(detail((item) => item.detalhes?.textura?.contraste)),
+                homogeneidade: average(detail((item) => item.detalhes?.textura?.homogeneidade))
+            },
+            rugas: {
+                porcentagem: average(detail((item) => item.detalhes?.rugas?.porcentagem))
+            }
+        },
+        face_detectada: {
+            confianca: Math.min(...data.map((item) => item.face_detectada?.confianca ?? 0)),
+            metodo: t('session.method', { count: results.length })
+        },
+        provedor: frontal.provedor,
+        estimativa_local: data.some((item) => item.estimativa_local) || undefined
+    };
+}
+
+export class CaptureSession {
+    constructor() {
+        this.active = false;
+        this.id = null;
+        this.captures = new Map(); // stepId -> { blob, meta }
+        this.currentIndex = 0;
+    }
+
+    start() {
+        this.active = true;
+        this.id = `sessao-${Date.now()}`;
+        this.captures.clear();
+        this.currentIndex = 0;
+    }
+
+    cancel() {
+        this.active = false;
+        this.captures.clear();
+    }
+
+    get currentStep() {
+        return CAPTURE_STEPS[this.currentIndex];
+    }
+
+    get isComplete() {
+        return CAPTURE_STEPS.every((step) => this.captures.has(step.id));
+    }
+
+    /**
+     * Registra a captura da etapa atual e avança para a próxima etapa pendente.
+     * @param {Blob} blob - Imagem recortada.
+     * @param {Object} meta - Metadados da captura (qualidade, etc.).
+     */
+    record(blob, meta) {
+        this.captures.set(this.currentStep.id, { blob, meta });
+
+        const next = CAPTURE_STEPS.findIndex((step) => !this.captures.has(step.id));
+        if (next !== -1) this.currentIndex = next;
+    }
+
+    /**
+     * Seleciona uma etapa para (re)capturar; as demais capturas são mantidas.
+     * @param {string} stepId
+     */
+    select(stepId) {
+        const index = CAPTURE_STEPS.findIndex((step) => step.id === stepId);
+        if (index !== -1) this.currentIndex = index;
+    }
+
+    /**
+     * Capturas na ordem das etapas, com os metadados da sessão para o envio.
+     * @returns {{step: Object, blob: Blob, meta: Object}[]}
+     */
+    getCaptures() {
+        return CAPTURE_STEPS.filter((step) => this.captures.has(step.id)).map((step, index, steps) => {
+            const { blob, meta } = this.captures.get(step.id);
+            return {
+                step,
+                blob,
+                meta: { ...meta, session: { id: this.id, angle: step.id, index, total: steps.length } }
+            };
+        });
+    }
+}
+
+/**
+ * Barra da sessão multiângulo: mostra as etapas (com miniatura das já capturadas),
+ * ajusta o guia e a instrução à etapa atual e permite refazer qualquer etapa.
+ */
+export class CaptureSessionView {
+    /**
+     * @param {CaptureSession} session - Estado da sessão.
+     * @param {Object} options
+     * @param {FaceAlignmentGuide} options.faceGuide - Guia de alinhamento (recebe a pose esperada).
+     * @param {function(): void} options.onAnalyze - Chamado quando o usuário envia a sessão completa.
+     */
+    constructor(session, { faceGuide, onAnalyze }) {
+        this.session = session;
+        this.faceGuide = faceGuide;
+        this.onAnalyze = onAnalyze;
+        this.objectUrls = [];
+
+        this.dom = {
+            bar: document.getElementById('sessionBar'),
+            steps: document.getElementById('sessionSteps'),
+            analyze: document.getElementById('sessionAnalyze'),
+            cancel: document.getElementById('sessionCancel'),
+            toggle: document.getElementById('sessionBtn'),
+            guide: document.querySelector('.ellipse-guide'),
+            instruction: document.getElementById('guideInstruction')
+        };
+
+        this.dom.analyze?.addEventListener('click', () => this.onAnalyze());
+        this.dom.cancel?.addEventListener('click', () => this.cancel());
+    }
+
+    toggle() {
+        if (this.session.active) this.cancel();
+        else this.start();
+    }
+
+    start() {
+        this.session.start();
+        this.dom.bar?.classList.remove('hidden');
+        this.render();
+    }
+
+    /**
+     * Encerra a sessão, pedindo confirmação se houver fotos que seriam descartadas.
+     */
+    async cancel() {
+        if (this.session.captures.size > 0 && !await confirmDialog(t('session.discardConfirm'), { danger: true })) return;
+        this.end();
+    }
+
+    /**
+     * Encerra a sessão e restaura o guia frontal padrão.
+     */
+    end() {
+        this.session.cancel();
+        this._revokeUrls();
+        this.dom.bar?.classList.add('hidden');
+        this.dom.toggle?.setAttribute('aria-pressed', 'false');
+        CAPTURE_STEPS.forEach((step) => this.dom.guide?.classList.remove(step.guideClass));
+        if (this.dom.instruction) this.dom.instruction.textContent = t('instructions.center');
+        this.faceGuide.setTargetPose('frontal');
+    }
+
+    /**
+     * Guarda a foto da etapa atual e passa para a próxima pendente.
+     * @param {Blob} blob - Imagem recortada.
+     * @param {Object} meta - Metadados da captura.
+     */
+    record(blob, meta) {
+        this.session.record(blob, meta);
+        this.render();
+    }
+
+    render() {
+        const current = this.session.currentStep;
+
+        this.dom.toggle?.setAttribute('aria-pressed', 'true');
+        CAPTURE_STEPS.forEach((step) => this.dom.guide?.classList.toggle(step.guideClass, step === current));
+        if (this.dom.instruction) {
+            this.dom.instruction.textContent = t('session.stepInstruction', {
+                step: this.session.currentIndex + 1,
+                total: CAPTURE_STEPS.length,
+                label: current.label,
+                instruction: current.instruction
+            });
+        }
+        this.faceGuide.setTargetPose(current.pose);
+
+        this._revokeUrls();
+        this.dom.steps.innerHTML = '';
+        CAPTURE_STEPS.forEach((step) => {
+            const capture = this.session.captures.get(step.id);
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'session-step';
+            button.classList.toggle('session-step--current', step === current);
+            button.classList.toggle('session-step--done', Boolean(capture));
+            button.setAttribute('aria-current', String(step === current));
+            button.setAttribute('aria-label', t(capture ? 'session.retakeStep' : 'session.captureStep', { label: step.label }));
+
+            if (capture) {
+                const url = URL.createObjectURL(capture.blob);
+                this.objectUrls.push(url);
+                button.innerHTML = `<img src="${url}" alt=""><span>${step.label}</span>`;
+            } else {
+                button.innerHTML = `<span class="session-step-placeholder">📷</span><span>${step.label}</span>`;
+            }
+
+            button.onclick = () => {
+                this.session.select(step.id);
+                this.render();
+            };
+            item.appendChild(button);
+            this.dom.steps.appendChild(item);
+        });
+
+        if (this.dom.analyze) this.dom.analyze.disabled = !this.session.isComplete;
+    }
+
+    _revokeUrls() {
+        this.objectUrls.forEach((url) => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+    }
+}
@@ -0,0 +1,36 @@
+/**
+ * Web Worker do recorte enviado para análise. Recebe a imagem de origem em resolução
+ * nativa (foto da câmera, frame do vídeo ou foto importada) e a área do oval, desenha
+ * o recorte elíptico no tamanho de saída, aplica a correção de cor e codifica no
+ * formato escolhido, sem travar a interface com imagens grandes.
+ */
+import { applyGainsToImageData } from './color-calibration.js';
+
+self.onmessage = async (event) => {
+    const { id, bitmap, crop, width, height, type, quality, gains } = event.data;
+
+    try {
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+
+        ctx.beginPath();
+        ctx.ellipse(width / 2, height / 2, width / 2, height / 2, 0, 0, 2 * Math.PI);
+        ctx.clip();
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(bitmap, crop.sx, crop.sy, crop.sw, crop.sh, 0, 0, width, height);
+
+        if (gains) {
+            const image = ctx.getImageData(0, 0, width, height);
+            applyGainsToImageData(image, gains);
+            ctx.putImageData(image, 0, 0);
+        }
+
+        // Formatos sem suporte de codificação (ex.: WebP em alguns navegadores) saem em PNG
+        const blob = await canvas.convertToBlob({ type, quality });
+        self.postMessage({ id, blob });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    } finally {
+        bitmap.close();
+    }
+};
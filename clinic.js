@@ -0,0 +1,567 @@
+/**
+ * Modo clínica: vários pacientes no mesmo aparelho. Cada paciente tem um cadastro
+ * (ID, nome e observações), o próprio consentimento e as próprias análises; o
+ * bloqueio de quiosque (PIN da equipe) impede quem está com o aparelho de ver os
+ * dados dos demais pacientes.
+ */
+import { STORES, promisifyRequest, withTransaction } from './db.js';
+import { CONSENT_VERSION, openRecord, sealRecord } from './privacy.js';
+import { confirmDialog, hideDialog, notify, promptDialog, showDialog } from './feedback.js';
+import { formatDate, t } from './i18n.js';
+
+const SETTINGS_KEY = 'faceCapture.clinic';
+const PIN_ITERATIONS = 100000;
+const PIN_PATTERN = /^\d{4,}$/;
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+/**
+ * Cadastro de pacientes no IndexedDB. Nome e observações são cifrados junto com
+ * os demais dados (privacy.js); ID e consentimento ficam em claro.
+ */
+export class PatientRegistry {
+    /**
+     * @param {DataVault|null} [vault=null] - Cofre usado para cifrar/decifrar os cadastros.
+     */
+    constructor(vault = null) {
+        this.vault = vault;
+    }
+
+    /**
+     * Lista os pacientes em ordem alfabética. Com o cofre bloqueado, os nomes
+     * não podem ser lidos: os cadastros vêm só com o ID (`locked: true`).
+     * @returns {Promise<Object[]>}
+     */
+    async list() {
+        const records = await withTransaction(STORES.patients, 'readonly',
+            (tx) => tx.objectStore(STORES.patients).getAll());
+        const patients = await Promise.all(records.map((record) => this._open(record)));
+        return patients.sort((a, b) => (a.name || a.id).localeCompare(b.name || b.id));
+    }
+
+    /**
+     * @param {string} id - ID do paciente.
+     * @returns {Promise<Object|undefined>} O cadastro (só com o ID e o consentimento, com o cofre bloqueado).
+     */
+    async get(id) {
+        const record = await withTransaction(STORES.patients, 'readonly',
+            (tx) => tx.objectStore(STORES.patients).get(id));
+        return record && this._open(record);
+    }
+
+    /**
+     * @param {string} id - ID do paciente.
+     * @returns {Promise<boolean>} `true` se já há um cadastro com este ID (lido mesmo com o cofre bloqueado).
+     */
+    async exists(id) {
+        const count = await withTransaction(STORES.patients, 'readonly',
+            (tx) => tx.objectStore(STORES.patients).count(id));
+        return count > 0;
+    }
+
+    /**
+     * Cria ou atualiza um cadastro (mantendo o consentimento já registrado).
+     * @param {{id: string, name: string, notes?: string}} patient
+     * @returns {Promise<Object>} O cadastro salvo.
+     */
+    async save({ id, name, notes = '' }) {
+        const existing = await withTransaction(STORES.patients, 'readonly',
+            (tx) => tx.objectStore(STORES.patients).get(id));
+        const record = {
+            consent: null,
+            createdAt: Date.now(),
+            ...(existing && await openRecord(this.vault, existing)),
+            id,
+            name,
+            notes
+        };
+        const stored = await sealRecord(this.vault, STORES.patients, record);
+        await withTransaction(STORES.patients, 'readwrite', (tx) => tx.objectStore(STORES.patients).put(stored));
+        return record;
+    }
+
+    /**
+     * Registra o aceite da versão atual do termo pelo paciente.
+     * @param {string} id - ID do paciente.
+     * @returns {Promise<Object>} O registro do consentimento.
+     */
+    recordConsent(id) {
+        return this._updateConsent(id, () => ({ version: CONSENT_VERSION, acceptedAt: new Date().toISOString() }));
+    }
+
+    /**
+     * Registra a retirada do consentimento, mantendo versão e data do aceite.
+     * @param {string} id - ID do paciente.
+     * @returns {Promise<Object>} O registro do consentimento.
+     */
+    recordConsentWithdrawal(id) {
+        return this._updateConsent(id, (previous) => ({ version: CONSENT_VERSION, ...previous, withdrawnAt: new Date().toISOString() }));
+    }
+
+    /**
+     * @param {string} id - ID do paciente.
+     * @returns {Promise<number>} Quantidade de análises salvas do paciente.
+     */
+    countAnalyses(id) {
+        return withTransaction(STORES.analyses, 'readonly',
+            (tx) => tx.objectStore(STORES.analyses).index('patientId').count(id));
+    }
+
+    /**
+     * Exclui as análises e as capturas pendentes do paciente (o cadastro é mantido).
+     * @param {string} id - ID do paciente.
+     */
+    removeData(id) {
+        const storeNames = [STORES.analyses, STORES.uploadQueue];
+        return withTransaction(storeNames, 'readwrite', async (tx) => {
+            const analyses = tx.objectStore(STORES.analyses);
+            const keys = await promisifyRequest(analyses.index('patientId').getAllKeys(id));
+            keys.forEach((key) => analyses.delete(key));
+
+            // A fila não tem índice por paciente: é pequena e percorrida inteira
+            const queue = tx.objectStore(STORES.uploadQueue);
+            const entries = await promisifyRequest(queue.getAll());
+            entries.filter((entry) => entry.patientId === id).forEach((entry) => queue.delete(entry.id));
+        });
+    }
+
+    /**
+     * Exclui o paciente e todos os seus dados.
+     * @param {string} id - ID do paciente.
+     */
+    async remove(id) {
+        await this.removeData(id);
+        await withTransaction(STORES.patients, 'readwrite', (tx) => tx.objectStore(STORES.patients).delete(id));
+    }
+
+    async _open(record) {
+        try {
+            return await openRecord(this.vault, record);
+        } catch (error) {
+            if (!error.locked) throw error;
+            const { sealed, ...stored } = record;
+            return { ...stored, name: null, notes: '', locked: true };
+        }
+    }
+
+    /**
+     * O consentimento fica em claro: é alterado sem decifrar o cadastro (funciona com o cofre bloqueado).
+     */
+    _updateConsent(id, update) {
+        return withTransaction(STORES.patients, 'readwrite', async (tx) => {
+            const store = tx.objectStore(STORES.patients);
+            const record = await promisifyRequest(store.get(id));
+            if (!record) throw new Error(t('patient.notFound'));
+            record.consent = update(record.consent);
+            store.put(record);
+            return record.consent;
+        });
+    }
+}
+
+/**
+ * Ajustes do modo clínica neste aparelho: ligado/desligado, paciente em atendimento
+ * e bloqueio de quiosque (protegido por um PIN da equipe, guardado só como hash).
+ */
+export class ClinicMode {
+    constructor() {
+        this.settings = this._load();
+    }
+
+    get enabled() {
+        return this.settings.enabled;
+    }
+
+    get locked() {
+        return this.settings.enabled && this.settings.locked;
+    }
+
+    /** @returns {string|null} ID do paciente em atendimento. */
+    get activePatientId() {
+        return this.settings.enabled ? this.settings.activePatientId : null;
+    }
+
+    get hasPin() {
+        return Boolean(this.settings.pin);
+    }
+
+    /**
+     * Liga ou desliga o modo clínica. Ao desligar, o PIN e o paciente em atendimento são esquecidos.
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this._save(enabled
+            ? { enabled: true, locked: false }
+            : { enabled: false, locked: false, activePatientId: null, pin: null });
+    }
+
+    /**
+     * @param {string|null} id - Paciente em atendimento.
+     */
+    setActivePatient(id) {
+        this._save({ activePatientId: id });
+    }
+
+    lock() {
+        this._save({ locked: true });
+    }
+
+    unlock() {
+        this._save({ locked: false });
+    }
+
+    /**
+     * Define o PIN da equipe (guardado como hash PBKDF2 com sal).
+     * @param {string} pin
+     */
+    async setPin(pin) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const hash = await this._hashPin(pin, salt, PIN_ITERATIONS);
+        this._save({ pin: { salt: toBase64(salt), hash, iterations: PIN_ITERATIONS } });
+    }
+
+    /**
+     * @param {string} pin
+     * @returns {Promise<boolean>} `true` se o PIN confere.
+     */
+    async checkPin(pin) {
+        const saved = this.settings.pin;
+        if (!saved) return false;
+        return await this._hashPin(pin, fromBase64(saved.salt), saved.iterations) === saved.hash;
+    }
+
+    /**
+     * Bloqueia o aparelho no paciente em atendimento. Na primeira vez, pede (duas vezes) o PIN da equipe.
+     * @returns {Promise<boolean>} `true` se ficou bloqueado.
+     */
+    async lockWithPrompt() {
+        if (!this.activePatientId) {
+            notify(t('kiosk.needsPatient'), { type: 'error' });
+            return false;
+        }
+
+        if (!this.hasPin) {
+            const pin = await promptDialog(t('kiosk.createPin'), { type: 'password' });
+            if (pin === null) return false;
+            if (!PIN_PATTERN.test(pin)) {
+                notify(t('kiosk.pinTooShort'), { type: 'error' });
+                return false;
+            }
+            const confirmation = await promptDialog(t('kiosk.confirmPin'), { type: 'password' });
+            if (confirmation === null) return false;
+            if (confirmation !== pin) {
+                notify(t('kiosk.pinMismatch'), { type: 'error' });
+                return false;
+            }
+            await this.setPin(pin);
+        }
+
+        this.lock();
+        notify(t('kiosk.locked'), { type: 'success' });
+        return true;
+    }
+
+    /**
+     * Pede o PIN da equipe e desbloqueia o aparelho.
+     * @returns {Promise<boolean>} `true` se foi desbloqueado.
+     */
+    async unlockWithPrompt() {
+        const pin = await promptDialog(t('kiosk.unlockPrompt'), { type: 'password', confirmLabel: t('kiosk.unlock') });
+        if (pin === null) return false;
+        if (!(await this.checkPin(pin))) {
+            notify(t('kiosk.wrongPin'), { type: 'error' });
+            return false;
+        }
+
+        this.unlock();
+        notify(t('kiosk.unlocked'), { type: 'success' });
+        return true;
+    }
+
+    _load() {
+        const defaults = { enabled: false, locked: false, activePatientId: null, pin: null };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+        } catch {
+            return defaults;
+        }
+    }
+
+    _save(changes) {
+        this.settings = { ...this.settings, ...changes };
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+    }
+
+    async _hashPin(pin, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, material, 256);
+        return toBase64(bits);
+    }
+}
+
+/**
+ * Identificação do paciente para exibição: nome e ID, ou só o ID com o cofre bloqueado.
+ * @param {Object} patient
+ * @returns {string}
+ */
+export function describePatient(patient) {
+    if (!patient) return '';
+    return patient.name ? t('patient.label', { name: patient.name, id: patient.id }) : t('patient.lockedName', { id: patient.id });
+}
+
+/**
+ * Escolha (ou cadastro) do paciente na tela de consentimento.
+ */
+export class PatientPicker {
+    /**
+     * @param {PatientRegistry} registry - Cadastro de pacientes.
+     */
+    constructor(registry) {
+        this.registry = registry;
+        this.options = {};
+
+        this.dom = {
+            select: document.getElementById('patientSelect'),
+            newBtn: document.getElementById('newPatientBtn'),
+            form: document.getElementById('patientForm'),
+            idInput: document.getElementById('patientIdInput'),
+            nameInput: document.getElementById('patientNameInput'),
+            notesInput: document.getElementById('patientNotesInput'),
+            cancelBtn: document.getElementById('patientFormCancel')
+        };
+
+        this.dom.newBtn?.addEventListener('click', () => this.openForm());
+        this.dom.cancelBtn?.addEventListener('click', () => this.closeForm());
+        this.dom.form?.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this._create();
+        });
+    }
+
+    /** @returns {string|null} ID do paciente escolhido. */
+    get selectedId() {
+        return this.dom.select?.value || null;
+    }
+
+    get formVisible() {
+        return Boolean(this.dom.form) && !this.dom.form.classList.contains('hidden');
+    }
+
+    /**
+     * (Re)preenche a lista de pacientes.
+     * @param {Object} [options]
+     * @param {boolean} [options.kiosk=false] - Aparelho bloqueado: só o paciente em atendimento.
+     * @param {string|null} [options.activeId=null] - Paciente em atendimento.
+     * @param {string|null} [options.patientId] - Paciente a selecionar (padrão: o já selecionado).
+     * @param {boolean} [options.newPatient] - Abre (`true`) ou fecha (`false`) o cadastro de um
+     *        novo paciente; sem a opção, o cadastro fica como está (e abre se não houver pacientes).
+     */
+    async render({ kiosk = false, activeId = null, patientId = this.selectedId, newPatient } = {}) {
+        const { select } = this.dom;
+        if (!select) return;
+        this.options = { kiosk, activeId };
+
+        let patients = [];
+        try {
+            patients = await this.registry.list();
+        } catch (error) {
+            console.error('Erro ao carregar pacientes:', error);
+            notify(t('patient.error', { message: error.message }), { type: 'error' });
+        }
+        if (kiosk) patients = patients.filter((patient) => patient.id === activeId);
+
+        select.innerHTML = `<option value="">${t('patient.placeholder')}</option>`;
+        patients.forEach((patient) => {
+            const option = document.createElement('option');
+            option.value = patient.id;
+            // Nome definido via textContent, pois é digitado pela equipe
+            option.textContent = describePatient(patient);
+            select.appendChild(option);
+        });
+        select.value = patients.some((patient) => patient.id === patientId) ? patientId : (kiosk ? activeId || '' : '');
+        select.disabled = kiosk;
+
+        if (kiosk || newPatient === false) this.closeForm();
+        if (!kiosk && (newPatient || patients.length === 0) && !this.formVisible) this.openForm();
+    }
+
+    openForm() {
+        const { dom } = this;
+        if (!dom.form) return;
+        dom.form.reset();
+        dom.form.classList.remove('hidden');
+        dom.newBtn?.classList.add('hidden');
+        dom.idInput?.focus();
+    }
+
+    closeForm() {
+        this.dom.form?.classList.add('hidden');
+        this.dom.newBtn?.classList.remove('hidden');
+    }
+
+    async _create() {
+        const { dom } = this;
+        const id = dom.idInput.value.trim();
+        const name = dom.nameInput.value.trim();
+        if (!id || !name) {
+            notify(t('patient.fieldsRequired'), { type: 'error' });
+            return;
+        }
+
+        try {
+            if (await this.registry.exists(id)) {
+                notify(t('patient.exists', { id }), { type: 'error' });
+                dom.idInput.focus();
+                return;
+            }
+            await this.registry.save({ id, name, notes: dom.notesInput.value.trim() });
+            await this.render({ ...this.options, patientId: id, newPatient: false });
+            document.getElementById('acceptConsent')?.focus();
+        } catch (error) {
+            console.error('Erro ao cadastrar paciente:', error);
+            notify(t('patient.error', { message: error.message }), { type: 'error' });
+        }
+    }
+}
+
+/**
+ * Lista de pacientes (equipe): consentimento, análises salvas e ações por paciente.
+ */
+export class PatientListView {
+    /**
+     * @param {PatientRegistry} registry - Cadastro de pacientes.
+     * @param {Object} handlers
+     * @param {function(Object): void} handlers.onAttend - Inicia o atendimento do paciente.
+     * @param {function(Object): void} handlers.onShowHistory - Abre as análises do paciente.
+     * @param {function(): void} handlers.onNew - Cadastra um novo paciente.
+     * @param {function(string): void} [handlers.onRemove] - Paciente excluído.
+     */
+    constructor(registry, { onAttend, onShowHistory, onNew, onRemove = () => {} }) {
+        this.registry = registry;
+        this.onAttend = onAttend;
+        this.onShowHistory = onShowHistory;
+        this.onNew = onNew;
+        this.onRemove = onRemove;
+
+        this.dom = {
+            container: document.getElementById('patientsContainer'),
+            list: document.getElementById('patientList'),
+            closeBtn: document.getElementById('closePatients'),
+            addBtn: document.getElementById('addPatientBtn')
+        };
+
+        this.dom.closeBtn?.addEventListener('click', () => this.hide());
+        this.dom.addBtn?.addEventListener('click', () => this.onNew());
+        this.dom.list?.addEventListener('click', (event) => this._handleListClick(event));
+    }
+
+    get visible() {
+        return Boolean(this.dom.container) && !this.dom.container.classList.contains('hidden');
+    }
+
+    async show() {
+        if (!this.dom.container) return;
+        showDialog(this.dom.container, { onEscape: () => this.hide() });
+        await this.render();
+    }
+
+    hide() {
+        if (this.dom.container) hideDialog(this.dom.container);
+    }
+
+    /**
+     * (Re)desenha a lista de pacientes.
+     */
+    async render() {
+        let patients = [];
+        try {
+            patients = await this.registry.list();
+        } catch (error) {
+            console.error('Erro ao carregar pacientes:', error);
+            this.dom.list.innerHTML = `<p class="history-empty">${t('history.loadError')}</p>`;
+            return;
+        }
+
+        if (patients.length === 0) {
+            this.dom.list.innerHTML = `<p class="history-empty">${t('patient.empty')}</p>`;
+            return;
+        }
+
+        const counts = await Promise.all(patients.map((patient) => this.registry.countAnalyses(patient.id).catch(() => 0)));
+        this.dom.list.innerHTML = '';
+        patients.forEach((patient, index) => this.dom.list.appendChild(this._createItem(patient, counts[index])));
+    }
+
+    _createItem(patient, analysisCount) {
+        const item = document.createElement('li');
+        item.className = 'history-item patient-item';
+        item.dataset.id = patient.id;
+        item.innerHTML = `
+            <div class="history-info">
+                <strong class="history-name"></strong>
+                <small class="patient-notes"></small>
+                <small>${this._describeConsent(patient.consent)} · ${t('patient.analyses', { count: analysisCount })}</small>
+            </div>
+            <div class="history-actions">
+                <button class="btn history-btn" data-action="attend" aria-label="${t('patient.attend')}">▶️</button>
+                <button class="btn history-btn" data-action="history" aria-label="${t('patient.history')}">📚</button>
+                <button class="btn history-btn" data-action="notes" aria-label="${t('patient.notes')}" ${patient.locked ? 'disabled' : ''}>📝</button>
+                <button class="btn history-btn history-btn--danger" data-action="delete" aria-label="${t('patient.delete')}">🗑️</button>
+            </div>
+        `;
+        // Nome, ID e observações via textContent, pois são digitados pela equipe
+        item.querySelector('.history-name').textContent = describePatient(patient);
+        const notes = item.querySelector('.patient-notes');
+        notes.textContent = patient.notes || '';
+        notes.classList.toggle('hidden', !patient.notes);
+        return item;
+    }
+
+    _describeConsent(consent) {
+        if (consent?.withdrawnAt) return t('patient.consentWithdrawnAt', { date: formatDate(consent.withdrawnAt) });
+        if (consent?.acceptedAt) return t('patient.consentAt', { date: formatDate(consent.acceptedAt) });
+        return t('patient.noConsent');
+    }
+
+    async _handleListClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const id = button.closest('.patient-item').dataset.id;
+
+        try {
+            switch (button.dataset.action) {
+                case 'attend': {
+                    const patient = await this.registry.get(id);
+                    if (patient) this.onAttend(patient);
+                    break;
+                }
+                case 'history': {
+                    const patient = await this.registry.get(id);
+                    if (patient) this.onShowHistory(patient);
+                    break;
+                }
+                case 'notes': {
+                    const patient = await this.registry.get(id);
+                    const notes = await promptDialog(t('patient.notesPrompt', { name: patient.name }), { value: patient.notes || '' });
+                    if (notes !== null) {
+                        await this.registry.save({ ...patient, notes: notes.trim() });
+                        await this.render();
+                    }
+                    break;
+                }
+                case 'delete':
+                    if (await confirmDialog(t('patient.deleteConfirm', { id }), { danger: true })) {
+                        await this.registry.remove(id);
+                        this.onRemove(id);
+                        await this.render();
+                    }
+                    break;
+            }
+        } catch (error) {
+            console.error('Erro na lista de pacientes:', error);
+            notify(t('patient.error', { message: error.message }), { type: 'error' });
+        }
+    }
+}
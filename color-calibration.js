@@ -0,0 +1,303 @@
+/**
+ * Calibração de cor e correção de balanço de branco do recorte antes do envio.
+ * Com um cartão cinza neutro segurado no quadro, o ganho de cada canal é medido e
+ * guardado como perfil da câmera; sem perfil, usa uma estimativa da cena
+ * (grey-world combinado com white-patch). A correção aplicada acompanha a captura.
+ */
+import { t } from './i18n.js';
+
+const PROFILES_KEY = 'faceCapture.colorProfiles';
+const CORRECTION_KEY = 'faceCapture.colorCorrection';
+
+// Limites dos ganhos: evita correções exageradas quando a cena tem cores fortes
+const MIN_GAIN = 0.6;
+const MAX_GAIN = 1.6;
+
+// Critérios para reconhecer o cartão cinza na área alvo
+const CARD_MAX_VARIATION = 0.08;  // Desvio padrão / média de cada canal
+const CARD_MIN_LUMA = 50;
+const CARD_MAX_LUMA = 220;
+const CARD_STABLE_CHECKS = 3;     // Leituras seguidas aprovadas antes de salvar
+const CARD_CHECK_INTERVAL_MS = 300;
+
+const SCENE_SAMPLE_WIDTH = 160;
+const WHITE_PATCH_FRACTION = 0.02; // Fração mais clara dos pixels usada no white-patch
+
+/**
+ * Perfil de cor salvo para um dispositivo de câmera (ou `null`).
+ * @param {string} deviceId
+ * @returns {{gains: number[], method: string, createdAt: number}|null}
+ */
+export function loadColorProfile(deviceId) {
+    try {
+        const profiles = JSON.parse(localStorage.getItem(PROFILES_KEY) || '{}');
+        return profiles[deviceId] || null;
+    } catch {
+        return null;
+    }
+}
+
+export function saveColorProfile(deviceId, profile) {
+    let profiles = {};
+    try {
+        profiles = JSON.parse(localStorage.getItem(PROFILES_KEY) || '{}');
+    } catch {
+        // Perfis corrompidos são descartados
+    }
+    if (profile) profiles[deviceId] = profile;
+    else delete profiles[deviceId];
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+}
+
+const clampGain = (gain) => Math.min(MAX_GAIN, Math.max(MIN_GAIN, gain));
+const round = (value) => Number(value.toFixed(4));
+
+/**
+ * Ganhos que levam a cor média informada ao cinza de mesma intensidade.
+ */
+function gainsToNeutral(r, g, b) {
+    const gray = (r + g + b) / 3;
+    return [r, g, b].map((channel) => round(clampGain(gray / Math.max(channel, 1))));
+}
+
+/**
+ * Verifica se os pixels formam um cartão cinza (área uniforme e bem exposta) e
+ * calcula os ganhos de correção a partir da sua cor média.
+ * @param {Uint8ClampedArray} data - Pixels RGBA da área alvo.
+ * @returns {number[]|null} Ganhos [r, g, b], ou `null` se não houver cartão.
+ */
+export function estimateGreyCardGains(data) {
+    const sum = [0, 0, 0];
+    const sumSq = [0, 0, 0];
+    const count = data.length / 4;
+
+    for (let i = 0; i < data.length; i += 4) {
+        for (let c = 0; c < 3; c++) {
+            sum[c] += data[i + c];
+            sumSq[c] += data[i + c] * data[i + c];
+        }
+    }
+
+    const mean = sum.map((value) => value / count);
+    const uniform = mean.every((m, c) => Math.sqrt(Math.max(sumSq[c] / count - m * m, 0)) / Math.max(m, 1) <= CARD_MAX_VARIATION);
+    const luma = 0.299 * mean[0] + 0.587 * mean[1] + 0.114 * mean[2];
+
+    if (!uniform || luma < CARD_MIN_LUMA || luma > CARD_MAX_LUMA) return null;
+    return gainsToNeutral(...mean);
+}
+
+/**
+ * Estima o iluminante pela cena inteira, combinando grey-world (a média da cena é cinza)
+ * e white-patch (as áreas mais claras refletem a cor da luz) pela média geométrica dos ganhos.
+ * @param {Uint8ClampedArray} data - Pixels RGBA do quadro.
+ * @returns {number[]} Ganhos [r, g, b].
+ */
+export function estimateSceneGains(data) {
+    const count = data.length / 4;
+    const mean = [0, 0, 0];
+    const lumas = new Float32Array(count);
+
+    for (let p = 0; p < count; p++) {
+        const i = p * 4;
+        mean[0] += data[i];
+        mean[1] += data[i + 1];
+        mean[2] += data[i + 2];
+        // Pixels estourados não informam a cor da luz
+        const clipped = data[i] >= 250 || data[i + 1] >= 250 || data[i + 2] >= 250;
+        lumas[p] = clipped ? -1 : 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+    const greyWorld = gainsToNeutral(...mean.map((value) => value / count));
+
+    const threshold = [...lumas].sort((a, b) => b - a)[Math.floor(count * WHITE_PATCH_FRACTION)];
+    const patch = [0, 0, 0];
+    let patchCount = 0;
+    for (let p = 0; p < count; p++) {
+        if (lumas[p] < 0 || lumas[p] < threshold) continue;
+        const i = p * 4;
+        patch[0] += data[i];
+        patch[1] += data[i + 1];
+        patch[2] += data[i + 2];
+        patchCount++;
+    }
+    if (patchCount === 0) return greyWorld;
+
+    const whitePatch = gainsToNeutral(...patch.map((value) => value / patchCount));
+    return greyWorld.map((gain, c) => round(Math.sqrt(gain * whitePatch[c])));
+}
+
+/**
+ * Aplica os ganhos aos pixels do canvas (apenas dentro da elipse, alfa > 0).
+ * @param {HTMLCanvasElement} canvas
+ * @param {number[]} gains - Ganhos [r, g, b].
+ */
+export function applyColorGains(canvas, gains) {
+    const ctx = canvas.getContext('2d');
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    applyGainsToImageData(image, gains);
+    ctx.putImageData(image, 0, 0);
+}
+
+/**
+ * Aplica os ganhos aos pixels com alfa > 0, no próprio `ImageData`.
+ * Também usada pelo worker do recorte enviado (capture-worker.js).
+ * @param {ImageData} image
+ * @param {number[]} gains - Ganhos [r, g, b].
+ */
+export function applyGainsToImageData(image, gains) {
+    const { data } = image;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        data[i] *= gains[0];
+        data[i + 1] *= gains[1];
+        data[i + 2] *= gains[2];
+    }
+}
+
+export class ColorCalibrator {
+    /**
+     * @param {Object} options
+     * @param {HTMLVideoElement} options.video - Vídeo ao vivo da câmera.
+     * @param {HTMLElement} options.target - Quadrado onde o cartão cinza deve ser posicionado.
+     * @param {HTMLElement} options.bar - Barra com a instrução e o botão de cancelar.
+     * @param {HTMLElement} options.hint - Elemento da instrução.
+     * @param {function(): string} options.getDeviceId - Dispositivo de câmera em uso.
+     * @param {function(Object|null): void} [options.onProfileChange] - Chamado quando o perfil muda.
+     */
+    constructor({ video, target, bar, hint, getDeviceId, onProfileChange = () => {} }) {
+        this.video = video;
+        this.target = target;
+        this.bar = bar;
+        this.hint = hint;
+        this.getDeviceId = getDeviceId;
+        this.onProfileChange = onProfileChange;
+
+        this.active = false;
+        this.timer = null;
+        this.readings = [];
+
+        this.frameCanvas = document.createElement('canvas');
+        this.frameCtx = this.frameCanvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    /**
+     * Correção automática ativada pelo usuário (memorizada).
+     */
+    get enabled() {
+        return localStorage.getItem(CORRECTION_KEY) === 'true';
+    }
+
+    set enabled(value) {
+        localStorage.setItem(CORRECTION_KEY, String(Boolean(value)));
+    }
+
+    get profile() {
+        return loadColorProfile(this.getDeviceId());
+    }
+
+    /**
+     * Inicia a calibração: aguarda o cartão cinza estável dentro do quadrado alvo.
+     */
+    start() {
+        if (this.active) return;
+        this.active = true;
+        this.readings = [];
+        this.target.classList.remove('hidden');
+        this.bar.classList.remove('hidden');
+        this.hint.textContent = t('calibration.hint');
+        this._scheduleNext();
+    }
+
+    stop() {
+        this.active = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.target.classList.add('hidden');
+        this.bar.classList.add('hidden');
+    }
+
+    removeProfile() {
+        saveColorProfile(this.getDeviceId(), null);
+        this.onProfileChange(null);
+    }
+
+    /**
+     * Corrige o recorte no canvas, se a correção estiver ativada.
+     * Usa o perfil do dispositivo; sem perfil, estima pela cena atual do vídeo.
+     * @param {HTMLCanvasElement} canvas - Canvas com o recorte elíptico.
+     * @returns {Object|null} Correção aplicada (para os metadados), ou `null`.
+     */
+    correct(canvas) {
+        if (!this.enabled) return null;
+
+        const profile = this.profile;
+        const correction = profile
+            ? { method: profile.method, gains: profile.gains, calibratedAt: profile.createdAt }
+            : { method: 'grey-world+white-patch', gains: estimateSceneGains(this._readVideo().data) };
+
+        applyColorGains(canvas, correction.gains);
+        return { ...correction, deviceId: this.getDeviceId() };
+    }
+
+    _scheduleNext() {
+        this.timer = setTimeout(() => {
+            if (!this.active) return;
+            this._check();
+            if (this.active) this._scheduleNext();
+        }, CARD_CHECK_INTERVAL_MS);
+    }
+
+    _check() {
+        if (!this.video.videoWidth) return;
+
+        const gains = estimateGreyCardGains(this._readTargetRegion());
+        if (!gains) {
+            this.readings = [];
+            this.hint.textContent = t('calibration.notRecognized');
+            return;
+        }
+
+        this.readings.push(gains);
+        this.hint.textContent = t('calibration.detected', { count: this.readings.length, total: CARD_STABLE_CHECKS });
+        if (this.readings.length < CARD_STABLE_CHECKS) return;
+
+        // Média das leituras estáveis
+        const average = [0, 1, 2].map((c) => round(this.readings.reduce((sum, reading) => sum + reading[c], 0) / this.readings.length));
+        const profile = { gains: average, method: 'grey-card', createdAt: Date.now() };
+        saveColorProfile(this.getDeviceId(), profile);
+        this.enabled = true;
+        this.stop();
+        this.onProfileChange(profile);
+    }
+
+    /**
+     * Lê os pixels do vídeo sob o quadrado alvo, considerando o `object-fit: cover`.
+     */
+    _readTargetRegion() {
+        const videoRect = this.video.getBoundingClientRect();
+        const targetRect = this.target.getBoundingClientRect();
+        const scale = Math.max(videoRect.width / this.video.videoWidth, videoRect.height / this.video.videoHeight);
+        const offsetX = (videoRect.width - this.video.videoWidth * scale) / 2;
+        const offsetY = (videoRect.height - this.video.videoHeight * scale) / 2;
+
+        const sx = (targetRect.left - videoRect.left - offsetX) / scale;
+        const sy = (targetRect.top - videoRect.top - offsetY) / scale;
+        const sw = targetRect.width / scale;
+        const sh = targetRect.height / scale;
+
+        // Uma amostra reduzida basta para a média e a uniformidade
+        this.frameCanvas.width = 32;
+        this.frameCanvas.height = 32;
+        this.frameCtx.drawImage(this.video, sx, sy, sw, sh, 0, 0, 32, 32);
+        return this.frameCtx.getImageData(0, 0, 32, 32).data;
+    }
+
+    /**
+     * Quadro inteiro do vídeo em resolução reduzida.
+     */
+    _readVideo() {
+        this.frameCanvas.width = SCENE_SAMPLE_WIDTH;
+        this.frameCanvas.height = Math.round(this.video.videoHeight * SCENE_SAMPLE_WIDTH / this.video.videoWidth);
+        this.frameCtx.drawImage(this.video, 0, 0, this.frameCanvas.width, this.frameCanvas.height);
+        return this.frameCtx.getImageData(0, 0, this.frameCanvas.width, this.frameCanvas.height);
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * Comparação lado a lado de duas análises (antes/depois), com sobreposição
+ * por controle deslizante e variação das métricas numéricas de `detalhes`.
+ */
+
+import { getByPath, isMissing } from './analysis-schema.js';
+import { formatDate, formatNumber, t } from './i18n.js';
+import { hideDialog, showDialog } from './feedback.js';
+import { escapeHtml } from './report-export.js';
+
+// Rótulos como getters, para acompanhar o idioma atual da interface
+const labeled = (key, fields) => ({ get label() { return t(key); }, ...fields });
+
+/**
+ * Métricas numéricas comparadas. `better` indica se a melhora é o valor diminuir ou aumentar.
+ */
+export const COMPARISON_METRICS = [
+    labeled('comparison.metric.spotCount', { path: 'detalhes.manchas.numero', unit: '', decimals: 0, better: 'lower' }),
+    labeled('comparison.metric.spotArea', { path: 'detalhes.manchas.porcentagem', unit: '%', decimals: 2, better: 'lower' }),
+    labeled('comparison.metric.contrast', { path: 'detalhes.textura.contraste', unit: '', decimals: 2, better: 'lower' }),
+    labeled('comparison.metric.homogeneity', { path: 'detalhes.textura.homogeneidade', unit: '', decimals: 2, better: 'higher' }),
+    labeled('comparison.metric.wrinkleArea', { path: 'detalhes.rugas.porcentagem', unit: '%', decimals: 2, better: 'lower' })
+];
+
+const CATEGORY_FIELDS = [
+    labeled('comparison.field.fitzpatrick', { key: 'fitzpatrick' }),
+    labeled('comparison.field.texture', { key: 'textura' }),
+    labeled('comparison.field.spots', { key: 'manchas' }),
+    labeled('comparison.field.wrinkles', { key: 'rugas' })
+];
+
+// Variações menores que isso são consideradas estáveis
+const UNCHANGED_EPSILON = 0.005;
+
+/**
+ * Calcula a variação de cada métrica entre duas análises.
+ * @param {Object} before - `analysisData` da análise mais antiga.
+ * @param {Object} after - `analysisData` da análise mais recente.
+ * @returns {Object[]} Uma linha por métrica, com `delta` e `trend` ('improved' | 'worsened' | 'unchanged' | 'unknown').
+ */
+export function computeMetricDeltas(before, after) {
+    return COMPARISON_METRICS.map((metric) => {
+        // `Number(null)` é 0: métricas ausentes (ou `null`) não podem virar uma variação
+        const toNumber = (value) => (isMissing(value) ? NaN : Number(value));
+        const a = toNumber(getByPath(before, metric.path));
+        const b = toNumber(getByPath(after, metric.path));
+
+        if (!Number.isFinite(a) || !Number.isFinite(b)) {
+            return { ...metric, before: a, after: b, delta: null, trend: 'unknown' };
+        }
+
+        const delta = b - a;
+        let trend = 'unchanged';
+        if (Math.abs(delta) > UNCHANGED_EPSILON) {
+            const decreased = delta < 0;
+            trend = decreased === (metric.better === 'lower') ? 'improved' : 'worsened';
+        }
+        return { ...metric, before: a, after: b, delta, trend };
+    });
+}
+
+export class ComparisonView {
+    constructor() {
+        this.objectUrls = [];
+        this.container = null;
+    }
+
+    /**
+     * Exibe a comparação entre dois registros do histórico (ordenados por data).
+     * @param {Object} recordA - Registro do histórico.
+     * @param {Object} recordB - Registro do histórico.
+     */
+    show(recordA, recordB) {
+        const [before, after] = [recordA, recordB].sort((a, b) => a.createdAt - b.createdAt);
+        this._revokeUrls();
+
+        const beforeUrl = URL.createObjectURL(before.blob);
+        const afterUrl = URL.createObjectURL(after.blob);
+        this.objectUrls.push(beforeUrl, afterUrl);
+
+        const container = this._getContainer();
+        container.innerHTML = `
+            <div class="comparison-content">
+                <div class="comparison-header">
+                    <h2>${t('comparison.title')}</h2>
+                    <button class="close-btn" data-action="close" aria-label="${t('comparison.close')}">×</button>
+                </div>
+
+                <div class="comparison-modes" role="group" aria-label="${t('comparison.mode')}">
+                    <button class="btn comparison-mode comparison-mode--active" data-mode="side">${t('comparison.side')}</button>
+                    <button class="btn comparison-mode" data-mode="overlay">${t('comparison.overlay')}</button>
+                </div>
+
+                <div class="comparison-images comparison-images--side">
+                    <figure>
+                        <img src="${beforeUrl}" alt="${t('comparison.beforeAlt')}" class="comparison-image">
+                        <figcaption>${t('comparison.before')} · ${formatDate(before.createdAt, { dateStyle: 'short' })}</figcaption>
+                    </figure>
+                    <figure>
+                        <img src="${afterUrl}" alt="${t('comparison.afterAlt')}" class="comparison-image">
+                        <figcaption>${t('comparison.after')} · ${formatDate(after.createdAt, { dateStyle: 'short' })}</figcaption>
+                    </figure>
+                </div>
+
+                <div class="comparison-overlay hidden">
+                    <div class="comparison-overlay-frame">
+                        <img src="${beforeUrl}" alt="${t('comparison.beforeAlt')}" class="comparison-image">
+                        <img src="${afterUrl}" alt="${t('comparison.afterAlt')}" class="comparison-image comparison-image--top">
+                    </div>
+                    <input type="range" min="0" max="100" value="50" class="comparison-slider" aria-label="${t('comparison.slider')}">
+                    <small>◀ ${t('comparison.before')} · ${t('comparison.after')} ▶</small>
+                </div>
+
+                <table class="comparison-table">
+                    <thead>
+                        <tr><th></th><th>${t('comparison.before')}</th><th>${t('comparison.after')}</th><th>${t('comparison.change')}</th></tr>
+                    </thead>
+                    <tbody>
+                        ${CATEGORY_FIELDS.map((field) => this._categoryRow(field, before.analysisData, after.analysisData)).join('')}
+                        ${computeMetricDeltas(before.analysisData, after.analysisData).map((row) => this._metricRow(row)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        this._bindEvents(container);
+        showDialog(container, { onEscape: () => this.hide() });
+    }
+
+    hide() {
+        if (this.container) hideDialog(this.container);
+        this._revokeUrls();
+    }
+
+    _getContainer() {
+        if (!this.container) {
+            this.container = document.createElement('section');
+            this.container.id = 'comparisonContainer';
+            this.container.className = 'comparison-container hidden';
+            this.container.setAttribute('role', 'dialog');
+            this.container.setAttribute('aria-modal', 'true');
+            this.container.setAttribute('aria-label', t('comparison.title'));
+            document.body.appendChild(this.container);
+        }
+        return this.container;
+    }
+
+    _bindEvents(container) {
+        container.querySelector('[data-action="close"]').onclick = () => this.hide();
+
+        const side = container.querySelector('.comparison-images');
+        const overlay = container.querySelector('.comparison-overlay');
+        container.querySelectorAll('.comparison-mode').forEach((button) => {
+            button.onclick = () => {
+                const isOverlay = button.dataset.mode === 'overlay';
+                side.classList.toggle('hidden', isOverlay);
+                overlay.classList.toggle('hidden', !isOverlay);
+                container.querySelectorAll('.comparison-mode').forEach((b) => b.classList.toggle('comparison-mode--active', b === button));
+            };
+        });
+
+        const slider = container.querySelector('.comparison-slider');
+        const topImage = container.querySelector('.comparison-image--top');
+        const applySlider = () => {
+            // A imagem "depois" cobre a parte direita a partir da posição do controle
+            topImage.style.clipPath = `inset(0 0 0 ${slider.value}%)`;
+        };
+        slider.oninput = applySlider;
+        applySlider();
+    }
+
+    _categoryRow(field, before, after) {
+        const a = before?.[field.key] || t('common.notDetected');
+        const b = after?.[field.key] || t('common.notDetected');
+        const changed = a !== b;
+        return `
+            <tr>
+                <th scope="row">${field.label}</th>
+                <td>${escapeHtml(a)}</td>
+                <td>${escapeHtml(b)}</td>
+                <td class="comparison-delta">${changed ? t('comparison.changed') : '—'}</td>
+            </tr>
+        `;
+    }
+
+    _metricRow(row) {
+        const format = (value) => (Number.isFinite(value) ? `${formatNumber(value, row.decimals)}${row.unit}` : t('common.notAvailable'));
+        const icons = { improved: t('comparison.improved'), worsened: t('comparison.worsened'), unchanged: t('comparison.unchanged'), unknown: '' };
+
+        let delta = t('common.notAvailable');
+        if (row.delta !== null) {
+            delta = `${row.delta > 0 ? '+' : ''}${formatNumber(row.delta, row.decimals)}${row.unit}`;
+        }
+
+        return `
+            <tr>
+                <th scope="row">${row.label}</th>
+                <td>${format(row.before)}</td>
+                <td>${format(row.after)}</td>
+                <td class="comparison-delta comparison-delta--${row.trend}">${delta} ${icons[row.trend]}</td>
+            </tr>
+        `;
+    }
+
+    _revokeUrls() {
+        this.objectUrls.forEach((url) => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Acesso ao IndexedDB local da aplicação.
+ * Centraliza nome, versão e esquema do banco para que todos os módulos
+ * (histórico, fila offline, etc.) compartilhem a mesma conexão.
+ */
+
+export const DB_NAME = 'face-capture';
+export const DB_VERSION = 3;
+
+export const STORES = {
+    analyses: 'analyses',
+    uploadQueue: 'uploadQueue',
+    patients: 'patients'
+};
+
+let dbPromise = null;
+
+/**
+ * Cria ou atualiza os object stores conforme a versão do banco.
+ * @param {IDBDatabase} db - Banco em processo de upgrade.
+ * @param {number} oldVersion - Versão anterior (0 em uma instalação nova).
+ * @param {IDBTransaction} tx - Transação do upgrade (para alterar stores existentes).
+ */
+function upgradeDatabase(db, oldVersion, tx) {
+    if (oldVersion < 1) {
+        const analyses = db.createObjectStore(STORES.analyses, { keyPath: 'id', autoIncrement: true });
+        analyses.createIndex('createdAt', 'createdAt');
+    }
+    if (oldVersion < 2) {
+        // Fila de capturas aguardando envio ao /upload (lida também pelo sw.js)
+        db.createObjectStore(STORES.uploadQueue, { keyPath: 'id', autoIncrement: true });
+    }
+    if (oldVersion < 3) {
+        // Modo clínica: cadastro de pacientes (chave = ID informado pela equipe) e análises por paciente
+        db.createObjectStore(STORES.patients, { keyPath: 'id' });
+        tx.objectStore(STORES.analyses).createIndex('patientId', 'patientId');
+    }
+}
+
+/**
+ * Abre (uma única vez) a conexão com o banco.
+ * @returns {Promise<IDBDatabase>} A conexão aberta.
+ */
+export function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in self)) {
+            reject(new Error('IndexedDB não é suportado neste navegador.'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion, request.transaction);
+        request.onsuccess = () => {
+            const db = request.result;
+            // Libera a conexão se outra aba precisar atualizar o esquema
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => console.warn('Atualização do banco bloqueada por outra aba aberta.');
+    });
+
+    // Permite nova tentativa caso a abertura falhe
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+/**
+ * Fecha a conexão e apaga o banco inteiro (histórico, fila offline e pacientes).
+ * O banco é recriado vazio na próxima chamada a `openDatabase`.
+ */
+export async function deleteDatabase() {
+    if (dbPromise) {
+        const db = await dbPromise.catch(() => null);
+        db?.close();
+        dbPromise = null;
+    }
+    if (!('indexedDB' in self)) return;
+
+    await new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(DB_NAME);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+        // Conclui sozinho quando a outra conexão (outra aba ou o sw.js) for fechada
+        request.onblocked = () => console.warn('Exclusão do banco aguardando outra aba ou o Service Worker.');
+    });
+}
+
+/**
+ * Converte uma IDBRequest em Promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} O resultado da requisição.
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Executa uma operação dentro de uma transação e aguarda sua conclusão.
+ * @param {string|string[]} storeNames - Store(s) envolvidos.
+ * @param {IDBTransactionMode} mode - 'readonly' ou 'readwrite'.
+ * @param {function(IDBTransaction): (IDBRequest|*)} operation - Operação a executar.
+ * @returns {Promise<*>} O resultado da operação.
+ */
+export async function withTransaction(storeNames, mode, operation) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeNames, mode);
+
+    const done = new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transação abortada.'));
+    });
+
+    const outcome = operation(tx);
+    const result = outcome instanceof IDBRequest ? await promisifyRequest(outcome) : await outcome;
+    await done;
+    return result;
+}
@@ -0,0 +1,334 @@
+/**
+ * FaceAlignmentGuide: detecção facial no próprio dispositivo sobre o vídeo ao vivo.
+ * Verifica se o rosto está dentro do oval, na distância certa, nivelado e na pose
+ * esperada (frontal ou 3/4), colore o `.ellipse-guide` conforme o resultado e pode disparar a captura
+ * automaticamente quando o alinhamento permanece estável.
+ */
+import { t } from './i18n.js';
+import { isSkinPixel } from './image-quality.js';
+
+// Largura do frame reduzido usado na detecção (menor = mais rápido)
+const DETECTION_WIDTH = 240;
+const DETECTION_INTERVAL_MS = 150;
+
+// Limites de alinhamento
+const MAX_CENTER_OFFSET = 0.2;   // Deslocamento do centro, relativo ao raio do oval
+const MIN_FACE_RATIO = 0.55;     // Largura do rosto / largura do oval
+const MAX_FACE_RATIO = 0.95;
+const MAX_ROLL_DEGREES = 8;      // Inclinação lateral da cabeça
+const MAX_YAW_RATIO = 0.18;      // Desvio do nariz em relação ao ponto médio dos olhos
+const MIN_PROFILE_YAW = 0.25;    // Faixa de desvio aceita nas poses 3/4 (sessão multiângulo)
+const MAX_PROFILE_YAW = 0.7;
+
+const AUTO_CAPTURE_KEY = 'faceCapture.autoCapture';
+
+/**
+ * Detector baseado na Shape Detection API (FaceDetector), com pontos de referência.
+ */
+class NativeFaceDetector {
+    constructor() {
+        this.detector = new FaceDetector({ fastMode: true, maxDetectedFaces: 1 });
+    }
+
+    static isSupported() {
+        return 'FaceDetector' in self;
+    }
+
+    async detect(source) {
+        const faces = await this.detector.detect(source);
+        if (faces.length === 0) return null;
+
+        const face = faces[0];
+        const find = (type) => face.landmarks?.find((landmark) => landmark.type === type)?.locations?.[0] || null;
+
+        const eyes = face.landmarks?.filter((landmark) => landmark.type === 'eye').map((landmark) => landmark.locations[0]) || [];
+        return {
+            box: face.boundingBox,
+            eyes: eyes.length === 2 ? eyes.sort((a, b) => a.x - b.x) : null,
+            nose: find('nose')
+        };
+    }
+}
+
+/**
+ * Detector de reserva: estima a região do rosto pelos pixels com tom de pele (YCbCr).
+ * Não fornece pontos de referência, então apenas centro e distância são avaliados.
+ */
+class SkinToneFaceDetector {
+    async detect(source) {
+        const { width, height } = source;
+        const pixels = source.getContext('2d').getImageData(0, 0, width, height).data;
+
+        let count = 0, sumX = 0, sumY = 0, sumXX = 0, sumYY = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (isSkinPixel(pixels[i], pixels[i + 1], pixels[i + 2])) {
+                    count++;
+                    sumX += x; sumY += y;
+                    sumXX += x * x; sumYY += y * y;
+                }
+            }
+        }
+
+        // Poucos pixels de pele: nenhum rosto no quadro
+        if (count < width * height * 0.03) return null;
+
+        const meanX = sumX / count, meanY = sumY / count;
+        // Para uma distribuição uniforme, o desvio padrão é ~0.29 da largura total
+        const boxWidth = Math.sqrt(Math.max(sumXX / count - meanX * meanX, 0)) / 0.29;
+        const boxHeight = Math.sqrt(Math.max(sumYY / count - meanY * meanY, 0)) / 0.29;
+
+        return {
+            box: { x: meanX - boxWidth / 2, y: meanY - boxHeight / 2, width: boxWidth, height: boxHeight },
+            eyes: null,
+            nose: null
+        };
+    }
+}
+
+export class FaceAlignmentGuide {
+    /**
+     * @param {Object} options
+     * @param {HTMLVideoElement} options.video - Vídeo ao vivo da câmera.
+     * @param {HTMLElement} options.guide - Elemento `.ellipse-guide`.
+     * @param {HTMLElement} [options.hint] - Elemento onde as dicas de posicionamento são escritas.
+     * @param {function(): boolean} [options.isActive] - Se a detecção deve rodar agora (ex.: falso durante a análise).
+     * @param {function(): void} [options.onAutoCapture] - Chamado quando o alinhamento fica estável.
+     * @param {function(Object): void} [options.onStatus] - Recebe cada resultado (`state`, `hint` e
+     *        `countdown`, os segundos até a captura automática ou `null`), ex.: para a orientação falada.
+     * @param {number} [options.stableMs=1500] - Tempo de alinhamento estável antes da captura automática.
+     */
+    constructor({ video, guide, hint, isActive = () => true, onAutoCapture = null, onStatus = null, stableMs = 1500 }) {
+        this.video = video;
+        this.guide = guide;
+        this.hint = hint;
+        this.isActive = isActive;
+        this.onAutoCapture = onAutoCapture;
+        this.onStatus = onStatus;
+        this.stableMs = stableMs;
+
+        this.detector = NativeFaceDetector.isSupported() ? new NativeFaceDetector() : new SkinToneFaceDetector();
+        this.frameCanvas = document.createElement('canvas');
+        this.frameCtx = this.frameCanvas.getContext('2d', { willReadFrequently: true });
+
+        this.autoCapture = localStorage.getItem(AUTO_CAPTURE_KEY) === 'true';
+        this.timer = null;
+        this.alignedSince = null;
+        this.lastStatus = null;
+        this.targetPose = 'frontal';
+    }
+
+    start() {
+        if (this.timer) return;
+        this._scheduleNext();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.alignedSince = null;
+        this._render({ state: 'idle', hint: '' });
+    }
+
+    /**
+     * Ativa/desativa a captura automática e memoriza a preferência.
+     * @returns {boolean} O novo estado.
+     */
+    toggleAutoCapture() {
+        this.autoCapture = !this.autoCapture;
+        this.alignedSince = null;
+        localStorage.setItem(AUTO_CAPTURE_KEY, String(this.autoCapture));
+        return this.autoCapture;
+    }
+
+    /**
+     * Define a pose esperada: 'frontal', ou 'left'/'right' para o rosto virado
+     * cerca de 45° para a esquerda/direita da pessoa.
+     * @param {string} pose
+     */
+    setTargetPose(pose) {
+        this.targetPose = pose;
+        this.alignedSince = null;
+    }
+
+    /**
+     * Último resultado de alinhamento calculado (ou `null` se ainda não houver).
+     */
+    get status() {
+        return this.lastStatus;
+    }
+
+    _scheduleNext() {
+        this.timer = setTimeout(async () => {
+            await this._tick();
+            if (this.timer) this._scheduleNext();
+        }, DETECTION_INTERVAL_MS);
+    }
+
+    async _tick() {
+        if (document.hidden || !this.video.videoWidth) return;
+        if (!this.isActive()) {
+            // Reinicia a contagem da captura automática ao voltar
+            this.alignedSince = null;
+            return;
+        }
+
+        try {
+            const face = await this._detectFace();
+            const status = this._evaluate(face);
+            this.lastStatus = status;
+            this._render(status);
+            const countdown = this._handleAutoCapture(status);
+            this.onStatus?.({ ...status, countdown });
+        } catch (error) {
+            // Falhas pontuais de detecção não devem interromper o vídeo
+            console.warn('Falha na detecção facial:', error);
+        }
+    }
+
+    /**
+     * Detecta o rosto em um frame reduzido e devolve as coordenadas em pixels do vídeo.
+     */
+    async _detectFace() {
+        const scale = DETECTION_WIDTH / this.video.videoWidth;
+        this.frameCanvas.width = DETECTION_WIDTH;
+        this.frameCanvas.height = Math.round(this.video.videoHeight * scale);
+        this.frameCtx.drawImage(this.video, 0, 0, this.frameCanvas.width, this.frameCanvas.height);
+
+        const face = await this.detector.detect(this.frameCanvas);
+        if (!face) return null;
+
+        const toVideo = (point) => point && { x: point.x / scale, y: point.y / scale };
+        return {
+            box: {
+                x: face.box.x / scale,
+                y: face.box.y / scale,
+                width: face.box.width / scale,
+                height: face.box.height / scale
+            },
+            eyes: face.eyes?.map(toVideo) || null,
+            nose: toVideo(face.nose)
+        };
+    }
+
+    /**
+     * Converte o retângulo do oval (na tela) para coordenadas do vídeo,
+     * considerando o `object-fit: cover` aplicado ao elemento de vídeo.
+     */
+    _getEllipseInVideo() {
+        const videoRect = this.video.getBoundingClientRect();
+        const guideRect = this.guide.getBoundingClientRect();
+        const scale = Math.max(videoRect.width / this.video.videoWidth, videoRect.height / this.video.videoHeight);
+        const offsetX = (videoRect.width - this.video.videoWidth * scale) / 2;
+        const offsetY = (videoRect.height - this.video.videoHeight * scale) / 2;
+
+        return {
+            cx: (guideRect.left - videoRect.left + guideRect.width / 2 - offsetX) / scale,
+            cy: (guideRect.top - videoRect.top + guideRect.height / 2 - offsetY) / scale,
+            rx: guideRect.width / 2 / scale,
+            ry: guideRect.height / 2 / scale
+        };
+    }
+
+    /**
+     * Avalia o alinhamento do rosto e escolhe a dica mais importante.
+     * @returns {{state: string, hint: string, aligned: boolean}}
+     */
+    _evaluate(face) {
+        if (!face) {
+            return { state: 'noface', hint: t('align.noFace'), aligned: false };
+        }
+
+        const ellipse = this._getEllipseInVideo();
+        // O frame não é espelhado: o lado direito da imagem é o lado esquerdo da pessoa.
+        // As dicas são dadas do ponto de vista de quem está sendo fotografado.
+        const towards = (imageOffset) => (imageOffset > 0 ? 'right' : 'left');
+
+        const faceCx = face.box.x + face.box.width / 2;
+        const faceCy = face.box.y + face.box.height / 2;
+        const dx = (faceCx - ellipse.cx) / ellipse.rx;
+        const dy = (faceCy - ellipse.cy) / ellipse.ry;
+
+        if (Math.abs(dx) > MAX_CENTER_OFFSET) {
+            return { state: 'adjust', hint: t(`align.move.${towards(dx)}`), aligned: false };
+        }
+        if (Math.abs(dy) > MAX_CENTER_OFFSET) {
+            return { state: 'adjust', hint: t(dy > 0 ? 'align.up' : 'align.down'), aligned: false };
+        }
+
+        const sizeRatio = face.box.width / (ellipse.rx * 2);
+        if (sizeRatio < MIN_FACE_RATIO) {
+            return { state: 'adjust', hint: t('align.closer'), aligned: false };
+        }
+        if (sizeRatio > MAX_FACE_RATIO) {
+            return { state: 'adjust', hint: t('align.farther'), aligned: false };
+        }
+
+        if (face.eyes) {
+            const [eyeA, eyeB] = face.eyes;
+            const roll = Math.atan2(eyeB.y - eyeA.y, eyeB.x - eyeA.x) * 180 / Math.PI;
+            if (Math.abs(roll) > MAX_ROLL_DEGREES) {
+                return { state: 'adjust', hint: t(`align.tilt.${towards(roll)}`), aligned: false };
+            }
+
+            if (face.nose) {
+                const eyeDistance = Math.hypot(eyeB.x - eyeA.x, eyeB.y - eyeA.y);
+                const yaw = (face.nose.x - (eyeA.x + eyeB.x) / 2) / eyeDistance;
+                if (this.targetPose === 'frontal') {
+                    if (Math.abs(yaw) > MAX_YAW_RATIO) {
+                        return { state: 'adjust', hint: t(`align.turn.${towards(yaw)}`), aligned: false };
+                    }
+                } else {
+                    // Virar para a esquerda da pessoa desloca o nariz para a direita da imagem
+                    const direction = this.targetPose === 'left' ? 1 : -1;
+                    const turn = yaw * direction;
+                    if (turn < MIN_PROFILE_YAW) {
+                        return { state: 'adjust', hint: t(`align.turnMore.${towards(-direction)}`), aligned: false };
+                    }
+                    if (turn > MAX_PROFILE_YAW) {
+                        return { state: 'adjust', hint: t(`align.turnLess.${towards(-direction)}`), aligned: false };
+                    }
+                }
+            }
+        }
+
+        return { state: 'aligned', hint: t('align.aligned'), aligned: true };
+    }
+
+    /**
+     * Conta o tempo de alinhamento estável e dispara a captura automática.
+     * @returns {number|null} Segundos até a captura, ou `null` fora da contagem.
+     */
+    _handleAutoCapture(status) {
+        if (!this.autoCapture || !this.onAutoCapture || !status.aligned) {
+            this.alignedSince = null;
+            return null;
+        }
+
+        const now = performance.now();
+        this.alignedSince ??= now;
+
+        const remaining = this.stableMs - (now - this.alignedSince);
+        if (remaining <= 0) {
+            this.alignedSince = null;
+            this.onAutoCapture();
+            return null;
+        }
+
+        const seconds = Math.ceil(remaining / 1000);
+        if (this.hint) this.hint.textContent = t('align.countdown', { seconds });
+        return seconds;
+    }
+
+    _render(status) {
+        this.guide.classList.toggle('ellipse-guide--noface', status.state === 'noface');
+        this.guide.classList.toggle('ellipse-guide--adjust', status.state === 'adjust');
+        this.guide.classList.toggle('ellipse-guide--aligned', status.state === 'aligned');
+
+        if (this.hint) {
+            this.hint.textContent = status.hint;
+            this.hint.classList.toggle('hidden', !status.hint);
+        }
+    }
+}
@@ -0,0 +1,281 @@
+/**
+ * Avisos e diálogos acessíveis, no lugar de `alert`/`confirm`/`prompt` (que bloqueiam a
+ * página, não seguem o visual do app e nem sempre são lidos pelos leitores de tela).
+ *
+ * - `notify`: aviso não bloqueante (toast), anunciado por uma região ARIA live;
+ * - `confirmDialog` / `promptDialog`: diálogo modal que devolve uma Promise;
+ * - `showDialog` / `hideDialog` / `trapFocus`: foco do teclado preso no diálogo aberto,
+ *   Esc para fechar e devolução do foco ao elemento de origem.
+ */
+import { t } from './i18n.js';
+
+const TOAST_DURATION_MS = { info: 5000, success: 4000, error: 9000 };
+const FOCUSABLE = [
+    'a[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])', 'textarea:not([disabled])', '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Diálogos com foco preso; o último é o que está por cima e recebe o teclado
+const trapStack = [];
+const openDialogs = new WeakMap();
+let regions = null;
+let dialogCount = 0;
+
+/**
+ * Regiões dos avisos: erros são anunciados na hora (assertive), os demais quando o
+ * leitor de tela terminar o que está lendo (polite).
+ */
+function getRegions() {
+    if (regions) return regions;
+
+    const stack = document.createElement('div');
+    stack.className = 'toast-stack';
+    const region = (role, live) => {
+        const element = document.createElement('div');
+        element.setAttribute('role', role);
+        element.setAttribute('aria-live', live);
+        element.className = 'toast-region';
+        stack.appendChild(element);
+        return element;
+    };
+    regions = { polite: region('status', 'polite'), assertive: region('alert', 'assertive') };
+    document.body.appendChild(stack);
+    return regions;
+}
+
+/**
+ * Exibe um aviso que some sozinho, sem bloquear a página.
+ * @param {string} message - Texto do aviso (quebras de linha são mantidas).
+ * @param {Object} [options]
+ * @param {'info'|'success'|'error'} [options.type='info']
+ * @param {number} [options.duration] - Tempo na tela em ms; `0` mantém até ser fechado.
+ * @param {{label: string, onClick: function(): void}} [options.action] - Botão opcional no aviso.
+ * @returns {function(): void} Fecha o aviso.
+ */
+export function notify(message, { type = 'info', duration = TOAST_DURATION_MS[type], action = null } = {}) {
+    const { polite, assertive } = getRegions();
+    const toast = document.createElement('div');
+    toast.className = `toast toast--${type}`;
+
+    const text = document.createElement('p');
+    text.className = 'toast-message';
+    text.textContent = message;
+    toast.appendChild(text);
+
+    let timer = null;
+    const dismiss = () => {
+        clearTimeout(timer);
+        toast.remove();
+    };
+
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'btn toast-action';
+        button.textContent = action.label;
+        button.onclick = () => {
+            dismiss();
+            action.onClick();
+        };
+        toast.appendChild(button);
+    }
+
+    const close = document.createElement('button');
+    close.className = 'toast-close';
+    close.setAttribute('aria-label', t('feedback.dismiss'));
+    close.textContent = '×';
+    close.onclick = dismiss;
+    toast.appendChild(close);
+
+    (type === 'error' ? assertive : polite).appendChild(toast);
+
+    // Com o mouse ou o foco sobre o aviso, ele espera para sumir
+    const schedule = () => {
+        clearTimeout(timer);
+        if (duration > 0) timer = setTimeout(dismiss, duration);
+    };
+    toast.addEventListener('mouseenter', () => clearTimeout(timer));
+    toast.addEventListener('mouseleave', schedule);
+    toast.addEventListener('focusin', () => clearTimeout(timer));
+    toast.addEventListener('focusout', schedule);
+    schedule();
+
+    return dismiss;
+}
+
+/**
+ * Pede uma confirmação ao usuário.
+ * @param {string} message - Pergunta exibida.
+ * @param {Object} [options]
+ * @param {string} [options.confirmLabel] - Texto do botão de confirmação (padrão: "OK").
+ * @param {string} [options.cancelLabel] - Texto do botão de cancelamento (padrão: "Cancelar").
+ * @param {boolean} [options.danger=false] - Destaca a confirmação como ação destrutiva.
+ * @returns {Promise<boolean>} `true` se confirmado; Esc e "Cancelar" devolvem `false`.
+ */
+export async function confirmDialog(message, { confirmLabel, cancelLabel, danger = false } = {}) {
+    const result = await openFeedbackDialog(message, { confirmLabel, cancelLabel, danger });
+    return result !== null;
+}
+
+/**
+ * Pede um texto ao usuário.
+ * @param {string} message - Pergunta exibida.
+ * @param {Object} [options]
+ * @param {string} [options.value=''] - Valor inicial do campo.
+ * @param {string} [options.type='text'] - Tipo do campo (`text`, `password`, `url`...).
+ * @param {string} [options.confirmLabel] - Texto do botão de confirmação.
+ * @returns {Promise<string|null>} O texto informado, ou `null` se cancelado.
+ */
+export function promptDialog(message, { value = '', type = 'text', confirmLabel } = {}) {
+    return openFeedbackDialog(message, { confirmLabel, input: { value, type } });
+}
+
+function openFeedbackDialog(message, { confirmLabel = t('feedback.ok'), cancelLabel = t('common.cancel'), danger = false, input = null }) {
+    const id = `feedback-dialog-${++dialogCount}`;
+    const backdrop = document.createElement('div');
+    backdrop.className = 'feedback-backdrop';
+
+    const dialog = document.createElement('form');
+    dialog.className = 'feedback-dialog';
+    dialog.setAttribute('role', 'alertdialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', `${id}-message`);
+
+    const text = document.createElement('p');
+    text.id = `${id}-message`;
+    text.className = 'feedback-message';
+    text.textContent = message;
+    dialog.appendChild(text);
+
+    let field = null;
+    if (input) {
+        field = document.createElement('input');
+        field.className = 'feedback-input';
+        field.type = input.type;
+        field.value = input.value;
+        field.setAttribute('aria-labelledby', text.id);
+        dialog.appendChild(field);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'feedback-actions';
+    actions.innerHTML = `
+        <button type="button" class="btn feedback-btn--secondary" data-feedback="cancel"></button>
+        <button type="submit" class="btn ${danger ? 'feedback-btn--danger' : ''}" data-feedback="confirm"></button>
+    `;
+    actions.querySelector('[data-feedback="cancel"]').textContent = cancelLabel;
+    actions.querySelector('[data-feedback="confirm"]').textContent = confirmLabel;
+    dialog.appendChild(actions);
+    backdrop.appendChild(dialog);
+    document.body.appendChild(backdrop);
+
+    return new Promise((resolve) => {
+        const finish = (result) => {
+            release();
+            backdrop.remove();
+            resolve(result);
+        };
+        // Ações destrutivas começam com o foco em "Cancelar"
+        const initialFocus = field || actions.querySelector(`[data-feedback="${danger ? 'cancel' : 'confirm'}"]`);
+        const release = trapFocus(dialog, { onEscape: () => finish(null), initialFocus });
+
+        dialog.addEventListener('submit', (event) => {
+            event.preventDefault();
+            finish(field ? field.value : '');
+        });
+        actions.querySelector('[data-feedback="cancel"]').onclick = () => finish(null);
+    });
+}
+
+/**
+ * Prende o foco do teclado em `container`: Tab e Shift+Tab circulam só pelos seus
+ * elementos e Esc chama `onEscape`. Ao liberar, o foco volta ao elemento de origem.
+ * @param {HTMLElement} container
+ * @param {Object} [options]
+ * @param {function(): void} [options.onEscape] - Chamado com Esc (sem ele, Esc não faz nada).
+ * @param {HTMLElement} [options.initialFocus] - Elemento que recebe o foco (padrão: o primeiro focável).
+ * @returns {function(): void} Libera o foco.
+ */
+export function trapFocus(container, { onEscape = null, initialFocus = null } = {}) {
+    const trap = { container, onEscape, returnTo: document.activeElement };
+    trapStack.push(trap);
+
+    const target = initialFocus || focusableIn(container)[0] || container;
+    if (target === container && !container.hasAttribute('tabindex')) container.setAttribute('tabindex', '-1');
+    target.focus();
+
+    return () => {
+        const index = trapStack.indexOf(trap);
+        if (index === -1) return;
+        trapStack.splice(index, 1);
+        if (trap.returnTo?.isConnected && typeof trap.returnTo.focus === 'function') trap.returnTo.focus();
+    };
+}
+
+/**
+ * Mostra um diálogo da página (elemento com a classe `hidden`) com o foco preso nele.
+ * @param {HTMLElement} container
+ * @param {Object} [options] - Mesmas opções de `trapFocus`.
+ */
+export function showDialog(container, options = {}) {
+    container.classList.remove('hidden');
+    if (openDialogs.has(container)) return;
+    openDialogs.set(container, trapFocus(container, options));
+}
+
+/**
+ * Esconde um diálogo aberto com `showDialog` e devolve o foco.
+ * @param {HTMLElement} container
+ */
+export function hideDialog(container) {
+    container.classList.add('hidden');
+    openDialogs.get(container)?.();
+    openDialogs.delete(container);
+}
+
+/**
+ * Diálogo que está com o foco preso agora (o de cima), ou `null`.
+ * @returns {HTMLElement|null}
+ */
+export function getActiveDialog() {
+    return trapStack.at(-1)?.container || null;
+}
+
+function focusableIn(container) {
+    return [...container.querySelectorAll(FOCUSABLE)]
+        .filter((element) => element.offsetParent !== null || element === document.activeElement);
+}
+
+// Um único ouvinte (na fase de captura) atende o diálogo de cima, mesmo que o foco tenha
+// escapado dele com um clique fora
+document.addEventListener('keydown', (event) => {
+    const trap = trapStack.at(-1);
+    if (!trap) return;
+
+    if (event.key === 'Escape') {
+        if (trap.onEscape) {
+            event.preventDefault();
+            event.stopPropagation();
+            trap.onEscape();
+        }
+        return;
+    }
+    if (event.key !== 'Tab') return;
+
+    const focusable = focusableIn(trap.container);
+    if (!focusable.length) {
+        event.preventDefault();
+        trap.container.focus();
+        return;
+    }
+    const first = focusable[0];
+    const last = focusable.at(-1);
+    const inside = trap.container.contains(document.activeElement);
+
+    if (!inside || (event.shiftKey && document.activeElement === first)) {
+        event.preventDefault();
+        (event.shiftKey ? last : first).focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}, true);
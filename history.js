@@ -0,0 +1,304 @@
+/**
+ * Histórico de análises: persiste cada captura (imagem + dados da API)
+ * no IndexedDB e exibe uma galeria para reabrir, renomear e excluir.
+ * Com a criptografia ativada (privacy.js), os registros são gravados cifrados.
+ */
+import { STORES, withTransaction } from './db.js';
+import { openRecord, sealRecord } from './privacy.js';
+import { exportAnalysesCsv } from './report-export.js';
+import { confirmDialog, hideDialog, notify, promptDialog, showDialog } from './feedback.js';
+import { formatDate, t } from './i18n.js';
+
+const THUMBNAIL_WIDTH = 120;
+
+export class AnalysisHistory {
+    /**
+     * @param {DataVault|null} [vault=null] - Cofre usado para cifrar/decifrar os registros.
+     */
+    constructor(vault = null) {
+        this.vault = vault;
+    }
+
+    /**
+     * Salva uma nova análise no histórico.
+     * @param {Blob} blob - Imagem capturada.
+     * @param {Object} analysisData - Dados de análise retornados pela API.
+     * @param {Object} [options]
+     * @param {string} [options.name] - Nome amigável da entrada.
+     * @param {Object} [options.meta] - Metadados da captura (qualidade, paciente, etc.).
+     * @param {number} [options.createdAt] - Momento da captura (padrão: agora), para capturas da fila offline.
+     * @returns {Promise<Object>} O registro salvo (com `id`).
+     */
+    async add(blob, analysisData, { name, meta = {}, createdAt = Date.now() } = {}) {
+        const record = {
+            name: name || t('history.defaultName', { date: formatDate(createdAt) }),
+            createdAt,
+            blob,
+            thumbnail: await this._createThumbnail(blob),
+            analysisData,
+            meta,
+            // Em claro (fora de `meta`, que pode ser cifrado): indexado para listar por paciente
+            patientId: meta.patientId ?? null
+        };
+
+        const stored = await sealRecord(this.vault, STORES.analyses, record);
+        record.id = await withTransaction(STORES.analyses, 'readwrite',
+            (tx) => tx.objectStore(STORES.analyses).add(stored));
+        return record;
+    }
+
+    /**
+     * Lista as análises, da mais recente para a mais antiga.
+     * @param {Object} [options]
+     * @param {string} [options.patientId] - Apenas as análises deste paciente (modo clínica).
+     * @returns {Promise<Object[]>}
+     */
+    async list({ patientId = null } = {}) {
+        const records = await withTransaction(STORES.analyses, 'readonly', (tx) => {
+            const store = tx.objectStore(STORES.analyses);
+            return patientId ? store.index('patientId').getAll(patientId) : store.index('createdAt').getAll();
+        });
+        if (patientId) records.sort((a, b) => a.createdAt - b.createdAt);
+        return Promise.all(records.reverse().map((record) => openRecord(this.vault, record)));
+    }
+
+    /**
+     * @param {number} id - Identificador da análise.
+     * @returns {Promise<Object|undefined>}
+     */
+    async get(id) {
+        const record = await withTransaction(STORES.analyses, 'readonly',
+            (tx) => tx.objectStore(STORES.analyses).get(id));
+        return openRecord(this.vault, record);
+    }
+
+    /**
+     * Renomeia uma análise existente.
+     * @param {number} id - Identificador da análise.
+     * @param {string} name - Novo nome.
+     */
+    async rename(id, name) {
+        const record = await this.get(id);
+        if (!record) throw new Error(t('history.notFound'));
+
+        record.name = name;
+        const stored = await sealRecord(this.vault, STORES.analyses, record);
+        await withTransaction(STORES.analyses, 'readwrite',
+            (tx) => tx.objectStore(STORES.analyses).put(stored));
+    }
+
+    /**
+     * Remove uma análise do histórico.
+     * @param {number} id - Identificador da análise.
+     */
+    remove(id) {
+        return withTransaction(STORES.analyses, 'readwrite',
+            (tx) => tx.objectStore(STORES.analyses).delete(id));
+    }
+
+    /**
+     * Gera uma miniatura JPEG da imagem para a listagem.
+     * Em caso de falha, a própria imagem é usada como miniatura.
+     */
+    async _createThumbnail(blob) {
+        try {
+            const bitmap = await createImageBitmap(blob);
+            const scale = THUMBNAIL_WIDTH / bitmap.width;
+            const canvas = document.createElement('canvas');
+            canvas.width = THUMBNAIL_WIDTH;
+            canvas.height = Math.round(bitmap.height * scale);
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            bitmap.close();
+
+            return await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.8)) || blob;
+        } catch (error) {
+            console.warn('Não foi possível gerar a miniatura:', error);
+            return blob;
+        }
+    }
+}
+
+/**
+ * Tela de histórico (galeria de análises anteriores).
+ */
+export class HistoryView {
+    /**
+     * @param {AnalysisHistory} history - Repositório de análises.
+     * @param {function(Object): void} onOpen - Chamado ao reabrir uma análise.
+     * @param {function(Object, Object): void} [onCompare] - Chamado com duas análises selecionadas para comparação.
+     */
+    constructor(history, onOpen, onCompare = null) {
+        this.history = history;
+        this.onOpen = onOpen;
+        this.onCompare = onCompare;
+        this.objectUrls = [];
+        this.compareSelection = [];
+        this.patientId = null;
+
+        this.dom = {
+            container: document.getElementById('historyContainer'),
+            scope: document.getElementById('historyScope'),
+            list: document.getElementById('historyList'),
+            closeBtn: document.getElementById('closeHistory'),
+            exportCsvBtn: document.getElementById('exportHistoryCsv')
+        };
+
+        this.dom.closeBtn?.addEventListener('click', () => this.hide());
+        this.dom.exportCsvBtn?.addEventListener('click', () => this.exportCsv());
+        this.dom.list?.addEventListener('click', (event) => this._handleListClick(event));
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.patientId] - Mostra só as análises deste paciente (modo clínica).
+     * @param {string} [options.scopeLabel] - Identificação do paciente exibida no topo.
+     */
+    async show({ patientId = null, scopeLabel = '' } = {}) {
+        if (!this.dom.container) return;
+        this.patientId = patientId;
+        if (this.dom.scope) {
+            this.dom.scope.textContent = scopeLabel;
+            this.dom.scope.classList.toggle('hidden', !scopeLabel);
+        }
+        showDialog(this.dom.container, { onEscape: () => this.hide() });
+        await this.render();
+    }
+
+    hide() {
+        if (this.dom.container) hideDialog(this.dom.container);
+        this.compareSelection = [];
+        this._revokeUrls();
+    }
+
+    /**
+     * Exporta todas as análises do histórico em um único CSV.
+     */
+    async exportCsv() {
+        try {
+            const records = await this.history.list({ patientId: this.patientId });
+            if (records.length === 0) {
+                notify(t('history.exportEmpty'));
+                return;
+            }
+            exportAnalysesCsv(records);
+        } catch (error) {
+            console.error('Erro ao exportar CSV:', error);
+            notify(t('history.exportError', { message: error.message }), { type: 'error' });
+        }
+    }
+
+    /**
+     * (Re)desenha a lista de análises salvas.
+     */
+    async render() {
+        this._revokeUrls();
+
+        let records = [];
+        try {
+            records = await this.history.list({ patientId: this.patientId });
+        } catch (error) {
+            console.error('Erro ao carregar histórico:', error);
+            this.dom.list.innerHTML = `<p class="history-empty">${t(error.locked ? 'history.locked' : 'history.loadError')}</p>`;
+            return;
+        }
+
+        if (records.length === 0) {
+            this.dom.list.innerHTML = `<p class="history-empty">${t('history.empty')}</p>`;
+            return;
+        }
+
+        this.dom.list.innerHTML = '';
+        records.forEach((record) => this.dom.list.appendChild(this._createItem(record)));
+    }
+
+    _createItem(record) {
+        const thumbUrl = URL.createObjectURL(record.thumbnail || record.blob);
+        this.objectUrls.push(thumbUrl);
+
+        const item = document.createElement('li');
+        item.className = 'history-item';
+        item.classList.toggle('history-item--selected', this.compareSelection.includes(record.id));
+        item.dataset.id = record.id;
+        item.innerHTML = `
+            <img src="${thumbUrl}" alt="" class="history-thumb">
+            <div class="history-info">
+                <strong class="history-name"></strong>
+                <small>${formatDate(record.createdAt)}</small>
+                <small class="history-summary"></small>
+            </div>
+            <div class="history-actions">
+                <button class="btn history-btn" data-action="open" aria-label="${t('history.open')}">👁️</button>
+                <button class="btn history-btn" data-action="rename" aria-label="${t('history.rename')}">✏️</button>
+                ${this.onCompare ? `<button class="btn history-btn" data-action="compare" aria-label="${t('history.compare')}">⚖️</button>` : ''}
+                <button class="btn history-btn history-btn--danger" data-action="delete" aria-label="${t('history.delete')}">🗑️</button>
+            </div>
+        `;
+        // Nome e resumo definidos via textContent: são digitados pelo usuário ou vêm do provedor
+        item.querySelector('.history-name').textContent = record.name;
+        item.querySelector('.history-summary').textContent = `${record.analysisData?.fitzpatrick || t('common.notDetected')} · ${record.analysisData?.textura || t('common.notDetected')}`;
+        return item;
+    }
+
+    async _handleListClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const id = Number(button.closest('.history-item').dataset.id);
+
+        try {
+            switch (button.dataset.action) {
+                case 'open': {
+                    const record = await this.history.get(id);
+                    if (record) this.onOpen(record);
+                    break;
+                }
+                case 'rename': {
+                    const record = await this.history.get(id);
+                    const name = await promptDialog(t('history.renamePrompt'), { value: record?.name || '' });
+                    if (name && name.trim()) {
+                        await this.history.rename(id, name.trim());
+                        await this.render();
+                    }
+                    break;
+                }
+                case 'compare':
+                    await this._toggleCompare(id, button.closest('.history-item'));
+                    break;
+                case 'delete':
+                    if (await confirmDialog(t('history.deleteConfirm'), { danger: true })) {
+                        await this.history.remove(id);
+                        this.compareSelection = this.compareSelection.filter((selected) => selected !== id);
+                        await this.render();
+                    }
+                    break;
+            }
+        } catch (error) {
+            console.error('Erro no histórico:', error);
+            notify(t('history.error', { message: error.message }), { type: 'error' });
+        }
+    }
+
+    /**
+     * Marca/desmarca uma análise para comparação; ao selecionar a segunda, abre a comparação.
+     */
+    async _toggleCompare(id, item) {
+        if (this.compareSelection.includes(id)) {
+            this.compareSelection = this.compareSelection.filter((selected) => selected !== id);
+        } else {
+            this.compareSelection.push(id);
+        }
+        item.classList.toggle('history-item--selected', this.compareSelection.includes(id));
+
+        if (this.compareSelection.length < 2) return;
+
+        const [first, second] = await Promise.all(this.compareSelection.map((selected) => this.history.get(selected)));
+        this.compareSelection = [];
+        this.dom.list.querySelectorAll('.history-item--selected').forEach((el) => el.classList.remove('history-item--selected'));
+        if (first && second) this.onCompare(first, second);
+    }
+
+    _revokeUrls() {
+        this.objectUrls.forEach((url) => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * Tradução da interface (pt-BR, en, es) e formatação de números e datas conforme o idioma.
+ * O idioma vem do ajuste salvo ou, na falta dele, das preferências do navegador.
+ *
+ * Mensagens ficam em `locales/<idioma>.js`, em chaves planas ('capture.notReady').
+ * Parâmetros são escritos como `{nome}`; mensagens com plural são objetos com as
+ * categorias de `Intl.PluralRules` (`one`, `other`...) escolhidas por `{count}`.
+ * No HTML, `data-i18n="chave"` traduz o texto do elemento e
+ * `data-i18n-attr="aria-label:chave; title:chave"` traduz atributos.
+ */
+import ptBR from './locales/pt-BR.js';
+import en from './locales/en.js';
+import es from './locales/es.js';
+
+const LOCALE_KEY = 'faceCapture.locale';
+export const DEFAULT_LOCALE = 'pt-BR';
+
+export const LOCALES = [
+    { code: 'pt-BR', label: 'Português (Brasil)', manifest: '/manifest.json', messages: ptBR },
+    { code: 'en', label: 'English', manifest: '/manifest.en.json', messages: en },
+    { code: 'es', label: 'Español', manifest: '/manifest.es.json', messages: es }
+];
+
+const findLocale = (code) => LOCALES.find((locale) => locale.code === code);
+
+/**
+ * Idioma suportado mais próximo das preferências informadas (ex.: 'en-US' → 'en', 'pt-PT' → 'pt-BR').
+ * @param {string[]} [languages] - Preferências em ordem; padrão: as do navegador.
+ * @returns {string}
+ */
+export function detectLocale(languages = globalThis.navigator?.languages || []) {
+    for (const language of languages) {
+        const exact = LOCALES.find((locale) => locale.code.toLowerCase() === language.toLowerCase());
+        if (exact) return exact.code;
+
+        const base = language.split('-')[0].toLowerCase();
+        const sameLanguage = LOCALES.find((locale) => locale.code.split('-')[0].toLowerCase() === base);
+        if (sameLanguage) return sameLanguage.code;
+    }
+    return DEFAULT_LOCALE;
+}
+
+function loadSavedLocale() {
+    try {
+        // Sem localStorage (ex.: em workers), vale a detecção pelo navegador
+        const saved = globalThis.localStorage?.getItem(LOCALE_KEY);
+        return findLocale(saved) ? saved : null;
+    } catch {
+        return null;
+    }
+}
+
+let currentLocale = loadSavedLocale() || detectLocale();
+const listeners = new Set();
+
+/**
+ * @returns {string} Código do idioma atual (ex.: 'pt-BR').
+ */
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Troca o idioma, salva a escolha, retraduz a página e avisa os inscritos em `onLocaleChange`.
+ * @param {string} code - Um dos códigos de `LOCALES`.
+ */
+export function setLocale(code) {
+    if (!findLocale(code) || code === currentLocale) return;
+
+    currentLocale = code;
+    localStorage.setItem(LOCALE_KEY, code);
+    translateDocument();
+    listeners.forEach((listener) => listener(code));
+}
+
+/**
+ * Inscreve uma função para ser chamada a cada troca de idioma.
+ * @param {function(string): void} listener
+ * @returns {function(): void} Cancela a inscrição.
+ */
+export function onLocaleChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Traduz uma mensagem. Chaves sem tradução no idioma atual usam o pt-BR; chaves
+ * desconhecidas são devolvidas como estão (facilitando encontrar a falta).
+ * @param {string} key - Chave da mensagem.
+ * @param {Object} [params={}] - Valores de `{nome}`; números são formatados no idioma atual.
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+    const message = findLocale(currentLocale).messages[key] ?? ptBR[key] ?? key;
+    const text = typeof message === 'object'
+        ? message[new Intl.PluralRules(currentLocale).select(Number(params.count))] ?? message.other
+        : message;
+
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number' ? formatNumber(value) : String(value ?? '');
+    });
+}
+
+/**
+ * Formata um número no idioma atual (separadores de milhar e decimal).
+ * @param {number} value
+ * @param {number} [digits] - Casas decimais fixas; sem elas, até 3 casas.
+ * @returns {string}
+ */
+export function formatNumber(value, digits) {
+    const options = digits === undefined ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+    return new Intl.NumberFormat(currentLocale, options).format(value);
+}
+
+/**
+ * Formata data e hora no idioma atual.
+ * @param {number|Date|string} value - Data (timestamp, Date ou texto ISO).
+ * @param {Intl.DateTimeFormatOptions} [options] - Padrão: data e hora curtas.
+ * @returns {string}
+ */
+export function formatDate(value, options = { dateStyle: 'short', timeStyle: 'short' }) {
+    return new Intl.DateTimeFormat(currentLocale, options).format(new Date(value));
+}
+
+/**
+ * Aplica o idioma atual ao documento: `lang`, título, manifesto e os elementos
+ * marcados com `data-i18n` / `data-i18n-attr`.
+ * @param {ParentNode} [root=document]
+ */
+export function translateDocument(root = document) {
+    if (root === document) {
+        document.documentElement.lang = currentLocale;
+        const manifest = document.querySelector('link[rel="manifest"]');
+        if (manifest) manifest.href = findLocale(currentLocale).manifest;
+    }
+
+    root.querySelectorAll('[data-i18n]').forEach((element) => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach((element) => {
+        element.dataset.i18nAttr.split(';').forEach((pair) => {
+            const [attribute, key] = pair.split(':').map((part) => part.trim());
+            if (attribute && key) element.setAttribute(attribute, t(key));
+        });
+    });
+}
@@ -0,0 +1,573 @@
+/**
+ * Marcações sobre a imagem analisada: caixa do rosto, manchas, mapa de linhas e
+ * mapa de calor da textura, lidos de `regioes` na resposta (ver analysis-schema.js).
+ * A mesma rotina de desenho serve à tela de resultados (camadas alternáveis,
+ * zoom/arraste e inspeção por toque) e à exportação da imagem anotada.
+ */
+
+import { downloadBlob, escapeHtml } from './report-export.js';
+import { formatNumber, t } from './i18n.js';
+
+const MAX_ZOOM = 6;
+const ZOOM_STEP = 1.5;
+const TAP_TOLERANCE = 6;        // Deslocamento máximo (px) para um toque não virar arraste
+const HIT_RADIUS = 14;          // Distância (px de tela) para acertar uma mancha pequena ou uma linha
+const MIN_RENDER_SIZE = 1024;   // Lado maior mínimo do desenho, para traços nítidos com zoom
+
+/**
+ * Camadas, na ordem em que são desenhadas (a última fica por cima).
+ * O rótulo é um getter, para acompanhar o idioma atual da interface.
+ */
+const layer = (id, color) => ({ id, color, get label() { return t(`annotation.layer.${id}`); } });
+
+export const ANNOTATION_LAYERS = [
+    layer('textura', '#FF9800'),
+    layer('rugas', '#2196F3'),
+    layer('manchas', '#FF5733'),
+    layer('face', '#4CAF50')
+];
+
+const LAYER_COLORS = Object.fromEntries(ANNOTATION_LAYERS.map((layer) => [layer.id, layer.color]));
+
+const toNumber = (value) => ((typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) ? Number(value) : NaN);
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const optionalText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/**
+ * Lê `regioes` de uma análise e converte tudo para frações (0 a 1) da imagem.
+ * Itens malformados são descartados.
+ * @param {Object} data - Dados de análise.
+ * @param {number} width - Largura natural da imagem analisada (usada quando `unidade` é 'px').
+ * @param {number} height - Altura natural da imagem analisada.
+ * @returns {{face: Object|null, manchas: Object[], rugas: Object[], textura: Object|null}|null}
+ *          `null` se a resposta não trouxer nenhuma região utilizável.
+ */
+export function extractRegions(data, width, height) {
+    const raw = data?.regioes;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+
+    const [scaleX, scaleY] = raw.unidade === 'px' ? [1 / width, 1 / height] : [1, 1];
+    const extras = (item) => ({ label: optionalText(item.rotulo), description: optionalText(item.descricao) });
+    const intensity = (item) => {
+        const value = toNumber(item.intensidade);
+        return Number.isFinite(value) ? clamp01(value) : null;
+    };
+
+    const box = (item) => {
+        if (!item || typeof item !== 'object') return null;
+        const x = toNumber(item.x), y = toNumber(item.y);
+        // Manchas sem tamanho são aceitas como marcadores pontuais
+        const w = item.largura === undefined ? 0 : toNumber(item.largura);
+        const h = item.altura === undefined ? 0 : toNumber(item.altura);
+        if (![x, y, w, h].every(Number.isFinite) || w < 0 || h < 0) return null;
+        return { x: x * scaleX, y: y * scaleY, width: w * scaleX, height: h * scaleY, intensity: intensity(item), ...extras(item) };
+    };
+
+    const line = (item) => {
+        const points = (Array.isArray(item?.pontos) ? item.pontos : [])
+            .filter((point) => Array.isArray(point) && point.length >= 2)
+            .map(([x, y]) => [toNumber(x) * scaleX, toNumber(y) * scaleY])
+            .filter((point) => point.every(Number.isFinite));
+        return points.length >= 2 ? { points, intensity: intensity(item), ...extras(item) } : null;
+    };
+
+    const heatmap = (grid) => {
+        const columns = toNumber(grid?.colunas), rows = toNumber(grid?.linhas);
+        if (!Number.isInteger(columns) || !Number.isInteger(rows) || columns < 1 || rows < 1) return null;
+        if (!Array.isArray(grid.valores) || grid.valores.length !== columns * rows) return null;
+        const values = grid.valores.map(toNumber);
+        return values.every(Number.isFinite) ? { columns, rows, values: values.map(clamp01) } : null;
+    };
+
+    const regions = {
+        face: box(raw.face),
+        manchas: (Array.isArray(raw.manchas) ? raw.manchas : []).map(box).filter(Boolean),
+        rugas: (Array.isArray(raw.rugas) ? raw.rugas : []).map(line).filter(Boolean),
+        textura: heatmap(raw.textura)
+    };
+
+    const empty = !regions.face && !regions.manchas.length && !regions.rugas.length && !regions.textura;
+    return empty ? null : regions;
+}
+
+/**
+ * Camadas que têm algo a desenhar.
+ * @param {Object|null} regions - Resultado de `extractRegions`.
+ * @returns {Object[]} Definições de `ANNOTATION_LAYERS`.
+ */
+export function availableLayers(regions) {
+    if (!regions) return [];
+    return ANNOTATION_LAYERS.filter((layer) => {
+        const value = regions[layer.id];
+        return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    });
+}
+
+/**
+ * Cor do mapa de calor: verde (textura regular) a vermelho (irregular).
+ */
+function heatColor(value) {
+    return `hsla(${Math.round(120 * (1 - value))}, 90%, 50%, ${0.12 + value * 0.4})`;
+}
+
+function spotRadius(spot, width, height) {
+    const radius = Math.max(spot.width * width, spot.height * height) / 2;
+    return Math.max(radius, Math.max(width, height) / 90);
+}
+
+/**
+ * Desenha as camadas visíveis sobre um contexto do tamanho da imagem.
+ * @param {CanvasRenderingContext2D} ctx - Contexto de destino (a imagem já desenhada, ou transparente).
+ * @param {Object} regions - Resultado de `extractRegions`.
+ * @param {Set<string>} visible - Ids das camadas visíveis.
+ * @param {number} width - Largura do desenho, em px.
+ * @param {number} height - Altura do desenho, em px.
+ * @param {{layer: string, index: number}|null} [selected=null] - Marcação destacada (inspecionada).
+ */
+export function drawAnnotations(ctx, regions, visible, width, height, selected = null) {
+    const stroke = Math.max(2, Math.max(width, height) / 300);
+    const isSelected = (layer, index) => selected?.layer === layer && selected.index === index;
+
+    ctx.save();
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    if (visible.has('textura') && regions.textura) {
+        const { columns, rows, values } = regions.textura;
+        const cellWidth = width / columns, cellHeight = height / rows;
+        values.forEach((value, i) => {
+            const x = (i % columns) * cellWidth, y = Math.floor(i / columns) * cellHeight;
+            ctx.fillStyle = heatColor(value);
+            ctx.fillRect(x, y, cellWidth, cellHeight);
+            if (isSelected('textura', i)) {
+                ctx.strokeStyle = '#fff';
+                ctx.lineWidth = stroke;
+                ctx.strokeRect(x, y, cellWidth, cellHeight);
+            }
+        });
+    }
+
+    if (visible.has('rugas')) {
+        regions.rugas.forEach((wrinkle, i) => {
+            ctx.strokeStyle = isSelected('rugas', i) ? '#fff' : LAYER_COLORS.rugas;
+            ctx.globalAlpha = wrinkle.intensity === null ? 0.9 : 0.45 + wrinkle.intensity * 0.55;
+            ctx.lineWidth = stroke * (isSelected('rugas', i) ? 2 : 1);
+            ctx.beginPath();
+            wrinkle.points.forEach(([x, y], j) => (j ? ctx.lineTo(x * width, y * height) : ctx.moveTo(x * width, y * height)));
+            ctx.stroke();
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    if (visible.has('manchas')) {
+        regions.manchas.forEach((spot, i) => {
+            ctx.strokeStyle = isSelected('manchas', i) ? '#fff' : LAYER_COLORS.manchas;
+            ctx.lineWidth = stroke * (isSelected('manchas', i) ? 2 : 1);
+            ctx.beginPath();
+            ctx.arc((spot.x + spot.width / 2) * width, (spot.y + spot.height / 2) * height, spotRadius(spot, width, height) + stroke, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+    }
+
+    if (visible.has('face') && regions.face) {
+        const { x, y, width: w, height: h } = regions.face;
+        ctx.strokeStyle = isSelected('face', 0) ? '#fff' : LAYER_COLORS.face;
+        ctx.lineWidth = stroke * (isSelected('face', 0) ? 2 : 1);
+        ctx.setLineDash([stroke * 4, stroke * 3]);
+        ctx.strokeRect(x * width, y * height, w * width, h * height);
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Distância de um ponto a um segmento.
+ */
+function distanceToSegment(px, py, [ax, ay], [bx, by]) {
+    const dx = bx - ax, dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq ? clamp01(((px - ax) * dx + (py - ay) * dy) / lengthSq) : 0;
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+/**
+ * Encontra a marcação visível sob um ponto da imagem (em px do desenho).
+ * Manchas e linhas têm prioridade sobre o mapa de textura e a caixa do rosto.
+ * @returns {{layer: string, index: number}|null}
+ */
+export function hitTestAnnotations(regions, visible, x, y, width, height, tolerance) {
+    if (visible.has('manchas')) {
+        let best = null;
+        regions.manchas.forEach((spot, index) => {
+            const distance = Math.hypot(x - (spot.x + spot.width / 2) * width, y - (spot.y + spot.height / 2) * height);
+            if (distance <= spotRadius(spot, width, height) + tolerance && (!best || distance < best.distance)) {
+                best = { layer: 'manchas', index, distance };
+            }
+        });
+        if (best) return { layer: best.layer, index: best.index };
+    }
+
+    if (visible.has('rugas')) {
+        const index = regions.rugas.findIndex((wrinkle) => wrinkle.points.some((point, j) => j > 0
+            && distanceToSegment(x, y, [wrinkle.points[j - 1][0] * width, wrinkle.points[j - 1][1] * height], [point[0] * width, point[1] * height]) <= tolerance));
+        if (index >= 0) return { layer: 'rugas', index };
+    }
+
+    if (visible.has('textura') && regions.textura && x >= 0 && y >= 0 && x < width && y < height) {
+        const { columns, rows } = regions.textura;
+        return { layer: 'textura', index: Math.floor(y / height * rows) * columns + Math.floor(x / width * columns) };
+    }
+
+    const face = regions.face;
+    if (visible.has('face') && face
+        && x >= face.x * width && x <= (face.x + face.width) * width
+        && y >= face.y * height && y <= (face.y + face.height) * height) {
+        return { layer: 'face', index: 0 };
+    }
+    return null;
+}
+
+/**
+ * Texto do balão de inspeção de uma marcação.
+ * @returns {{title: string, lines: string[]}}
+ */
+export function describeAnnotation(hit, regions, analysisData = {}) {
+    const percent = (value, digits = 0) => `${formatNumber(value * 100, digits)}%`;
+    const lines = [];
+    let item, title;
+
+    switch (hit.layer) {
+    case 'manchas':
+        item = regions.manchas[hit.index];
+        title = t('annotation.spot', { index: hit.index + 1, total: regions.manchas.length });
+        if (item.width > 0 && item.height > 0) lines.push(t('annotation.spotArea', { area: percent(item.width * item.height, 2) }));
+        break;
+    case 'rugas': {
+        item = regions.rugas[hit.index];
+        title = t('annotation.line', { index: hit.index + 1, total: regions.rugas.length });
+        const length = item.points.reduce((sum, point, j) => (j ? sum + Math.hypot(point[0] - item.points[j - 1][0], point[1] - item.points[j - 1][1]) : 0), 0);
+        lines.push(t('annotation.lineLength', { length: percent(length) }));
+        break;
+    }
+    case 'textura': {
+        const { columns, values } = regions.textura;
+        item = {};
+        title = t('annotation.texture', { index: hit.index + 1, total: values.length });
+        lines.push(t('annotation.irregularity', { value: percent(values[hit.index]) }));
+        lines.push(t('annotation.cell', { row: Math.floor(hit.index / columns) + 1, column: hit.index % columns + 1 }));
+        break;
+    }
+    default: {
+        item = regions.face;
+        title = t('annotation.face');
+        const confidence = Number(analysisData.face_detectada?.confianca);
+        if (Number.isFinite(confidence)) lines.push(t('results.confidence', { value: percent(confidence) }));
+        if (analysisData.face_detectada?.metodo) lines.push(t('results.method', { method: analysisData.face_detectada.metodo }));
+    }
+    }
+
+    if (item.intensity !== null && item.intensity !== undefined) lines.push(t('annotation.intensity', { value: percent(item.intensity) }));
+    if (item.description) lines.push(item.description);
+    return { title: item.label || title, lines };
+}
+
+/**
+ * Visualização interativa da imagem analisada com as camadas de marcação.
+ */
+export class AnnotatedImageView {
+    constructor() {
+        this.root = null;
+        this.image = null;
+        this.canvas = null;
+        this.regions = null;
+        this.analysisData = null;
+        this.visible = new Set();
+        this.selected = null;
+
+        // Zoom e deslocamento da imagem dentro do palco (px do palco)
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.pointers = new Map();
+        this.tapStart = null;
+    }
+
+    /**
+     * Monta a imagem com as marcações dentro de um elemento da tela de resultados.
+     * @param {HTMLElement} root - Elemento que recebe a visualização (substitui o conteúdo).
+     * @param {string} url - URL da imagem analisada.
+     * @param {Object} analysisData - Dados de análise (com `regioes`, quando houver).
+     */
+    async show(root, url, analysisData) {
+        this.root = root;
+        this.analysisData = analysisData;
+        this.selected = null;
+        this.pointers.clear();
+
+        root.innerHTML = `
+            <div class="annotation-stage">
+                <div class="annotation-layer">
+                    <img src="${url}" alt="${t('results.imageAlt')}" class="analyzed-image" draggable="false">
+                    <canvas class="annotation-canvas" aria-hidden="true"></canvas>
+                </div>
+                <div class="annotation-popover hidden" role="status" aria-live="polite"></div>
+            </div>
+            <div class="annotation-toolbar">
+                <div class="annotation-layers" role="group" aria-label="${t('annotation.layers')}"></div>
+                <div class="annotation-zoom" role="group" aria-label="${t('annotation.zoom')}">
+                    <button class="annotation-btn" data-zoom="out" aria-label="${t('annotation.zoomOut')}">−</button>
+                    <button class="annotation-btn" data-zoom="reset" aria-label="${t('annotation.zoomReset')}">⤢</button>
+                    <button class="annotation-btn" data-zoom="in" aria-label="${t('annotation.zoomIn')}">+</button>
+                </div>
+            </div>
+        `;
+
+        this.stage = root.querySelector('.annotation-stage');
+        this.layer = root.querySelector('.annotation-layer');
+        this.image = root.querySelector('.analyzed-image');
+        this.canvas = root.querySelector('.annotation-canvas');
+        this.popover = root.querySelector('.annotation-popover');
+
+        try {
+            await this.image.decode();
+        } catch (error) {
+            console.warn('Imagem analisada não pôde ser decodificada para as marcações:', error);
+            this.regions = null;
+            return;
+        }
+
+        this.regions = extractRegions(analysisData, this.image.naturalWidth, this.image.naturalHeight);
+        const layers = availableLayers(this.regions);
+        // O mapa de textura cobre o rosto inteiro: começa desligado para não esconder as demais camadas
+        this.visible = new Set(layers.map((layer) => layer.id).filter((id) => id !== 'textura' || layers.length === 1));
+
+        this._renderLayerToggles(layers);
+        this._resetView();
+        this._bindEvents();
+        this._draw();
+    }
+
+    /**
+     * Indica se há marcações para exibir/exportar.
+     */
+    hasAnnotations() {
+        return Boolean(this.regions);
+    }
+
+    /**
+     * Baixa a imagem analisada com as camadas visíveis desenhadas por cima (PNG).
+     */
+    async exportImage() {
+        if (!this.image?.naturalWidth) throw new Error(t('annotation.notLoaded'));
+
+        const { width, height } = this._renderSize();
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(this.image, 0, 0, width, height);
+        if (this.regions) drawAnnotations(ctx, this.regions, this.visible, width, height);
+
+        const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) throw new Error(t('annotation.exportFailed'));
+        downloadBlob(blob, `analise-anotada-${Date.now()}.png`);
+    }
+
+    _renderLayerToggles(layers) {
+        const group = this.root.querySelector('.annotation-layers');
+        if (!layers.length) {
+            group.innerHTML = `<small class="annotation-empty">${t('annotation.empty')}</small>`;
+            return;
+        }
+
+        group.innerHTML = layers.map((layer) => `
+            <button class="annotation-btn annotation-toggle" data-layer="${layer.id}" aria-pressed="${this.visible.has(layer.id)}"
+                style="--layer-color: ${layer.color}">${escapeHtml(layer.label)}</button>
+        `).join('');
+
+        group.querySelectorAll('[data-layer]').forEach((button) => {
+            button.onclick = () => {
+                const id = button.dataset.layer;
+                if (this.visible.has(id)) this.visible.delete(id);
+                else this.visible.add(id);
+                button.setAttribute('aria-pressed', String(this.visible.has(id)));
+                if (this.selected?.layer === id) this._inspect(null);
+                this._draw();
+            };
+        });
+    }
+
+    _bindEvents() {
+        const { stage } = this;
+
+        this.root.querySelectorAll('[data-zoom]').forEach((button) => {
+            button.onclick = () => {
+                const action = button.dataset.zoom;
+                if (action === 'reset') this._resetView();
+                else this._zoomAround(this.scale * (action === 'in' ? ZOOM_STEP : 1 / ZOOM_STEP));
+            };
+        });
+
+        stage.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            this._zoomAround(this.scale * (event.deltaY < 0 ? 1.1 : 1 / 1.1), this._stagePoint(event));
+        }, { passive: false });
+
+        stage.addEventListener('pointerdown', (event) => {
+            stage.setPointerCapture(event.pointerId);
+            const point = this._stagePoint(event);
+            this.pointers.set(event.pointerId, point);
+            this.tapStart = this.pointers.size === 1 ? point : null;
+        });
+        stage.addEventListener('pointermove', (event) => this._handlePointerMove(event));
+        stage.addEventListener('pointerup', (event) => {
+            const point = this._stagePoint(event);
+            const isTap = this.tapStart && this.pointers.size === 1
+                && Math.hypot(point.x - this.tapStart.x, point.y - this.tapStart.y) <= TAP_TOLERANCE;
+            this.pointers.delete(event.pointerId);
+            this.tapStart = null;
+            if (isTap) this._inspectAt(point);
+        });
+        stage.addEventListener('pointercancel', (event) => {
+            this.pointers.delete(event.pointerId);
+            this.tapStart = null;
+        });
+    }
+
+    _handlePointerMove(event) {
+        if (!this.pointers.has(event.pointerId)) return;
+
+        const current = this._stagePoint(event);
+        const last = this.pointers.get(event.pointerId);
+
+        if (this.pointers.size === 1) {
+            // Só vira arraste depois de passar da tolerância do toque
+            if (this.tapStart && Math.hypot(current.x - this.tapStart.x, current.y - this.tapStart.y) <= TAP_TOLERANCE) return;
+            this.tapStart = null;
+            this.pointers.set(event.pointerId, current);
+            this._panBy(current.x - last.x, current.y - last.y);
+            return;
+        }
+
+        // Pinça: escala pela razão entre as distâncias dos dois dedos
+        const other = [...this.pointers.entries()].find(([id]) => id !== event.pointerId)?.[1];
+        this.pointers.set(event.pointerId, current);
+        if (!other) return;
+
+        const before = Math.hypot(last.x - other.x, last.y - other.y);
+        const after = Math.hypot(current.x - other.x, current.y - other.y);
+        if (before > 0) {
+            this._zoomAround(this.scale * (after / before), { x: (current.x + other.x) / 2, y: (current.y + other.y) / 2 });
+        }
+    }
+
+    /**
+     * Inspeciona a marcação sob um ponto do palco (ou fecha o balão, se não houver).
+     */
+    _inspectAt(point) {
+        if (!this.regions) return;
+
+        const { width, height } = this._renderSize();
+        const stageWidth = this.stage.clientWidth;
+        // Palco → px do desenho, desfazendo o zoom/deslocamento
+        const factor = width / (stageWidth * this.scale);
+        const x = (point.x - this.x) * factor;
+        const y = (point.y - this.y) * factor;
+
+        const hit = hitTestAnnotations(this.regions, this.visible, x, y, width, height, HIT_RADIUS * factor);
+        this._inspect(hit, point);
+    }
+
+    _inspect(hit, point = null) {
+        this.selected = hit;
+        this._draw();
+
+        if (!hit) {
+            this.popover.classList.add('hidden');
+            return;
+        }
+
+        const { title, lines } = describeAnnotation(hit, this.regions, this.analysisData);
+        this.popover.innerHTML = `
+            <strong>${escapeHtml(title)}</strong>
+            ${lines.map((line) => `<small>${escapeHtml(line)}</small>`).join('')}
+        `;
+        this.popover.classList.remove('hidden');
+
+        // Mantém o balão dentro do palco, acima do ponto tocado quando houver espaço
+        const stageWidth = this.stage.clientWidth, stageHeight = this.stage.clientHeight;
+        const { offsetWidth: popWidth, offsetHeight: popHeight } = this.popover;
+        const anchor = point || { x: stageWidth / 2, y: stageHeight / 2 };
+        const left = Math.min(Math.max(0, anchor.x - popWidth / 2), Math.max(0, stageWidth - popWidth));
+        const top = anchor.y - popHeight - 12 >= 0 ? anchor.y - popHeight - 12 : Math.min(anchor.y + 12, Math.max(0, stageHeight - popHeight));
+        this.popover.style.left = `${left}px`;
+        this.popover.style.top = `${top}px`;
+    }
+
+    /**
+     * Tamanho do desenho das marcações: o da imagem, ampliado para traços nítidos com zoom.
+     */
+    _renderSize() {
+        const { naturalWidth: width, naturalHeight: height } = this.image;
+        const factor = Math.max(1, MIN_RENDER_SIZE / Math.max(width, height));
+        return { width: Math.round(width * factor), height: Math.round(height * factor) };
+    }
+
+    _draw() {
+        if (!this.canvas || !this.image?.naturalWidth) return;
+
+        const { width, height } = this._renderSize();
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        if (this.regions) drawAnnotations(ctx, this.regions, this.visible, width, height, this.selected);
+    }
+
+    _resetView() {
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this._inspect(null);
+        this._applyTransform();
+    }
+
+    /**
+     * Aplica nova escala mantendo fixo o ponto indicado (por padrão, o centro do palco).
+     */
+    _zoomAround(newScale, point = null) {
+        newScale = Math.min(MAX_ZOOM, Math.max(1, newScale));
+        const pivot = point || { x: this.stage.clientWidth / 2, y: this.stage.clientHeight / 2 };
+        const ratio = newScale / this.scale;
+
+        this.x = pivot.x - (pivot.x - this.x) * ratio;
+        this.y = pivot.y - (pivot.y - this.y) * ratio;
+        this.scale = newScale;
+        // O balão aponta para a posição antiga; a marcação continua destacada
+        this.popover.classList.add('hidden');
+        this._panBy(0, 0);
+    }
+
+    /**
+     * Desloca a imagem sem deixar aparecer borda vazia no palco.
+     */
+    _panBy(dx, dy) {
+        const width = this.stage.clientWidth, height = this.stage.clientHeight;
+        this.x = Math.min(0, Math.max(width - width * this.scale, this.x + dx));
+        this.y = Math.min(0, Math.max(height - height * this.scale, this.y + dy));
+        if (dx || dy) this.popover.classList.add('hidden');
+        this._applyTransform();
+    }
+
+    _applyTransform() {
+        this.layer.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+        this.stage.classList.toggle('annotation-stage--zoomed', this.scale > 1);
+    }
+
+    _stagePoint(event) {
+        const rect = this.stage.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+}
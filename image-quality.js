@@ -0,0 +1,201 @@
+/**
+ * Avaliação de qualidade da imagem recortada antes do envio:
+ * nitidez, exposição, reflexos especulares e dominante de cor.
+ * Apenas os pixels dentro da elipse (alfa > 0) são considerados.
+ */
+
+const THRESHOLDS_KEY = 'faceCapture.qualityThresholds';
+
+export const DEFAULT_QUALITY_THRESHOLDS = {
+    minSharpness: 40,           // Variância do Laplaciano da luminância
+    minBrightness: 70,          // Luminância média (0-255)
+    maxBrightness: 200,
+    maxShadowClipping: 0.25,    // Fração de pixels quase pretos
+    maxHighlightClipping: 0.15, // Fração de pixels quase brancos
+    maxGlare: 0.02,             // Fração de pixels com reflexo especular
+    maxColorCast: 25,           // Distância (a*, b*) do tom de pele de referência
+    warnScore: 75,              // Abaixo disso, pede confirmação antes do envio
+    blockScore: 45              // Abaixo disso, o envio é bloqueado
+};
+
+// Centro aproximado do tom de pele no plano a*b* (CIELAB)
+const SKIN_REFERENCE_AB = { a: 15, b: 20 };
+
+/**
+ * Carrega os limites configurados (localStorage), completando com os valores padrão.
+ * @returns {Object}
+ */
+export function loadQualityThresholds() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(THRESHOLDS_KEY) || '{}');
+        return { ...DEFAULT_QUALITY_THRESHOLDS, ...saved };
+    } catch {
+        return { ...DEFAULT_QUALITY_THRESHOLDS };
+    }
+}
+
+/**
+ * Persiste limites personalizados.
+ * @param {Object} thresholds - Valores a sobrescrever (os demais seguem o padrão).
+ */
+export function saveQualityThresholds(thresholds) {
+    localStorage.setItem(THRESHOLDS_KEY, JSON.stringify(thresholds));
+}
+
+/**
+ * Avalia a qualidade da imagem de um canvas.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas com o recorte elíptico.
+ * @param {Object} [thresholds=DEFAULT_QUALITY_THRESHOLDS] - Limites de aceitação.
+ * @returns {{score: number, verdict: 'ok'|'warn'|'block', metrics: Object, issues: Object[]}}
+ */
+export function assessImageQuality(canvas, thresholds = DEFAULT_QUALITY_THRESHOLDS) {
+    const { width, height } = canvas;
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+    return assessImageData(data, width, height, thresholds);
+}
+
+/**
+ * Mesma avaliação de `assessImageQuality`, a partir dos pixels RGBA.
+ */
+export function assessImageData(data, width, height, thresholds = DEFAULT_QUALITY_THRESHOLDS) {
+    const luma = new Float32Array(width * height);
+    const opaque = new Uint8Array(width * height);
+
+    let count = 0, lumaSum = 0, shadows = 0, highlights = 0, glare = 0;
+    let rSum = 0, gSum = 0, bSum = 0;
+
+    for (let p = 0; p < width * height; p++) {
+        const i = p * 4;
+        if (data[i + 3] === 0) continue;
+
+        const r = data[i], g = data[i + 1], b = data[i + 2];
+        const y = 0.299 * r + 0.587 * g + 0.114 * b;
+        luma[p] = y;
+        opaque[p] = 1;
+
+        count++;
+        lumaSum += y;
+        rSum += r; gSum += g; bSum += b;
+
+        if (y < 25) shadows++;
+        if (y > 245) highlights++;
+        // Reflexo especular: muito claro e praticamente sem saturação
+        if (y > 235 && Math.max(r, g, b) - Math.min(r, g, b) < 25) glare++;
+    }
+
+    if (count === 0) {
+        return {
+            score: 0,
+            verdict: 'block',
+            metrics: {},
+            issues: [{ code: 'empty', message: 'A imagem capturada está vazia.' }]
+        };
+    }
+
+    const metrics = {
+        sharpness: laplacianVariance(luma, opaque, width, height),
+        brightness: lumaSum / count,
+        shadowClipping: shadows / count,
+        highlightClipping: highlights / count,
+        glare: glare / count,
+        colorCast: colorCastDistance(rSum / count, gSum / count, bSum / count)
+    };
+
+    const issues = [];
+    let penalty = 0;
+    // Penalidade proporcional ao quanto o limite foi ultrapassado (máximo `weight` pontos)
+    const check = (failed, ratio, weight, code, message) => {
+        if (!failed) return;
+        penalty += Math.min(weight, weight * 0.5 + weight * 0.5 * Math.min(ratio, 1));
+        issues.push({ code, message });
+    };
+
+    const t = thresholds;
+    check(metrics.sharpness < t.minSharpness, 1 - metrics.sharpness / t.minSharpness, 45,
+        'blur', 'Imagem desfocada ou tremida. Mantenha a câmera parada.');
+    check(metrics.brightness < t.minBrightness, (t.minBrightness - metrics.brightness) / t.minBrightness, 35,
+        'underexposed', 'Imagem escura. Procure um local mais iluminado.');
+    check(metrics.brightness > t.maxBrightness, (metrics.brightness - t.maxBrightness) / (255 - t.maxBrightness), 35,
+        'overexposed', 'Imagem clara demais. Evite luz direta no rosto.');
+    check(metrics.shadowClipping > t.maxShadowClipping, metrics.shadowClipping - t.maxShadowClipping, 20,
+        'shadows', 'Sombras fortes no rosto. Use uma iluminação mais uniforme.');
+    check(metrics.highlightClipping > t.maxHighlightClipping, metrics.highlightClipping - t.maxHighlightClipping, 20,
+        'highlights', 'Áreas estouradas de luz no rosto.');
+    check(metrics.glare > t.maxGlare, (metrics.glare - t.maxGlare) / t.maxGlare, 25,
+        'glare', 'Reflexos de brilho na pele. Evite flash e luz frontal forte.');
+    check(metrics.colorCast > t.maxColorCast, (metrics.colorCast - t.maxColorCast) / t.maxColorCast, 30,
+        'colorCast', 'Iluminação com cor forte (ex.: luz amarelada ou azulada).');
+
+    const score = Math.max(0, Math.round(100 - penalty));
+    let verdict = 'ok';
+    if (score < t.blockScore) verdict = 'block';
+    else if (score < t.warnScore || issues.length > 0) verdict = 'warn';
+
+    return { score, verdict, metrics, issues };
+}
+
+/**
+ * Variância do Laplaciano (4-vizinhos), medida clássica de nitidez.
+ * Só considera pixels cujos vizinhos também estão dentro da elipse.
+ */
+function laplacianVariance(luma, opaque, width, height) {
+    let n = 0, sum = 0, sumSq = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const p = y * width + x;
+            if (!opaque[p] || !opaque[p - 1] || !opaque[p + 1] || !opaque[p - width] || !opaque[p + width]) continue;
+
+            const lap = luma[p - 1] + luma[p + 1] + luma[p - width] + luma[p + width] - 4 * luma[p];
+            n++;
+            sum += lap;
+            sumSq += lap * lap;
+        }
+    }
+
+    if (n === 0) return 0;
+    const mean = sum / n;
+    return sumSq / n - mean * mean;
+}
+
+/**
+ * Distância entre a cor média (em a*b*) e o tom de pele de referência.
+ */
+function colorCastDistance(r, g, b) {
+    const { a, b: bStar } = rgbToLab(r, g, b);
+    return Math.hypot(a - SKIN_REFERENCE_AB.a, bStar - SKIN_REFERENCE_AB.b);
+}
+
+/**
+ * Conversão sRGB (0-255) -> CIELAB (D65).
+ */
+export function rgbToLab(r, g, b) {
+    const linear = (c) => {
+        c /= 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    const lr = linear(r), lg = linear(g), lb = linear(b);
+
+    const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+    const y = (lr * 0.2126 + lg * 0.7152 + lb * 0.0722);
+    const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+
+    const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+    const fx = f(x), fy = f(y), fz = f(z);
+
+    return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+// Faixas de Cb e Cr dos tons de pele, usadas pelo detector de reserva (face-alignment.js),
+// pela análise local e pela captura em sequência (workers)
+export const SKIN_YCBCR_RANGE = { cb: [77, 127], cr: [133, 173] };
+
+/**
+ * Classificação de pele no espaço YCbCr.
+ */
+export function isSkinPixel(r, g, b) {
+    const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+    const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+    return cb >= SKIN_YCBCR_RANGE.cb[0] && cb <= SKIN_YCBCR_RANGE.cb[1]
+        && cr >= SKIN_YCBCR_RANGE.cr[0] && cr <= SKIN_YCBCR_RANGE.cr[1];
+}
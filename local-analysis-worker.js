@@ -0,0 +1,387 @@
+/**
+ * Web Worker de análise local (offline) da pele.
+ * Recebe o recorte elíptico como ImageBitmap e calcula as mesmas categorias da API:
+ * Fitzpatrick (via ITA), textura (GLCM), manchas e linhas de expressão.
+ * Os resultados são estimativas e devem ser apresentados como tal.
+ */
+import { isSkinPixel, rgbToLab } from './image-quality.js';
+
+const GRAY_LEVELS = 32;         // Níveis de cinza da matriz de coocorrência (GLCM)
+const SPOT_WINDOW = 15;         // Janela (px) da média local usada na detecção de manchas
+const SPOT_DARKNESS = 8;        // Quanto (em L*) a mancha deve ser mais escura que a vizinhança
+const MIN_SPOT_AREA = 6;        // Área mínima (px) de uma mancha
+const LINE_THRESHOLD = 40;      // Magnitude mínima do gradiente (Sobel) para considerar linha
+const MIN_LINE_PIXELS = 12;     // Pixels mínimos de um traço para marcá-lo na imagem
+const MIN_LINE_ELONGATION = 3;  // Razão comprimento/largura mínima para o traço ser uma linha
+const MAX_MARKERS = 150;        // Limite de manchas e de linhas marcadas na imagem
+const TEXTURE_GRID = [8, 10];   // Colunas x linhas do mapa de textura
+const TEXTURE_STD_MAX = 12;     // Desvio-padrão de L* considerado textura totalmente irregular
+
+self.onmessage = (event) => {
+    const { id, bitmap } = event.data;
+
+    try {
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const { data, width, height } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        self.postMessage({ id, result: analyzeSkin(data, width, height) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
+
+/**
+ * Executa todas as análises sobre os pixels RGBA do recorte.
+ */
+function analyzeSkin(data, width, height) {
+    const total = width * height;
+    const L = new Float32Array(total);
+    const skin = new Uint8Array(total);
+
+    let inside = 0, skinCount = 0, sumL = 0, sumB = 0;
+    const faceBox = { minX: width, minY: height, maxX: -1, maxY: -1 };
+
+    for (let p = 0; p < total; p++) {
+        const i = p * 4;
+        if (data[i + 3] === 0) continue; // Fora da elipse
+        inside++;
+
+        const r = data[i], g = data[i + 1], b = data[i + 2];
+        const lab = rgbToLab(r, g, b);
+        L[p] = lab.L;
+
+        if (isSkinPixel(r, g, b)) {
+            skin[p] = 1;
+            skinCount++;
+            sumL += lab.L;
+            sumB += lab.b;
+
+            const x = p % width, y = (p - x) / width;
+            faceBox.minX = Math.min(faceBox.minX, x);
+            faceBox.maxX = Math.max(faceBox.maxX, x);
+            faceBox.minY = Math.min(faceBox.minY, y);
+            faceBox.maxY = Math.max(faceBox.maxY, y);
+        }
+    }
+
+    if (skinCount < inside * 0.15) {
+        throw new Error('Nenhum rosto detectado (pouca área de pele no recorte).');
+    }
+
+    const ita = Math.atan2(sumL / skinCount - 50, sumB / skinCount) * 180 / Math.PI;
+    const texture = computeTexture(L, skin, width, height);
+    const spots = detectSpots(L, skin, width, height, skinCount);
+    const lines = detectLines(L, skin, width, height, skinCount);
+
+    return {
+        fitzpatrick: classifyFitzpatrick(ita),
+        textura: classifyTexture(texture.homogeneidade),
+        manchas: classifySpots(spots.porcentagem),
+        rugas: classifyLines(lines.porcentagem),
+        detalhes: {
+            fitzpatrick: { ita: round(ita) },
+            manchas: { numero: spots.numero, porcentagem: spots.porcentagem },
+            textura: texture,
+            rugas: { porcentagem: lines.porcentagem }
+        },
+        // Marcações para a tela de resultados, em px do recorte
+        regioes: {
+            unidade: 'px',
+            face: {
+                x: faceBox.minX,
+                y: faceBox.minY,
+                largura: faceBox.maxX - faceBox.minX + 1,
+                altura: faceBox.maxY - faceBox.minY + 1
+            },
+            manchas: spots.regioes,
+            rugas: lines.regioes,
+            textura: textureMap(L, skin, width, height)
+        },
+        face_detectada: {
+            confianca: round(Math.min(1, skinCount / inside)),
+            metodo: 'Estimativa local (tom de pele)'
+        },
+        estimativa_local: true
+    };
+}
+
+/**
+ * Classificação de Fitzpatrick a partir do Ângulo de Tipologia Individual (ITA, Chardon et al.).
+ */
+function classifyFitzpatrick(ita) {
+    if (ita > 55) return 'Tipo I';
+    if (ita > 41) return 'Tipo II';
+    if (ita > 28) return 'Tipo III';
+    if (ita > 10) return 'Tipo IV';
+    if (ita > -30) return 'Tipo V';
+    return 'Tipo VI';
+}
+
+/**
+ * Contraste e homogeneidade da GLCM horizontal (deslocamento de 1 px) sobre a pele.
+ */
+function computeTexture(L, skin, width, height) {
+    const glcm = new Float64Array(GRAY_LEVELS * GRAY_LEVELS);
+    const level = (value) => Math.min(GRAY_LEVELS - 1, Math.floor(value / 100 * GRAY_LEVELS));
+    let pairs = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width - 1; x++) {
+            const p = y * width + x;
+            if (!skin[p] || !skin[p + 1]) continue;
+            glcm[level(L[p]) * GRAY_LEVELS + level(L[p + 1])]++;
+            pairs++;
+        }
+    }
+
+    let contraste = 0, homogeneidade = 0;
+    for (let i = 0; i < GRAY_LEVELS; i++) {
+        for (let j = 0; j < GRAY_LEVELS; j++) {
+            const prob = glcm[i * GRAY_LEVELS + j] / (pairs || 1);
+            contraste += (i - j) * (i - j) * prob;
+            homogeneidade += prob / (1 + Math.abs(i - j));
+        }
+    }
+
+    return { contraste: round(contraste), homogeneidade: round(homogeneidade) };
+}
+
+function classifyTexture(homogeneity) {
+    if (homogeneity >= 0.75) return 'Uniforme';
+    if (homogeneity >= 0.6) return 'Levemente irregular';
+    return 'Irregular';
+}
+
+/**
+ * Manchas: regiões de pele mais escuras que a vizinhança (média local via imagem integral),
+ * agrupadas em componentes conectados.
+ */
+function detectSpots(L, skin, width, height, skinCount) {
+    const integral = new Float64Array((width + 1) * (height + 1));
+    const integralCount = new Float64Array((width + 1) * (height + 1));
+
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0, rowCount = 0;
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            if (skin[p]) {
+                rowSum += L[p];
+                rowCount++;
+            }
+            const q = (y + 1) * (width + 1) + (x + 1);
+            integral[q] = integral[q - width - 1] + rowSum;
+            integralCount[q] = integralCount[q - width - 1] + rowCount;
+        }
+    }
+
+    const half = Math.floor(SPOT_WINDOW / 2);
+    const candidate = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            if (!skin[p]) continue;
+
+            const x0 = Math.max(0, x - half), x1 = Math.min(width, x + half + 1);
+            const y0 = Math.max(0, y - half), y1 = Math.min(height, y + half + 1);
+            const a = y0 * (width + 1) + x0, b = y0 * (width + 1) + x1;
+            const c = y1 * (width + 1) + x0, d = y1 * (width + 1) + x1;
+
+            const count = integralCount[d] - integralCount[b] - integralCount[c] + integralCount[a];
+            const localMean = (integral[d] - integral[b] - integral[c] + integral[a]) / count;
+            if (L[p] < localMean - SPOT_DARKNESS) candidate[p] = 1;
+        }
+    }
+
+    // Componentes conectados (4-vizinhos) para contar as manchas
+    let numero = 0, spotPixels = 0;
+    const stack = [];
+    const found = [];
+    for (let start = 0; start < candidate.length; start++) {
+        if (candidate[start] !== 1) continue;
+
+        let area = 0;
+        const box = { minX: width, minY: height, maxX: 0, maxY: 0 };
+        candidate[start] = 2;
+        stack.push(start);
+        while (stack.length) {
+            const p = stack.pop();
+            area++;
+            const x = p % width, y = (p - x) / width;
+            box.minX = Math.min(box.minX, x);
+            box.maxX = Math.max(box.maxX, x);
+            box.minY = Math.min(box.minY, y);
+            box.maxY = Math.max(box.maxY, y);
+            const neighbors = [p - width, p + width, x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1];
+            for (const n of neighbors) {
+                if (n >= 0 && n < candidate.length && candidate[n] === 1) {
+                    candidate[n] = 2;
+                    stack.push(n);
+                }
+            }
+        }
+
+        if (area >= MIN_SPOT_AREA) {
+            numero++;
+            spotPixels += area;
+            found.push({ area, x: box.minX, y: box.minY, largura: box.maxX - box.minX + 1, altura: box.maxY - box.minY + 1 });
+        }
+    }
+
+    // As maiores manchas primeiro, até o limite de marcações
+    const regioes = found.sort((a, b) => b.area - a.area).slice(0, MAX_MARKERS).map(({ area, ...spot }) => spot);
+    return { numero, porcentagem: round(spotPixels / skinCount * 100), regioes };
+}
+
+function classifySpots(percentage) {
+    if (percentage < 2) return 'Poucas manchas';
+    if (percentage < 6) return 'Manchas moderadas';
+    return 'Muitas manchas';
+}
+
+/**
+ * Linhas de expressão: fração da pele com gradiente forte (Sobel sobre L*).
+ */
+function detectLines(L, skin, width, height, skinCount) {
+    let linePixels = 0;
+    const edge = new Uint8Array(width * height);
+    // L* vai de 0 a 100; o limiar foi calibrado para a escala 0-255
+    const scale = 2.55;
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const p = y * width + x;
+            if (!skin[p] || !skin[p - 1] || !skin[p + 1] || !skin[p - width] || !skin[p + width]) continue;
+
+            const gx = (L[p - width + 1] + 2 * L[p + 1] + L[p + width + 1]) - (L[p - width - 1] + 2 * L[p - 1] + L[p + width - 1]);
+            const gy = (L[p + width - 1] + 2 * L[p + width] + L[p + width + 1]) - (L[p - width - 1] + 2 * L[p - width] + L[p - width + 1]);
+
+            if (Math.hypot(gx, gy) * scale > LINE_THRESHOLD) {
+                linePixels++;
+                edge[p] = 1;
+            }
+        }
+    }
+
+    return { porcentagem: round(linePixels / skinCount * 100), regioes: traceLines(edge, width) };
+}
+
+/**
+ * Agrupa os pixels de gradiente forte (8-vizinhos) e aproxima cada traço alongado
+ * por um segmento ao longo do seu eixo principal.
+ */
+function traceLines(edge, width) {
+    const segments = [];
+    const stack = [];
+
+    for (let start = 0; start < edge.length; start++) {
+        if (edge[start] !== 1) continue;
+
+        const pixels = [];
+        edge[start] = 2;
+        stack.push(start);
+        while (stack.length) {
+            const p = stack.pop();
+            pixels.push(p);
+            const x = p % width;
+            for (let dy = -width; dy <= width; dy += width) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const n = p + dy + dx;
+                    if ((dx === -1 && x === 0) || (dx === 1 && x === width - 1)) continue;
+                    if (n >= 0 && n < edge.length && edge[n] === 1) {
+                        edge[n] = 2;
+                        stack.push(n);
+                    }
+                }
+            }
+        }
+        if (pixels.length < MIN_LINE_PIXELS) continue;
+
+        // Centro e covariância do traço
+        let cx = 0, cy = 0;
+        for (const p of pixels) {
+            cx += p % width;
+            cy += Math.floor(p / width);
+        }
+        cx /= pixels.length;
+        cy /= pixels.length;
+
+        let sxx = 0, syy = 0, sxy = 0;
+        for (const p of pixels) {
+            const dx = p % width - cx, dy = Math.floor(p / width) - cy;
+            sxx += dx * dx;
+            syy += dy * dy;
+            sxy += dx * dy;
+        }
+
+        // Autovalores da covariância: comprimento (maior) e largura (menor) do traço
+        const trace = (sxx + syy) / 2;
+        const spread = Math.sqrt(((sxx - syy) / 2) ** 2 + sxy * sxy);
+        const major = trace + spread, minor = Math.max(trace - spread, 1e-6);
+        if (Math.sqrt(major / minor) < MIN_LINE_ELONGATION) continue;
+
+        const angle = Math.atan2(2 * sxy, sxx - syy) / 2;
+        const ux = Math.cos(angle), uy = Math.sin(angle);
+        let tMin = Infinity, tMax = -Infinity;
+        for (const p of pixels) {
+            const t = (p % width - cx) * ux + (Math.floor(p / width) - cy) * uy;
+            tMin = Math.min(tMin, t);
+            tMax = Math.max(tMax, t);
+        }
+
+        segments.push({
+            length: tMax - tMin,
+            pontos: [
+                [round(cx + ux * tMin), round(cy + uy * tMin)],
+                [round(cx + ux * tMax), round(cy + uy * tMax)]
+            ]
+        });
+    }
+
+    return segments.sort((a, b) => b.length - a.length).slice(0, MAX_MARKERS).map(({ pontos }) => ({ pontos }));
+}
+
+/**
+ * Mapa de textura: desvio-padrão de L* da pele em cada célula da grade, de 0 (lisa) a 1 (irregular).
+ */
+function textureMap(L, skin, width, height) {
+    const [columns, rows] = TEXTURE_GRID;
+    const sum = new Float64Array(columns * rows);
+    const sumSq = new Float64Array(columns * rows);
+    const count = new Uint32Array(columns * rows);
+
+    for (let y = 0; y < height; y++) {
+        const row = Math.min(rows - 1, Math.floor(y / height * rows));
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            if (!skin[p]) continue;
+            const cell = row * columns + Math.min(columns - 1, Math.floor(x / width * columns));
+            sum[cell] += L[p];
+            sumSq[cell] += L[p] * L[p];
+            count[cell]++;
+        }
+    }
+
+    const valores = Array.from(count, (n, cell) => {
+        // Células quase sem pele (bordas da elipse, cabelo) ficam neutras
+        if (n < 20) return 0;
+        const mean = sum[cell] / n;
+        const std = Math.sqrt(Math.max(0, sumSq[cell] / n - mean * mean));
+        return round(Math.min(1, std / TEXTURE_STD_MAX));
+    });
+
+    return { colunas: columns, linhas: rows, valores };
+}
+
+function classifyLines(percentage) {
+    if (percentage < 3) return 'Linhas leves';
+    if (percentage < 8) return 'Linhas moderadas';
+    return 'Linhas marcadas';
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
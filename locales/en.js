@@ -0,0 +1,522 @@
+/**
+ * Mensagens em inglês. Chaves ausentes caem no pt-BR (veja `i18n.js`).
+ */
+export default {
+    // Textos fixos da página (index.html)
+    'app.title': 'Smart Facial Analysis',
+    'api.detecting': 'Detecting API...',
+    'api.settingsButton': 'Configure API address',
+    'provider.select': 'Analysis provider',
+    'locale.select': 'Language',
+    'update.available': '✨ New version available',
+    'update.reload': 'Reload',
+    'update.dismiss': 'Dismiss update notice',
+    'consent.title': '🔬 Smart Facial Analysis',
+    'consent.intro': 'This app will take a photo of your face and run a complete skin analysis using artificial intelligence.',
+    'consent.includes': 'The analysis includes:',
+    'consent.item.fitzpatrick': 'Fitzpatrick classification',
+    'consent.item.texture': 'Skin texture analysis',
+    'consent.item.spots': 'Spot detection',
+    'consent.item.wrinkles': 'Expression line analysis',
+    'consent.secure': 'The image will be processed securely and you will be able to save the results.',
+    'consent.privacy': 'Photos and analyses are stored only in this browser. Under 🔒 Privacy you can protect them with a passphrase, choose how long they are kept, withdraw this consent and delete all your data.',
+    'consent.agreement': 'By continuing, you agree to the use of your camera for analysis purposes.',
+    'consent.accept': '🚀 Start Analysis',
+    'camera.preview': 'Camera Preview',
+    'camera.guide': 'Oval face positioning guide',
+    'calibration.target': 'Area for the gray calibration card',
+    'instructions.title': '📸 Position your face',
+    'instructions.center': 'Center your face in the orange oval',
+    'instructions.lighting': 'Keep a neutral expression and good lighting',
+    'camera.settings': 'Camera settings',
+    'videoSource.label': 'Source',
+    'videoSource.select': 'Video source',
+    'camera.deviceLabel': 'Camera',
+    'camera.deviceSelect': 'Video device',
+    'camera.retry': '🔄 Try again',
+    'camera.importInstead': '🖼️ Analyze an existing photo',
+    'output.formatLabel': 'Format',
+    'output.formatSelect': 'Uploaded image format',
+    'output.sizeLabel': 'Size',
+    'output.sizeSelect': 'Uploaded image size',
+    'calibration.toggle': 'Color correction',
+    'calibration.start': '🎨 Calibrate with gray card',
+    'calibration.remove': 'Remove calibration',
+    'common.cancel': 'Cancel',
+    'session.label': 'Multi-angle session',
+    'session.analyze': '🔍 Analyze session',
+    'controls.label': 'Camera controls',
+    'controls.switchCamera': 'Switch between front and rear camera',
+    'controls.capture': '📷 Analyze',
+    'controls.captureLabel': 'Capture and Analyze Photo',
+    'controls.history': 'Open analysis history',
+    'controls.import': 'Analyze an existing photo',
+    'controls.session': 'Multi-angle session (front and 3/4 profiles)',
+    'controls.burst': 'Burst capture, picking the sharpest photo',
+    'controls.autoCapture': 'Capture automatically when the face is aligned',
+    'controls.privacy': 'Privacy and data',
+    'controls.guidance': 'Spoken or audio guidance for positioning your face',
+    'controls.patients': 'Patients',
+    'controls.kiosk': 'Lock the device to the current patient',
+    'loading.default': 'Processing...',
+    'loading.cancel': '✖ Cancel',
+    'loading.cancelLabel': 'Cancel analysis',
+    'preview.title': '📋 Capture Preview',
+    'preview.imageAlt': 'Photo captured for analysis',
+    'preview.download': '💾 Download',
+    'preview.downloadLabel': 'Download image',
+    'preview.resend': '📤 Resend',
+    'preview.resendLabel': 'Resend photo for analysis',
+    'preview.retry': '🔄 Try Again',
+    'preview.retryLabel': 'Take a new photo',
+    'import.title': '🖼️ Frame the face in the oval',
+    'import.hint': 'Drag to move · use the slider, mouse wheel or pinch to zoom',
+    'import.imageAlt': 'Photo imported for analysis',
+    'import.zoom': 'Photo zoom',
+    'api.settingsTitle': '🔌 API Connection',
+    'api.settingsClose': 'Close API settings',
+    'api.urlLabel': 'API address',
+    'api.urlHelp': 'Leave blank to use the same domain as the app. Other domains and tunnels are accepted (e.g. https://abc123.ngrok-free.app).',
+    'api.sameOrigin': 'Same domain',
+    'api.test': 'Test connection',
+    'common.save': 'Save',
+    'privacy.title': '🔒 Privacy and Data',
+    'privacy.close': 'Close privacy',
+    'privacy.consent': 'Consent',
+    'privacy.withdraw': 'Withdraw consent',
+    'privacy.encryption': 'Encryption of saved data',
+    'privacy.passphrase': 'Passphrase',
+    'privacy.passphraseLabel': 'Encryption passphrase',
+    'privacy.passphraseConfirm': 'Confirm the passphrase',
+    'privacy.passphraseConfirmLabel': 'Passphrase confirmation',
+    'privacy.lock': 'Lock now',
+    'privacy.disable': 'Disable encryption',
+    'privacy.passphraseWarning': 'The passphrase is not stored anywhere: if you forget it, the encrypted data cannot be recovered.',
+    'privacy.retention': 'Retention',
+    'privacy.retentionLabel': 'Delete analyses and pending captures after',
+    'privacy.deleteAll': '🗑️ Delete all my data',
+    'privacy.deleteAllHint': 'Erases history, pending captures, settings and the app cache in this browser.',
+    'history.title': '📚 Analysis History',
+    'history.close': 'Close history',
+    'history.hint': 'Tap ⚖️ on two analyses to compare them.',
+    'history.exportCsv': '📊 Export CSV',
+    'patient.legend': '👤 Patient',
+    'patient.select': 'Patient being seen',
+    'patient.new': '➕ New patient',
+    'patient.idLabel': 'Patient ID',
+    'patient.nameLabel': 'Name',
+    'patient.notesLabel': 'Notes (optional)',
+    'patient.save': 'Save patient',
+    'patients.title': '👥 Patients',
+    'patients.close': 'Close patients',
+    'clinic.title': 'Clinic mode',
+    'clinic.toggle': 'See several patients on this device',
+    'clinic.hint': 'Each patient has their own record, consent and analyses. With 🔐, the device stays locked to the current patient until staff enter the PIN.',
+
+    // Sessão multiângulo
+    'session.step.frontal': 'Front',
+    'session.step.frontalInstruction': 'Look straight at the camera',
+    'session.step.left': '3/4 Left',
+    'session.step.leftInstruction': 'Turn your face about 45° to your left',
+    'session.step.right': '3/4 Right',
+    'session.step.rightInstruction': 'Turn your face about 45° to your right',
+    'session.method': 'Multi-angle session ({count} photos)',
+    'session.discardConfirm': 'Discard the photos from this session?',
+    'session.stepInstruction': 'Step {step}/{total} · {label}: {instruction}',
+    'session.retakeStep': 'Retake {label} photo',
+    'session.captureStep': 'Capture {label} photo',
+
+    // Privacidade
+    'privacy.retention.never': 'Never (until I delete them)',
+    'privacy.retention.days': { one: '{count} day', other: '{count} days' },
+    'privacy.retention.year': '1 year',
+    'privacy.lockedError': 'Data is protected by a passphrase: unlock it under 🔒 Privacy.',
+    'privacy.consentWithdrawnAt': 'Consent withdrawn on {date}.',
+    'privacy.consentAcceptedAt': 'Terms v{version} accepted on {date}.',
+    'privacy.consentNone': 'No consent recorded.',
+    'privacy.vault.enable': 'Disabled: photos and results are stored unencrypted in this browser.',
+    'privacy.vault.unlock': '🔒 Enabled and locked. Enter the passphrase to view and save analyses.',
+    'privacy.vault.unlocked': '🔓 Enabled and unlocked for this session.',
+    'privacy.enable': 'Enable encryption',
+    'privacy.unlock': 'Unlock',
+    'privacy.disableConfirm': 'Disable encryption? Photos and results will be saved without a passphrase again.',
+    'privacy.withdrawConfirm': 'Withdraw consent? The camera will be turned off and all saved photos and analyses will be deleted.',
+    'privacy.deleteAllConfirm': 'Delete all your data from this browser? History, pending captures and settings will be erased. This cannot be undone.',
+    'privacy.passphraseTooShort': 'Use a passphrase with at least {min} characters.',
+    'privacy.passphraseMismatch': 'The passphrases do not match.',
+    'privacy.enabled': 'Encryption enabled. Keep the passphrase safe: without it, saved data cannot be recovered.',
+    'privacy.wrongPassphrase': 'Wrong passphrase.',
+
+    // Histórico
+    'history.defaultName': 'Analysis {date}',
+    'history.notFound': 'Analysis not found.',
+    'history.exportEmpty': 'No saved analyses to export.',
+    'history.exportError': 'Error exporting CSV: {message}',
+    'history.locked': '🔒 History is protected by a passphrase. Unlock it under Privacy to see the analyses.',
+    'history.loadError': 'Could not load the history.',
+    'history.empty': 'No analyses saved yet.',
+    'history.open': 'Open analysis',
+    'history.rename': 'Rename analysis',
+    'history.compare': 'Select to compare',
+    'history.delete': 'Delete analysis',
+    'history.renamePrompt': 'New analysis name:',
+    'history.deleteConfirm': 'Delete this analysis from the history?',
+    'history.error': 'History error: {message}',
+    'history.patientScope': 'Analyses of {patient}',
+
+    // Modo clínica (clinic.js)
+    'patient.placeholder': 'Choose the patient',
+    'patient.label': '{name} ({id})',
+    'patient.lockedName': 'Patient {id} (name protected by passphrase)',
+    'patient.badge': '👤 {patient}',
+    'patient.required': 'Choose or register the patient before starting.',
+    'patient.fieldsRequired': 'Enter the patient ID and name.',
+    'patient.exists': 'A patient with ID {id} already exists.',
+    'patient.notFound': 'Patient not found.',
+    'patient.error': 'Patient records error: {message}',
+    'patient.empty': 'No patients registered yet.',
+    'patient.consentAt': 'Consent on {date}',
+    'patient.consentWithdrawnAt': 'Consent withdrawn on {date}',
+    'patient.noConsent': 'No consent recorded',
+    'patient.analyses': { one: '{count} analysis', other: '{count} analyses' },
+    'patient.attend': 'See this patient',
+    'patient.history': 'View patient analyses',
+    'patient.notes': 'Edit notes',
+    'patient.notesPrompt': 'Notes about {name}:',
+    'patient.delete': 'Delete patient',
+    'patient.deleteConfirm': 'Delete patient {id} and all of their analyses? This cannot be undone.',
+    'patient.withdrawConfirm': 'Withdraw consent for this patient? The camera will be turned off and their photos and analyses will be deleted.',
+    'patient.withdrawn': 'Patient consent withdrawn. Their photos and analyses were deleted.',
+    'kiosk.lock': 'Lock the device to the current patient',
+    'kiosk.unlock': 'Unlock',
+    'kiosk.createPin': 'Create a staff PIN (digits only, at least 4). It will be required to unlock the device.',
+    'kiosk.confirmPin': 'Enter the PIN again:',
+    'kiosk.pinTooShort': 'The PIN must have at least 4 digits, numbers only.',
+    'kiosk.pinMismatch': 'The PINs do not match.',
+    'kiosk.needsPatient': 'Choose a patient before locking the device.',
+    'kiosk.locked': '🔐 Device locked: only the analyses of this patient are accessible.',
+    'kiosk.unlockPrompt': 'Staff PIN to unlock:',
+    'kiosk.wrongPin': 'Wrong PIN.',
+    'kiosk.unlocked': 'Device unlocked.',
+
+    // Comparação
+    'comparison.metric.spotCount': 'Number of spots',
+    'comparison.metric.spotArea': 'Area with spots',
+    'comparison.metric.contrast': 'Texture contrast',
+    'comparison.metric.homogeneity': 'Texture homogeneity',
+    'comparison.metric.wrinkleArea': 'Area with wrinkles/lines',
+    'comparison.field.fitzpatrick': 'Fitzpatrick',
+    'comparison.field.texture': 'Texture',
+    'comparison.field.spots': 'Spots',
+    'comparison.field.wrinkles': 'Expression Lines',
+    'comparison.title': 'Analysis Comparison',
+    'comparison.close': 'Close comparison',
+    'comparison.mode': 'View mode',
+    'comparison.side': 'Side by side',
+    'comparison.overlay': 'Overlay',
+    'comparison.before': 'Before',
+    'comparison.after': 'After',
+    'comparison.beforeAlt': 'Earlier analysis',
+    'comparison.afterAlt': 'Later analysis',
+    'comparison.slider': 'Balance between before and after',
+    'comparison.change': 'Change',
+    'comparison.changed': 'Changed',
+    'comparison.improved': '✅ Improved',
+    'comparison.worsened': '⚠️ Worsened',
+    'comparison.unchanged': '➖ Stable',
+
+    // Métricas da análise (analysis-schema.js)
+    'metric.fitzpatrick.label': 'Fitzpatrick Classification',
+    'metric.fitzpatrick.short': 'Fitzpatrick',
+    'metric.fitzpatrick.explanation': 'Based on skin tone',
+    'metric.textura.label': 'Skin Type (Texture)',
+    'metric.textura.short': 'Texture',
+    'metric.textura.explanation': 'Surface texture analysis',
+    'metric.manchas.label': 'Spots',
+    'metric.manchas.short': 'Spots',
+    'metric.manchas.explanation': { one: '{count} spot detected', other: '{count} spots detected' },
+    'metric.manchas.explanationMissing': 'Number of spots not reported',
+    'metric.rugas.label': 'Expression Lines',
+    'metric.rugas.short': 'Lines',
+    'metric.rugas.explanation': 'Wrinkle and line analysis',
+    'metric.manchas_numero.label': 'Number of Spots',
+    'metric.manchas_numero.explanation': 'Isolated dark regions found on the skin',
+    'metric.manchas_porcentagem.label': 'Spot Percentage',
+    'metric.manchas_porcentagem.explanation': 'Skin area covered by spots',
+    'metric.textura_contraste.label': 'Contrast',
+    'metric.textura_contraste.explanation': 'Local brightness variation; high values indicate uneven texture',
+    'metric.textura_homogeneidade.label': 'Homogeneity',
+    'metric.textura_homogeneidade.explanation': 'Surface uniformity; high values indicate smoother skin',
+    'metric.rugas_porcentagem.label': 'Wrinkle Percentage',
+    'metric.rugas_porcentagem.explanation': 'Skin area with detected lines',
+    'metric.fitzpatrick_ita.label': 'ITA Angle',
+    'metric.fitzpatrick_ita.explanation': 'Individual Typology Angle used in the Fitzpatrick classification',
+    'metric.generic.explanation': 'Additional metric reported by the provider',
+
+    // Validação da resposta
+    'schema.notObject': 'the response is not a JSON object',
+    'schema.unsupportedVersion': 'unsupported schema version ({value}; the app accepts up to {max})',
+    'schema.expectedText': '"{path}" should be text (got {value})',
+    'schema.noMetrics': 'none of the metrics ({paths}) was reported',
+    'schema.expectedObject': '"{path}" should be an object',
+    'schema.expectedNumber': '"{path}" should be numeric (got {value})',
+    'schema.expectedConfidence': '"{path}" should be a number between 0 and 1 (got {value})',
+    'schema.expectedUnit': '"{path}" should be "normalizada" or "px" (got {value})',
+    'schema.expectedList': '"{path}" should be a list',
+
+    // Provedores de análise
+    'provider.hybrid': 'Hybrid API',
+    'provider.local': 'Local estimate (offline)',
+    'provider.cancelled': 'Analysis cancelled.',
+    'provider.invalidResponse': 'Invalid response from {provider}: {problems}.',
+    'provider.apiUnavailable': 'The analysis API is not available.',
+    'provider.httpError': 'Communication with {provider} failed (HTTP {status}): {details}',
+    'provider.malformedResponse': 'Response from {provider} is malformed.',
+    'provider.workerError': 'The local analysis worker failed.',
+    'provider.noneAvailable': 'No analysis provider available.',
+
+    // Conexão com a API
+    'api.timeout': 'Timed out ({seconds}s).',
+    'api.networkError': 'Network failure while sending the photo.',
+    'api.invalidUrl': 'Invalid URL.',
+    'api.invalidProtocol': 'Use an http:// or https:// address.',
+    'api.noNetwork': 'No network connection.',
+    'api.unexpectedStatus': 'Status: {status}',
+    'api.testing': 'Testing connection...',
+    'api.latency': '{latency} ms',
+    'api.test.online': '✅ API online ({latency} ms)',
+    'api.test.degraded': '⚠️ API responded with problems ({error})',
+    'api.test.offline': '❌ API unreachable: {error}',
+    'api.mixedContent': 'Browsers block http:// on https:// pages; use https:// (e.g. an ngrok tunnel).',
+    'api.status.connecting': '🔄 Connecting to the API...',
+    'api.status.online': '✅ API Connected: {url}',
+    'api.status.degraded': '⚠️ API Unstable: {url}',
+    'api.status.offline': '❌ API Not Found',
+    'api.status.retry': 'checking again in {seconds}s',
+
+    // Captura em sequência
+    'burst.title': 'Choose the photo',
+    'burst.hint': 'The best photo of the burst is already selected.',
+    'burst.preview': 'Selected photo',
+    'burst.filmstrip': 'Burst photos',
+    'burst.confirm': '📷 Use this photo',
+    'burst.frame': 'Photo {index}, score {score}',
+    'burst.frameSuggested': 'Photo {index}, score {score} (suggested)',
+    'burst.label': 'Choose a photo from the burst',
+    'burst.workerError': 'The burst capture worker failed.',
+
+    // Ajustes da câmera
+    'camera.deviceFallback': 'Camera {index}',
+    'camera.controlsUnsupported': 'Advanced settings are not supported in this browser.',
+    'camera.controlsNone': 'This camera has no advanced settings.',
+    'camera.zoom': 'Zoom',
+    'camera.torch': 'Torch',
+    'camera.focus': 'Focus',
+    'camera.focusDistance': 'Focus distance',
+    'camera.exposure': 'Exposure',
+    'camera.focusMode.continuous': 'Continuous',
+    'camera.focusMode.singleShot': 'Single',
+    'camera.focusMode.manual': 'Manual',
+    'camera.focusMode.none': 'Off',
+
+    // Calibração de cor
+    'calibration.hint': 'Hold a neutral gray card (or a matte white sheet) inside the square, under the same light as your face',
+    'calibration.notRecognized': 'Card not recognized: fill the whole square with the card, without shadows or reflections',
+    'calibration.detected': 'Card detected, hold still... ({count}/{total})',
+    'calibration.saved': 'Color calibration saved for this camera.',
+    'calibration.off': 'Color correction is off.',
+    'calibration.calibratedAt': 'Calibrated with a gray card on {date}.',
+    'calibration.scene': 'Not calibrated: color is estimated from the scene.',
+
+    // Importação de foto
+    'import.notImage': 'Select an image file.',
+    'import.openError': 'Could not open this image.',
+
+    // Guia de alinhamento facial
+    'align.noFace': 'No face detected',
+    'align.move.right': 'Move to the right',
+    'align.move.left': 'Move to the left',
+    'align.up': 'Raise your face a little',
+    'align.down': 'Lower your face a little',
+    'align.closer': 'Move closer to the camera',
+    'align.farther': 'Move away from the camera',
+    'align.tilt.right': 'Tilt your head to the right',
+    'align.tilt.left': 'Tilt your head to the left',
+    'align.turn.right': 'Turn your face to the right',
+    'align.turn.left': 'Turn your face to the left',
+    'align.turnMore.right': 'Turn your face further to the right',
+    'align.turnMore.left': 'Turn your face further to the left',
+    'align.turnLess.right': 'Turn a little less to the right',
+    'align.turnLess.left': 'Turn a little less to the left',
+    'align.aligned': 'Perfect! Hold that position',
+    'align.countdown': 'Capturing in {seconds}...',
+
+    // Comum
+    'common.error': 'Error: {message}',
+    'common.notDetected': 'Not detected',
+    'common.notAvailable': 'N/A',
+
+    // Fonte de vídeo (video-source.js)
+    'videoSource.camera': 'Device camera',
+    'videoSource.pattern': 'Simulated: test pattern',
+    'videoSource.image': 'Simulated: image',
+    'videoSource.video': 'Simulated: looping video',
+    'videoSource.prompt.image': 'Address of the simulated camera image:',
+    'videoSource.prompt.video': 'Address of the simulated camera video:',
+    'videoSource.missingImage': 'Provide the simulated camera image (camera-src).',
+    'videoSource.missingVideo': 'Provide the simulated camera video (camera-src).',
+    'videoSource.imageError': 'Could not load the simulated camera image: {src}',
+    'videoSource.videoError': 'Could not play the simulated camera video: {src}',
+
+    // Imagem enviada (capture-output.js)
+    'output.format.png': 'PNG (lossless)',
+    'output.format.jpeg': 'JPEG (high quality)',
+    'output.format.webp': 'WebP',
+    'output.size.original': 'Full resolution',
+    'output.size.width': 'Up to {width} px wide',
+    'output.size.legacy': '307 px (legacy)',
+    'output.source.photo': 'Photo taken at the full camera resolution.',
+    'output.source.video': 'Cropped from the video (this browser cannot take photos with the camera).',
+    'output.workerError': 'Image processing failed.',
+    'output.encodeError': 'Error generating the high-resolution image. Please try again.',
+
+    // Captura e carregamento
+    'camera.error.permission.title': 'Camera access blocked',
+    'camera.error.permission.message': 'The browser is not allowed to use the camera. Tap the lock or camera icon in the address bar, allow access and try again.',
+    'camera.error.notFound.title': 'No camera found',
+    'camera.error.notFound.message': 'Connect a camera or check that it is enabled in the system settings. Once it is connected, the app tries again on its own.',
+    'camera.error.busy.title': 'Camera in use',
+    'camera.error.busy.message': 'Another app or tab is using the camera. Close it and try again.',
+    'camera.error.overconstrained.title': 'Incompatible camera',
+    'camera.error.overconstrained.message': 'The camera did not accept any of the video settings used by the app. Choose another camera in ⚙️ Settings or try again.',
+    'camera.error.insecure.title': 'Insecure connection',
+    'camera.error.insecure.message': 'Browsers only allow the camera on https:// pages (or localhost). Open the app from its secure address.',
+    'camera.error.unsupported.title': 'Camera not supported',
+    'camera.error.unsupported.message': 'This browser does not provide camera access. Use a current version of Chrome, Edge, Firefox or Safari, or analyze an existing photo.',
+    'camera.error.unknown.title': 'Could not open the camera',
+    'camera.error.unknown.message': 'An unexpected error occurred ({message}). Please try again.',
+    'camera.reconnecting': 'The camera stopped responding. Reconnecting...',
+    'capture.notReady': 'The camera is not ready. Please wait a moment.',
+    'capture.error': 'Error capturing the photo. Please try again.',
+    'import.processError': 'Error processing the photo. Please try again.',
+    'preview.error': 'Error generating the preview.',
+    'provider.groqPrompt': 'Enter your Groq API key (it is stored only on this device):',
+    'loading.capturing': 'Capturing and cropping photo...',
+    'loading.burst': 'Capturing photo burst...',
+    'loading.preparing': 'Preparing photo...',
+    'loading.encoding': 'Generating high-resolution image...',
+    'loading.cropping': 'Cropping photo...',
+    'loading.analyzing': 'Analyzing photo with the API...',
+    'loading.analyzingStep': 'Analyzing {step}...',
+    'loading.local': 'Computing local estimate...',
+    'loading.retry': 'Temporary upload failure. Retrying ({attempt}) in {seconds}s...',
+    'stage.uploading': 'Uploading photo...',
+    'stage.processing': 'Processing the analysis...',
+    'stage.rendering': 'Preparing results...',
+
+    // Controle de qualidade (image-quality.js, traduzido pelo código do problema)
+    'quality.issue.empty': 'The captured image is empty.',
+    'quality.issue.blur': 'Blurry or shaky image. Hold the camera still.',
+    'quality.issue.underexposed': 'Image too dark. Find a brighter spot.',
+    'quality.issue.overexposed': 'Image too bright. Avoid direct light on your face.',
+    'quality.issue.shadows': 'Strong shadows on the face. Use more even lighting.',
+    'quality.issue.highlights': 'Blown-out highlights on the face.',
+    'quality.issue.glare': 'Glare on the skin. Avoid flash and strong frontal light.',
+    'quality.issue.colorCast': 'Strongly colored lighting (e.g. yellowish or bluish light).',
+    'quality.blocked': 'Photo quality too low ({score}/100). Please try again:\n\n{reasons}',
+    'quality.warn': 'Photo quality: {score}/100.\n\n{reasons}\n\nSend anyway?',
+    'quality.sendAnyway': 'Send anyway',
+
+    // Análise e fila offline
+    'analysis.error': 'Analysis error: {message}',
+    'local.error': 'Local estimate error: {message}',
+    'session.apiUnavailable': 'The analysis API is not available. Multi-angle analysis needs a connection and is not queued offline. The session photos were kept on this screen; try again when the connection is back.',
+    'session.error': 'Session analysis error: {message}\n\nThe photos were kept; you can try again.',
+    'session.offline': 'No connection to the API: {message}\n\nMulti-angle analysis needs a connection and is not queued offline. The photos were kept on this screen; try again when the connection is back.',
+    'history.notSaved': 'The analysis was not saved to the history. {message}',
+    'queue.pending': 'No connection to the API. The photo is pending and will be analyzed automatically when the connection is back.',
+    'queue.offerLocal': 'Would you like to see a local estimate in the meantime?',
+    'queue.failed': 'A pending analysis could not be completed: {message}',
+    'queue.completed': {
+        one: '{count} pending analysis completed.',
+        other: '{count} pending analyses completed.'
+    },
+    'queue.completedOne': 'A pending analysis has been completed.',
+    'queue.notificationTitle': 'Pending analysis completed',
+    'queue.notificationBody': 'Tap to see the result in the history.',
+    'queue.showLocal': 'See local estimate',
+    'queue.openHistory': 'Open history',
+    'queue.status': { one: '⏳ {count} pending analysis', other: '⏳ {count} pending analyses' },
+    'privacy.withdrawn': 'Consent withdrawn. The camera was turned off and your data was deleted from this browser.',
+    'privacy.deleted': 'All your data was deleted from this browser.',
+
+    // Resultados
+    'results.title': 'Complete Facial Analysis',
+    'results.sessionTitle': 'Multi-angle Analysis · Summary',
+    'results.localEstimate': '📴 Local estimate',
+    'results.localEstimateHint': 'Computed on the device, without the API',
+    'results.close': 'Close Analysis',
+    'results.imageAlt': 'Analyzed photo',
+    'results.faceDetection': 'Face Detection',
+    'results.confidence': 'Confidence: {value}',
+    'results.detectionConfidence': 'Detection Confidence: {value}',
+    'results.method': 'Method: {method}',
+    'results.provider': 'Provider: {name}',
+    'results.details': 'Technical Details',
+    'results.byAngle': 'Results by angle',
+    'results.anglePhoto': '{label} photo',
+    'results.download': 'Download Image',
+    'results.downloadAnnotated': 'Download Annotated Image',
+    'results.saveTxt': 'Save Analysis (TXT)',
+    'results.exportJson': 'Export JSON',
+    'results.report': 'Report (PDF)',
+    'results.retry': 'New Photo',
+    'results.annotatedError': 'Error exporting the annotated image: {message}',
+    'results.reportError': 'Error generating the report: {message}',
+
+    // Marcações sobre a imagem (image-annotations.js)
+    'annotation.layer.textura': 'Texture',
+    'annotation.layer.rugas': 'Lines',
+    'annotation.layer.manchas': 'Spots',
+    'annotation.layer.face': 'Face',
+    'annotation.layers': 'Annotation layers',
+    'annotation.zoom': 'Image zoom',
+    'annotation.zoomOut': 'Zoom out',
+    'annotation.zoomReset': 'Reset framing',
+    'annotation.zoomIn': 'Zoom in',
+    'annotation.spot': 'Spot {index} of {total}',
+    'annotation.spotArea': 'Area: {area} of the image',
+    'annotation.line': 'Line {index} of {total}',
+    'annotation.lineLength': 'Length: {length} of the image width',
+    'annotation.texture': 'Texture · region {index} of {total}',
+    'annotation.irregularity': 'Irregularity: {value}',
+    'annotation.cell': 'Row {row}, column {column}',
+    'annotation.face': 'Face detected',
+    'annotation.intensity': 'Intensity: {value}',
+    'annotation.notLoaded': 'Image not loaded yet.',
+    'annotation.exportFailed': 'Could not generate the annotated image.',
+    'annotation.empty': 'The provider did not report regions to mark on the image.',
+
+    // Avisos, diálogos e acessibilidade (feedback.js, spoken-guidance.js)
+    'feedback.ok': 'OK',
+    'feedback.dismiss': 'Dismiss notice',
+    'feedback.notNow': 'Not now',
+    'feedback.view': 'View now',
+    'guidance.mode.off': 'Spoken guidance off',
+    'guidance.mode.voice': 'Voice guidance on',
+    'guidance.mode.beeps': 'Audio cue guidance on',
+    'guidance.captured': 'Photo taken',
+    'shortcuts.help': 'Keyboard shortcuts:\nSpace or C: capture\nS: switch camera\nG: spoken guidance\nR: new photo\nEsc: close or cancel the countdown\n?: show this help',
+
+    // Exportações (report-export.js)
+    'export.fileName': 'facial-analysis',
+    'export.csvFileName': 'facial-analyses',
+    'export.reportFileName': 'facial-analysis-report',
+    'export.txtTitle': 'FACIAL ANALYSIS',
+    'export.txtSaved': 'Analysis saved as a TXT file!',
+    'report.title': 'Report - {name}',
+    'report.capturedAt': 'Captured: {date}',
+    'report.patient': 'Patient: {id}',
+    'report.generatedAt': 'Report generated on {date}',
+    'report.disclaimer': 'Results are for information only; they do not replace a professional assessment.'
+};
@@ -0,0 +1,522 @@
+/**
+ * Mensagens em espanhol. Chaves ausentes caem no pt-BR (veja `i18n.js`).
+ */
+export default {
+    // Textos fixos da página (index.html)
+    'app.title': 'Análisis Facial Inteligente',
+    'api.detecting': 'Detectando API...',
+    'api.settingsButton': 'Configurar dirección de la API',
+    'provider.select': 'Proveedor de análisis',
+    'locale.select': 'Idioma',
+    'update.available': '✨ Nueva versión disponible',
+    'update.reload': 'Recargar',
+    'update.dismiss': 'Descartar aviso de actualización',
+    'consent.title': '🔬 Análisis Facial Inteligente',
+    'consent.intro': 'Esta aplicación tomará una foto de tu rostro y hará un análisis completo de la piel usando inteligencia artificial.',
+    'consent.includes': 'El análisis incluye:',
+    'consent.item.fitzpatrick': 'Clasificación Fitzpatrick',
+    'consent.item.texture': 'Análisis de la textura de la piel',
+    'consent.item.spots': 'Detección de manchas',
+    'consent.item.wrinkles': 'Análisis de líneas de expresión',
+    'consent.secure': 'La imagen se procesará de forma segura y podrás guardar los resultados.',
+    'consent.privacy': 'Las fotos y los análisis se guardan solo en este navegador. En 🔒 Privacidad puedes protegerlos con contraseña, definir cuánto tiempo se conservan, retirar este consentimiento y eliminar todos tus datos.',
+    'consent.agreement': 'Al continuar, aceptas el uso de tu cámara con fines de análisis.',
+    'consent.accept': '🚀 Iniciar Análisis',
+    'camera.preview': 'Vista de la Cámara',
+    'camera.guide': 'Guía ovalada de posición del rostro',
+    'calibration.target': 'Área para la tarjeta gris de calibración',
+    'instructions.title': '📸 Coloca tu rostro',
+    'instructions.center': 'Centra tu rostro en el óvalo naranja',
+    'instructions.lighting': 'Mantén una expresión neutra y buena iluminación',
+    'camera.settings': 'Ajustes de la cámara',
+    'videoSource.label': 'Fuente',
+    'videoSource.select': 'Fuente de vídeo',
+    'camera.deviceLabel': 'Cámara',
+    'camera.deviceSelect': 'Dispositivo de vídeo',
+    'camera.retry': '🔄 Intentar de nuevo',
+    'camera.importInstead': '🖼️ Analizar una foto existente',
+    'output.formatLabel': 'Formato',
+    'output.formatSelect': 'Formato de la imagen enviada',
+    'output.sizeLabel': 'Tamaño',
+    'output.sizeSelect': 'Tamaño de la imagen enviada',
+    'calibration.toggle': 'Corrección de color',
+    'calibration.start': '🎨 Calibrar con tarjeta gris',
+    'calibration.remove': 'Quitar calibración',
+    'common.cancel': 'Cancelar',
+    'session.label': 'Sesión multiángulo',
+    'session.analyze': '🔍 Analizar sesión',
+    'controls.label': 'Controles de la cámara',
+    'controls.switchCamera': 'Cambiar entre cámara frontal y trasera',
+    'controls.capture': '📷 Analizar',
+    'controls.captureLabel': 'Capturar y Analizar Foto',
+    'controls.history': 'Abrir historial de análisis',
+    'controls.import': 'Analizar una foto existente',
+    'controls.session': 'Sesión multiángulo (frontal y perfiles 3/4)',
+    'controls.burst': 'Captura en ráfaga, eligiendo la foto más nítida',
+    'controls.autoCapture': 'Captura automática cuando el rostro esté alineado',
+    'controls.privacy': 'Privacidad y datos',
+    'controls.guidance': 'Guía hablada o por sonidos para posicionar el rostro',
+    'controls.patients': 'Pacientes',
+    'controls.kiosk': 'Bloquear el dispositivo en el paciente actual',
+    'loading.default': 'Procesando...',
+    'loading.cancel': '✖ Cancelar',
+    'loading.cancelLabel': 'Cancelar análisis',
+    'preview.title': '📋 Vista Previa de la Captura',
+    'preview.imageAlt': 'Foto capturada para análisis',
+    'preview.download': '💾 Descargar',
+    'preview.downloadLabel': 'Descargar imagen',
+    'preview.resend': '📤 Reenviar',
+    'preview.resendLabel': 'Reenviar foto para análisis',
+    'preview.retry': '🔄 Intentar de Nuevo',
+    'preview.retryLabel': 'Hacer una nueva captura',
+    'import.title': '🖼️ Encuadra el rostro en el óvalo',
+    'import.hint': 'Arrastra para mover · usa el control, la rueda del ratón o pellizca para ampliar',
+    'import.imageAlt': 'Foto importada para análisis',
+    'import.zoom': 'Zoom de la foto',
+    'api.settingsTitle': '🔌 Conexión con la API',
+    'api.settingsClose': 'Cerrar configuración de la API',
+    'api.urlLabel': 'Dirección de la API',
+    'api.urlHelp': 'Déjalo en blanco para usar el mismo dominio de la app. Acepta otros dominios y túneles (p. ej.: https://abc123.ngrok-free.app).',
+    'api.sameOrigin': 'Mismo dominio',
+    'api.test': 'Probar conexión',
+    'common.save': 'Guardar',
+    'privacy.title': '🔒 Privacidad y Datos',
+    'privacy.close': 'Cerrar privacidad',
+    'privacy.consent': 'Consentimiento',
+    'privacy.withdraw': 'Retirar consentimiento',
+    'privacy.encryption': 'Cifrado de los datos guardados',
+    'privacy.passphrase': 'Contraseña',
+    'privacy.passphraseLabel': 'Contraseña del cifrado',
+    'privacy.passphraseConfirm': 'Confirma la contraseña',
+    'privacy.passphraseConfirmLabel': 'Confirmación de la contraseña',
+    'privacy.lock': 'Bloquear ahora',
+    'privacy.disable': 'Desactivar cifrado',
+    'privacy.passphraseWarning': 'La contraseña no se guarda en ningún lugar: si la olvidas, los datos cifrados no se pueden recuperar.',
+    'privacy.retention': 'Conservación',
+    'privacy.retentionLabel': 'Eliminar análisis y capturas pendientes después de',
+    'privacy.deleteAll': '🗑️ Eliminar todos mis datos',
+    'privacy.deleteAllHint': 'Borra el historial, las capturas pendientes, la configuración y la caché de la app en este navegador.',
+    'history.title': '📚 Historial de Análisis',
+    'history.close': 'Cerrar historial',
+    'history.hint': 'Toca ⚖️ en dos análisis para compararlos.',
+    'history.exportCsv': '📊 Exportar CSV',
+    'patient.legend': '👤 Paciente',
+    'patient.select': 'Paciente atendido',
+    'patient.new': '➕ Nuevo paciente',
+    'patient.idLabel': 'ID del paciente',
+    'patient.nameLabel': 'Nombre',
+    'patient.notesLabel': 'Observaciones (opcional)',
+    'patient.save': 'Guardar paciente',
+    'patients.title': '👥 Pacientes',
+    'patients.close': 'Cerrar pacientes',
+    'clinic.title': 'Modo clínica',
+    'clinic.toggle': 'Atender a varios pacientes en este dispositivo',
+    'clinic.hint': 'Cada paciente tiene su propio registro, consentimiento y análisis. Con 🔐, el dispositivo queda fijado al paciente actual hasta que el equipo introduzca el PIN.',
+
+    // Sessão multiângulo
+    'session.step.frontal': 'Frontal',
+    'session.step.frontalInstruction': 'Mira directamente a la cámara',
+    'session.step.left': '3/4 Izquierdo',
+    'session.step.leftInstruction': 'Gira el rostro unos 45° hacia tu izquierda',
+    'session.step.right': '3/4 Derecho',
+    'session.step.rightInstruction': 'Gira el rostro unos 45° hacia tu derecha',
+    'session.method': 'Sesión multiángulo ({count} fotos)',
+    'session.discardConfirm': '¿Descartar las fotos de esta sesión?',
+    'session.stepInstruction': 'Paso {step}/{total} · {label}: {instruction}',
+    'session.retakeStep': 'Repetir foto {label}',
+    'session.captureStep': 'Capturar foto {label}',
+
+    // Privacidade
+    'privacy.retention.never': 'Nunca (hasta que los elimine)',
+    'privacy.retention.days': { one: '{count} día', other: '{count} días' },
+    'privacy.retention.year': '1 año',
+    'privacy.lockedError': 'Datos protegidos con contraseña: desbloquéalos en 🔒 Privacidad.',
+    'privacy.consentWithdrawnAt': 'Consentimiento retirado el {date}.',
+    'privacy.consentAcceptedAt': 'Términos v{version} aceptados el {date}.',
+    'privacy.consentNone': 'No hay consentimiento registrado.',
+    'privacy.vault.enable': 'Desactivado: las fotos y los resultados se guardan sin cifrar en este navegador.',
+    'privacy.vault.unlock': '🔒 Activado y bloqueado. Introduce la contraseña para ver y guardar análisis.',
+    'privacy.vault.unlocked': '🔓 Activado y desbloqueado en esta sesión.',
+    'privacy.enable': 'Activar cifrado',
+    'privacy.unlock': 'Desbloquear',
+    'privacy.disableConfirm': '¿Desactivar el cifrado? Las fotos y los resultados volverán a guardarse sin contraseña.',
+    'privacy.withdrawConfirm': '¿Retirar el consentimiento? La cámara se apagará y se eliminarán todas las fotos y análisis guardados.',
+    'privacy.deleteAllConfirm': '¿Eliminar todos tus datos de este navegador? Se borrarán el historial, las capturas pendientes y la configuración. Esta acción no se puede deshacer.',
+    'privacy.passphraseTooShort': 'Usa una contraseña de al menos {min} caracteres.',
+    'privacy.passphraseMismatch': 'Las contraseñas no coinciden.',
+    'privacy.enabled': 'Cifrado activado. Guarda la contraseña: sin ella, los datos guardados no se pueden recuperar.',
+    'privacy.wrongPassphrase': 'Contraseña incorrecta.',
+
+    // Histórico
+    'history.defaultName': 'Análisis {date}',
+    'history.notFound': 'Análisis no encontrado.',
+    'history.exportEmpty': 'No hay análisis guardados para exportar.',
+    'history.exportError': 'Error al exportar CSV: {message}',
+    'history.locked': '🔒 Historial protegido con contraseña. Desbloquéalo en Privacidad para ver los análisis.',
+    'history.loadError': 'No se pudo cargar el historial.',
+    'history.empty': 'Todavía no hay análisis guardados.',
+    'history.open': 'Abrir análisis',
+    'history.rename': 'Renombrar análisis',
+    'history.compare': 'Seleccionar para comparar',
+    'history.delete': 'Eliminar análisis',
+    'history.renamePrompt': 'Nuevo nombre del análisis:',
+    'history.deleteConfirm': '¿Eliminar este análisis del historial?',
+    'history.error': 'Error en el historial: {message}',
+    'history.patientScope': 'Análisis de {patient}',
+
+    // Modo clínica (clinic.js)
+    'patient.placeholder': 'Elige el paciente',
+    'patient.label': '{name} ({id})',
+    'patient.lockedName': 'Paciente {id} (nombre protegido con contraseña)',
+    'patient.badge': '👤 {patient}',
+    'patient.required': 'Elige o registra al paciente antes de empezar.',
+    'patient.fieldsRequired': 'Indica el ID y el nombre del paciente.',
+    'patient.exists': 'Ya existe un paciente con el ID {id}.',
+    'patient.notFound': 'Paciente no encontrado.',
+    'patient.error': 'Error en el registro de pacientes: {message}',
+    'patient.empty': 'Todavía no hay pacientes registrados.',
+    'patient.consentAt': 'Consentimiento el {date}',
+    'patient.consentWithdrawnAt': 'Consentimiento retirado el {date}',
+    'patient.noConsent': 'Sin consentimiento registrado',
+    'patient.analyses': { one: '{count} análisis', other: '{count} análisis' },
+    'patient.attend': 'Atender a este paciente',
+    'patient.history': 'Ver análisis del paciente',
+    'patient.notes': 'Editar observaciones',
+    'patient.notesPrompt': 'Observaciones sobre {name}:',
+    'patient.delete': 'Eliminar paciente',
+    'patient.deleteConfirm': '¿Eliminar al paciente {id} y todos sus análisis? Esta acción no se puede deshacer.',
+    'patient.withdrawConfirm': '¿Retirar el consentimiento de este paciente? La cámara se apagará y se eliminarán sus fotos y análisis.',
+    'patient.withdrawn': 'Consentimiento del paciente retirado. Sus fotos y análisis fueron eliminados.',
+    'kiosk.lock': 'Bloquear el dispositivo en el paciente actual',
+    'kiosk.unlock': 'Desbloquear',
+    'kiosk.createPin': 'Crea un PIN del equipo (solo números, mínimo 4 dígitos). Se pedirá para desbloquear el dispositivo.',
+    'kiosk.confirmPin': 'Introduce el PIN de nuevo:',
+    'kiosk.pinTooShort': 'El PIN debe tener al menos 4 dígitos, solo números.',
+    'kiosk.pinMismatch': 'Los PIN no coinciden.',
+    'kiosk.needsPatient': 'Elige un paciente antes de bloquear el dispositivo.',
+    'kiosk.locked': '🔐 Dispositivo bloqueado: solo los análisis de este paciente están accesibles.',
+    'kiosk.unlockPrompt': 'PIN del equipo para desbloquear:',
+    'kiosk.wrongPin': 'PIN incorrecto.',
+    'kiosk.unlocked': 'Dispositivo desbloqueado.',
+
+    // Comparação
+    'comparison.metric.spotCount': 'Número de manchas',
+    'comparison.metric.spotArea': 'Área con manchas',
+    'comparison.metric.contrast': 'Contraste de la textura',
+    'comparison.metric.homogeneity': 'Homogeneidad de la textura',
+    'comparison.metric.wrinkleArea': 'Área con arrugas/líneas',
+    'comparison.field.fitzpatrick': 'Fitzpatrick',
+    'comparison.field.texture': 'Textura',
+    'comparison.field.spots': 'Manchas',
+    'comparison.field.wrinkles': 'Líneas de Expresión',
+    'comparison.title': 'Comparación de Análisis',
+    'comparison.close': 'Cerrar comparación',
+    'comparison.mode': 'Modo de visualización',
+    'comparison.side': 'Lado a lado',
+    'comparison.overlay': 'Superponer',
+    'comparison.before': 'Antes',
+    'comparison.after': 'Después',
+    'comparison.beforeAlt': 'Análisis anterior',
+    'comparison.afterAlt': 'Análisis posterior',
+    'comparison.slider': 'Proporción entre antes y después',
+    'comparison.change': 'Variación',
+    'comparison.changed': 'Cambiado',
+    'comparison.improved': '✅ Mejoró',
+    'comparison.worsened': '⚠️ Empeoró',
+    'comparison.unchanged': '➖ Estable',
+
+    // Métricas da análise (analysis-schema.js)
+    'metric.fitzpatrick.label': 'Clasificación Fitzpatrick',
+    'metric.fitzpatrick.short': 'Fitzpatrick',
+    'metric.fitzpatrick.explanation': 'Basado en el tono de la piel',
+    'metric.textura.label': 'Tipo de Piel (Textura)',
+    'metric.textura.short': 'Textura',
+    'metric.textura.explanation': 'Análisis de la textura superficial',
+    'metric.manchas.label': 'Manchas',
+    'metric.manchas.short': 'Manchas',
+    'metric.manchas.explanation': { one: '{count} mancha detectada', other: '{count} manchas detectadas' },
+    'metric.manchas.explanationMissing': 'Número de manchas no informado',
+    'metric.rugas.label': 'Líneas de Expresión',
+    'metric.rugas.short': 'Líneas',
+    'metric.rugas.explanation': 'Análisis de arrugas y líneas',
+    'metric.manchas_numero.label': 'Número de Manchas',
+    'metric.manchas_numero.explanation': 'Regiones oscuras aisladas encontradas en la piel',
+    'metric.manchas_porcentagem.label': 'Porcentaje de Manchas',
+    'metric.manchas_porcentagem.explanation': 'Área de la piel cubierta por manchas',
+    'metric.textura_contraste.label': 'Contraste',
+    'metric.textura_contraste.explanation': 'Variación local de luminosidad; valores altos indican textura irregular',
+    'metric.textura_homogeneidade.label': 'Homogeneidad',
+    'metric.textura_homogeneidade.explanation': 'Uniformidad de la superficie; valores altos indican piel más lisa',
+    'metric.rugas_porcentagem.label': 'Porcentaje de Arrugas',
+    'metric.rugas_porcentagem.explanation': 'Área de la piel con líneas detectadas',
+    'metric.fitzpatrick_ita.label': 'Ángulo ITA',
+    'metric.fitzpatrick_ita.explanation': 'Ángulo de Tipología Individual usado en la clasificación de Fitzpatrick',
+    'metric.generic.explanation': 'Métrica adicional informada por el proveedor',
+
+    // Validação da resposta
+    'schema.notObject': 'la respuesta no es un objeto JSON',
+    'schema.unsupportedVersion': 'versión del esquema no compatible ({value}; la app acepta hasta la {max})',
+    'schema.expectedText': '"{path}" debería ser texto (recibido {value})',
+    'schema.noMetrics': 'no se informó ninguna de las métricas ({paths})',
+    'schema.expectedObject': '"{path}" debería ser un objeto',
+    'schema.expectedNumber': '"{path}" debería ser numérico (recibido {value})',
+    'schema.expectedConfidence': '"{path}" debería ser un número entre 0 y 1 (recibido {value})',
+    'schema.expectedUnit': '"{path}" debería ser "normalizada" o "px" (recibido {value})',
+    'schema.expectedList': '"{path}" debería ser una lista',
+
+    // Provedores de análise
+    'provider.hybrid': 'API Híbrida',
+    'provider.local': 'Estimación local (sin conexión)',
+    'provider.cancelled': 'Análisis cancelado.',
+    'provider.invalidResponse': 'Respuesta no válida de {provider}: {problems}.',
+    'provider.apiUnavailable': 'La API de análisis no está disponible.',
+    'provider.httpError': 'Fallo en la comunicación con {provider} (HTTP {status}): {details}',
+    'provider.malformedResponse': 'Respuesta de {provider} con formato no válido.',
+    'provider.workerError': 'Fallo en el worker de análisis local.',
+    'provider.noneAvailable': 'No hay ningún proveedor de análisis disponible.',
+
+    // Conexão com a API
+    'api.timeout': 'Tiempo de espera agotado ({seconds}s).',
+    'api.networkError': 'Fallo de red al enviar la foto.',
+    'api.invalidUrl': 'URL no válida.',
+    'api.invalidProtocol': 'Usa una dirección http:// o https://.',
+    'api.noNetwork': 'Sin conexión de red.',
+    'api.unexpectedStatus': 'Estado: {status}',
+    'api.testing': 'Probando conexión...',
+    'api.latency': '{latency} ms',
+    'api.test.online': '✅ API en línea ({latency} ms)',
+    'api.test.degraded': '⚠️ La API respondió con problemas ({error})',
+    'api.test.offline': '❌ API inaccesible: {error}',
+    'api.mixedContent': 'El navegador bloquea http:// en páginas https://; usa https:// (p. ej.: un túnel ngrok).',
+    'api.status.connecting': '🔄 Conectando con la API...',
+    'api.status.online': '✅ API Conectada: {url}',
+    'api.status.degraded': '⚠️ API Inestable: {url}',
+    'api.status.offline': '❌ API No Encontrada',
+    'api.status.retry': 'nueva comprobación en {seconds}s',
+
+    // Captura em sequência
+    'burst.title': 'Elige la foto',
+    'burst.hint': 'La mejor foto de la ráfaga ya está seleccionada.',
+    'burst.preview': 'Foto seleccionada',
+    'burst.filmstrip': 'Fotos de la ráfaga',
+    'burst.confirm': '📷 Usar esta foto',
+    'burst.frame': 'Foto {index}, puntuación {score}',
+    'burst.frameSuggested': 'Foto {index}, puntuación {score} (sugerida)',
+    'burst.label': 'Elección de la foto de la ráfaga',
+    'burst.workerError': 'Fallo en el worker de la captura en ráfaga.',
+
+    // Ajustes da câmera
+    'camera.deviceFallback': 'Cámara {index}',
+    'camera.controlsUnsupported': 'Este navegador no admite ajustes avanzados.',
+    'camera.controlsNone': 'Esta cámara no ofrece ajustes avanzados.',
+    'camera.zoom': 'Zoom',
+    'camera.torch': 'Linterna',
+    'camera.focus': 'Enfoque',
+    'camera.focusDistance': 'Distancia de enfoque',
+    'camera.exposure': 'Exposición',
+    'camera.focusMode.continuous': 'Continuo',
+    'camera.focusMode.singleShot': 'Único',
+    'camera.focusMode.manual': 'Manual',
+    'camera.focusMode.none': 'Apagado',
+
+    // Calibração de cor
+    'calibration.hint': 'Sostén una tarjeta gris neutra (o una hoja blanca mate) dentro del cuadrado, bajo la misma luz que el rostro',
+    'calibration.notRecognized': 'Tarjeta no reconocida: llena todo el cuadrado con la tarjeta, sin sombras ni reflejos',
+    'calibration.detected': 'Tarjeta detectada, mantenla quieta... ({count}/{total})',
+    'calibration.saved': 'Calibración de color guardada para esta cámara.',
+    'calibration.off': 'Corrección de color desactivada.',
+    'calibration.calibratedAt': 'Calibrada con tarjeta gris el {date}.',
+    'calibration.scene': 'Sin calibración: el color se estima a partir de la escena.',
+
+    // Importação de foto
+    'import.notImage': 'Selecciona un archivo de imagen.',
+    'import.openError': 'No se pudo abrir esta imagen.',
+
+    // Guia de alinhamento facial
+    'align.noFace': 'No se detectó ningún rostro',
+    'align.move.right': 'Muévete hacia la derecha',
+    'align.move.left': 'Muévete hacia la izquierda',
+    'align.up': 'Sube un poco el rostro',
+    'align.down': 'Baja un poco el rostro',
+    'align.closer': 'Acércate a la cámara',
+    'align.farther': 'Aléjate de la cámara',
+    'align.tilt.right': 'Inclina la cabeza hacia la derecha',
+    'align.tilt.left': 'Inclina la cabeza hacia la izquierda',
+    'align.turn.right': 'Gira el rostro hacia la derecha',
+    'align.turn.left': 'Gira el rostro hacia la izquierda',
+    'align.turnMore.right': 'Gira más el rostro hacia la derecha',
+    'align.turnMore.left': 'Gira más el rostro hacia la izquierda',
+    'align.turnLess.right': 'Gira un poco menos hacia la derecha',
+    'align.turnLess.left': 'Gira un poco menos hacia la izquierda',
+    'align.aligned': '¡Perfecto! Mantén la posición',
+    'align.countdown': 'Capturando en {seconds}...',
+
+    // Comum
+    'common.error': 'Error: {message}',
+    'common.notDetected': 'No detectado',
+    'common.notAvailable': 'N/D',
+
+    // Fonte de vídeo (video-source.js)
+    'videoSource.camera': 'Cámara del dispositivo',
+    'videoSource.pattern': 'Simulada: patrón de prueba',
+    'videoSource.image': 'Simulada: imagen',
+    'videoSource.video': 'Simulada: vídeo en bucle',
+    'videoSource.prompt.image': 'Dirección de la imagen de la cámara simulada:',
+    'videoSource.prompt.video': 'Dirección del vídeo de la cámara simulada:',
+    'videoSource.missingImage': 'Indica la imagen de la cámara simulada (camera-src).',
+    'videoSource.missingVideo': 'Indica el vídeo de la cámara simulada (camera-src).',
+    'videoSource.imageError': 'No se pudo cargar la imagen de la cámara simulada: {src}',
+    'videoSource.videoError': 'No se pudo reproducir el vídeo de la cámara simulada: {src}',
+
+    // Imagem enviada (capture-output.js)
+    'output.format.png': 'PNG (sin pérdidas)',
+    'output.format.jpeg': 'JPEG (alta calidad)',
+    'output.format.webp': 'WebP',
+    'output.size.original': 'Resolución máxima',
+    'output.size.width': 'Hasta {width} px de ancho',
+    'output.size.legacy': '307 px (antiguo)',
+    'output.source.photo': 'Foto tomada con la resolución máxima de la cámara.',
+    'output.source.video': 'Recorte del vídeo (este navegador no toma fotos con la cámara).',
+    'output.workerError': 'Falló el procesamiento de la imagen.',
+    'output.encodeError': 'Error al generar la imagen en alta resolución. Inténtalo de nuevo.',
+
+    // Captura e carregamento
+    'camera.error.permission.title': 'Acceso a la cámara bloqueado',
+    'camera.error.permission.message': 'El navegador no tiene permiso para usar la cámara. Toca el icono del candado o de la cámara en la barra de direcciones, permite el acceso e inténtalo de nuevo.',
+    'camera.error.notFound.title': 'No se encontró ninguna cámara',
+    'camera.error.notFound.message': 'Conecta una cámara o comprueba que esté activada en la configuración del sistema. Al conectarla, la app lo intenta de nuevo sola.',
+    'camera.error.busy.title': 'Cámara en uso',
+    'camera.error.busy.message': 'Otra aplicación o pestaña está usando la cámara. Ciérrala e inténtalo de nuevo.',
+    'camera.error.overconstrained.title': 'Cámara incompatible',
+    'camera.error.overconstrained.message': 'La cámara no aceptó ninguna de las configuraciones de video de la app. Elige otra cámara en ⚙️ Ajustes o inténtalo de nuevo.',
+    'camera.error.insecure.title': 'Conexión no segura',
+    'camera.error.insecure.message': 'El navegador solo permite la cámara en páginas https:// (o localhost). Abre la app desde la dirección segura.',
+    'camera.error.unsupported.title': 'Cámara no compatible',
+    'camera.error.unsupported.message': 'Este navegador no ofrece acceso a la cámara. Usa una versión actual de Chrome, Edge, Firefox o Safari, o analiza una foto existente.',
+    'camera.error.unknown.title': 'No se pudo abrir la cámara',
+    'camera.error.unknown.message': 'Ocurrió un error inesperado ({message}). Inténtalo de nuevo.',
+    'camera.reconnecting': 'La cámara dejó de responder. Reconectando...',
+    'capture.notReady': 'La cámara no está lista. Espera un momento.',
+    'capture.error': 'Error al capturar la foto. Inténtalo de nuevo.',
+    'import.processError': 'Error al procesar la foto. Inténtalo de nuevo.',
+    'preview.error': 'Error al generar la vista previa.',
+    'provider.groqPrompt': 'Introduce tu clave de API de Groq (se guarda solo en este dispositivo):',
+    'loading.capturing': 'Capturando y recortando la foto...',
+    'loading.burst': 'Capturando ráfaga de fotos...',
+    'loading.preparing': 'Preparando la foto...',
+    'loading.encoding': 'Generando la imagen en alta resolución...',
+    'loading.cropping': 'Recortando la foto...',
+    'loading.analyzing': 'Analizando la foto en la API...',
+    'loading.analyzingStep': 'Analizando {step}...',
+    'loading.local': 'Calculando estimación local...',
+    'loading.retry': 'Fallo temporal en el envío. Nuevo intento ({attempt}) en {seconds}s...',
+    'stage.uploading': 'Enviando foto...',
+    'stage.processing': 'Procesando el análisis...',
+    'stage.rendering': 'Preparando resultados...',
+
+    // Controle de qualidade (image-quality.js, traduzido pelo código do problema)
+    'quality.issue.empty': 'La imagen capturada está vacía.',
+    'quality.issue.blur': 'Imagen desenfocada o movida. Mantén la cámara quieta.',
+    'quality.issue.underexposed': 'Imagen oscura. Busca un lugar más iluminado.',
+    'quality.issue.overexposed': 'Imagen demasiado clara. Evita la luz directa en el rostro.',
+    'quality.issue.shadows': 'Sombras fuertes en el rostro. Usa una iluminación más uniforme.',
+    'quality.issue.highlights': 'Zonas quemadas por la luz en el rostro.',
+    'quality.issue.glare': 'Reflejos de brillo en la piel. Evita el flash y la luz frontal fuerte.',
+    'quality.issue.colorCast': 'Iluminación con un color fuerte (p. ej.: luz amarillenta o azulada).',
+    'quality.blocked': 'Calidad de la foto insuficiente ({score}/100). Inténtalo de nuevo:\n\n{reasons}',
+    'quality.warn': 'Calidad de la foto: {score}/100.\n\n{reasons}\n\n¿Enviar de todos modos?',
+    'quality.sendAnyway': 'Enviar de todos modos',
+
+    // Análise e fila offline
+    'analysis.error': 'Error en el análisis: {message}',
+    'local.error': 'Error en la estimación local: {message}',
+    'session.apiUnavailable': 'La API de análisis no está disponible. El análisis multiángulo necesita conexión y no entra en la cola sin conexión. Las fotos de la sesión se conservaron en esta pantalla; inténtalo de nuevo cuando vuelva la conexión.',
+    'session.error': 'Error en el análisis de la sesión: {message}\n\nLas fotos se conservaron; puedes intentarlo de nuevo.',
+    'session.offline': 'Sin conexión con la API: {message}\n\nEl análisis multiángulo necesita conexión y no entra en la cola sin conexión. Las fotos se conservaron en esta pantalla; inténtalo de nuevo cuando vuelva la conexión.',
+    'history.notSaved': 'El análisis no se guardó en el historial. {message}',
+    'queue.pending': 'Sin conexión con la API. La foto quedó pendiente y se analizará automáticamente cuando vuelva la conexión.',
+    'queue.offerLocal': '¿Quieres ver una estimación local mientras tanto?',
+    'queue.failed': 'Un análisis pendiente no pudo completarse: {message}',
+    'queue.completed': {
+        one: '{count} análisis pendiente completado.',
+        other: '{count} análisis pendientes completados.'
+    },
+    'queue.completedOne': 'Se completó un análisis pendiente.',
+    'queue.notificationTitle': 'Análisis pendiente completado',
+    'queue.notificationBody': 'Toca para ver el resultado en el historial.',
+    'queue.showLocal': 'Ver estimación local',
+    'queue.openHistory': 'Abrir historial',
+    'queue.status': { one: '⏳ {count} análisis pendiente', other: '⏳ {count} análisis pendientes' },
+    'privacy.withdrawn': 'Consentimiento retirado. La cámara se apagó y tus datos se eliminaron de este navegador.',
+    'privacy.deleted': 'Todos tus datos se eliminaron de este navegador.',
+
+    // Resultados
+    'results.title': 'Análisis Facial Completo',
+    'results.sessionTitle': 'Análisis Multiángulo · Resumen',
+    'results.localEstimate': '📴 Estimación local',
+    'results.localEstimateHint': 'Calculada en el dispositivo, sin la API',
+    'results.close': 'Cerrar Análisis',
+    'results.imageAlt': 'Foto analizada',
+    'results.faceDetection': 'Detección Facial',
+    'results.confidence': 'Confianza: {value}',
+    'results.detectionConfidence': 'Confianza de la Detección: {value}',
+    'results.method': 'Método: {method}',
+    'results.provider': 'Proveedor: {name}',
+    'results.details': 'Detalles Técnicos',
+    'results.byAngle': 'Resultados por ángulo',
+    'results.anglePhoto': 'Foto {label}',
+    'results.download': 'Descargar Imagen',
+    'results.downloadAnnotated': 'Descargar Imagen Anotada',
+    'results.saveTxt': 'Guardar Análisis (TXT)',
+    'results.exportJson': 'Exportar JSON',
+    'results.report': 'Informe (PDF)',
+    'results.retry': 'Nueva Foto',
+    'results.annotatedError': 'Error al exportar la imagen anotada: {message}',
+    'results.reportError': 'Error al generar el informe: {message}',
+
+    // Marcações sobre a imagem (image-annotations.js)
+    'annotation.layer.textura': 'Textura',
+    'annotation.layer.rugas': 'Líneas',
+    'annotation.layer.manchas': 'Manchas',
+    'annotation.layer.face': 'Rostro',
+    'annotation.layers': 'Capas de marcado',
+    'annotation.zoom': 'Zoom de la imagen',
+    'annotation.zoomOut': 'Reducir zoom',
+    'annotation.zoomReset': 'Restablecer encuadre',
+    'annotation.zoomIn': 'Ampliar zoom',
+    'annotation.spot': 'Mancha {index} de {total}',
+    'annotation.spotArea': 'Área: {area} de la imagen',
+    'annotation.line': 'Línea {index} de {total}',
+    'annotation.lineLength': 'Longitud: {length} del ancho de la imagen',
+    'annotation.texture': 'Textura · región {index} de {total}',
+    'annotation.irregularity': 'Irregularidad: {value}',
+    'annotation.cell': 'Fila {row}, columna {column}',
+    'annotation.face': 'Rostro detectado',
+    'annotation.intensity': 'Intensidad: {value}',
+    'annotation.notLoaded': 'La imagen aún no se ha cargado.',
+    'annotation.exportFailed': 'No se pudo generar la imagen anotada.',
+    'annotation.empty': 'El proveedor no informó regiones para marcar en la imagen.',
+
+    // Avisos, diálogos e acessibilidade (feedback.js, spoken-guidance.js)
+    'feedback.ok': 'Aceptar',
+    'feedback.dismiss': 'Cerrar aviso',
+    'feedback.notNow': 'Ahora no',
+    'feedback.view': 'Ver ahora',
+    'guidance.mode.off': 'Guía hablada desactivada',
+    'guidance.mode.voice': 'Guía por voz activada',
+    'guidance.mode.beeps': 'Guía por sonidos activada',
+    'guidance.captured': 'Foto tomada',
+    'shortcuts.help': 'Atajos de teclado:\nEspacio o C: capturar\nS: cambiar de cámara\nG: guía hablada\nR: nueva foto\nEsc: cerrar o cancelar la cuenta regresiva\n?: mostrar esta ayuda',
+
+    // Exportações (report-export.js)
+    'export.fileName': 'analisis-facial',
+    'export.csvFileName': 'analisis-faciales',
+    'export.reportFileName': 'informe-analisis-facial',
+    'export.txtTitle': 'ANÁLISIS FACIAL',
+    'export.txtSaved': '¡Análisis guardado como archivo TXT!',
+    'report.title': 'Informe - {name}',
+    'report.capturedAt': 'Captura: {date}',
+    'report.patient': 'Paciente: {id}',
+    'report.generatedAt': 'Informe generado el {date}',
+    'report.disclaimer': 'Resultado de carácter informativo; no sustituye una evaluación profesional.'
+};
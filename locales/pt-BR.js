@@ -0,0 +1,523 @@
+/**
+ * Mensagens em português (Brasil), idioma padrão e referência das demais traduções.
+ * Veja `i18n.js` para o formato das chaves, parâmetros e plurais.
+ */
+export default {
+    // Textos fixos da página (index.html)
+    'app.title': 'Análise Facial Inteligente',
+    'api.detecting': 'Detectando API...',
+    'api.settingsButton': 'Configurar endereço da API',
+    'provider.select': 'Provedor de análise',
+    'locale.select': 'Idioma',
+    'update.available': '✨ Nova versão disponível',
+    'update.reload': 'Recarregar',
+    'update.dismiss': 'Dispensar aviso de atualização',
+    'consent.title': '🔬 Análise Facial Inteligente',
+    'consent.intro': 'Este aplicativo capturará uma foto do seu rosto e realizará uma análise completa da pele usando inteligência artificial.',
+    'consent.includes': 'A análise inclui:',
+    'consent.item.fitzpatrick': 'Classificação Fitzpatrick',
+    'consent.item.texture': 'Análise de textura da pele',
+    'consent.item.spots': 'Detecção de manchas',
+    'consent.item.wrinkles': 'Análise de linhas de expressão',
+    'consent.secure': 'A imagem será processada de forma segura e você poderá salvar os resultados.',
+    'consent.privacy': 'As fotos e análises ficam salvas apenas neste navegador. Em 🔒 Privacidade você pode protegê-las com senha, definir por quanto tempo são mantidas, retirar este consentimento e excluir todos os seus dados.',
+    'consent.agreement': 'Ao continuar, você concorda com o uso da sua câmera para fins de análise.',
+    'consent.accept': '🚀 Iniciar Análise',
+    'camera.preview': 'Visualização da Câmera',
+    'camera.guide': 'Guia de posicionamento facial em formato oval',
+    'calibration.target': 'Área para o cartão cinza de calibração',
+    'instructions.title': '📸 Posicione seu rosto',
+    'instructions.center': 'Centralize seu rosto no oval laranja',
+    'instructions.lighting': 'Mantenha expressão neutra e boa iluminação',
+    'camera.settings': 'Ajustes da câmera',
+    'videoSource.label': 'Fonte',
+    'videoSource.select': 'Fonte de vídeo',
+    'camera.deviceLabel': 'Câmera',
+    'camera.deviceSelect': 'Dispositivo de vídeo',
+    'camera.retry': '🔄 Tentar novamente',
+    'camera.importInstead': '🖼️ Analisar uma foto existente',
+    'output.formatLabel': 'Formato',
+    'output.formatSelect': 'Formato da imagem enviada',
+    'output.sizeLabel': 'Tamanho',
+    'output.sizeSelect': 'Tamanho da imagem enviada',
+    'calibration.toggle': 'Correção de cor',
+    'calibration.start': '🎨 Calibrar com cartão cinza',
+    'calibration.remove': 'Remover calibração',
+    'common.cancel': 'Cancelar',
+    'session.label': 'Sessão multiângulo',
+    'session.analyze': '🔍 Analisar sessão',
+    'controls.label': 'Controles da câmera',
+    'controls.switchCamera': 'Trocar entre câmera frontal e traseira',
+    'controls.capture': '📷 Analisar',
+    'controls.captureLabel': 'Capturar e Analisar Foto',
+    'controls.history': 'Abrir histórico de análises',
+    'controls.import': 'Analisar uma foto existente',
+    'controls.session': 'Sessão multiângulo (frontal e perfis 3/4)',
+    'controls.burst': 'Captura em sequência, escolhendo a foto mais nítida',
+    'controls.autoCapture': 'Captura automática quando o rosto estiver alinhado',
+    'controls.privacy': 'Privacidade e dados',
+    'controls.guidance': 'Orientação falada ou por sons para posicionar o rosto',
+    'controls.patients': 'Pacientes',
+    'controls.kiosk': 'Bloquear o aparelho no paciente atual',
+    'loading.default': 'Processando...',
+    'loading.cancel': '✖ Cancelar',
+    'loading.cancelLabel': 'Cancelar análise',
+    'preview.title': '📋 Prévia da Captura',
+    'preview.imageAlt': 'Foto capturada para análise',
+    'preview.download': '💾 Baixar',
+    'preview.downloadLabel': 'Baixar imagem',
+    'preview.resend': '📤 Reenviar',
+    'preview.resendLabel': 'Reenviar foto para análise',
+    'preview.retry': '🔄 Tentar Novamente',
+    'preview.retryLabel': 'Tentar nova captura',
+    'import.title': '🖼️ Enquadre o rosto no oval',
+    'import.hint': 'Arraste para mover · use o controle, a roda do mouse ou pinça para ampliar',
+    'import.imageAlt': 'Foto importada para análise',
+    'import.zoom': 'Zoom da foto',
+    'api.settingsTitle': '🔌 Conexão com a API',
+    'api.settingsClose': 'Fechar configuração da API',
+    'api.urlLabel': 'Endereço da API',
+    'api.urlHelp': 'Deixe em branco para usar o mesmo domínio do app. Aceita outros domínios e túneis (ex.: https://abc123.ngrok-free.app).',
+    'api.sameOrigin': 'Mesmo domínio',
+    'api.test': 'Testar conexão',
+    'common.save': 'Salvar',
+    'privacy.title': '🔒 Privacidade e Dados',
+    'privacy.close': 'Fechar privacidade',
+    'privacy.consent': 'Consentimento',
+    'privacy.withdraw': 'Retirar consentimento',
+    'privacy.encryption': 'Criptografia dos dados salvos',
+    'privacy.passphrase': 'Senha',
+    'privacy.passphraseLabel': 'Senha da criptografia',
+    'privacy.passphraseConfirm': 'Confirme a senha',
+    'privacy.passphraseConfirmLabel': 'Confirmação da senha',
+    'privacy.lock': 'Bloquear agora',
+    'privacy.disable': 'Desativar criptografia',
+    'privacy.passphraseWarning': 'A senha não é guardada em lugar nenhum: se esquecê-la, os dados cifrados não podem ser recuperados.',
+    'privacy.retention': 'Retenção',
+    'privacy.retentionLabel': 'Excluir análises e capturas pendentes após',
+    'privacy.deleteAll': '🗑️ Excluir todos os meus dados',
+    'privacy.deleteAllHint': 'Apaga histórico, capturas pendentes, configurações e o cache do app neste navegador.',
+    'history.title': '📚 Histórico de Análises',
+    'history.close': 'Fechar histórico',
+    'history.hint': 'Toque em ⚖️ em duas análises para compará-las.',
+    'history.exportCsv': '📊 Exportar CSV',
+    'patient.legend': '👤 Paciente',
+    'patient.select': 'Paciente atendido',
+    'patient.new': '➕ Novo paciente',
+    'patient.idLabel': 'ID do paciente',
+    'patient.nameLabel': 'Nome',
+    'patient.notesLabel': 'Observações (opcional)',
+    'patient.save': 'Salvar paciente',
+    'patients.title': '👥 Pacientes',
+    'patients.close': 'Fechar pacientes',
+    'clinic.title': 'Modo clínica',
+    'clinic.toggle': 'Atender vários pacientes neste aparelho',
+    'clinic.hint': 'Cada paciente tem cadastro, consentimento e análises próprios. Com 🔐, o aparelho fica preso ao paciente atual até a equipe digitar o PIN.',
+
+    // Sessão multiângulo
+    'session.step.frontal': 'Frontal',
+    'session.step.frontalInstruction': 'Olhe diretamente para a câmera',
+    'session.step.left': '3/4 Esquerdo',
+    'session.step.leftInstruction': 'Vire o rosto cerca de 45° para a sua esquerda',
+    'session.step.right': '3/4 Direito',
+    'session.step.rightInstruction': 'Vire o rosto cerca de 45° para a sua direita',
+    'session.method': 'Sessão multiângulo ({count} fotos)',
+    'session.discardConfirm': 'Descartar as fotos desta sessão?',
+    'session.stepInstruction': 'Etapa {step}/{total} · {label}: {instruction}',
+    'session.retakeStep': 'Refazer foto {label}',
+    'session.captureStep': 'Capturar foto {label}',
+
+    // Privacidade
+    'privacy.retention.never': 'Nunca (até eu excluir)',
+    'privacy.retention.days': { one: '{count} dia', other: '{count} dias' },
+    'privacy.retention.year': '1 ano',
+    'privacy.lockedError': 'Dados protegidos por senha: desbloqueie em 🔒 Privacidade.',
+    'privacy.consentWithdrawnAt': 'Consentimento retirado em {date}.',
+    'privacy.consentAcceptedAt': 'Termo v{version} aceito em {date}.',
+    'privacy.consentNone': 'Nenhum consentimento registrado.',
+    'privacy.vault.enable': 'Desativada: fotos e resultados ficam salvos sem criptografia neste navegador.',
+    'privacy.vault.unlock': '🔒 Ativada e bloqueada. Informe a senha para ver e salvar análises.',
+    'privacy.vault.unlocked': '🔓 Ativada e desbloqueada nesta sessão.',
+    'privacy.enable': 'Ativar criptografia',
+    'privacy.unlock': 'Desbloquear',
+    'privacy.disableConfirm': 'Desativar a criptografia? Fotos e resultados voltarão a ser salvos sem senha.',
+    'privacy.withdrawConfirm': 'Retirar o consentimento? A câmera será desligada e todas as fotos e análises salvas serão excluídas.',
+    'privacy.deleteAllConfirm': 'Excluir todos os seus dados deste navegador? Histórico, capturas pendentes e configurações serão apagados. Esta ação não pode ser desfeita.',
+    'privacy.passphraseTooShort': 'Use uma senha com pelo menos {min} caracteres.',
+    'privacy.passphraseMismatch': 'As senhas não conferem.',
+    'privacy.enabled': 'Criptografia ativada. Guarde a senha: sem ela, os dados salvos não podem ser recuperados.',
+    'privacy.wrongPassphrase': 'Senha incorreta.',
+
+    // Histórico
+    'history.defaultName': 'Análise {date}',
+    'history.notFound': 'Análise não encontrada.',
+    'history.exportEmpty': 'Nenhuma análise salva para exportar.',
+    'history.exportError': 'Erro ao exportar CSV: {message}',
+    'history.locked': '🔒 Histórico protegido por senha. Desbloqueie em Privacidade para ver as análises.',
+    'history.loadError': 'Não foi possível carregar o histórico.',
+    'history.empty': 'Nenhuma análise salva ainda.',
+    'history.open': 'Abrir análise',
+    'history.rename': 'Renomear análise',
+    'history.compare': 'Selecionar para comparar',
+    'history.delete': 'Excluir análise',
+    'history.renamePrompt': 'Novo nome da análise:',
+    'history.deleteConfirm': 'Excluir esta análise do histórico?',
+    'history.error': 'Erro no histórico: {message}',
+    'history.patientScope': 'Análises de {patient}',
+
+    // Modo clínica (clinic.js)
+    'patient.placeholder': 'Escolha o paciente',
+    'patient.label': '{name} ({id})',
+    'patient.lockedName': 'Paciente {id} (nome protegido por senha)',
+    'patient.badge': '👤 {patient}',
+    'patient.required': 'Escolha ou cadastre o paciente antes de iniciar.',
+    'patient.fieldsRequired': 'Informe o ID e o nome do paciente.',
+    'patient.exists': 'Já existe um paciente com o ID {id}.',
+    'patient.notFound': 'Paciente não encontrado.',
+    'patient.error': 'Erro no cadastro de pacientes: {message}',
+    'patient.empty': 'Nenhum paciente cadastrado ainda.',
+    'patient.consentAt': 'Consentimento em {date}',
+    'patient.consentWithdrawnAt': 'Consentimento retirado em {date}',
+    'patient.noConsent': 'Sem consentimento registrado',
+    'patient.analyses': { one: '{count} análise', other: '{count} análises' },
+    'patient.attend': 'Atender este paciente',
+    'patient.history': 'Ver análises do paciente',
+    'patient.notes': 'Editar observações',
+    'patient.notesPrompt': 'Observações sobre {name}:',
+    'patient.delete': 'Excluir paciente',
+    'patient.deleteConfirm': 'Excluir o paciente {id} e todas as suas análises? Esta ação não pode ser desfeita.',
+    'patient.withdrawConfirm': 'Retirar o consentimento deste paciente? A câmera será desligada e as fotos e análises dele serão excluídas.',
+    'patient.withdrawn': 'Consentimento do paciente retirado. As fotos e análises dele foram excluídas.',
+    'kiosk.lock': 'Bloquear o aparelho no paciente atual',
+    'kiosk.unlock': 'Desbloquear',
+    'kiosk.createPin': 'Crie um PIN da equipe (só números, mínimo de 4 dígitos). Ele será pedido para desbloquear o aparelho.',
+    'kiosk.confirmPin': 'Digite o PIN novamente:',
+    'kiosk.pinTooShort': 'O PIN deve ter pelo menos 4 dígitos, só números.',
+    'kiosk.pinMismatch': 'Os PINs não conferem.',
+    'kiosk.needsPatient': 'Escolha um paciente antes de bloquear o aparelho.',
+    'kiosk.locked': '🔐 Aparelho bloqueado: só as análises deste paciente ficam acessíveis.',
+    'kiosk.unlockPrompt': 'PIN da equipe para desbloquear:',
+    'kiosk.wrongPin': 'PIN incorreto.',
+    'kiosk.unlocked': 'Aparelho desbloqueado.',
+
+    // Comparação
+    'comparison.metric.spotCount': 'Número de manchas',
+    'comparison.metric.spotArea': 'Área com manchas',
+    'comparison.metric.contrast': 'Contraste da textura',
+    'comparison.metric.homogeneity': 'Homogeneidade da textura',
+    'comparison.metric.wrinkleArea': 'Área com rugas/linhas',
+    'comparison.field.fitzpatrick': 'Fitzpatrick',
+    'comparison.field.texture': 'Textura',
+    'comparison.field.spots': 'Manchas',
+    'comparison.field.wrinkles': 'Linhas de Expressão',
+    'comparison.title': 'Comparação de Análises',
+    'comparison.close': 'Fechar comparação',
+    'comparison.mode': 'Modo de visualização',
+    'comparison.side': 'Lado a lado',
+    'comparison.overlay': 'Sobrepor',
+    'comparison.before': 'Antes',
+    'comparison.after': 'Depois',
+    'comparison.beforeAlt': 'Análise anterior',
+    'comparison.afterAlt': 'Análise posterior',
+    'comparison.slider': 'Proporção entre antes e depois',
+    'comparison.change': 'Variação',
+    'comparison.changed': 'Alterado',
+    'comparison.improved': '✅ Melhorou',
+    'comparison.worsened': '⚠️ Piorou',
+    'comparison.unchanged': '➖ Estável',
+
+    // Métricas da análise (analysis-schema.js)
+    'metric.fitzpatrick.label': 'Classificação Fitzpatrick',
+    'metric.fitzpatrick.short': 'Fitzpatrick',
+    'metric.fitzpatrick.explanation': 'Baseado na tonalidade da pele',
+    'metric.textura.label': 'Tipo de Pele (Textura)',
+    'metric.textura.short': 'Textura',
+    'metric.textura.explanation': 'Análise da textura superficial',
+    'metric.manchas.label': 'Manchas',
+    'metric.manchas.short': 'Manchas',
+    'metric.manchas.explanation': { one: '{count} mancha detectada', other: '{count} manchas detectadas' },
+    'metric.manchas.explanationMissing': 'Número de manchas não informado',
+    'metric.rugas.label': 'Linhas de Expressão',
+    'metric.rugas.short': 'Linhas',
+    'metric.rugas.explanation': 'Análise de rugas e linhas',
+    'metric.manchas_numero.label': 'Número de Manchas',
+    'metric.manchas_numero.explanation': 'Regiões escuras isoladas encontradas na pele',
+    'metric.manchas_porcentagem.label': 'Porcentagem de Manchas',
+    'metric.manchas_porcentagem.explanation': 'Área da pele coberta por manchas',
+    'metric.textura_contraste.label': 'Contraste',
+    'metric.textura_contraste.explanation': 'Variação local de luminosidade; valores altos indicam textura irregular',
+    'metric.textura_homogeneidade.label': 'Homogeneidade',
+    'metric.textura_homogeneidade.explanation': 'Uniformidade da superfície; valores altos indicam pele mais lisa',
+    'metric.rugas_porcentagem.label': 'Porcentagem de Rugas',
+    'metric.rugas_porcentagem.explanation': 'Área da pele com linhas detectadas',
+    'metric.fitzpatrick_ita.label': 'Ângulo ITA',
+    'metric.fitzpatrick_ita.explanation': 'Ângulo de Tipologia Individual usado na classificação de Fitzpatrick',
+    'metric.generic.explanation': 'Métrica adicional informada pelo provedor',
+
+    // Validação da resposta
+    'schema.notObject': 'a resposta não é um objeto JSON',
+    'schema.unsupportedVersion': 'versão do esquema não suportada ({value}; o app aceita até a {max})',
+    'schema.expectedText': '"{path}" deveria ser texto (recebido {value})',
+    'schema.noMetrics': 'nenhuma das métricas ({paths}) foi informada',
+    'schema.expectedObject': '"{path}" deveria ser um objeto',
+    'schema.expectedNumber': '"{path}" deveria ser numérico (recebido {value})',
+    'schema.expectedConfidence': '"{path}" deveria ser um número entre 0 e 1 (recebido {value})',
+    'schema.expectedUnit': '"{path}" deveria ser "normalizada" ou "px" (recebido {value})',
+    'schema.expectedList': '"{path}" deveria ser uma lista',
+
+    // Provedores de análise
+    'provider.hybrid': 'API Híbrida',
+    'provider.local': 'Estimativa local (offline)',
+    'provider.cancelled': 'Análise cancelada.',
+    'provider.invalidResponse': 'Resposta inválida de {provider}: {problems}.',
+    'provider.apiUnavailable': 'API de análise não está disponível.',
+    'provider.httpError': 'Falha na comunicação com {provider} (HTTP {status}): {details}',
+    'provider.malformedResponse': 'Resposta de {provider} em formato inválido.',
+    'provider.workerError': 'Falha no worker de análise local.',
+    'provider.noneAvailable': 'Nenhum provedor de análise disponível.',
+
+    // Conexão com a API
+    'api.timeout': 'Tempo limite excedido ({seconds}s).',
+    'api.networkError': 'Falha de rede ao enviar a foto.',
+    'api.invalidUrl': 'URL inválida.',
+    'api.invalidProtocol': 'Use um endereço http:// ou https://.',
+    'api.noNetwork': 'Sem conexão de rede.',
+    'api.unexpectedStatus': 'Status: {status}',
+    'api.testing': 'Testando conexão...',
+    'api.latency': '{latency} ms',
+    'api.test.online': '✅ API online ({latency} ms)',
+    'api.test.degraded': '⚠️ API respondeu com problemas ({error})',
+    'api.test.offline': '❌ API inacessível: {error}',
+    'api.mixedContent': 'O navegador bloqueia http:// em páginas https://; use https:// (ex.: túnel ngrok).',
+    'api.status.connecting': '🔄 Conectando à API...',
+    'api.status.online': '✅ API Conectada: {url}',
+    'api.status.degraded': '⚠️ API Instável: {url}',
+    'api.status.offline': '❌ API Não Encontrada',
+    'api.status.retry': 'nova verificação em {seconds}s',
+
+    // Captura em sequência
+    'burst.title': 'Escolha a foto',
+    'burst.hint': 'A melhor foto da sequência já está selecionada.',
+    'burst.preview': 'Foto selecionada',
+    'burst.filmstrip': 'Fotos da sequência',
+    'burst.confirm': '📷 Usar esta foto',
+    'burst.frame': 'Foto {index}, pontuação {score}',
+    'burst.frameSuggested': 'Foto {index}, pontuação {score} (sugerida)',
+    'burst.label': 'Escolha da foto da sequência',
+    'burst.workerError': 'Falha no worker da captura em sequência.',
+
+    // Ajustes da câmera
+    'camera.deviceFallback': 'Câmera {index}',
+    'camera.controlsUnsupported': 'Ajustes avançados não suportados neste navegador.',
+    'camera.controlsNone': 'Esta câmera não oferece ajustes avançados.',
+    'camera.zoom': 'Zoom',
+    'camera.torch': 'Lanterna',
+    'camera.focus': 'Foco',
+    'camera.focusDistance': 'Distância do foco',
+    'camera.exposure': 'Exposição',
+    'camera.focusMode.continuous': 'Contínuo',
+    'camera.focusMode.singleShot': 'Único',
+    'camera.focusMode.manual': 'Manual',
+    'camera.focusMode.none': 'Desligado',
+
+    // Calibração de cor
+    'calibration.hint': 'Segure um cartão cinza neutro (ou folha branca fosca) dentro do quadrado, sob a mesma luz do rosto',
+    'calibration.notRecognized': 'Cartão não reconhecido: preencha todo o quadrado com o cartão, sem sombras ou reflexos',
+    'calibration.detected': 'Cartão detectado, mantenha parado... ({count}/{total})',
+    'calibration.saved': 'Calibração de cor salva para esta câmera.',
+    'calibration.off': 'Correção de cor desligada.',
+    'calibration.calibratedAt': 'Calibrada com cartão cinza em {date}.',
+    'calibration.scene': 'Sem calibração: a cor é estimada pela cena.',
+
+    // Importação de foto
+    'import.notImage': 'Selecione um arquivo de imagem.',
+    'import.openError': 'Não foi possível abrir esta imagem.',
+
+    // Guia de alinhamento facial
+    'align.noFace': 'Nenhum rosto detectado',
+    'align.move.right': 'Mova-se para a direita',
+    'align.move.left': 'Mova-se para a esquerda',
+    'align.up': 'Suba um pouco o rosto',
+    'align.down': 'Abaixe um pouco o rosto',
+    'align.closer': 'Aproxime-se da câmera',
+    'align.farther': 'Afaste-se da câmera',
+    'align.tilt.right': 'Incline a cabeça para a direita',
+    'align.tilt.left': 'Incline a cabeça para a esquerda',
+    'align.turn.right': 'Vire o rosto para a direita',
+    'align.turn.left': 'Vire o rosto para a esquerda',
+    'align.turnMore.right': 'Vire mais o rosto para a direita',
+    'align.turnMore.left': 'Vire mais o rosto para a esquerda',
+    'align.turnLess.right': 'Vire um pouco menos para a direita',
+    'align.turnLess.left': 'Vire um pouco menos para a esquerda',
+    'align.aligned': 'Perfeito! Mantenha a posição',
+    'align.countdown': 'Capturando em {seconds}...',
+
+    // Comum
+    'common.error': 'Erro: {message}',
+    'common.notDetected': 'Não detectado',
+    'common.notAvailable': 'N/A',
+
+    // Fonte de vídeo (video-source.js)
+    'videoSource.camera': 'Câmera do dispositivo',
+    'videoSource.pattern': 'Simulada: padrão de teste',
+    'videoSource.image': 'Simulada: imagem',
+    'videoSource.video': 'Simulada: vídeo em loop',
+    'videoSource.prompt.image': 'Endereço da imagem da câmera simulada:',
+    'videoSource.prompt.video': 'Endereço do vídeo da câmera simulada:',
+    'videoSource.missingImage': 'Informe a imagem da câmera simulada (camera-src).',
+    'videoSource.missingVideo': 'Informe o vídeo da câmera simulada (camera-src).',
+    'videoSource.imageError': 'Não foi possível carregar a imagem da câmera simulada: {src}',
+    'videoSource.videoError': 'Não foi possível reproduzir o vídeo da câmera simulada: {src}',
+
+    // Imagem enviada (capture-output.js)
+    'output.format.png': 'PNG (sem perdas)',
+    'output.format.jpeg': 'JPEG (alta qualidade)',
+    'output.format.webp': 'WebP',
+    'output.size.original': 'Resolução máxima',
+    'output.size.width': 'Até {width} px de largura',
+    'output.size.legacy': '307 px (antigo)',
+    'output.source.photo': 'Foto tirada na resolução máxima da câmera.',
+    'output.source.video': 'Recorte do vídeo (este navegador não tira fotos pela câmera).',
+    'output.workerError': 'Falha no processamento da imagem.',
+    'output.encodeError': 'Erro ao gerar a imagem em alta resolução. Tente novamente.',
+
+    // Captura e carregamento
+    'camera.error.permission.title': 'Acesso à câmera bloqueado',
+    'camera.error.permission.message': 'O navegador não tem permissão para usar a câmera. Toque no ícone de cadeado ou de câmera na barra de endereço, permita o acesso e tente novamente.',
+    'camera.error.notFound.title': 'Nenhuma câmera encontrada',
+    'camera.error.notFound.message': 'Conecte uma câmera ou verifique se ela está ativada nas configurações do sistema. Ao conectá-la, o app tenta de novo sozinho.',
+    'camera.error.busy.title': 'Câmera em uso',
+    'camera.error.busy.message': 'Outro aplicativo ou aba está usando a câmera. Feche-o e tente novamente.',
+    'camera.error.overconstrained.title': 'Câmera incompatível',
+    'camera.error.overconstrained.message': 'A câmera não aceitou nenhuma das configurações de vídeo do app. Escolha outra câmera em ⚙️ Ajustes ou tente novamente.',
+    'camera.error.insecure.title': 'Conexão não segura',
+    'camera.error.insecure.message': 'O navegador só libera a câmera em páginas https:// (ou localhost). Abra o app pelo endereço seguro.',
+    'camera.error.unsupported.title': 'Câmera não suportada',
+    'camera.error.unsupported.message': 'Este navegador não oferece acesso à câmera. Use uma versão atual do Chrome, Edge, Firefox ou Safari, ou analise uma foto existente.',
+    'camera.error.unknown.title': 'Não foi possível abrir a câmera',
+    'camera.error.unknown.message': 'Ocorreu um erro inesperado ({message}). Tente novamente.',
+    'camera.reconnecting': 'A câmera parou de responder. Reconectando...',
+    'capture.notReady': 'Câmera não está pronta. Aguarde um momento.',
+    'capture.error': 'Erro ao capturar foto. Tente novamente.',
+    'import.processError': 'Erro ao processar a foto. Tente novamente.',
+    'preview.error': 'Erro ao gerar pré-visualização.',
+    'provider.groqPrompt': 'Informe sua chave de API da Groq (fica salva apenas neste dispositivo):',
+    'loading.capturing': 'Capturando e recortando foto...',
+    'loading.burst': 'Capturando sequência de fotos...',
+    'loading.preparing': 'Preparando foto...',
+    'loading.encoding': 'Gerando imagem em alta resolução...',
+    'loading.cropping': 'Recortando foto...',
+    'loading.analyzing': 'Analisando foto na API...',
+    'loading.analyzingStep': 'Analisando {step}...',
+    'loading.local': 'Calculando estimativa local...',
+    'loading.retry': 'Falha temporária no envio. Nova tentativa ({attempt}) em {seconds}s...',
+    'stage.uploading': 'Enviando foto...',
+    'stage.processing': 'Processando a análise...',
+    'stage.rendering': 'Montando resultados...',
+
+    // Controle de qualidade (image-quality.js, traduzido pelo código do problema)
+    'quality.issue.empty': 'A imagem capturada está vazia.',
+    'quality.issue.blur': 'Imagem desfocada ou tremida. Mantenha a câmera parada.',
+    'quality.issue.underexposed': 'Imagem escura. Procure um local mais iluminado.',
+    'quality.issue.overexposed': 'Imagem clara demais. Evite luz direta no rosto.',
+    'quality.issue.shadows': 'Sombras fortes no rosto. Use uma iluminação mais uniforme.',
+    'quality.issue.highlights': 'Áreas estouradas de luz no rosto.',
+    'quality.issue.glare': 'Reflexos de brilho na pele. Evite flash e luz frontal forte.',
+    'quality.issue.colorCast': 'Iluminação com cor forte (ex.: luz amarelada ou azulada).',
+    'quality.blocked': 'Qualidade da foto insuficiente ({score}/100). Tente novamente:\n\n{reasons}',
+    'quality.warn': 'Qualidade da foto: {score}/100.\n\n{reasons}\n\nEnviar mesmo assim?',
+    'quality.sendAnyway': 'Enviar mesmo assim',
+
+    // Análise e fila offline
+    'analysis.error': 'Erro na análise: {message}',
+    'local.error': 'Erro na estimativa local: {message}',
+    'session.apiUnavailable': 'API de análise não está disponível. A análise multiângulo precisa de conexão e não entra na fila offline. As fotos da sessão foram mantidas nesta tela; tente novamente quando a conexão voltar.',
+    'session.error': 'Erro na análise da sessão: {message}\n\nAs fotos foram mantidas; você pode tentar novamente.',
+    'session.offline': 'Sem conexão com a API: {message}\n\nA análise multiângulo precisa de conexão e não entra na fila offline. As fotos foram mantidas nesta tela; tente novamente quando a conexão voltar.',
+    'history.notSaved': 'A análise não foi salva no histórico. {message}',
+    'queue.pending': 'Sem conexão com a API. A foto ficou pendente e será analisada automaticamente quando a conexão voltar.',
+    'queue.offerLocal': 'Deseja ver uma estimativa local enquanto isso?',
+    'queue.failed': 'Uma análise pendente não pôde ser concluída: {message}',
+    'queue.completed': {
+        one: '{count} análise pendente concluída.',
+        other: '{count} análises pendentes concluídas.'
+    },
+    'queue.completedOne': 'Uma análise pendente foi concluída.',
+    'queue.notificationTitle': 'Análise pendente concluída',
+    'queue.notificationBody': 'Toque para ver o resultado no histórico.',
+    'queue.showLocal': 'Ver estimativa local',
+    'queue.openHistory': 'Abrir histórico',
+    'queue.status': { one: '⏳ {count} análise pendente', other: '⏳ {count} análises pendentes' },
+    'privacy.withdrawn': 'Consentimento retirado. A câmera foi desligada e seus dados foram excluídos deste navegador.',
+    'privacy.deleted': 'Todos os seus dados foram excluídos deste navegador.',
+
+    // Resultados
+    'results.title': 'Análise Facial Completa',
+    'results.sessionTitle': 'Análise Multiângulo · Resumo',
+    'results.localEstimate': '📴 Estimativa local',
+    'results.localEstimateHint': 'Calculada no dispositivo, sem a API',
+    'results.close': 'Fechar Análise',
+    'results.imageAlt': 'Foto analisada',
+    'results.faceDetection': 'Detecção Facial',
+    'results.confidence': 'Confiança: {value}',
+    'results.detectionConfidence': 'Confiança da Detecção: {value}',
+    'results.method': 'Método: {method}',
+    'results.provider': 'Provedor: {name}',
+    'results.details': 'Detalhes Técnicos',
+    'results.byAngle': 'Resultados por ângulo',
+    'results.anglePhoto': 'Foto {label}',
+    'results.download': 'Baixar Imagem',
+    'results.downloadAnnotated': 'Baixar Imagem Anotada',
+    'results.saveTxt': 'Salvar Análise (TXT)',
+    'results.exportJson': 'Exportar JSON',
+    'results.report': 'Relatório (PDF)',
+    'results.retry': 'Nova Foto',
+    'results.annotatedError': 'Erro ao exportar imagem anotada: {message}',
+    'results.reportError': 'Erro ao gerar relatório: {message}',
+
+    // Marcações sobre a imagem (image-annotations.js)
+    'annotation.layer.textura': 'Textura',
+    'annotation.layer.rugas': 'Linhas',
+    'annotation.layer.manchas': 'Manchas',
+    'annotation.layer.face': 'Rosto',
+    'annotation.layers': 'Camadas de marcação',
+    'annotation.zoom': 'Zoom da imagem',
+    'annotation.zoomOut': 'Reduzir zoom',
+    'annotation.zoomReset': 'Restaurar enquadramento',
+    'annotation.zoomIn': 'Ampliar zoom',
+    'annotation.spot': 'Mancha {index} de {total}',
+    'annotation.spotArea': 'Área: {area} da imagem',
+    'annotation.line': 'Linha {index} de {total}',
+    'annotation.lineLength': 'Extensão: {length} da largura da imagem',
+    'annotation.texture': 'Textura · região {index} de {total}',
+    'annotation.irregularity': 'Irregularidade: {value}',
+    'annotation.cell': 'Linha {row}, coluna {column}',
+    'annotation.face': 'Rosto detectado',
+    'annotation.intensity': 'Intensidade: {value}',
+    'annotation.notLoaded': 'Imagem ainda não carregada.',
+    'annotation.exportFailed': 'Não foi possível gerar a imagem anotada.',
+    'annotation.empty': 'O provedor não informou regiões para marcar na imagem.',
+
+    // Avisos, diálogos e acessibilidade (feedback.js, spoken-guidance.js)
+    'feedback.ok': 'OK',
+    'feedback.dismiss': 'Fechar aviso',
+    'feedback.notNow': 'Agora não',
+    'feedback.view': 'Ver agora',
+    'guidance.mode.off': 'Orientação falada desligada',
+    'guidance.mode.voice': 'Orientação por voz ligada',
+    'guidance.mode.beeps': 'Orientação por sons ligada',
+    'guidance.captured': 'Foto capturada',
+    'shortcuts.help': 'Atalhos do teclado:\nEspaço ou C: capturar\nS: trocar de câmera\nG: orientação falada\nR: nova foto\nEsc: fechar ou cancelar a contagem\n?: mostrar esta ajuda',
+
+    // Exportações (report-export.js)
+    'export.fileName': 'analise-facial',
+    'export.csvFileName': 'analises-faciais',
+    'export.reportFileName': 'relatorio-analise-facial',
+    'export.txtTitle': 'ANÁLISE FACIAL',
+    'export.txtSaved': 'Análise salva com sucesso como arquivo TXT!',
+    'report.title': 'Relatório - {name}',
+    'report.capturedAt': 'Captura: {date}',
+    'report.patient': 'Paciente: {id}',
+    'report.generatedAt': 'Relatório gerado em {date}',
+    'report.disclaimer': 'Resultado de caráter informativo; não substitui avaliação profissional.'
+};
@@ -0,0 +1,271 @@
+/**
+ * PhotoImportView: permite analisar fotos já existentes (seletor de arquivos,
+ * arrastar-e-soltar ou compartilhamento pelo sistema). A foto é posicionada e
+ * dimensionada dentro do mesmo guia elíptico antes de seguir para o recorte.
+ */
+import { t } from './i18n.js';
+import { hideDialog, notify, showDialog } from './feedback.js';
+
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 5;
+
+// Cache onde o sw.js guarda a foto recebida pelo Web Share Target
+export const SHARE_TARGET_CACHE = 'share-target';
+export const SHARED_PHOTO_URL = '/shared-photo';
+
+export class PhotoImportView {
+    /**
+     * @param {function(PhotoImportView): void} onAnalyze - Chamado quando o usuário confirma o enquadramento.
+     */
+    constructor(onAnalyze) {
+        this.onAnalyze = onAnalyze;
+        this.image = null;
+        this.objectUrl = null;
+
+        // Posição (canto superior esquerdo) e escala da imagem, em px do palco
+        this.x = 0;
+        this.y = 0;
+        this.scale = 1;
+        this.baseScale = 1;
+        this.pointers = new Map();
+
+        this.dom = {
+            container: document.getElementById('importContainer'),
+            stage: document.getElementById('importStage'),
+            image: document.getElementById('importImage'),
+            guide: document.getElementById('importGuide'),
+            zoom: document.getElementById('importZoom'),
+            input: document.getElementById('photoInput')
+        };
+
+        this._bindEvents();
+    }
+
+    /**
+     * Abre o seletor de arquivos do sistema.
+     */
+    pickFile() {
+        this.dom.input?.click();
+    }
+
+    /**
+     * Carrega uma imagem (File/Blob) e abre a tela de enquadramento.
+     * @param {Blob} file - Imagem a importar.
+     */
+    async open(file) {
+        if (!file || !file.type.startsWith('image/')) {
+            notify(t('import.notImage'), { type: 'error' });
+            return;
+        }
+
+        this._releaseImage();
+        this.objectUrl = URL.createObjectURL(file);
+        this.dom.image.src = this.objectUrl;
+
+        try {
+            await this.dom.image.decode();
+        } catch (error) {
+            console.error('Erro ao carregar imagem:', error);
+            notify(t('import.openError'), { type: 'error' });
+            this._releaseImage();
+            return;
+        }
+
+        this.image = this.dom.image;
+        showDialog(this.dom.container, { onEscape: () => this.close(), initialFocus: this.dom.zoom });
+        this._fitToGuide();
+    }
+
+    close() {
+        if (this.dom.container) hideDialog(this.dom.container);
+        this._releaseImage();
+    }
+
+    /**
+     * Lê (e remove) a foto recebida pelo Web Share Target, se houver.
+     * @returns {Promise<Blob|null>}
+     */
+    static async takeSharedPhoto() {
+        if (!('caches' in self)) return null;
+
+        const cache = await caches.open(SHARE_TARGET_CACHE);
+        const response = await cache.match(SHARED_PHOTO_URL);
+        if (!response) return null;
+
+        await cache.delete(SHARED_PHOTO_URL);
+        return response.blob();
+    }
+
+    /**
+     * Área da foto enquadrada pelo guia, em pixels da imagem original (para o recorte
+     * em resolução máxima). Pode passar das bordas quando a foto não cobre o guia.
+     * @returns {{sx: number, sy: number, sw: number, sh: number}}
+     */
+    getCropRect() {
+        const stageRect = this.dom.stage.getBoundingClientRect();
+        const guideRect = this.dom.guide.getBoundingClientRect();
+        return {
+            sx: (guideRect.left - stageRect.left - this.x) / this.scale,
+            sy: (guideRect.top - stageRect.top - this.y) / this.scale,
+            sw: guideRect.width / this.scale,
+            sh: guideRect.height / this.scale
+        };
+    }
+
+    /**
+     * Desenha o recorte enquadrado pelo guia no contexto de saída.
+     * A área do guia passa a ocupar todo o `width` x `height` do destino.
+     * @param {CanvasRenderingContext2D} ctx - Contexto de destino.
+     * @param {number} width - Largura final do recorte.
+     * @param {number} height - Altura final do recorte.
+     */
+    drawCrop(ctx, width, height) {
+        const stageRect = this.dom.stage.getBoundingClientRect();
+        const guideRect = this.dom.guide.getBoundingClientRect();
+        const guideLeft = guideRect.left - stageRect.left;
+        const guideTop = guideRect.top - stageRect.top;
+        const factorX = width / guideRect.width;
+        const factorY = height / guideRect.height;
+
+        ctx.drawImage(
+            this.image,
+            (this.x - guideLeft) * factorX,
+            (this.y - guideTop) * factorY,
+            this.image.naturalWidth * this.scale * factorX,
+            this.image.naturalHeight * this.scale * factorY
+        );
+    }
+
+    _bindEvents() {
+        const { container, stage, zoom, input } = this.dom;
+        if (!container || !stage) return;
+
+        input?.addEventListener('change', () => {
+            const [file] = input.files;
+            input.value = ''; // Permite escolher o mesmo arquivo novamente
+            if (file) this.open(file);
+        });
+
+        document.getElementById('importCancel')?.addEventListener('click', () => this.close());
+        document.getElementById('importAnalyze')?.addEventListener('click', () => this.onAnalyze(this));
+
+        zoom?.addEventListener('input', () => this._zoomAround(this.baseScale * Number(zoom.value)));
+
+        stage.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            const factor = event.deltaY < 0 ? 1.1 : 1 / 1.1;
+            this._zoomAround(this.scale * factor, this._stagePoint(event));
+        }, { passive: false });
+
+        // Arrastar com um dedo/mouse; pinça com dois dedos
+        stage.addEventListener('pointerdown', (event) => {
+            stage.setPointerCapture(event.pointerId);
+            this.pointers.set(event.pointerId, this._stagePoint(event));
+        });
+        stage.addEventListener('pointermove', (event) => this._handlePointerMove(event));
+        const release = (event) => this.pointers.delete(event.pointerId);
+        stage.addEventListener('pointerup', release);
+        stage.addEventListener('pointercancel', release);
+
+        // Arrastar-e-soltar arquivos em qualquer ponto da página
+        document.addEventListener('dragover', (event) => {
+            if (!event.dataTransfer?.types.includes('Files')) return;
+            event.preventDefault();
+            document.body.classList.add('drop-active');
+        });
+        document.addEventListener('dragleave', (event) => {
+            if (event.relatedTarget === null) document.body.classList.remove('drop-active');
+        });
+        document.addEventListener('drop', (event) => {
+            document.body.classList.remove('drop-active');
+            const file = [...(event.dataTransfer?.files || [])].find((f) => f.type.startsWith('image/'));
+            if (!file) return;
+            event.preventDefault();
+            this.open(file);
+        });
+    }
+
+    _handlePointerMove(event) {
+        if (!this.pointers.has(event.pointerId) || !this.image) return;
+
+        const previous = [...this.pointers.values()];
+        const current = this._stagePoint(event);
+
+        if (this.pointers.size === 1) {
+            const [last] = previous;
+            this.x += current.x - last.x;
+            this.y += current.y - last.y;
+            this.pointers.set(event.pointerId, current);
+            this._applyTransform();
+            return;
+        }
+
+        // Pinça: escala pela razão entre as distâncias dos dois dedos
+        const other = [...this.pointers.entries()].find(([id]) => id !== event.pointerId)?.[1];
+        const last = this.pointers.get(event.pointerId);
+        if (!other) return;
+
+        const before = Math.hypot(last.x - other.x, last.y - other.y);
+        const after = Math.hypot(current.x - other.x, current.y - other.y);
+        this.pointers.set(event.pointerId, current);
+        if (before > 0) {
+            const center = { x: (current.x + other.x) / 2, y: (current.y + other.y) / 2 };
+            this._zoomAround(this.scale * (after / before), center);
+        }
+    }
+
+    /**
+     * Enquadra a imagem cobrindo o guia, centralizada.
+     */
+    _fitToGuide() {
+        const stageRect = this.dom.stage.getBoundingClientRect();
+        const guideRect = this.dom.guide.getBoundingClientRect();
+
+        this.baseScale = Math.max(
+            guideRect.width / this.image.naturalWidth,
+            guideRect.height / this.image.naturalHeight
+        );
+        this.scale = this.baseScale;
+        this.x = (stageRect.width - this.image.naturalWidth * this.scale) / 2;
+        this.y = (stageRect.height - this.image.naturalHeight * this.scale) / 2;
+
+        if (this.dom.zoom) this.dom.zoom.value = '1';
+        this._applyTransform();
+    }
+
+    /**
+     * Aplica nova escala mantendo fixo o ponto indicado (por padrão, o centro do palco).
+     */
+    _zoomAround(newScale, point = null) {
+        const min = this.baseScale * MIN_ZOOM;
+        const max = this.baseScale * MAX_ZOOM;
+        newScale = Math.min(max, Math.max(min, newScale));
+
+        const stageRect = this.dom.stage.getBoundingClientRect();
+        const pivot = point || { x: stageRect.width / 2, y: stageRect.height / 2 };
+        const ratio = newScale / this.scale;
+
+        this.x = pivot.x - (pivot.x - this.x) * ratio;
+        this.y = pivot.y - (pivot.y - this.y) * ratio;
+        this.scale = newScale;
+
+        if (this.dom.zoom) this.dom.zoom.value = String(newScale / this.baseScale);
+        this._applyTransform();
+    }
+
+    _applyTransform() {
+        this.dom.image.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+    }
+
+    _stagePoint(event) {
+        const rect = this.dom.stage.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    _releaseImage() {
+        if (this.objectUrl) URL.revokeObjectURL(this.objectUrl);
+        this.objectUrl = null;
+        this.image = null;
+        this.pointers.clear();
+    }
+}
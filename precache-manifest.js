@@ -0,0 +1,65 @@
+/**
+ * Manifesto de pré-cache do Service Worker (carregado via importScripts em sw.js).
+ * Incremente `version` a cada publicação: isso cria um novo cache de pré-cache e faz
+ * o navegador instalar o novo Service Worker, que aguarda a confirmação do usuário
+ * (aviso "Nova versão disponível") antes de assumir as páginas abertas.
+ * Ao criar um arquivo do app, adicione-o em `shell`.
+ */
+self.PRECACHE_MANIFEST = {
+    version: 27,
+
+    // App shell: a instalação só é concluída se todos forem baixados
+    shell: [
+        '/',
+        '/index.html',
+        '/style.css',
+        '/manifest.json',
+        '/manifest.en.json',
+        '/manifest.es.json',
+        '/app.js',
+        '/i18n.js',
+        '/locales/pt-BR.js',
+        '/locales/en.js',
+        '/locales/es.js',
+        '/sw-update.js',
+        '/feedback.js',
+        '/spoken-guidance.js',
+        '/db.js',
+        '/history.js',
+        '/privacy.js',
+        '/clinic.js',
+        '/comparison.js',
+        '/report-export.js',
+        '/photo-import.js',
+        '/camera-controls.js',
+        '/camera-recovery.js',
+        '/video-source.js',
+        '/upload-queue.js',
+        '/capture-session.js',
+        '/burst-capture.js',
+        '/burst-worker.js',
+        '/capture-output.js',
+        '/capture-worker.js',
+        '/color-calibration.js',
+        '/face-alignment.js',
+        '/image-quality.js',
+        '/analysis-providers.js',
+        '/analysis-schema.js',
+        '/image-annotations.js',
+        '/api-connection.js',
+        '/local-analysis-worker.js'
+    ],
+
+    // Ícones do manifest.json: falhas não impedem a instalação
+    icons: [
+        '/icons/icon-72x72.png',
+        '/icons/icon-96x96.png',
+        '/icons/icon-128x128.png',
+        '/icons/icon-144x144.png',
+        '/icons/icon-152x152.png',
+        '/icons/icon-192x192.png',
+        '/icons/icon-384x384.png',
+        '/icons/icon-512x512.png',
+        '/icons/shortcut-camera-96x96.png'
+    ]
+};
@@ -0,0 +1,575 @@
+/**
+ * Privacidade dos dados faciais: registro versionado do consentimento,
+ * criptografia opcional (por senha) das imagens e resultados salvos no IndexedDB,
+ * prazo de retenção e exclusão de todos os dados do app neste navegador.
+ */
+import { STORES, deleteDatabase, withTransaction } from './db.js';
+import { formatDate, t } from './i18n.js';
+import { confirmDialog, hideDialog, notify, showDialog } from './feedback.js';
+
+// Incremente ao mudar o texto da tela de consentimento: o aceite anterior deixa de valer
+export const CONSENT_VERSION = 1;
+
+const CONSENT_KEY = 'faceCapture.consent';
+const SETTINGS_KEY = 'faceCapture.privacy';
+const STORAGE_PREFIX = 'faceCapture.';
+
+const PBKDF2_ITERATIONS = 310000;
+const VERIFIER_TEXT = 'face-capture-vault';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// O rótulo é um getter para acompanhar o idioma atual da interface
+const retentionOption = (days, key = 'privacy.retention.days') => ({ days, get label() { return t(key, { count: days }); } });
+
+export const RETENTION_OPTIONS = [
+    retentionOption(0, 'privacy.retention.never'),
+    retentionOption(1),
+    retentionOption(7),
+    retentionOption(30),
+    retentionOption(90),
+    retentionOption(365, 'privacy.retention.year')
+];
+
+/**
+ * Campos de cada store gravados cifrados. `id`, `createdAt`, `status`, `patientId` e
+ * `consent` ficam em claro: são usados na ordenação, na retenção, na contagem da fila,
+ * na busca por paciente e no registro do consentimento (mesmo com o cofre bloqueado).
+ */
+const SEALED_FIELDS = {
+    [STORES.analyses]: ['name', 'blob', 'thumbnail', 'analysisData', 'meta'],
+    [STORES.uploadQueue]: ['blob', 'meta', 'lastError', 'result'],
+    [STORES.patients]: ['name', 'notes']
+};
+
+// --- Consentimento ---
+
+/**
+ * @returns {{version: number, acceptedAt: string, withdrawnAt?: string}|null} Último registro de consentimento.
+ */
+export function loadConsent() {
+    try {
+        return JSON.parse(localStorage.getItem(CONSENT_KEY)) || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Indica se há um aceite da versão atual do termo, não retirado.
+ * @param {Object|null} [consent] - Registro a verificar (padrão: o deste navegador).
+ */
+export function hasValidConsent(consent = loadConsent()) {
+    return Boolean(consent) && consent.version === CONSENT_VERSION && !consent.withdrawnAt;
+}
+
+/**
+ * Registra o aceite da versão atual do termo.
+ * @returns {Object} O registro salvo.
+ */
+export function recordConsent() {
+    const consent = { version: CONSENT_VERSION, acceptedAt: new Date().toISOString() };
+    localStorage.setItem(CONSENT_KEY, JSON.stringify(consent));
+    return consent;
+}
+
+/**
+ * Registra a retirada do consentimento, mantendo versão e data do aceite.
+ * @param {Object|null} [previous] - Registro anterior (lido antes de `wipeAllData`, que o apaga).
+ * @returns {Object} O registro salvo.
+ */
+export function recordConsentWithdrawal(previous = loadConsent()) {
+    const consent = { version: CONSENT_VERSION, ...previous, withdrawnAt: new Date().toISOString() };
+    localStorage.setItem(CONSENT_KEY, JSON.stringify(consent));
+    return consent;
+}
+
+// --- Configurações (retenção e cofre) ---
+
+function loadSettings() {
+    try {
+        return { retentionDays: 0, vault: null, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+    } catch {
+        return { retentionDays: 0, vault: null };
+    }
+}
+
+function saveSettings(changes) {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...loadSettings(), ...changes }));
+}
+
+/**
+ * @returns {number} Dias de retenção das análises (0 = sem expiração).
+ */
+export function getRetentionDays() {
+    return loadSettings().retentionDays;
+}
+
+export function setRetentionDays(days) {
+    saveSettings({ retentionDays: Number(days) || 0 });
+}
+
+// --- Criptografia ---
+
+/**
+ * Cria um Error para operações que precisam da senha com o cofre bloqueado.
+ */
+function lockedError() {
+    const error = new Error(t('privacy.lockedError'));
+    error.locked = true;
+    return error;
+}
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+/**
+ * Serializa um objeto que pode conter Blobs em um único ArrayBuffer:
+ * 4 bytes com o tamanho do JSON, o JSON (Blobs viram referências) e os bytes dos Blobs.
+ */
+async function packPayload(payload) {
+    const blobs = [];
+    let offset = 0;
+    const json = JSON.stringify(payload, (key, value) => {
+        if (!(value instanceof Blob)) return value;
+        blobs.push(value);
+        offset += value.size;
+        return { $blob: true, type: value.type, offset: offset - value.size, size: value.size };
+    });
+
+    const header = new TextEncoder().encode(json);
+    const length = new DataView(new ArrayBuffer(4));
+    length.setUint32(0, header.length);
+    return new Blob([length.buffer, header, ...blobs]).arrayBuffer();
+}
+
+function unpackPayload(buffer) {
+    const headerLength = new DataView(buffer).getUint32(0);
+    const json = new TextDecoder().decode(new Uint8Array(buffer, 4, headerLength));
+    const dataStart = 4 + headerLength;
+
+    return JSON.parse(json, (key, value) => {
+        if (!value?.$blob) return value;
+        const start = dataStart + value.offset;
+        return new Blob([buffer.slice(start, start + value.size)], { type: value.type });
+    });
+}
+
+/**
+ * Cofre de dados: chave AES-GCM derivada da senha (PBKDF2), mantida apenas em memória.
+ * Sem a senha, as imagens e resultados cifrados não podem ser lidos nem por este app.
+ */
+export class DataVault {
+    constructor() {
+        this.key = null;
+    }
+
+    /**
+     * Indica se a criptografia está ativada neste navegador.
+     */
+    get enabled() {
+        return Boolean(loadSettings().vault);
+    }
+
+    /**
+     * Criptografia ativada, mas senha ainda não informada nesta sessão.
+     */
+    get locked() {
+        return this.enabled && !this.key;
+    }
+
+    /**
+     * Ativa a criptografia com uma nova senha. Os dados já salvos devem ser
+     * cifrados em seguida com `sealStoredData`.
+     * @param {string} passphrase - Senha escolhida pelo usuário.
+     */
+    async enable(passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        this.key = await this._deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+        const verifier = await this._encrypt(new TextEncoder().encode(VERIFIER_TEXT));
+        saveSettings({
+            vault: {
+                salt: toBase64(salt),
+                iterations: PBKDF2_ITERATIONS,
+                verifier: { iv: toBase64(verifier.iv), data: toBase64(verifier.data) }
+            }
+        });
+    }
+
+    /**
+     * Desativa a criptografia. Os dados devem ter sido decifrados antes com `openStoredData`.
+     */
+    disable() {
+        saveSettings({ vault: null });
+        this.key = null;
+    }
+
+    /**
+     * Deriva a chave a partir da senha e confere contra o verificador salvo.
+     * @param {string} passphrase - Senha informada.
+     * @returns {Promise<boolean>} `false` se a senha estiver errada.
+     */
+    async unlock(passphrase) {
+        const settings = loadSettings().vault;
+        if (!settings) return true;
+
+        const key = await this._deriveKey(passphrase, fromBase64(settings.salt), settings.iterations);
+        try {
+            const plain = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: fromBase64(settings.verifier.iv) },
+                key,
+                fromBase64(settings.verifier.data)
+            );
+            if (new TextDecoder().decode(plain) !== VERIFIER_TEXT) return false;
+        } catch {
+            // AES-GCM falha na autenticação quando a chave (senha) está errada
+            return false;
+        }
+
+        this.key = key;
+        return true;
+    }
+
+    /**
+     * Esquece a chave: os dados cifrados voltam a exigir a senha.
+     */
+    lock() {
+        this.key = null;
+    }
+
+    /**
+     * Cifra um objeto (pode conter Blobs).
+     * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer}>}
+     */
+    async seal(payload) {
+        if (!this.key) throw lockedError();
+        return this._encrypt(await packPayload(payload));
+    }
+
+    /**
+     * Decifra um objeto gerado por `seal`.
+     */
+    async open(sealed) {
+        if (!this.key) throw lockedError();
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv }, this.key, sealed.data);
+        return unpackPayload(plain);
+    }
+
+    async _encrypt(bytes) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.key, bytes);
+        return { iv, data };
+    }
+
+    async _deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+}
+
+/**
+ * Prepara um registro para gravação: com a criptografia ativada, os campos
+ * sensíveis vão para `sealed`.
+ * @param {DataVault|null} vault - Cofre (ou `null` sem criptografia).
+ * @param {string} storeName - Um dos `STORES`.
+ * @param {Object} record - Registro em claro.
+ * @returns {Promise<Object>} Registro a gravar.
+ */
+export async function sealRecord(vault, storeName, record) {
+    if (!vault?.enabled || record.sealed) return record;
+
+    const fields = SEALED_FIELDS[storeName];
+    const stored = { ...record };
+    const payload = {};
+    fields.forEach((field) => {
+        payload[field] = record[field];
+        delete stored[field];
+    });
+    stored.sealed = await vault.seal(payload);
+    return stored;
+}
+
+/**
+ * Devolve um registro lido do banco em claro (registros não cifrados passam direto).
+ * @param {DataVault|null} vault - Cofre desbloqueado.
+ * @param {Object} record - Registro gravado.
+ * @returns {Promise<Object>}
+ */
+export async function openRecord(vault, record) {
+    if (!record?.sealed) return record;
+    if (!vault) throw lockedError();
+
+    const { sealed, ...stored } = record;
+    return { ...stored, ...await vault.open(sealed) };
+}
+
+/**
+ * Regrava todos os registros do histórico e da fila aplicando `transform`.
+ */
+async function transformStoredData(transform) {
+    for (const storeName of [STORES.analyses, STORES.uploadQueue, STORES.patients]) {
+        const records = await withTransaction(storeName, 'readonly', (tx) => tx.objectStore(storeName).getAll());
+        // A criptografia é assíncrona: transforma fora da transação e grava tudo de uma vez
+        const updated = await Promise.all(records.map((record) => transform(storeName, record)));
+        await withTransaction(storeName, 'readwrite', (tx) => {
+            const store = tx.objectStore(storeName);
+            updated.forEach((record) => store.put(record));
+        });
+    }
+}
+
+/**
+ * Cifra os registros salvos antes da ativação da criptografia.
+ */
+export function sealStoredData(vault) {
+    return transformStoredData((storeName, record) => sealRecord(vault, storeName, record));
+}
+
+/**
+ * Decifra todos os registros (antes de desativar a criptografia).
+ */
+export function openStoredData(vault) {
+    return transformStoredData((storeName, record) => openRecord(vault, record));
+}
+
+/**
+ * Exclui as análises e capturas pendentes mais antigas que o prazo de retenção.
+ * @param {number} days - Prazo em dias (0 = não expira).
+ * @returns {Promise<number>} Quantidade de registros excluídos.
+ */
+export async function purgeExpiredData(days) {
+    if (!days) return 0;
+
+    const cutoff = Date.now() - days * DAY_MS;
+    const storeNames = [STORES.analyses, STORES.uploadQueue];
+    const counts = await withTransaction(storeNames, 'readwrite',
+        (tx) => Promise.all(storeNames.map((name) => deleteOlderThan(tx.objectStore(name), cutoff))));
+    return counts.reduce((sum, count) => sum + count, 0);
+}
+
+function deleteOlderThan(store, cutoff) {
+    return new Promise((resolve, reject) => {
+        let removed = 0;
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(removed);
+                return;
+            }
+            if (cursor.value.createdAt < cutoff) {
+                cursor.delete();
+                removed++;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Apaga todos os dados do app neste navegador: banco (histórico, fila e pacientes),
+ * caches do Service Worker e configurações salvas (inclusive o consentimento).
+ */
+export async function wipeAllData() {
+    await deleteDatabase();
+
+    if ('caches' in self) {
+        const names = await caches.keys();
+        await Promise.all(names.map((name) => caches.delete(name)));
+    }
+
+    Object.keys(localStorage)
+        .filter((key) => key.startsWith(STORAGE_PREFIX))
+        .forEach((key) => localStorage.removeItem(key));
+}
+
+/**
+ * Tela de privacidade: consentimento, criptografia, retenção e exclusão dos dados.
+ */
+export class PrivacyView {
+    /**
+     * @param {DataVault} vault - Cofre dos dados salvos.
+     * @param {Object} handlers
+     * @param {function(): Promise<void>} handlers.onWithdraw - Retirada do consentimento (o app apaga os dados).
+     * @param {function(): Promise<void>} handlers.onDeleteAll - Exclusão de todos os dados.
+     * @param {function(): void} [handlers.onUnlock] - Cofre desbloqueado (ex.: reenviar a fila cifrada).
+     * @param {function(number): void} [handlers.onRetentionChange] - Novo prazo de retenção, em dias.
+     * @param {function(): (Object|null)} [handlers.getConsent] - Consentimento exibido (no modo clínica, o do paciente).
+     * @param {function(): string} [handlers.getWithdrawMessage] - Confirmação da retirada (no modo clínica, fala só do paciente).
+     */
+    constructor(vault, {
+        onWithdraw,
+        onDeleteAll,
+        onUnlock = () => {},
+        onRetentionChange = () => {},
+        getConsent = loadConsent,
+        getWithdrawMessage = () => t('privacy.withdrawConfirm')
+    }) {
+        this.vault = vault;
+        this.getConsent = getConsent;
+        this.getWithdrawMessage = getWithdrawMessage;
+        this.onWithdraw = onWithdraw;
+        this.onDeleteAll = onDeleteAll;
+        this.onUnlock = onUnlock;
+        this.onRetentionChange = onRetentionChange;
+
+        this.dom = {
+            container: document.getElementById('privacyContainer'),
+            consentStatus: document.getElementById('consentStatus'),
+            withdrawBtn: document.getElementById('withdrawConsentBtn'),
+            vaultStatus: document.getElementById('vaultStatus'),
+            vaultForm: document.getElementById('vaultForm'),
+            passphrase: document.getElementById('vaultPassphrase'),
+            passphraseConfirm: document.getElementById('vaultPassphraseConfirm'),
+            vaultSubmit: document.getElementById('vaultSubmit'),
+            lockBtn: document.getElementById('vaultLockBtn'),
+            disableBtn: document.getElementById('vaultDisableBtn'),
+            retention: document.getElementById('retentionSelect'),
+            deleteAllBtn: document.getElementById('deleteAllDataBtn')
+        };
+
+        this._bindEvents();
+    }
+
+    show() {
+        if (!this.dom.container) return;
+        this.render();
+        showDialog(this.dom.container, {
+            onEscape: () => this.hide(),
+            // Com os dados cifrados, a primeira coisa a fazer é informar a senha
+            initialFocus: this.vault.locked ? this.dom.passphrase : null
+        });
+    }
+
+    hide() {
+        if (this.dom.container) hideDialog(this.dom.container);
+        this._clearPassphrase();
+    }
+
+    render() {
+        const { dom, vault } = this;
+        if (!dom.container) return;
+
+        const consent = this.getConsent();
+        if (consent?.withdrawnAt) {
+            dom.consentStatus.textContent = t('privacy.consentWithdrawnAt', { date: formatDate(consent.withdrawnAt) });
+        } else if (consent) {
+            dom.consentStatus.textContent = t('privacy.consentAcceptedAt', { version: consent.version, date: formatDate(consent.acceptedAt) });
+        } else {
+            dom.consentStatus.textContent = t('privacy.consentNone');
+        }
+        dom.withdrawBtn.disabled = !hasValidConsent(consent);
+
+        // Três estados: desativada (criar senha), bloqueada (informar senha) e desbloqueada
+        const mode = !vault.enabled ? 'enable' : vault.locked ? 'unlock' : 'unlocked';
+        dom.vaultStatus.textContent = t(`privacy.vault.${mode}`);
+        dom.vaultForm.classList.toggle('hidden', mode === 'unlocked');
+        dom.passphraseConfirm.classList.toggle('hidden', mode !== 'enable');
+        dom.passphrase.autocomplete = mode === 'enable' ? 'new-password' : 'current-password';
+        dom.vaultSubmit.textContent = t(mode === 'enable' ? 'privacy.enable' : 'privacy.unlock');
+        dom.lockBtn.classList.toggle('hidden', mode !== 'unlocked');
+        dom.disableBtn.classList.toggle('hidden', mode !== 'unlocked');
+
+        dom.retention.innerHTML = RETENTION_OPTIONS
+            .map((option) => `<option value="${option.days}">${option.label}</option>`)
+            .join('');
+        dom.retention.value = String(getRetentionDays());
+    }
+
+    _bindEvents() {
+        const { dom } = this;
+        if (!dom.container) return;
+
+        document.getElementById('closePrivacy')?.addEventListener('click', () => this.hide());
+
+        dom.retention.addEventListener('change', () => {
+            setRetentionDays(dom.retention.value);
+            this.onRetentionChange(Number(dom.retention.value));
+        });
+
+        dom.vaultForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this._submitPassphrase();
+        });
+
+        dom.lockBtn.addEventListener('click', () => {
+            this.vault.lock();
+            this.render();
+        });
+
+        dom.disableBtn.addEventListener('click', () => this._run(async () => {
+            if (!await confirmDialog(t('privacy.disableConfirm'))) return;
+            await openStoredData(this.vault);
+            this.vault.disable();
+        }));
+
+        dom.withdrawBtn.addEventListener('click', () => this._run(async () => {
+            if (!await confirmDialog(this.getWithdrawMessage(), { danger: true })) return;
+            await this.onWithdraw();
+            this.hide();
+        }));
+
+        dom.deleteAllBtn.addEventListener('click', () => this._run(async () => {
+            if (!await confirmDialog(t('privacy.deleteAllConfirm'), { danger: true })) return;
+            await this.onDeleteAll();
+            this.hide();
+        }));
+    }
+
+    async _submitPassphrase() {
+        const passphrase = this.dom.passphrase.value;
+
+        if (!this.vault.enabled) {
+            if (passphrase.length < 8) {
+                notify(t('privacy.passphraseTooShort', { min: 8 }), { type: 'error' });
+                return;
+            }
+            if (passphrase !== this.dom.passphraseConfirm.value) {
+                notify(t('privacy.passphraseMismatch'), { type: 'error' });
+                return;
+            }
+            await this._run(async () => {
+                await this.vault.enable(passphrase);
+                await sealStoredData(this.vault);
+                // Aviso importante: fica na tela até ser fechado
+                notify(t('privacy.enabled'), { type: 'success', duration: 0 });
+            });
+            return;
+        }
+
+        await this._run(async () => {
+            if (!await this.vault.unlock(passphrase)) {
+                notify(t('privacy.wrongPassphrase'), { type: 'error' });
+                return;
+            }
+            this.onUnlock();
+        });
+    }
+
+    /**
+     * Executa uma ação da tela, exibindo erros e atualizando o estado ao final.
+     */
+    async _run(action) {
+        try {
+            await action();
+        } catch (error) {
+            console.error('Erro nas configurações de privacidade:', error);
+            notify(t('common.error', { message: error.message }), { type: 'error' });
+        } finally {
+            this._clearPassphrase();
+            this.render();
+        }
+    }
+
+    _clearPassphrase() {
+        if (this.dom.passphrase) this.dom.passphrase.value = '';
+        if (this.dom.passphraseConfirm) this.dom.passphraseConfirm.value = '';
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * Exportação de relatórios no próprio navegador (sem ida ao servidor):
+ * JSON completo, CSV para planilhas (várias análises) e relatório HTML imprimível/PDF.
+ */
+
+import { CATEGORY_METRICS, DETAIL_METRICS, describeAnalysis, getByPath } from './analysis-schema.js';
+import { formatDate, formatNumber, getLocale, t } from './i18n.js';
+
+/**
+ * Colunas do CSV: cabeçalho e leitura do valor a partir do registro do histórico.
+ * Os cabeçalhos são identificadores fixos (não traduzidos), para que planilhas e
+ * scripts continuem funcionando em qualquer idioma da interface.
+ */
+const CSV_COLUMNS = [
+    ['id', (r) => r.id],
+    ['nome', (r) => r.name],
+    ['data', (r) => new Date(r.createdAt).toISOString()],
+    ['paciente', (r) => r.patientId],
+    // Uma coluna por métrica definida em analysis-schema.js
+    ...[...CATEGORY_METRICS, ...DETAIL_METRICS].map((metric) => [metric.id, (r) => getByPath(r.analysisData, metric.path)]),
+    ['confianca', (r) => r.analysisData?.face_detectada?.confianca],
+    ['metodo', (r) => r.analysisData?.face_detectada?.metodo],
+    ['provedor', (r) => r.analysisData?.provedor?.id],
+    ['qualidade', (r) => r.meta?.quality?.score],
+    ['correcao_cor', (r) => r.meta?.colorCorrection?.method],
+    ['correcao_cor_ganhos', (r) => r.meta?.colorCorrection?.gains?.join(' ')]
+];
+
+/**
+ * Inicia o download de um Blob.
+ * @param {Blob} blob - Conteúdo do arquivo.
+ * @param {string} filename - Nome sugerido do arquivo.
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    // Revoga depois que o navegador iniciar o download
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Exporta uma análise como JSON (dados brutos completos + metadados da captura).
+ * @param {Object} analysisData - Dados de análise.
+ * @param {Object} [capture={}] - Registro do histórico (`id`, `name`, `createdAt`, `meta`).
+ */
+export function exportAnalysisJson(analysisData, capture = {}) {
+    const payload = {
+        app: t('app.title'),
+        locale: getLocale(),
+        exportedAt: new Date().toISOString(),
+        capture: {
+            id: capture.id ?? null,
+            name: capture.name ?? null,
+            createdAt: capture.createdAt ? new Date(capture.createdAt).toISOString() : null,
+            meta: capture.meta ?? {}
+        },
+        analysisData
+    };
+
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${t('export.fileName')}-${Date.now()}.json`);
+}
+
+/**
+ * Gera o CSV (uma linha por análise) a partir de registros do histórico.
+ * @param {Object[]} records - Registros do histórico.
+ * @returns {string} Conteúdo CSV (RFC 4180).
+ */
+export function buildAnalysesCsv(records) {
+    const escape = (value) => {
+        if (value === undefined || value === null) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const header = CSV_COLUMNS.map(([name]) => name).join(',');
+    const rows = records.map((record) => CSV_COLUMNS.map(([, read]) => escape(read(record))).join(','));
+    return [header, ...rows].join('\r\n');
+}
+
+/**
+ * Exporta várias análises como CSV. O BOM garante a leitura correta dos acentos no Excel.
+ * @param {Object[]} records - Registros do histórico.
+ */
+export function exportAnalysesCsv(records) {
+    const blob = new Blob(['﻿', buildAnalysesCsv(records)], { type: 'text/csv;charset=utf-8' });
+    downloadBlob(blob, `${t('export.csvFileName')}-${Date.now()}.csv`);
+}
+
+/**
+ * Monta o relatório HTML autocontido (imagem embutida em data URL).
+ * @param {Blob} blob - Imagem analisada.
+ * @param {Object} analysisData - Dados de análise.
+ * @param {Object} [capture={}] - Registro do histórico.
+ * @param {Object} [options]
+ * @param {boolean} [options.autoPrint=false] - Abre a caixa de impressão ao carregar.
+ * @returns {Promise<string>} Documento HTML completo.
+ */
+export async function buildReportHtml(blob, analysisData, capture = {}, { autoPrint = false } = {}) {
+    const imageUrl = await blobToDataUrl(blob);
+    const confidence = Math.round((analysisData.face_detectada?.confianca || 0) * 100);
+    const { categories, details } = describeAnalysis(analysisData);
+    const capturedAt = capture.createdAt ? formatDate(capture.createdAt) : t('common.notAvailable');
+    const appName = t('app.title');
+
+    const card = (title, value, detail) => `
+        <div class="card">
+            <h3>${escapeHtml(title)}</h3>
+            <p class="value">${escapeHtml(value)}</p>
+            <small>${escapeHtml(detail)}</small>
+        </div>`;
+
+    return `<!DOCTYPE html>
+<html lang="${getLocale()}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(t('report.title', { name: capture.name || appName }))}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #222; margin: 32px; }
+    header { border-bottom: 2px solid #FF5733; margin-bottom: 24px; padding-bottom: 12px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    .layout { display: grid; grid-template-columns: 240px 1fr; gap: 24px; }
+    .layout img { width: 100%; border-radius: 12px; }
+    .card { border: 1px solid #ddd; border-radius: 10px; padding: 12px 16px; margin-bottom: 10px; break-inside: avoid; }
+    .card h3 { margin: 0 0 6px; font-size: 13px; color: #2196F3; }
+    .card .value { margin: 0 0 2px; font-size: 17px; font-weight: bold; }
+    .card small, footer { color: #666; font-size: 12px; }
+    .bar { height: 8px; background: #eee; border-radius: 4px; overflow: hidden; margin: 8px 0; }
+    .bar div { height: 100%; background: linear-gradient(90deg, #4CAF50, #2196F3); -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; margin-top: 16px; }
+    td { padding: 6px 8px; border-bottom: 1px solid #eee; }
+    footer { margin-top: 32px; border-top: 1px solid #ddd; padding-top: 8px; }
+</style>
+</head>
+<body>
+<header>
+    <h1>${escapeHtml(appName)}</h1>
+    <div>${escapeHtml(capture.name || '')}</div>
+    <small>${escapeHtml(t('report.capturedAt', { date: capturedAt }))} · ${escapeHtml(t('report.generatedAt', { date: formatDate(Date.now()) }))}${capture.patientId ? ` · ${escapeHtml(t('report.patient', { id: capture.patientId }))}` : ''}</small>
+</header>
+<div class="layout">
+    <div><img src="${imageUrl}" alt="${escapeHtml(t('results.imageAlt'))}"></div>
+    <div>
+        ${categories.map((item) => card(item.metric.label, item.value, item.explanation)).join('')}
+        <div class="card">
+            <h3>${escapeHtml(t('results.faceDetection'))}</h3>
+            <div class="bar"><div style="width: ${confidence}%"></div></div>
+            <small>${escapeHtml(t('results.confidence', { value: `${formatNumber(confidence)}%` }))} (${escapeHtml(analysisData.face_detectada?.metodo || t('common.notAvailable'))})</small>
+        </div>
+        <table>
+            ${details.map((item) => `<tr><td>${escapeHtml(item.metric.label)}</td><td>${escapeHtml(item.value)}</td></tr>`).join('')}
+        </table>
+    </div>
+</div>
+<footer>${escapeHtml(t('report.disclaimer'))}</footer>
+${autoPrint ? '<script>window.addEventListener("load", () => window.print());</script>' : ''}
+</body>
+</html>`;
+}
+
+/**
+ * Abre o relatório em uma nova janela e aciona a impressão (onde o usuário pode salvar em PDF).
+ * Se pop-ups estiverem bloqueados, baixa o relatório como arquivo HTML.
+ */
+export async function openPrintableReport(blob, analysisData, capture = {}) {
+    const reportWindow = window.open('', '_blank');
+
+    if (!reportWindow) {
+        const html = await buildReportHtml(blob, analysisData, capture);
+        downloadBlob(new Blob([html], { type: 'text/html' }), `${t('export.reportFileName')}-${Date.now()}.html`);
+        return;
+    }
+
+    const html = await buildReportHtml(blob, analysisData, capture, { autoPrint: true });
+    reportWindow.document.open();
+    reportWindow.document.write(html);
+    reportWindow.document.close();
+}
+
+/**
+ * Escapa texto para inserção em HTML (valores vindos dos provedores de análise).
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Converte a imagem em data URL (relatório autocontido, envio à Groq).
+ */
+export function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
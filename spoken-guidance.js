@@ -0,0 +1,208 @@
+/**
+ * Orientação falada e sonora para quem enxerga pouco a tela: lê as dicas de posicionamento
+ * do FaceAlignmentGuide, avisa quando o rosto está alinhado e conta os segundos até a
+ * captura. Modos: voz (Web Speech) ou bipes (Web Audio), com a escolha salva no navegador.
+ */
+import { getLocale, t } from './i18n.js';
+
+const MODE_KEY = 'faceCapture.guidance';
+export const GUIDANCE_MODES = ['off', 'voice', 'beeps'];
+
+// Uma dica só é falada depois de se manter por este tempo (evita falar a cada oscilação)
+const SETTLE_MS = 800;
+// Enquanto a posição não muda, a mesma dica é repetida neste intervalo
+const REPEAT_MS = 5000;
+
+// Tom de cada situação (Hz): mais agudo = mais perto do alinhamento
+const TONES = { noface: 220, adjust: 440, aligned: 880, tick: 660, capture: 1320 };
+
+export class SpokenGuidance {
+    constructor() {
+        const saved = localStorage.getItem(MODE_KEY);
+        this.mode = GUIDANCE_MODES.includes(saved) && SpokenGuidance.supports(saved) ? saved : 'off';
+        this.audio = null;
+        this.lastState = null;
+        this.lastCountdown = null;
+        this.pendingHint = null;
+        this.spoken = { hint: null, at: 0 };
+    }
+
+    /**
+     * Indica se o navegador oferece o modo informado.
+     * @param {string} mode - Um dos `GUIDANCE_MODES`.
+     */
+    static supports(mode) {
+        if (mode === 'voice') return 'speechSynthesis' in window;
+        if (mode === 'beeps') return Boolean(window.AudioContext || window.webkitAudioContext);
+        return true;
+    }
+
+    get enabled() {
+        return this.mode !== 'off';
+    }
+
+    /**
+     * Passa para o próximo modo disponível (desligado → voz → bipes → desligado) e o anuncia.
+     * @returns {string} O novo modo.
+     */
+    cycleMode() {
+        const start = GUIDANCE_MODES.indexOf(this.mode);
+        for (let step = 1; step <= GUIDANCE_MODES.length; step++) {
+            const mode = GUIDANCE_MODES[(start + step) % GUIDANCE_MODES.length];
+            if (SpokenGuidance.supports(mode)) {
+                this.mode = mode;
+                break;
+            }
+        }
+        localStorage.setItem(MODE_KEY, this.mode);
+        this.reset();
+
+        if (this.mode === 'voice') this.say(t('guidance.mode.voice'), { interrupt: true });
+        else if (this.mode === 'beeps') this.beep(TONES.aligned);
+        return this.mode;
+    }
+
+    /**
+     * Recebe cada resultado do alinhamento facial (`onStatus` do FaceAlignmentGuide).
+     * @param {{state: string, hint: string, countdown: (number|null)}} status
+     */
+    update(status) {
+        if (!this.enabled) return;
+
+        if (status.countdown) {
+            this._tick(status.countdown);
+            return;
+        }
+        this.lastCountdown = null;
+
+        if (this.mode === 'beeps') {
+            // Um bipe a cada mudança de situação; fora do alinhamento, repetido de tempos em tempos
+            const now = performance.now();
+            if (status.state !== this.lastState || (status.state !== 'aligned' && now - this.spoken.at > REPEAT_MS)) {
+                this.beep(TONES[status.state] || TONES.adjust);
+                this.spoken.at = now;
+            }
+            this.lastState = status.state;
+            return;
+        }
+
+        this._sayHint(status.hint);
+        this.lastState = status.state;
+    }
+
+    /**
+     * Conta os segundos em voz alta (ou com bipes) antes de uma captura.
+     * @param {number} seconds
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Interrompe a contagem.
+     * @param {function(number): void} [options.onTick] - Chamado a cada segundo, com o que falta.
+     * @returns {Promise<boolean>} `true` se chegou ao fim; `false` se foi interrompida.
+     */
+    async countdown(seconds, { signal, onTick } = {}) {
+        for (let remaining = seconds; remaining > 0; remaining--) {
+            if (signal?.aborted) return false;
+            onTick?.(remaining);
+            this._tick(remaining);
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, 1000);
+                signal?.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    resolve();
+                }, { once: true });
+            });
+        }
+        this.lastCountdown = null;
+        return !signal?.aborted;
+    }
+
+    /**
+     * Avisa que a foto foi tirada.
+     */
+    captured() {
+        this.reset();
+        if (this.mode === 'voice') this.say(t('guidance.captured'));
+        else if (this.mode === 'beeps') this.beep(TONES.capture, 0.25);
+    }
+
+    /**
+     * Fala um texto no idioma da interface.
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {boolean} [options.interrupt=false] - Cancela o que estiver sendo falado.
+     */
+    say(text, { interrupt = false } = {}) {
+        if (!text || !('speechSynthesis' in window)) return;
+        if (interrupt) speechSynthesis.cancel();
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = getLocale();
+        utterance.rate = 1.05;
+        speechSynthesis.speak(utterance);
+    }
+
+    /**
+     * Toca um bipe curto.
+     * @param {number} frequency - Frequência em Hz.
+     * @param {number} [duration=0.12] - Duração em segundos.
+     */
+    beep(frequency, duration = 0.12) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        // Criado no primeiro uso: os navegadores só liberam o áudio após um gesto do usuário
+        this.audio ??= new AudioContextClass();
+        this.audio.resume?.();
+
+        const oscillator = this.audio.createOscillator();
+        const gain = this.audio.createGain();
+        const now = this.audio.currentTime;
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.2, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+        oscillator.connect(gain).connect(this.audio.destination);
+        oscillator.start(now);
+        oscillator.stop(now + duration);
+    }
+
+    /**
+     * Esquece o que já foi falado e cala a voz (ex.: ao desligar a câmera).
+     */
+    reset() {
+        clearTimeout(this.pendingHint?.timer);
+        this.pendingHint = null;
+        this.lastState = null;
+        this.lastCountdown = null;
+        this.spoken = { hint: null, at: 0 };
+        if ('speechSynthesis' in window) speechSynthesis.cancel();
+    }
+
+    _tick(remaining) {
+        if (remaining === this.lastCountdown) return;
+        this.lastCountdown = remaining;
+
+        if (this.mode === 'voice') this.say(String(remaining), { interrupt: true });
+        else if (this.mode === 'beeps') this.beep(TONES.tick);
+    }
+
+    _sayHint(hint) {
+        if (!hint) return;
+        const now = performance.now();
+
+        if (hint === this.spoken.hint) {
+            // Voltou à dica já falada antes que outra se firmasse
+            clearTimeout(this.pendingHint?.timer);
+            this.pendingHint = null;
+            if (now - this.spoken.at > REPEAT_MS && !speechSynthesis.speaking) this._speakHint(hint);
+            return;
+        }
+        if (this.pendingHint?.hint === hint) return;
+
+        clearTimeout(this.pendingHint?.timer);
+        this.pendingHint = { hint, timer: setTimeout(() => this._speakHint(hint), SETTLE_MS) };
+    }
+
+    _speakHint(hint) {
+        this.pendingHint = null;
+        this.spoken = { hint, at: performance.now() };
+        this.say(hint, { interrupt: true });
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * ServiceWorkerUpdater: ponto único de registro do Service Worker e ciclo de atualização.
+ * Uma nova versão instalada fica em espera e é anunciada no aviso "Nova versão
+ * disponível"; só assume as páginas (e recarrega o app) quando o usuário aceita.
+ */
+
+const SW_URL = '/sw.js';
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+export class ServiceWorkerUpdater {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.banner - Aviso de nova versão.
+     * @param {HTMLButtonElement} options.reloadButton - Aplica a atualização.
+     * @param {HTMLButtonElement} [options.dismissButton] - Esconde o aviso (a atualização fica para depois).
+     */
+    constructor({ banner, reloadButton, dismissButton }) {
+        this.banner = banner;
+        this.reloadButton = reloadButton;
+        this.registration = null;
+        this.reloading = false;
+
+        reloadButton?.addEventListener('click', () => this.applyUpdate());
+        dismissButton?.addEventListener('click', () => this.banner?.classList.add('hidden'));
+    }
+
+    /**
+     * Registra o Service Worker e passa a acompanhar novas versões.
+     * @returns {Promise<ServiceWorkerRegistration|null>}
+     */
+    async register() {
+        if (!('serviceWorker' in navigator)) {
+            console.warn('Service workers não são suportados.');
+            return null;
+        }
+
+        // Sem controlador, esta é a primeira instalação: não há versão antiga a substituir
+        let hadController = Boolean(navigator.serviceWorker.controller);
+
+        try {
+            // `updateViaCache: 'none'` faz o navegador conferir sw.js e o manifesto de pré-cache sem cache HTTP
+            this.registration = await navigator.serviceWorker.register(SW_URL, { updateViaCache: 'none' });
+            console.log('Service worker registrado com sucesso.');
+        } catch (error) {
+            console.error('Falha no registro do Service worker:', error);
+            return null;
+        }
+
+        // Versão já instalada e aguardando (ex.: baixada em uma visita anterior)
+        if (this.registration.waiting && hadController) this._showBanner();
+        this.registration.addEventListener('updatefound', () => this._trackInstalling(this.registration.installing));
+
+        // A nova versão assumiu (por esta ou outra aba): recarrega uma única vez para usar os arquivos novos
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // A primeira tomada de controle (clients.claim na instalação inicial) não exige recarregar
+            if (!hadController) {
+                hadController = true;
+                return;
+            }
+            if (this.reloading) return;
+            this.reloading = true;
+            window.location.reload();
+        });
+
+        // Apps instalados ficam abertos por muito tempo: verifica atualizações periodicamente
+        setInterval(() => this.checkForUpdate(), UPDATE_CHECK_INTERVAL_MS);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.checkForUpdate();
+        });
+
+        return this.registration;
+    }
+
+    async checkForUpdate() {
+        try {
+            await this.registration?.update();
+        } catch (error) {
+            // Offline ou servidor indisponível: tenta de novo na próxima verificação
+            console.warn('Verificação de atualização falhou:', error);
+        }
+    }
+
+    /**
+     * Ativa a versão em espera; o recarregamento acontece no `controllerchange`.
+     */
+    applyUpdate() {
+        const waiting = this.registration?.waiting;
+        if (!waiting) {
+            window.location.reload();
+            return;
+        }
+        if (this.reloadButton) this.reloadButton.disabled = true;
+        waiting.postMessage({ type: 'skip-waiting' });
+    }
+
+    _trackInstalling(worker) {
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) this._showBanner();
+        });
+    }
+
+    _showBanner() {
+        this.banner?.classList.remove('hidden');
+    }
+}
@@ -1,87 +1,357 @@
-const CACHE_NAME = 'face-capture-v2'; // Alterado o nome para forçar a atualização do cache
-const STATIC_CACHE = [
-    '/',
-    '/index.html',
-    '/style.css',
-    '/app.js',
-    '/manifest.json',
-    // Adicione os ícones PWA para garantir que a interface de instalação offline funcione corretamente
-    '/icons/icon-512x512.png', // Exemplo do ícone principal do manifest
-    // Certifique-se de listar todos os ícones usados no manifest.json
-];
+importScripts('/precache-manifest.js');
+
+const { version: PRECACHE_VERSION, shell: SHELL_ASSETS, icons: ICON_ASSETS } = self.PRECACHE_MANIFEST;
+
+// O pré-cache é versionado; o cache de execução guarda o que foi revalidado ou buscado depois
+const PRECACHE_NAME = `face-capture-precache-v${PRECACHE_VERSION}`;
+const RUNTIME_CACHE = 'face-capture-runtime';
+const PRECACHE_URLS = new Set([...SHELL_ASSETS, ...ICON_ASSETS]);
 
 const OFFLINE_URL = '/index.html'; // Usar a página principal como fallback offline
 
-// --- 1. Evento 'install': Cache de Arquivos Estáticos ---
+// --- 1. Evento 'install': Pré-cache do app shell e ícones ---
+// Não chama skipWaiting(): a nova versão fica em espera até o usuário aceitar a atualização.
 self.addEventListener('install', (event) => {
-    // Forçar o Service Worker a esperar a instalação e cache ser concluído
-    event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then((cache) => {
-                console.log('Service Worker: Arquivos estáticos em cache.');
-                return cache.addAll(STATIC_CACHE);
-            })
-            // Força a ativação imediatamente, pulando o estado 'waiting'
-            .then(() => self.skipWaiting()) 
-    );
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE_NAME);
+        // `reload` evita que o cache HTTP do navegador devolva arquivos antigos
+        await cache.addAll(SHELL_ASSETS.map((url) => new Request(url, { cache: 'reload' })));
+        await Promise.all(ICON_ASSETS.map((url) => cache.add(new Request(url, { cache: 'reload' })).catch(() => {
+            console.log(`Service Worker: Ícone não encontrado para o pré-cache: ${url}`);
+        })));
+        console.log(`Service Worker: Pré-cache v${PRECACHE_VERSION} concluído.`);
+    })());
 });
 
 // --- 2. Evento 'activate': Limpeza de Caches Antigos ---
 self.addEventListener('activate', (event) => {
+    const keep = [PRECACHE_NAME, RUNTIME_CACHE, SHARE_TARGET_CACHE];
     event.waitUntil(
         caches.keys().then((cacheNames) => {
             // Usa .filter e .map para retornar promessas de exclusão de caches antigos
             return Promise.all(
                 cacheNames
-                    .filter(cacheName => cacheName !== CACHE_NAME)
+                    .filter(cacheName => !keep.includes(cacheName))
                     .map(cacheName => {
                         console.log(`Service Worker: Deletando cache antigo: ${cacheName}`);
                         return caches.delete(cacheName);
                     })
             );
-        }).then(() => self.clients.claim()) // Permite que o SW controle imediatamente as páginas abertas
+        }).then(() => self.clients.claim()) // Controla as páginas abertas assim que ativado
     );
 });
 
-// --- 3. Evento 'fetch': Estratégia de Cache-First com Fallback de Rede e Cache Dinâmico ---
+// A página pede a ativação da versão em espera quando o usuário aceita a atualização (sw-update.js)
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+// --- 3. Evento 'fetch': Rede primeiro para navegação, stale-while-revalidate para estáticos ---
 self.addEventListener('fetch', (event) => {
     const requestUrl = new URL(event.request.url);
 
     // Ignorar requisições que não sejam GET ou que sejam de terceiros (CORS/API)
     // O código já ignora o '/upload' e métodos que não sejam GET, mantendo a lógica de API
+    // A API no mesmo domínio também fica de fora: um `/api/health` em cache mostraria "online" com o servidor fora do ar
     if (event.request.method !== 'GET' || 
         event.request.url.includes('/upload') ||
+        requestUrl.pathname.startsWith('/api/') ||
         requestUrl.origin !== location.origin
     ) {
         return;
     }
 
-    event.respondWith(
-        caches.match(event.request)
-            .then((cachedResponse) => {
-                // Se houver resposta em cache, retorne-a imediatamente (Cache-First)
-                if (cachedResponse) {
-                    return cachedResponse;
-                }
-
-                // Se não houver cache, faça a requisição de rede
-                return fetch(event.request)
-                    .then((networkResponse) => {
-                        // Verifica se a resposta é válida e armazena em cache (Cache Dinâmico)
-                        if (networkResponse.status === 200) {
-                            const responseClone = networkResponse.clone();
-                            caches.open(CACHE_NAME)
-                                .then(cache => {
-                                    cache.put(event.request, responseClone);
-                                });
-                        }
-                        return networkResponse;
-                    })
-                    .catch(() => {
-                        // Fallback offline: Tenta retornar a URL principal (index.html)
-                        console.log('Service Worker: Falha na requisição de rede. Tentando fallback offline.');
-                        return caches.match(OFFLINE_URL);
-                    });
-            })
+    if (event.request.mode === 'navigate') {
+        event.respondWith(networkFirst(event.request));
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(event));
+});
+
+/**
+ * Navegação: sempre tenta a rede (HTML atualizado); offline, usa a página em cache.
+ */
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(RUNTIME_CACHE);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch {
+        // Fallback offline: Tenta retornar a URL principal (index.html)
+        console.log('Service Worker: Falha na requisição de rede. Tentando fallback offline.');
+        return (await caches.match(request)) || caches.match(OFFLINE_URL);
+    }
+}
+
+/**
+ * Estáticos: responde do cache imediatamente e atualiza a cópia em segundo plano,
+ * para que correções publicadas cheguem na próxima abertura do app.
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const path = new URL(request.url).pathname;
+    const cacheName = PRECACHE_URLS.has(path) ? PRECACHE_NAME : RUNTIME_CACHE;
+
+    const cached = await caches.match(request);
+    const revalidate = fetch(request)
+        .then(async (response) => {
+            if (response.ok) {
+                const cache = await caches.open(cacheName);
+                await cache.put(request, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(revalidate.catch(() => {}));
+        return cached;
+    }
+    // Sem cópia local: o erro de rede segue para a página
+    return revalidate;
+}
+
+// --- 4. Fila Offline: Reenvio de capturas pendentes para o /upload ---
+// A fila é gravada pela página (upload-queue.js) no mesmo IndexedDB usado pelo histórico.
+const DB_NAME = 'face-capture';
+const QUEUE_STORE = 'uploadQueue';
+const SYNC_TAG = 'upload-queue';
+const HEALTH_TIMEOUT_MS = 5000;
+const UPLOAD_TIMEOUT_MS = 60000;
+
+let replayInProgress = null;
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        // Rejeitar a promessa faz o navegador tentar novamente mais tarde
+        event.waitUntil(replayUploadQueue());
+    }
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'replay-upload-queue') {
+        event.waitUntil(replayUploadQueue().catch((error) => {
+            console.log('Service Worker: Reenvio em primeiro plano adiado:', error.message);
+        }));
+    }
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+            if (clients.length > 0) return clients[0].focus();
+            return self.clients.openWindow('/');
+        })
     );
-});
\ No newline at end of file
+});
+
+/**
+ * Garante que apenas um reenvio da fila esteja em andamento por vez.
+ */
+function replayUploadQueue() {
+    if (!replayInProgress) {
+        replayInProgress = processUploadQueue().finally(() => { replayInProgress = null; });
+    }
+    return replayInProgress;
+}
+
+async function processUploadQueue() {
+    const db = await openQueueDatabase();
+    if (!db) return; // Banco ainda não criado pela página: nada a enviar
+
+    try {
+        // Capturas cifradas com a senha do usuário (privacy.js) são reenviadas pela página
+        const entries = (await idbRequest(db.transaction(QUEUE_STORE).objectStore(QUEUE_STORE).getAll()))
+            .filter(entry => entry.status === 'pending' && !entry.sealed);
+        const healthByApi = new Map();
+        let postponed = 0;
+
+        for (const entry of entries) {
+            const apiUrl = entry.apiUrl || self.location.origin;
+
+            if (!healthByApi.has(apiUrl)) {
+                healthByApi.set(apiUrl, await isApiOnline(apiUrl));
+            }
+            if (!healthByApi.get(apiUrl)) {
+                postponed++;
+                continue;
+            }
+
+            const outcome = await uploadQueuedCapture(apiUrl, entry);
+
+            if (outcome.result) {
+                await storeQueuedResult(db, entry, outcome.result);
+                await notifyQueuedResult(entry);
+            } else if (outcome.permanent) {
+                // A página avisa o usuário da recusa e remove a captura (app.js, settleUploadQueue)
+                entry.status = 'failed';
+                entry.lastError = outcome.error;
+                entry.attempts++;
+                await idbRequest(db.transaction(QUEUE_STORE, 'readwrite').objectStore(QUEUE_STORE).put(entry));
+                await broadcast({ type: 'upload-queue-failed', queueId: entry.id, error: outcome.error });
+            } else {
+                entry.attempts++;
+                entry.lastError = outcome.error;
+                await idbRequest(db.transaction(QUEUE_STORE, 'readwrite').objectStore(QUEUE_STORE).put(entry));
+                postponed++;
+            }
+        }
+
+        if (postponed > 0) {
+            throw new Error(`${postponed} captura(s) aguardando a API ficar online.`);
+        }
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Abre o banco sem forçar versão, para nunca competir com o upgrade feito pela página.
+ * @returns {Promise<IDBDatabase|null>} `null` se o banco ou a fila ainda não existirem.
+ */
+function openQueueDatabase() {
+    return new Promise((resolve) => {
+        const request = indexedDB.open(DB_NAME);
+        // Só ocorre se o banco não existe: aborta para não criar um esquema vazio
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onsuccess = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+                db.close();
+                resolve(null);
+                return;
+            }
+            resolve(db);
+        };
+        request.onerror = () => resolve(null);
+    });
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function isApiOnline(apiUrl) {
+    try {
+        const response = await fetch(`${apiUrl}/api/health`, {
+            headers: { 'ngrok-skip-browser-warning': 'true' },
+            cache: 'no-store',
+            signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS)
+        });
+        if (!response.ok) return false;
+        const data = await response.json();
+        return data.status === 'online';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Envia uma captura da fila. Erros HTTP 4xx ou respostas com `erro` são
+ * considerados permanentes (a foto não será aceita em um novo envio).
+ */
+async function uploadQueuedCapture(apiUrl, entry) {
+    try {
+        const formData = new FormData();
+        // Nome definido pela página ao enfileirar (capturas antigas, de antes dos outros formatos, são PNG)
+        formData.append('file', entry.blob, entry.fileName || 'face-capture.png');
+        if (entry.meta?.quality) {
+            formData.append('quality', JSON.stringify(entry.meta.quality));
+        }
+        if (entry.meta?.colorCorrection) {
+            formData.append('color_correction', JSON.stringify(entry.meta.colorCorrection));
+        }
+
+        const response = await fetch(`${apiUrl}/upload`, {
+            method: 'POST',
+            body: formData,
+            headers: { 'ngrok-skip-browser-warning': 'true' },
+            signal: AbortSignal.timeout(UPLOAD_TIMEOUT_MS)
+        });
+
+        if (!response.ok) {
+            return { permanent: response.status < 500, error: `HTTP ${response.status}` };
+        }
+
+        const result = await response.json();
+        if (result.erro) {
+            return { permanent: true, error: result.erro };
+        }
+        return { result };
+    } catch (error) {
+        return { permanent: false, error: error.message };
+    }
+}
+
+/**
+ * Guarda a resposta do /upload na própria captura (status 'received'). Quem valida a
+ * resposta contra o esquema e grava no histórico é a página (UploadQueue.listReceived
+ * em upload-queue.js), com o mesmo `analysis-schema.js` das análises feitas na hora.
+ */
+function storeQueuedResult(db, entry, result) {
+    entry.status = 'received';
+    entry.result = result;
+    entry.attempts++;
+    return idbRequest(db.transaction(QUEUE_STORE, 'readwrite').objectStore(QUEUE_STORE).put(entry));
+}
+
+/**
+ * Avisa as páginas abertas e, com permissão, mostra a notificação com o texto traduzido
+ * pela página ao enfileirar (UploadQueue.enqueue).
+ */
+async function notifyQueuedResult(entry) {
+    await broadcast({ type: 'upload-queue-result', queueId: entry.id });
+
+    if (self.Notification?.permission === 'granted' && entry.notification) {
+        await self.registration.showNotification(entry.notification.title, {
+            body: entry.notification.body,
+            icon: '/icons/icon-192x192.png',
+            tag: `upload-queue-${entry.id}`
+        });
+    }
+}
+
+async function broadcast(message) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+}
+
+
+// --- 5. Web Share Target: Recebe fotos compartilhadas por outros apps ---
+// A foto é guardada em cache e a página a lê em photo-import.js (PhotoImportView.takeSharedPhoto).
+const SHARE_TARGET_CACHE = 'share-target';
+const SHARED_PHOTO_URL = '/shared-photo';
+
+self.addEventListener('fetch', (event) => {
+    const requestUrl = new URL(event.request.url);
+
+    if (event.request.method === 'POST' && requestUrl.pathname === '/share-target') {
+        event.respondWith(handleShareTarget(event.request));
+    }
+});
+
+async function handleShareTarget(request) {
+    try {
+        const formData = await request.formData();
+        const photo = formData.get('photo');
+
+        if (photo instanceof File && photo.type.startsWith('image/')) {
+            const cache = await caches.open(SHARE_TARGET_CACHE);
+            await cache.put(SHARED_PHOTO_URL, new Response(photo, { headers: { 'Content-Type': photo.type } }));
+        }
+    } catch (error) {
+        console.log('Service Worker: Falha ao receber foto compartilhada.', error);
+    }
+
+    // Redireciona (303) para o app, que abre a foto após o consentimento
+    return Response.redirect('/?share-target=1', 303);
+}
\ No newline at end of file
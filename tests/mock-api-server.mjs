@@ -0,0 +1,230 @@
+/**
+ * Servidor local para os testes do fluxo de captura (tests/pipeline.html).
+ * Serve os arquivos do app e simula a API híbrida e a Groq (endpoint compatível com OpenAI):
+ *   GET  /api/health           → { status: 'online' } (com `health: 'offline'`, a conexão é derrubada)
+ *   POST /upload               → análise fixa (ou a resposta configurada)
+ *   POST /v1/chat/completions  → resposta de visão com a análise em JSON (`baseUrl` da Groq: http://localhost:8090/v1)
+ *   GET  /__mock/requests      → envios recebidos pelo /upload (campos e arquivos)
+ *   GET  /__mock/completions   → pedidos recebidos pelo /v1/chat/completions (modelo, chave e imagem)
+ *   POST /__mock/config        → altera o comportamento: { health, upload, status, completion, completionStatus }
+ *   POST /__mock/reset     → volta ao padrão e limpa os envios
+ *
+ * Uso: node tests/mock-api-server.mjs [porta]  (padrão 8090)
+ * Sem dependências: apenas módulos nativos do Node.
+ */
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const PORT = Number(process.argv[2] || process.env.PORT || 8090);
+
+export const MOCK_ANALYSIS = {
+    versao_schema: 1,
+    fitzpatrick: 'Tipo III',
+    textura: 'Normal',
+    manchas: 'Poucas manchas',
+    rugas: 'Linhas leves',
+    detalhes: {
+        manchas: { numero: 4, porcentagem: 1.25 },
+        textura: { contraste: 0.42, homogeneidade: 0.81 },
+        rugas: { porcentagem: 2.5 }
+    },
+    face_detectada: { confianca: 0.93, metodo: 'API simulada' },
+    regioes: {
+        face: { x: 0.1, y: 0.05, largura: 0.8, altura: 0.9 },
+        manchas: [{ x: 0.3, y: 0.55, largura: 0.02, altura: 0.02 }]
+    }
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm'
+};
+
+// A Groq devolve só o JSON pedido no prompt, sem os campos que a API híbrida calcula
+const { versao_schema, face_detectada, regioes, ...MOCK_COMPLETION } = MOCK_ANALYSIS;
+
+const DEFAULT_CONFIG = { health: 'online', status: 200, upload: MOCK_ANALYSIS, completionStatus: 200, completion: MOCK_COMPLETION };
+let config = { ...DEFAULT_CONFIG };
+let uploads = [];
+let completions = [];
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        request.on('data', (chunk) => chunks.push(chunk));
+        request.on('end', () => resolve(Buffer.concat(chunks)));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Extrai os campos de um corpo multipart/form-data (arquivos viram nome, tipo e tamanho).
+ */
+function parseMultipart(body, contentType) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+    if (!boundary) return {};
+
+    const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+    const fields = {};
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const next = body.indexOf(delimiter, start + delimiter.length);
+        if (next === -1) break;
+
+        // Cada parte: \r\n cabeçalhos \r\n\r\n conteúdo \r\n
+        const part = body.subarray(start + delimiter.length + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const headers = part.subarray(0, headerEnd).toString();
+        const content = part.subarray(headerEnd + 4);
+        const name = /name="([^"]*)"/.exec(headers)?.[1];
+        const filename = /filename="([^"]*)"/.exec(headers)?.[1];
+
+        if (name) {
+            fields[name] = filename === undefined
+                ? content.toString()
+                : {
+                    filename,
+                    type: /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1] || '',
+                    size: content.length,
+                    // Assinatura do arquivo, para conferir o formato (ex.: PNG)
+                    signature: content.subarray(0, 8).toString('hex')
+                };
+        }
+        start = next;
+    }
+    return fields;
+}
+
+/**
+ * Resumo de um pedido de chat/completions: modelo, chave enviada e a imagem (data URL).
+ */
+function summarizeCompletion(request, body) {
+    const content = body.messages?.[0]?.content || [];
+    const imageUrl = content.find((part) => part.type === 'image_url')?.image_url?.url || '';
+    return {
+        receivedAt: new Date().toISOString(),
+        model: body.model,
+        authorization: request.headers.authorization || null,
+        responseFormat: body.response_format?.type || null,
+        prompt: content.find((part) => part.type === 'text')?.text || '',
+        image: {
+            type: /^data:([^;,]+)/.exec(imageUrl)?.[1] || '',
+            size: imageUrl.length
+        }
+    };
+}
+
+function sendJson(response, status, data) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Access-Control-Allow-Origin': '*' });
+    response.end(JSON.stringify(data));
+}
+
+async function serveStatic(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const path = normalize(join(ROOT, decodeURIComponent(pathname === '/' ? '/index.html' : pathname)));
+    if (!path.startsWith(ROOT.endsWith(sep) ? ROOT : ROOT + sep)) {
+        response.writeHead(403).end();
+        return;
+    }
+
+    try {
+        const content = await readFile(path);
+        response.writeHead(200, { 'Content-Type': MIME_TYPES[extname(path)] || 'application/octet-stream', 'Cache-Control': 'no-store' });
+        response.end(content);
+    } catch {
+        response.writeHead(404).end('Não encontrado');
+    }
+}
+
+async function handle(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': '*',
+            'Access-Control-Allow-Methods': 'GET, POST'
+        }).end();
+        return;
+    }
+
+    if (pathname === '/api/health') {
+        if (config.health === 'online') sendJson(response, 200, { status: 'online', versao: 'mock' });
+        // Conexão derrubada: para o app, a API está inacessível (e não apenas degradada)
+        else request.socket.destroy();
+        return;
+    }
+
+    if (pathname === '/upload' && request.method === 'POST') {
+        const fields = parseMultipart(await readBody(request), request.headers['content-type']);
+        uploads.push({ receivedAt: new Date().toISOString(), fields });
+        sendJson(response, config.status, config.upload);
+        return;
+    }
+
+    if (pathname === '/v1/chat/completions' && request.method === 'POST') {
+        const body = JSON.parse((await readBody(request)).toString() || '{}');
+        completions.push(summarizeCompletion(request, body));
+        if (config.completionStatus !== 200) {
+            sendJson(response, config.completionStatus, { error: { message: 'Erro simulado', type: 'mock_error' } });
+            return;
+        }
+        sendJson(response, 200, {
+            id: `chatcmpl-mock-${completions.length}`,
+            object: 'chat.completion',
+            created: Math.floor(Date.now() / 1000),
+            model: body.model,
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content: JSON.stringify(config.completion) },
+                finish_reason: 'stop'
+            }]
+        });
+        return;
+    }
+
+    if (pathname === '/__mock/requests') {
+        sendJson(response, 200, uploads);
+        return;
+    }
+    if (pathname === '/__mock/completions') {
+        sendJson(response, 200, completions);
+        return;
+    }
+    if (pathname === '/__mock/config' && request.method === 'POST') {
+        config = { ...config, ...JSON.parse((await readBody(request)).toString() || '{}') };
+        sendJson(response, 200, config);
+        return;
+    }
+    if (pathname === '/__mock/reset' && request.method === 'POST') {
+        config = { ...DEFAULT_CONFIG };
+        uploads = [];
+        completions = [];
+        sendJson(response, 200, config);
+        return;
+    }
+
+    await serveStatic(request, response);
+}
+
+createServer((request, response) => {
+    handle(request, response).catch((error) => {
+        console.error(error);
+        if (!response.headersSent) response.writeHead(500);
+        response.end();
+    });
+}).listen(PORT, () => {
+    console.log(`API simulada e app em http://localhost:${PORT}`);
+    console.log(`Testes do fluxo de captura: http://localhost:${PORT}/tests/pipeline.html`);
+});
@@ -0,0 +1,202 @@
+/**
+ * Testes de ponta a ponta do fluxo capturePhoto → recorte → analyzePhoto → showAnalysisResults,
+ * com a câmera simulada (`?camera=pattern`) e a API simulada de tests/mock-api-server.mjs.
+ *
+ * O resultado final também vai para `document.title` ("PASS"/"FAIL ..."), para execução
+ * sem interface: chromium --headless --virtual-time-budget=60000 --dump-dom http://localhost:8090/tests/pipeline.html
+ */
+
+const APP_URL = '/?camera=pattern';
+const STEP_TIMEOUT = 15000;
+
+const frame = document.getElementById('app');
+const tests = [];
+
+function test(name, run) {
+    tests.push({ name, run });
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+/**
+ * Aguarda até que `check` retorne um valor verdadeiro (verificado a cada 100 ms).
+ */
+async function waitFor(check, description, timeout = STEP_TIMEOUT) {
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < timeout) {
+        const value = check();
+        if (value) return value;
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error(`Tempo esgotado aguardando: ${description}`);
+}
+
+async function mock(path, body) {
+    const response = await fetch(`/__mock/${path}`, body === undefined
+        ? {}
+        : { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    return response.json();
+}
+
+/**
+ * Remove o que sobrou de execuções anteriores: Service Worker, caches e dados do app.
+ */
+async function resetBrowserState() {
+    const registrations = await navigator.serviceWorker?.getRegistrations() || [];
+    await Promise.all(registrations.map((registration) => registration.unregister()));
+    await Promise.all((await caches.keys()).map((key) => caches.delete(key)));
+    Object.keys(localStorage)
+        .filter((key) => key.startsWith('faceCapture.'))
+        .forEach((key) => localStorage.removeItem(key));
+    // As verificações comparam mensagens em pt-BR, independentemente do idioma do navegador
+    localStorage.setItem('faceCapture.locale', 'pt-BR');
+    await new Promise((resolve) => {
+        const request = indexedDB.deleteDatabase('face-capture');
+        request.onsuccess = request.onerror = request.onblocked = resolve;
+    });
+}
+
+/**
+ * Carrega o app no iframe, registra o texto dos avisos e diálogos exibidos (confirmando
+ * sempre os diálogos) e aceita o consentimento.
+ * @param {Object<string, string>} [storage={}] - Ajustes gravados no localStorage antes de abrir o app.
+ * @returns {Promise<{win: Window, doc: Document, dialogs: string[]}>}
+ */
+async function openApp(storage = {}) {
+    await resetBrowserState();
+    Object.entries(storage).forEach(([key, value]) => localStorage.setItem(key, value));
+    frame.src = `${APP_URL}&t=${Date.now()}`;
+    await new Promise((resolve) => frame.addEventListener('load', resolve, { once: true }));
+
+    const win = frame.contentWindow;
+    const doc = frame.contentDocument;
+    const dialogs = [];
+    // Avisos e diálogos de feedback.js são criados no body
+    new win.MutationObserver((mutations) => {
+        for (const node of mutations.flatMap((mutation) => [...mutation.addedNodes])) {
+            if (node.nodeType !== Node.ELEMENT_NODE) continue;
+            node.querySelectorAll('.toast-message, .feedback-message').forEach((message) => dialogs.push(message.textContent));
+            node.querySelector('[data-feedback="confirm"]')?.click();
+        }
+    }).observe(doc.body, { childList: true, subtree: true });
+
+    const accept = await waitFor(() => doc.getElementById('acceptConsent'), 'tela de consentimento');
+    accept.click();
+    return { win, doc, dialogs };
+}
+
+async function captureWhenReady({ doc }) {
+    const video = await waitFor(() => {
+        const element = doc.getElementById('video');
+        return element?.videoWidth && element.readyState >= 2 && element;
+    }, 'vídeo da câmera simulada');
+    assert(video.srcObject?.simulated === 'pattern', 'O vídeo não está usando a fonte simulada');
+
+    await waitFor(() => doc.querySelector('#apiStatus.api-status--online'), 'API simulada online');
+    const captureBtn = await waitFor(() => !doc.getElementById('captureBtn').disabled && doc.getElementById('captureBtn'), 'botão de captura');
+    captureBtn.click();
+}
+
+function isVisible(element) {
+    return Boolean(element) && element.offsetParent !== null && getComputedStyle(element).display !== 'none';
+}
+
+test('captura com a câmera simulada e exibe a análise da API', async () => {
+    await mock('reset', {});
+    const app = await openApp();
+    await captureWhenReady(app);
+
+    const container = await waitFor(() => {
+        const element = app.doc.getElementById('analysisContainer');
+        return isVisible(element) && element;
+    }, 'resultado da análise');
+    const fitzpatrick = container.querySelector('.result-card--fitzpatrick .result-value');
+    assert(fitzpatrick?.textContent.includes('Tipo III'), `Fototipo inesperado: ${fitzpatrick?.textContent}`);
+
+    const uploads = await mock('requests');
+    assert(uploads.length === 1, `Esperado 1 envio ao /upload, recebidos ${uploads.length}`);
+    const { file, quality } = uploads[0].fields;
+    assert(file?.type === 'image/png', `Arquivo enviado com tipo ${file?.type}`);
+    assert(file.signature === '89504e470d0a1a0a', 'O arquivo enviado não é um PNG válido');
+    assert(file.size > 1000, `Arquivo muito pequeno: ${file.size} bytes`);
+    assert(JSON.parse(quality || '{}').score >= 0, 'Metadados de qualidade ausentes no envio');
+});
+
+test('analisa com a Groq Vision contra o chat/completions simulado', async () => {
+    await mock('reset', {});
+    const app = await openApp({
+        'faceCapture.provider': 'groq',
+        'faceCapture.groq': JSON.stringify({ baseUrl: `${location.origin}/v1`, apiKey: 'chave-de-teste' })
+    });
+    await captureWhenReady(app);
+
+    const container = await waitFor(() => {
+        const element = app.doc.getElementById('analysisContainer');
+        return isVisible(element) && element;
+    }, 'resultado da análise');
+    const fitzpatrick = container.querySelector('.result-card--fitzpatrick .result-value');
+    assert(fitzpatrick?.textContent.includes('Tipo III'), `Fototipo inesperado: ${fitzpatrick?.textContent}`);
+
+    const completions = await mock('completions');
+    assert(completions.length === 1, `Esperado 1 pedido ao chat/completions, recebidos ${completions.length}`);
+    const [completion] = completions;
+    assert(completion.authorization === 'Bearer chave-de-teste', 'A chave da Groq não foi enviada');
+    assert(completion.responseFormat === 'json_object', 'A resposta em JSON não foi pedida');
+    assert(completion.image.type === 'image/png' && completion.image.size > 1000, `Imagem enviada inválida: ${JSON.stringify(completion.image)}`);
+    assert((await mock('requests')).length === 0, 'Com a Groq escolhida, nada deveria ir para o /upload');
+});
+
+test('resposta fora do schema mostra erro e mantém a foto para reenvio', async () => {
+    await mock('reset', {});
+    await mock('config', { upload: { fitzpatrick: 7, textura: null } });
+    const app = await openApp();
+    await captureWhenReady(app);
+
+    await waitFor(() => app.dialogs.some((message) => message.includes('Resposta inválida')), 'aviso de resposta inválida');
+    await waitFor(() => isVisible(app.doc.getElementById('previewContainer')), 'pré-visualização da foto');
+    assert(!isVisible(app.doc.getElementById('analysisContainer')), 'A análise inválida não deveria ser exibida');
+});
+
+test('API offline guarda a captura na fila de envio', async () => {
+    await mock('reset', {});
+    await mock('config', { health: 'offline' });
+    const app = await openApp();
+
+    await waitFor(() => app.doc.querySelector('#apiStatus.api-status--offline'), 'API simulada offline');
+    await waitFor(() => app.doc.getElementById('video')?.videoWidth, 'vídeo da câmera simulada');
+    await waitFor(() => !app.doc.getElementById('captureBtn').disabled, 'botão de captura');
+    app.doc.getElementById('captureBtn').click();
+
+    await waitFor(() => app.dialogs.some((message) => message.includes('pendente')), 'aviso de captura na fila');
+    assert((await mock('requests')).length === 0, 'Nenhum envio era esperado com a API offline');
+});
+
+async function run() {
+    const list = document.getElementById('results');
+    let failures = 0;
+
+    for (const { name, run: execute } of tests) {
+        const item = document.createElement('li');
+        item.textContent = name;
+        list.appendChild(item);
+        try {
+            await execute();
+            item.className = 'pass';
+        } catch (error) {
+            failures++;
+            item.className = 'fail';
+            const detail = document.createElement('pre');
+            detail.textContent = error.message;
+            item.appendChild(detail);
+        }
+    }
+
+    await mock('reset', {});
+    const summary = failures ? `FAIL ${failures}/${tests.length}` : `PASS ${tests.length}/${tests.length}`;
+    document.getElementById('summary').textContent = summary;
+    document.title = summary;
+}
+
+run();
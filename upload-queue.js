@@ -0,0 +1,137 @@
+/**
+ * Fila offline de capturas: guarda no IndexedDB as fotos que não puderam
+ * ser enviadas ao /upload e delega o reenvio ao Service Worker
+ * (Background Sync, com reenvio em primeiro plano como alternativa).
+ * O Service Worker só guarda a resposta na captura (status 'received') ou marca a
+ * recusa (status 'failed'): a página valida a resposta e a grava no histórico, ou
+ * avisa o usuário da recusa, e então remove a captura da fila.
+ * Capturas cifradas (privacy.js) não podem ser lidas pelo Service Worker:
+ * são reenviadas pela própria página depois que a senha é informada.
+ */
+import { STORES, withTransaction } from './db.js';
+import { openRecord, sealRecord } from './privacy.js';
+import { t } from './i18n.js';
+import { imageFileName } from './capture-output.js';
+
+// Deve coincidir com a tag tratada no evento 'sync' do sw.js
+export const SYNC_TAG = 'upload-queue';
+
+export class UploadQueue {
+    /**
+     * @param {DataVault|null} [vault=null] - Cofre usado para cifrar as capturas enfileiradas.
+     */
+    constructor(vault = null) {
+        this.vault = vault;
+    }
+
+    /**
+     * Adiciona uma captura à fila de envio.
+     * @param {Blob} blob - Imagem capturada.
+     * @param {string|null} apiUrl - URL base da API no momento da captura.
+     * @param {string} [reason] - Motivo da falha original (para diagnóstico).
+     * @param {Object} [meta={}] - Metadados da captura, reenviados junto com a imagem.
+     * @returns {Promise<Object>} O registro enfileirado.
+     */
+    async enqueue(blob, apiUrl, reason = '', meta = {}) {
+        const record = {
+            blob,
+            // O Service Worker não importa módulos: o nome (com a extensão do formato) já vai pronto
+            fileName: imageFileName('face-capture', blob),
+            apiUrl,
+            meta,
+            // Fica em claro (fora de `meta`, que pode ser cifrado) para excluir os dados de um paciente
+            patientId: meta.patientId ?? null,
+            createdAt: Date.now(),
+            status: 'pending',
+            attempts: 0,
+            lastError: reason,
+            // O Service Worker não tem as traduções: o aviso de conclusão já vai no idioma atual
+            notification: { title: t('queue.notificationTitle'), body: t('queue.notificationBody') }
+        };
+
+        const stored = await sealRecord(this.vault, STORES.uploadQueue, record);
+        record.id = await withTransaction(STORES.uploadQueue, 'readwrite',
+            (tx) => tx.objectStore(STORES.uploadQueue).add(stored));
+        return record;
+    }
+
+    /**
+     * Capturas cifradas aguardando envio, já decifradas (exige o cofre desbloqueado).
+     * @returns {Promise<Object[]>}
+     */
+    listSealedPending() {
+        return this._list((record) => record.sealed && record.status === 'pending');
+    }
+
+    /**
+     * Capturas já analisadas pelo Service Worker, com a resposta do /upload em `result`,
+     * aguardando a validação e a gravação no histórico pela página.
+     * @returns {Promise<Object[]>}
+     */
+    listReceived() {
+        return this._list((record) => record.status === 'received');
+    }
+
+    /**
+     * Capturas recusadas em definitivo pela API (motivo em `lastError`), aguardando o aviso ao usuário.
+     * @returns {Promise<Object[]>}
+     */
+    listFailed() {
+        return this._list((record) => record.status === 'failed');
+    }
+
+    async _list(filter) {
+        const records = await withTransaction(STORES.uploadQueue, 'readonly',
+            (tx) => tx.objectStore(STORES.uploadQueue).getAll());
+        return Promise.all(records.filter(filter).map((record) => openRecord(this.vault, record)));
+    }
+
+    /**
+     * Remove uma captura da fila (após o envio pela página).
+     * @param {number} id - Identificador na fila.
+     */
+    remove(id) {
+        return withTransaction(STORES.uploadQueue, 'readwrite',
+            (tx) => tx.objectStore(STORES.uploadQueue).delete(id));
+    }
+
+    /**
+     * @returns {Promise<number>} Quantidade de capturas aguardando envio.
+     */
+    async countPending() {
+        const records = await withTransaction(STORES.uploadQueue, 'readonly',
+            (tx) => tx.objectStore(STORES.uploadQueue).getAll());
+        return records.filter((record) => record.status === 'pending').length;
+    }
+
+    /**
+     * Agenda o reenvio pelo Background Sync. Retorna `false` quando o
+     * navegador não suporta a API e o reenvio precisa ser feito em primeiro plano.
+     * @returns {Promise<boolean>}
+     */
+    async scheduleSync() {
+        if (!('serviceWorker' in navigator)) return false;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!('sync' in registration)) return false;
+
+            await registration.sync.register(SYNC_TAG);
+            return true;
+        } catch (error) {
+            console.warn('Background Sync indisponível:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Reenvio em primeiro plano: pede ao Service Worker ativo que processe a fila agora.
+     * Usado quando o Background Sync não existe e a API voltou a responder.
+     */
+    async replayNow() {
+        if (!('serviceWorker' in navigator)) return;
+
+        const registration = await navigator.serviceWorker.ready;
+        registration.active?.postMessage({ type: 'replay-upload-queue' });
+    }
+}
@@ -0,0 +1,246 @@
+/**
+ * Fonte de vídeo do app: a câmera real (`getUserMedia`) ou uma fonte simulada
+ * (vídeo em loop, imagem parada ou padrão sintético) desenhada em um canvas e
+ * exposta como MediaStream (`captureStream`). Como o resultado é um stream comum,
+ * o fluxo capturePhoto → recorte → analyzePhoto → showAnalysisResults não muda.
+ *
+ * Escolha por URL (tem prioridade sobre o ajuste salvo):
+ *   ?camera=pattern
+ *   ?camera=image&camera-src=/demo/rosto.jpg
+ *   ?camera=video&camera-src=/demo/rosto.mp4
+ */
+import { t } from './i18n.js';
+
+const SOURCE_KEY = 'faceCapture.videoSource';
+const FRAME_RATE = 30;
+
+const source = (type) => ({ type, get label() { return t(`videoSource.${type}`); } });
+
+export const VIDEO_SOURCES = [source('camera'), source('pattern'), source('image'), source('video')];
+
+const SOURCE_TYPES = new Set(VIDEO_SOURCES.map((source) => source.type));
+
+/**
+ * Fonte escolhida: parâmetro `camera` da URL ou, na falta dele, o ajuste salvo.
+ * @returns {{type: string, src: (string|null), fromUrl: boolean}}
+ */
+export function getVideoSource() {
+    const params = new URLSearchParams(window.location.search);
+    if (SOURCE_TYPES.has(params.get('camera'))) {
+        return { type: params.get('camera'), src: params.get('camera-src'), fromUrl: true };
+    }
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(SOURCE_KEY) || '{}');
+        if (SOURCE_TYPES.has(saved.type)) return { type: saved.type, src: saved.src || null, fromUrl: false };
+    } catch {}
+    return { type: 'camera', src: null, fromUrl: false };
+}
+
+/**
+ * Salva a fonte de vídeo padrão deste navegador.
+ * @param {{type: string, src?: string}} source
+ */
+export function saveVideoSource({ type, src = null }) {
+    if (type === 'camera') localStorage.removeItem(SOURCE_KEY);
+    else localStorage.setItem(SOURCE_KEY, JSON.stringify({ type, src }));
+}
+
+/**
+ * Abre a fonte de vídeo.
+ * @param {{type: string, src: (string|null)}} source - Resultado de `getVideoSource`.
+ * @param {MediaStreamConstraints} constraints - Restrições de `getUserMedia`; nas fontes
+ *        simuladas, `video.width.ideal`/`video.height.ideal` definem a resolução.
+ * @returns {Promise<MediaStream>}
+ */
+export async function openVideoStream(source, constraints) {
+    if (source.type === 'camera') {
+        if (!navigator.mediaDevices?.getUserMedia) {
+            // Fora de https (ou localhost) os navegadores nem expõem o getUserMedia
+            throw new DOMException('getUserMedia indisponível', window.isSecureContext ? 'NotSupportedError' : 'SecurityError');
+        }
+        return navigator.mediaDevices.getUserMedia(constraints);
+    }
+
+    const width = constraints.video?.width?.ideal || 1280;
+    const height = constraints.video?.height?.ideal || 720;
+    const painter = await createPainter(source, width, height);
+    return paintToStream(painter, width, height);
+}
+
+/**
+ * Desenha o `painter` em um canvas a cada frame e devolve o stream do canvas.
+ * O desenho para quando a trilha é encerrada (`track.stop()`).
+ */
+function paintToStream(painter, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    const stream = canvas.captureStream(FRAME_RATE);
+    const [track] = stream.getVideoTracks();
+    // Permite aos demais módulos identificar a fonte (ex.: nos metadados da captura)
+    stream.simulated = painter.type;
+
+    const paint = () => {
+        if (track.readyState === 'ended') {
+            clearInterval(timer);
+            painter.release();
+            return;
+        }
+        painter.draw(ctx, width, height, performance.now());
+    };
+    // setInterval (e não requestAnimationFrame) continua gerando frames com a aba em segundo plano
+    const timer = setInterval(paint, 1000 / FRAME_RATE);
+    paint();
+    return stream;
+}
+
+async function createPainter({ type, src }, width, height) {
+    if (type === 'image') {
+        if (!src) throw new Error(t('videoSource.missingImage'));
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.src = src;
+        try {
+            await image.decode();
+        } catch {
+            throw new Error(t('videoSource.imageError', { src }));
+        }
+        return {
+            type,
+            draw: (ctx, w, h, time) => {
+                drawCover(ctx, image, image.naturalWidth, image.naturalHeight, w, h);
+                drawClock(ctx, w, h, time);
+            },
+            release: () => {}
+        };
+    }
+
+    if (type === 'video') {
+        if (!src) throw new Error(t('videoSource.missingVideo'));
+        const video = document.createElement('video');
+        Object.assign(video, { src, muted: true, loop: true, playsInline: true, crossOrigin: 'anonymous' });
+        try {
+            await video.play();
+        } catch {
+            throw new Error(t('videoSource.videoError', { src }));
+        }
+        return {
+            type,
+            draw: (ctx, w, h) => drawCover(ctx, video, video.videoWidth, video.videoHeight, w, h),
+            release: () => {
+                video.pause();
+                video.removeAttribute('src');
+                video.load();
+            }
+        };
+    }
+
+    const face = renderTestFace(width, height);
+    return {
+        type: 'pattern',
+        draw: (ctx, w, h, time) => {
+            ctx.drawImage(face, 0, 0);
+            drawClock(ctx, w, h, time);
+        },
+        release: () => {}
+    };
+}
+
+/**
+ * Desenha a fonte cobrindo todo o quadro (como `object-fit: cover`).
+ */
+function drawCover(ctx, source, sourceWidth, sourceHeight, width, height) {
+    if (!sourceWidth || !sourceHeight) return;
+    const scale = Math.max(width / sourceWidth, height / sourceHeight);
+    const drawWidth = sourceWidth * scale, drawHeight = sourceHeight * scale;
+    ctx.drawImage(source, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+/**
+ * Relógio no canto do quadro: garante frames diferentes e mostra que a fonte é simulada.
+ */
+function drawClock(ctx, width, height, time) {
+    const label = `SIMULADA · ${(time / 1000).toFixed(1)}s`;
+    ctx.font = `${Math.round(height / 30)}px monospace`;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, height - height / 18, ctx.measureText(label).width + 16, height / 18);
+    ctx.fillStyle = '#fff';
+    ctx.fillText(label, 8, height - height / 60);
+}
+
+/**
+ * Padrão sintético: rosto oval em tom de pele, com textura fina, manchas e linhas,
+ * pensado para passar no controle de qualidade (nitidez, exposição e cor) e
+ * exercitar as métricas da análise.
+ */
+function renderTestFace(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    // Fundo com barras de cor (útil para conferir a correção de cor)
+    const bars = ['#c0c0c0', '#c0c000', '#00c0c0', '#00c000', '#c000c0', '#c00000', '#0000c0'];
+    bars.forEach((color, i) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(i * width / bars.length, 0, width / bars.length + 1, height);
+    });
+
+    // Rosto ocupando o oval guia, no centro do quadro
+    const cx = width / 2, cy = height / 2;
+    const rx = height * 0.3, ry = height * 0.42;
+    ctx.fillStyle = 'rgb(214, 168, 138)';
+    ctx.beginPath();
+    ctx.ellipse(cx, cy, rx, ry, 0, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Olhos, sobrancelhas e boca
+    ctx.fillStyle = 'rgb(70, 50, 40)';
+    [-1, 1].forEach((side) => {
+        ctx.beginPath();
+        ctx.ellipse(cx + side * rx * 0.4, cy - ry * 0.2, rx * 0.14, ry * 0.05, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillRect(cx + side * rx * 0.4 - rx * 0.18, cy - ry * 0.34, rx * 0.36, ry * 0.03);
+    });
+    ctx.fillStyle = 'rgb(170, 90, 90)';
+    ctx.beginPath();
+    ctx.ellipse(cx, cy + ry * 0.5, rx * 0.3, ry * 0.06, 0, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Linhas de expressão na testa e manchas nas bochechas
+    ctx.strokeStyle = 'rgba(120, 80, 60, 0.7)';
+    ctx.lineWidth = Math.max(1, height / 400);
+    for (let i = 0; i < 3; i++) {
+        ctx.beginPath();
+        ctx.moveTo(cx - rx * 0.45, cy - ry * (0.55 - i * 0.07));
+        ctx.quadraticCurveTo(cx, cy - ry * (0.6 - i * 0.07), cx + rx * 0.45, cy - ry * (0.55 - i * 0.07));
+        ctx.stroke();
+    }
+    ctx.fillStyle = 'rgba(140, 90, 60, 0.8)';
+    let seed = 7;
+    const random = () => {
+        // Gerador determinístico: o padrão é o mesmo em toda execução
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    };
+    for (let i = 0; i < 14; i++) {
+        const side = i % 2 ? 1 : -1;
+        ctx.beginPath();
+        ctx.arc(cx + side * rx * (0.3 + random() * 0.35), cy + ry * (0.05 + random() * 0.25), height / 250 + random() * height / 250, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // Textura fina (ruído) sobre tudo, para a nitidez medida pelo Laplaciano
+    const image = ctx.getImageData(0, 0, width, height);
+    for (let i = 0; i < image.data.length; i += 4) {
+        const noise = (random() - 0.5) * 24;
+        image.data[i] += noise;
+        image.data[i + 1] += noise;
+        image.data[i + 2] += noise;
+    }
+    ctx.putImageData(image, 0, 0);
+    return canvas;
+}